@@ -0,0 +1,231 @@
+/**
+ * API keys for service accounts
+ * Other systems (an HR or accounting system) call the workflow API with an organization's
+ * API key instead of a browser session. Each key acts as a service account: a principal
+ * named after the key, holding the workflow actors the key grants, limited to some API
+ * scopes and workflow types, and rate limited per minute. Only a hash of the key is
+ * stored; the key itself is returned once, when it is issued.
+ */
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['workflows:read', 'workflows:create', 'workflows:transition', 'workflows:update'];
+
+const API_KEYS = 'api_keys';
+const KEY_PREFIX = 'wfk';
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyService {
+    /**
+     * options: rateLimit, the default requests per minute for a key (60), and
+     * workflowTypes and actors, functions listing the values a key may be limited to
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.rateLimit = options.rateLimit || 60;
+        this.workflowTypes = options.workflowTypes || (() => []);
+        this.actors = options.actors || (() => []);
+        this.windows = new Map();
+    }
+
+    listKeys(organizationId) {
+        return this.db.find(API_KEYS, { organizationId })
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(withoutHash);
+    }
+
+    getKey(organizationId, id) {
+        const apiKey = this.db.get(API_KEYS, id);
+        if (!apiKey || apiKey.organizationId !== organizationId) {
+            throw new Error('API key not found');
+        }
+        return apiKey;
+    }
+
+    /**
+     * Issue a key: { name, scopes, actors, workflowTypes, rateLimit }. Empty workflowTypes
+     * mean all of them. The response carries the key, which cannot be retrieved again.
+     */
+    createKey(organizationId, data, user) {
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+        const apiKey = {
+            id: generateId('apk'),
+            organizationId,
+            name: typeof data.name === 'string' ? data.name.trim() : data.name,
+            prefix,
+            keyHash: hashKey(key),
+            scopes: data.scopes || [],
+            actors: data.actors || [],
+            workflowTypes: data.workflowTypes || [],
+            rateLimit: data.rateLimit ?? this.rateLimit,
+            active: true,
+            createdBy: user?.id || null,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.validateKey(apiKey);
+        return { ...withoutHash(this.db.insert(API_KEYS, apiKey)), key };
+    }
+
+    /**
+     * Change name, scopes, actors, workflowTypes or rateLimit of a key that is not revoked
+     */
+    updateKey(organizationId, id, changes) {
+        const apiKey = this.getKey(organizationId, id);
+        if (apiKey.revokedAt) {
+            throw new Error(`API key ${id} is revoked`);
+        }
+
+        const updated = { ...apiKey, updatedAt: new Date().toISOString() };
+        ['name', 'scopes', 'actors', 'workflowTypes', 'rateLimit']
+            .filter(field => changes[field] !== undefined)
+            .forEach(field => { updated[field] = changes[field]; });
+
+        this.validateKey(updated);
+        return withoutHash(this.db.upsert(API_KEYS, updated));
+    }
+
+    /**
+     * Revoke a key for good; it is kept so audit entries still name its service account
+     */
+    revokeKey(organizationId, id, user) {
+        const apiKey = this.getKey(organizationId, id);
+        if (apiKey.revokedAt) return withoutHash(apiKey);
+
+        return withoutHash(this.db.upsert(API_KEYS, {
+            ...apiKey,
+            active: false,
+            revokedAt: new Date().toISOString(),
+            revokedBy: user?.id || null
+        }));
+    }
+
+    validateKey(apiKey) {
+        if (typeof apiKey.name !== 'string' || !apiKey.name) {
+            throw new Error('API key name is required');
+        }
+
+        if (!Array.isArray(apiKey.scopes) || apiKey.scopes.length === 0) {
+            throw new Error(`Invalid API key scopes: expected a list of ${API_KEY_SCOPES.join(', ')}`);
+        }
+        const unknownScope = apiKey.scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+        if (unknownScope !== undefined) {
+            throw new Error(`Invalid API key scope '${unknownScope}': expected one of ${API_KEY_SCOPES.join(', ')}`);
+        }
+
+        if (!Array.isArray(apiKey.actors)) {
+            throw new Error('Invalid API key actors: expected a list');
+        }
+        const actors = this.actors();
+        const unknownActor = apiKey.actors.find(actor => !actors.includes(actor));
+        if (unknownActor !== undefined) {
+            throw new Error(`Invalid API key actor '${unknownActor}': expected one of ${actors.join(', ')}`);
+        }
+
+        if (!Array.isArray(apiKey.workflowTypes)) {
+            throw new Error('Invalid API key workflowTypes: expected a list');
+        }
+        const workflowTypes = this.workflowTypes();
+        const unknownType = apiKey.workflowTypes.find(type => !workflowTypes.includes(type));
+        if (unknownType !== undefined) {
+            throw new Error(`Invalid API key workflow type '${unknownType}': expected one of ${workflowTypes.join(', ')}`);
+        }
+
+        if (!Number.isInteger(apiKey.rateLimit) || apiKey.rateLimit < 1) {
+            throw new Error(`Invalid API key rateLimit '${apiKey.rateLimit}': expected requests per minute`);
+        }
+    }
+
+    // Requests made with a key
+
+    /**
+     * Find the active key a request presented, or null when it is unknown or revoked
+     */
+    verify(key) {
+        const match = /^wfk_([0-9a-f]{8})_[0-9a-f]+$/.exec(String(key || ''));
+        if (!match) return null;
+
+        const expected = Buffer.from(hashKey(key));
+        const apiKey = this.db.find(API_KEYS, { prefix: match[1] }).find(candidate =>
+            crypto.timingSafeEqual(Buffer.from(candidate.keyHash), expected)
+        );
+        return apiKey && apiKey.active ? apiKey : null;
+    }
+
+    /**
+     * Count a request against the key's per-minute limit:
+     * { allowed, limit, remaining, retryAfter (seconds until the window resets) }
+     * lastUsedAt is stored once per window, not on every request.
+     */
+    consume(apiKey, now = Date.now()) {
+        let window = this.windows.get(apiKey.id);
+        if (!window || now - window.startedAt >= 60 * 1000) {
+            window = { startedAt: now, count: 0 };
+            this.windows.set(apiKey.id, window);
+        }
+
+        const allowed = window.count < apiKey.rateLimit;
+        if (allowed) {
+            if (window.count === 0) {
+                this.db.update(API_KEYS, apiKey.id, { lastUsedAt: new Date(now).toISOString() });
+            }
+            window.count++;
+        }
+
+        return {
+            allowed,
+            limit: apiKey.rateLimit,
+            remaining: apiKey.rateLimit - window.count,
+            retryAfter: Math.ceil((window.startedAt + 60 * 1000 - now) / 1000)
+        };
+    }
+
+    /**
+     * The service account a key acts as; engine permissions see the key's actors
+     * as if its positions had granted them (see StateNode.getUserActors)
+     */
+    toServiceAccount(apiKey) {
+        return {
+            id: `service-account:${apiKey.id}`,
+            username: apiKey.name,
+            serviceAccount: true,
+            apiKeyId: apiKey.id,
+            organizationId: apiKey.organizationId,
+            actors: apiKey.actors,
+            scopes: apiKey.scopes,
+            workflowTypes: apiKey.workflowTypes
+        };
+    }
+
+    /**
+     * Check that a service account may act on a workflow type of an organization
+     * (the route's scope is checked when the request is dispatched)
+     */
+    checkAccess(serviceAccount, organizationId, workflowType) {
+        if (organizationId !== serviceAccount.organizationId) {
+            throw new Error(`API key does not have permission for organization ${organizationId}`);
+        }
+        if (serviceAccount.workflowTypes.length > 0 && !serviceAccount.workflowTypes.includes(workflowType)) {
+            throw new Error(`API key does not have permission for workflow type ${workflowType}`);
+        }
+    }
+}
+
+function withoutHash(apiKey) {
+    const { keyHash, ...rest } = apiKey;
+    return rest;
+}
+
+module.exports = {
+    ApiKeyService,
+    API_KEY_SCOPES
+};
@@ -0,0 +1,426 @@
+/**
+ * Embedded file-backed database
+ * Stores tables as JSON in a single file with versioned schema migrations.
+ * Writes are batched: the file is rewritten at most once per flush delay, and on
+ * close or process exit. It goes to a temporary file first and is renamed into
+ * place, so a crash mid-write never leaves a half-written database behind.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILENAME = process.env.DB_FILE || path.join(__dirname, 'data.json');
+
+/**
+ * Versioned schema migrations. Append new entries; never edit applied ones.
+ */
+const migrations = [
+    {
+        version: 1,
+        name: 'create_organization_tables',
+        up(db) {
+            db.createTable('organizations', { unique: ['sub_domain_to_v4l_app'] });
+            db.createTable('branches');
+            db.createTable('buildings');
+            db.createTable('worker_seats');
+            db.createTable('departments');
+            db.createTable('teams');
+            db.createTable('groups');
+            db.createTable('designations');
+            db.createTable('positions');
+        }
+    },
+    {
+        version: 2,
+        name: 'create_workflow_tables',
+        up(db) {
+            db.createTable('workflow_instances');
+            db.createTable('workflow_history');
+            db.createTable('audit_entries');
+        }
+    },
+    {
+        version: 3,
+        name: 'create_client_persistence_tables',
+        up(db) {
+            db.createTable('client_workflow_instances');
+            db.createTable('client_workflow_history');
+            db.createTable('client_audit_entries');
+        }
+    },
+    {
+        version: 4,
+        name: 'create_users_table',
+        up(db) {
+            db.createTable('users');
+        }
+    },
+    {
+        version: 5,
+        name: 'create_timer_tables',
+        up(db) {
+            db.createTable('workflow_timers');
+            db.createTable('client_workflow_timers');
+        }
+    },
+    {
+        version: 6,
+        name: 'create_delegations_table',
+        up(db) {
+            db.createTable('delegations');
+        }
+    },
+    {
+        version: 7,
+        name: 'create_actor_mappings_table',
+        up(db) {
+            db.createTable('actor_mappings');
+        }
+    },
+    {
+        version: 8,
+        name: 'create_workflow_event_tables',
+        up(db) {
+            db.createTable('workflow_events');
+            db.createTable('client_workflow_events');
+        }
+    },
+    {
+        version: 9,
+        name: 'create_webhook_tables',
+        up(db) {
+            db.createTable('webhook_subscriptions');
+            db.createTable('webhook_deliveries');
+        }
+    },
+    {
+        version: 10,
+        name: 'create_api_keys_table',
+        up(db) {
+            db.createTable('api_keys');
+        }
+    },
+    {
+        version: 11,
+        name: 'create_user_credentials_table',
+        up(db) {
+            db.createTable('user_credentials', { unique: ['username'] });
+        }
+    }
+];
+
+/**
+ * Database error
+ */
+class DatabaseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DatabaseError';
+    }
+}
+
+class Database {
+    /**
+     * options: filename (null for an in-memory database), migrations, and flushDelay,
+     * how long in ms writes are collected before the file is rewritten (100)
+     */
+    constructor(options = {}) {
+        this.filename = options.filename === undefined ? DEFAULT_FILENAME : options.filename;
+        this.migrations = options.migrations || migrations;
+        this.flushDelay = options.flushDelay ?? 100;
+        this.tables = {};
+        this.schema = {};
+        this.appliedMigrations = [];
+        this.transactionDepth = 0;
+        this.journal = null;
+        this.flushTimer = null;
+
+        this.load();
+        this.migrate();
+
+        if (this.filename) {
+            this.exitHandler = () => this.flush();
+            process.on('exit', this.exitHandler);
+        }
+    }
+
+    /**
+     * Load database file from disk (no-op for in-memory databases)
+     */
+    load() {
+        if (!this.filename || !fs.existsSync(this.filename)) return;
+
+        const raw = fs.readFileSync(this.filename, 'utf8');
+        if (!raw.trim()) return;
+
+        try {
+            const data = JSON.parse(raw);
+            this.tables = data.tables || {};
+            this.schema = data.schema || {};
+            this.appliedMigrations = data.migrations || [];
+        } catch (error) {
+            throw new DatabaseError(`Corrupt database file ${this.filename}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write database to disk atomically
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.filename || this.transactionDepth > 0) return;
+
+        const tempFile = `${this.filename}.tmp`;
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify({
+            migrations: this.appliedMigrations,
+            schema: this.schema,
+            tables: this.tables
+        }));
+        fs.renameSync(tempFile, this.filename);
+    }
+
+    /**
+     * Flush after the flush delay, together with any other writes made meanwhile
+     */
+    scheduleFlush() {
+        if (!this.filename || this.transactionDepth > 0 || this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        this.flushTimer.unref?.();
+    }
+
+    /**
+     * Write pending changes and stop flushing on exit
+     */
+    close() {
+        this.flush();
+        if (this.exitHandler) {
+            process.removeListener('exit', this.exitHandler);
+            this.exitHandler = null;
+        }
+    }
+
+    /**
+     * Get current schema version
+     */
+    getVersion() {
+        return this.appliedMigrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+    }
+
+    /**
+     * Apply pending migrations in version order
+     */
+    migrate() {
+        const currentVersion = this.getVersion();
+        const pending = [...this.migrations]
+            .sort((a, b) => a.version - b.version)
+            .filter(migration => migration.version > currentVersion);
+
+        for (const migration of pending) {
+            this.transaction(() => {
+                migration.up(this);
+                this.appliedMigrations.push({
+                    version: migration.version,
+                    name: migration.name,
+                    appliedAt: new Date().toISOString()
+                });
+            });
+        }
+
+        return pending.map(migration => migration.version);
+    }
+
+    /**
+     * Run a function atomically; all changes are rolled back if it throws.
+     * Rollback replays a journal of the records and tables the transaction replaced.
+     */
+    transaction(fn) {
+        const outermost = this.transactionDepth === 0;
+        const saved = outermost ? {
+            schema: clone(this.schema),
+            migrationCount: this.appliedMigrations.length
+        } : null;
+        if (outermost) this.journal = [];
+
+        this.transactionDepth++;
+        try {
+            const result = fn(this);
+            this.transactionDepth--;
+            if (outermost) this.journal = null;
+            this.scheduleFlush();
+            return result;
+        } catch (error) {
+            this.transactionDepth--;
+            if (outermost) {
+                this.rollback(this.journal);
+                this.journal = null;
+                this.schema = saved.schema;
+                this.appliedMigrations.length = saved.migrationCount;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Note what a change replaces, so a failing transaction can put it back
+     */
+    record(change) {
+        if (this.journal) this.journal.push(change);
+    }
+
+    rollback(journal) {
+        for (const { table, id, previous, records } of [...journal].reverse()) {
+            if (id === undefined) {
+                if (records) this.tables[table] = records;
+                else delete this.tables[table];
+            } else if (previous) {
+                this.tables[table][id] = previous;
+            } else {
+                delete this.tables[table][id];
+            }
+        }
+    }
+
+    /**
+     * Schema operations (used by migrations)
+     */
+    createTable(name, options = {}) {
+        if (this.schema[name]) {
+            throw new DatabaseError(`Table '${name}' already exists`);
+        }
+        this.schema[name] = {
+            unique: options.unique || []
+        };
+        this.record({ table: name, records: this.tables[name] });
+        this.tables[name] = {};
+    }
+
+    dropTable(name) {
+        this.requireTable(name);
+        this.record({ table: name, records: this.tables[name] });
+        delete this.schema[name];
+        delete this.tables[name];
+    }
+
+    addUniqueConstraint(name, field) {
+        const schema = this.requireTable(name);
+        if (!schema.unique.includes(field)) schema.unique.push(field);
+    }
+
+    requireTable(name) {
+        const schema = this.schema[name];
+        if (!schema) {
+            throw new DatabaseError(`Unknown table '${name}'`);
+        }
+        return schema;
+    }
+
+    /**
+     * Record operations
+     */
+    get(table, id) {
+        this.requireTable(table);
+        const record = this.tables[table][id];
+        return record ? clone(record) : null;
+    }
+
+    find(table, where = {}) {
+        this.requireTable(table);
+        const matches = typeof where === 'function' ? where : record => matchesWhere(record, where);
+        return Object.values(this.tables[table]).filter(matches).map(clone);
+    }
+
+    findOne(table, where = {}) {
+        return this.find(table, where)[0] || null;
+    }
+
+    count(table, where = {}) {
+        return this.find(table, where).length;
+    }
+
+    insert(table, record) {
+        if (record.id === undefined || record.id === null) {
+            throw new DatabaseError(`Record for '${table}' must have an id`);
+        }
+        this.requireTable(table);
+        if (this.tables[table][record.id]) {
+            throw new DatabaseError(`Duplicate id '${record.id}' in '${table}'`);
+        }
+        return this.write(table, record);
+    }
+
+    upsert(table, record) {
+        if (record.id === undefined || record.id === null) {
+            throw new DatabaseError(`Record for '${table}' must have an id`);
+        }
+        this.requireTable(table);
+        return this.write(table, record);
+    }
+
+    update(table, id, changes) {
+        const existing = this.get(table, id);
+        if (!existing) {
+            throw new DatabaseError(`Record '${id}' not found in '${table}'`);
+        }
+        return this.write(table, { ...existing, ...changes, id });
+    }
+
+    delete(table, id) {
+        this.requireTable(table);
+        if (!this.tables[table][id]) return false;
+        this.remove(table, id);
+        this.scheduleFlush();
+        return true;
+    }
+
+    deleteWhere(table, where = {}) {
+        const records = this.find(table, where);
+        this.transaction(() => {
+            records.forEach(record => this.remove(table, record.id));
+        });
+        return records.length;
+    }
+
+    remove(table, id) {
+        this.record({ table, id, previous: this.tables[table][id] });
+        delete this.tables[table][id];
+    }
+
+    write(table, record) {
+        const schema = this.schema[table];
+        for (const field of schema.unique) {
+            const value = record[field];
+            if (value === undefined || value === null || value === '') continue;
+            const conflict = Object.values(this.tables[table]).find(other =>
+                other.id !== record.id && other[field] === value
+            );
+            if (conflict) {
+                throw new DatabaseError(`Unique constraint failed: ${table}.${field}`);
+            }
+        }
+
+        this.record({ table, id: record.id, previous: this.tables[table][record.id] });
+        this.tables[table][record.id] = clone(record);
+        this.scheduleFlush();
+        return clone(record);
+    }
+}
+
+function matchesWhere(record, where) {
+    return Object.entries(where).every(([field, expected]) => {
+        if (expected === undefined) return true;
+        if (Array.isArray(expected)) return expected.includes(record[field]);
+        return record[field] === expected;
+    });
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    Database,
+    DatabaseError,
+    migrations
+};
@@ -0,0 +1,1347 @@
+/**
+ * Workflow REST API Server
+ * Exposes organizations, branches, workflow instances, transitions and audit
+ * entries as JSON endpoints. Transitions run through the same WorkflowEngine
+ * and BaseWorkflow classes the frontend uses, so the server is authoritative.
+ */
+const http = require('http');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { Database } = require('./db.js');
+const { WebhookService } = require('./webhooks.js');
+const { ApiKeyService } = require('./api-keys.js');
+const { SessionService } = require('./sessions.js');
+
+const PORT = process.env.PORT || 3000;
+const CORE_DIR = path.join(__dirname, '..', 'frontend', 'js', 'core');
+
+/**
+ * HTTP error carrying a status code
+ */
+class HttpError extends Error {
+    constructor(status, message, details = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Import an ES module from the shared frontend core
+ */
+function importCore(relativePath) {
+    return import(pathToFileURL(path.join(CORE_DIR, relativePath)).href);
+}
+
+/**
+ * Load the workflow engine and all registrable workflow types
+ */
+async function loadWorkflowCore() {
+    // Imported one at a time: the modules share dependencies, and some loaders
+    // (e.g. Jest's VM modules) fail on concurrent imports of a shared module.
+    const { WorkflowEngine } = await importCore('workflow/WorkflowEngine.js');
+    const { AuditService } = await importCore('workflow/AuditService.js');
+    const { OrganizationDirectory } = await importCore('OrganizationDirectory.js');
+    const { BusinessCalendar } = await importCore('workflow/BusinessCalendar.js');
+    const { WorkflowActors } = await importCore('workflow/OrganizationalModels.js');
+
+    const workflowTypes = {};
+    for (const name of [
+        'HireWorkflow',
+        'ExpenseApprovalWorkflow',
+        'CreateBranchWorkflow',
+        'UpdateBranchWorkflow',
+        'DeleteBranchWorkflow'
+    ]) {
+        workflowTypes[name] = (await importCore(`workflow/types/${name}.js`))[name];
+    }
+
+    return { WorkflowEngine, AuditService, OrganizationDirectory, BusinessCalendar, WorkflowActors, workflowTypes };
+}
+
+/**
+ * OrganizationDirectory storage backed by the embedded database
+ */
+class DatabaseDirectoryStorage {
+    constructor(db) {
+        this.db = db;
+    }
+
+    list(collection) {
+        return this.db.find(collection);
+    }
+
+    get(collection, id) {
+        return this.db.get(collection, id);
+    }
+
+    put(collection, record) {
+        return this.db.upsert(collection, record);
+    }
+
+    remove(collection, id) {
+        return this.db.delete(collection, id);
+    }
+}
+
+/**
+ * Server-side organization service backed by the embedded database
+ */
+class ServerOrganizationService {
+    constructor(db, directory) {
+        this.db = db;
+        this.directory = directory;
+    }
+
+    getAllOrganizations(userId = null) {
+        return this.db.find('organizations', org => !userId || org.owner_id === userId);
+    }
+
+    getOrganizationById(id) {
+        return this.db.get('organizations', id);
+    }
+
+    createOrganization(orgData) {
+        const newOrg = {
+            id: `org-${Date.now()}`,
+            ...orgData,
+            created_at: new Date().toISOString(),
+            is_active: true
+        };
+
+        for (const field of ['name', 'owner_id']) {
+            if (!newOrg[field]) {
+                throw new HttpError(400, `${field} is required`);
+            }
+        }
+
+        if (newOrg.sub_domain_to_v4l_app) {
+            const existing = this.db.find('organizations', org =>
+                org.sub_domain_to_v4l_app === newOrg.sub_domain_to_v4l_app
+            );
+            if (existing.length > 0) {
+                throw new HttpError(409, 'Subdomain already exists');
+            }
+        }
+
+        return this.db.upsert('organizations', newOrg);
+    }
+
+    // The id and owner are fixed at creation; updates never change them
+    updateOrganization(id, { id: ignoredId, owner_id: ignoredOwner, ...updates }) {
+        const org = this.getOrganizationById(id);
+        if (!org) {
+            throw new HttpError(404, 'Organization not found');
+        }
+
+        if (updates.sub_domain_to_v4l_app) {
+            const existing = this.db.find('organizations', other =>
+                other.id !== id && other.sub_domain_to_v4l_app === updates.sub_domain_to_v4l_app
+            );
+            if (existing.length > 0) {
+                throw new HttpError(409, 'Subdomain already exists');
+            }
+        }
+
+        return this.db.upsert('organizations', {
+            ...org,
+            ...updates,
+            id,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    deleteOrganization(id) {
+        if (!this.getOrganizationById(id)) {
+            throw new HttpError(404, 'Organization not found');
+        }
+
+        this.db.find('branches', branch => branch.organization_id === id)
+            .forEach(branch => this.db.delete('branches', branch.id));
+        return this.db.delete('organizations', id);
+    }
+
+    getBranches(organizationId) {
+        return this.db.find('branches', branch => branch.organization_id === organizationId);
+    }
+
+    getBranchById(organizationId, branchId) {
+        const branch = this.db.get('branches', branchId);
+        return branch && branch.organization_id === organizationId ? branch : null;
+    }
+
+    createBranch(organizationId, branchData) {
+        if (!this.getOrganizationById(organizationId)) {
+            throw new HttpError(404, 'Organization not found');
+        }
+
+        const newBranch = {
+            id: `branch-${Date.now()}`,
+            ...branchData,
+            organization_id: organizationId,
+            created_at: new Date().toISOString()
+        };
+
+        for (const field of ['branch_code', 'branch_name']) {
+            if (!newBranch[field]) {
+                throw new HttpError(400, `${field} is required`);
+            }
+        }
+
+        const duplicate = this.getBranches(organizationId).find(branch =>
+            branch.branch_code === newBranch.branch_code
+        );
+        if (duplicate) {
+            throw new HttpError(409, 'Branch code already exists');
+        }
+
+        return this.db.upsert('branches', newBranch);
+    }
+
+    updateBranch(organizationId, branchId, updates) {
+        const branch = this.getBranchById(organizationId, branchId);
+        if (!branch) {
+            throw new HttpError(404, 'Branch not found');
+        }
+
+        return this.db.upsert('branches', {
+            ...branch,
+            ...updates,
+            id: branchId,
+            organization_id: organizationId,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    deleteBranch(organizationId, branchId) {
+        if (!this.getBranchById(organizationId, branchId)) {
+            throw new HttpError(404, 'Branch not found');
+        }
+        return this.db.delete('branches', branchId);
+    }
+
+    /**
+     * Organizational directory lookups used by the RBAC layer
+     */
+    async getUserPositions(userId, organizationId) {
+        return this.directory.getUserPositions(userId, organizationId);
+    }
+
+    async getDepartments(organizationId) {
+        return this.directory.getDepartments(organizationId);
+    }
+
+    async getTeams(organizationId) {
+        return this.directory.getTeams(organizationId);
+    }
+
+    async getUsersByActor(actor, organizationId, workflowContext = {}) {
+        return this.directory.getUsersByActor(actor, organizationId, workflowContext);
+    }
+
+    async getSuperiors(userId, organizationId) {
+        return this.directory.getSuperiors(userId, organizationId);
+    }
+
+    async getDelegations(organizationId, filters = {}) {
+        return this.directory.getDelegations(organizationId, filters);
+    }
+
+    async getUser(userId) {
+        return this.directory.getUser(userId);
+    }
+
+    async getActorMapping(organizationId) {
+        return this.directory.getActorMapping(organizationId);
+    }
+}
+
+/**
+ * Same shape as the frontend's WorkflowConflictError, which this CommonJS module cannot import
+ */
+function workflowConflict(workflowId, expectedRevision, latest) {
+    const error = new Error(`Workflow ${workflowId} was changed by someone else: expected revision ${expectedRevision}, latest is ${latest.revision || 0}`);
+    return Object.assign(error, {
+        name: 'WorkflowConflictError',
+        workflowId,
+        expectedRevision,
+        actualRevision: latest.revision || 0,
+        latest
+    });
+}
+
+/**
+ * Persistence service used by the engine and audit service.
+ * Workflow history is stored one row per entry in the history table. Events are
+ * stored one row per event and only ever appended. Saves with an expected revision
+ * are rejected once the stored workflow has moved past it.
+ */
+class DatabasePersistenceService {
+    constructor(db, tables = {}) {
+        this.db = db;
+        this.tables = {
+            workflows: 'workflow_instances',
+            history: 'workflow_history',
+            events: 'workflow_events',
+            audit: 'audit_entries',
+            timers: 'workflow_timers',
+            ...tables
+        };
+    }
+
+    async saveWorkflow(workflowData, options = {}) {
+        const { history = [], events = [], ...instance } = JSON.parse(JSON.stringify(workflowData));
+        const stored = this.db.get(this.tables.workflows, instance.id);
+
+        const checked = options.expectedRevision !== undefined && options.expectedRevision !== null;
+        if (checked && stored && (stored.revision || 0) !== options.expectedRevision) {
+            throw workflowConflict(instance.id, options.expectedRevision, this.withHistory(stored));
+        }
+
+        this.db.transaction(db => {
+            db.upsert(this.tables.workflows, { ...instance, historyCount: history.length, eventCount: events.length });
+            db.deleteWhere(this.tables.history, entry =>
+                entry.workflowId === instance.id && entry.sequence >= history.length
+            );
+            history.forEach((entry, sequence) => {
+                db.upsert(this.tables.history, {
+                    ...entry,
+                    id: `${instance.id}:${sequence}`,
+                    workflowId: instance.id,
+                    sequence
+                });
+            });
+            events.slice(stored?.eventCount || 0).forEach(event => {
+                db.upsert(this.tables.events, {
+                    ...event,
+                    id: `${instance.id}:${event.sequence}`,
+                    workflowId: instance.id
+                });
+            });
+        });
+    }
+
+    async loadWorkflow(workflowId) {
+        const instance = this.db.get(this.tables.workflows, workflowId);
+        return instance ? this.withHistory(instance) : null;
+    }
+
+    async loadWorkflows() {
+        return this.db.find(this.tables.workflows).map(instance => this.withHistory(instance));
+    }
+
+    withHistory({ historyCount, eventCount, ...instance }) {
+        return {
+            ...instance,
+            history: this.db.find(this.tables.history, { workflowId: instance.id })
+                .sort((a, b) => a.sequence - b.sequence)
+                .map(({ id, workflowId, sequence, ...entry }) => entry),
+            events: this.db.find(this.tables.events, { workflowId: instance.id })
+                .sort((a, b) => a.sequence - b.sequence)
+                .map(({ id, workflowId, ...event }) => event)
+        };
+    }
+
+    async deleteWorkflow(workflowId) {
+        return this.db.transaction(db => {
+            db.deleteWhere(this.tables.history, { workflowId });
+            db.deleteWhere(this.tables.events, { workflowId });
+            return db.delete(this.tables.workflows, workflowId);
+        });
+    }
+
+    async saveAuditEntries(entries) {
+        this.db.transaction(db => {
+            entries.forEach(entry => db.upsert(this.tables.audit, JSON.parse(JSON.stringify(entry))));
+        });
+    }
+
+    async searchAuditEntries(criteria = {}) {
+        return this.db.find(this.tables.audit, entry => {
+            if (criteria.workflowId && entry.workflowId !== criteria.workflowId) return false;
+            if (criteria.userId && entry.userId !== criteria.userId) return false;
+            if (criteria.action && entry.action !== criteria.action) return false;
+            if (criteria.organizationId && entry.organizationId !== criteria.organizationId) return false;
+            if (criteria.startDate && new Date(entry.timestamp) < new Date(criteria.startDate)) return false;
+            if (criteria.endDate && new Date(entry.timestamp) > new Date(criteria.endDate)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Remove entries at or before the cutoff, optionally only those of some organizations
+     */
+    async cleanupAuditEntries(cutoffDate, organizationIds = null) {
+        this.db.deleteWhere(this.tables.audit, entry =>
+            new Date(entry.timestamp) <= new Date(cutoffDate) &&
+            (!organizationIds || organizationIds.has(entry.organizationId))
+        );
+    }
+
+    async saveTimer(timer) {
+        this.db.upsert(this.tables.timers, JSON.parse(JSON.stringify(timer)));
+    }
+
+    async loadTimers() {
+        return this.db.find(this.tables.timers);
+    }
+
+    async deleteTimer(timerId) {
+        return this.db.delete(this.tables.timers, timerId);
+    }
+}
+
+/**
+ * Read the workflow revision a write was based on from the If-Match header, if sent
+ */
+function readExpectedRevision(req) {
+    const header = req.headers['if-match'];
+    if (header === undefined) return null;
+
+    const revision = Number(String(header).replace(/^W\//, '').replace(/"/g, ''));
+    if (!Number.isInteger(revision)) {
+        throw new HttpError(400, `Invalid If-Match revision '${header}'`);
+    }
+    return revision;
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 1024 * 1024) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body) return resolve({});
+            let parsed;
+            try {
+                parsed = JSON.parse(body);
+            } catch (error) {
+                return reject(new HttpError(400, 'Invalid JSON body'));
+            }
+            if (parsed === null || typeof parsed !== 'object') {
+                return reject(new HttpError(400, 'Invalid JSON body: expected an object or array'));
+            }
+            resolve(parsed);
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+/**
+ * Map engine errors (plain Error messages) to HTTP status codes
+ */
+function toHttpError(error) {
+    if (error instanceof HttpError) return error;
+
+    const message = error.message || 'Internal server error';
+    if (error.name === 'WorkflowConflictError') {
+        return new HttpError(409, message, {
+            expectedRevision: error.expectedRevision,
+            actualRevision: error.actualRevision,
+            latest: error.latest
+        });
+    }
+    if (/not found|unknown workflow type/i.test(message)) return new HttpError(404, message);
+    if (/permission/i.test(message)) return new HttpError(403, message);
+    if (/locked|already exists|already voted|out of turn|no open vote/i.test(message)) return new HttpError(409, message);
+    if (/invalid|validation|required/i.test(message)) return new HttpError(400, message);
+    return new HttpError(500, message);
+}
+
+/**
+ * Minimal method + path router. A route reachable with an API key names the
+ * scope the key needs (options.scope); routes without one are for users only.
+ * Public routes (options.public) are reachable without signing in.
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    add(method, pattern, handler, options = {}) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        }) + '/?$');
+        this.routes.push({ method, regex, keys, handler, scope: options.scope || null, isPublic: Boolean(options.public) });
+    }
+
+    match(method, pathname) {
+        for (const route of this.routes) {
+            if (route.method !== method) continue;
+            const match = route.regex.exec(pathname);
+            if (match) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    try {
+                        params[key] = decodeURIComponent(match[index + 1]);
+                    } catch (error) {
+                        throw new HttpError(400, `Invalid URL encoding in '${match[index + 1]}'`);
+                    }
+                });
+                return { handler: route.handler, params, scope: route.scope, isPublic: route.isPublic };
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Build the API server
+ */
+async function createServer(options = {}) {
+    const core = await loadWorkflowCore();
+    const db = options.db || new Database({ filename: options.dbFile });
+    const directory = new core.OrganizationDirectory({ storage: new DatabaseDirectoryStorage(db) });
+    const organizationService = new ServerOrganizationService(db, directory);
+    const persistenceService = new DatabasePersistenceService(db);
+    const clientPersistenceService = new DatabasePersistenceService(db, {
+        workflows: 'client_workflow_instances',
+        history: 'client_workflow_history',
+        events: 'client_workflow_events',
+        audit: 'client_audit_entries',
+        timers: 'client_workflow_timers'
+    });
+
+    const auditService = new core.AuditService({
+        persistenceService,
+        autoFlushInterval: options.auditFlushInterval
+    });
+
+    const engine = new core.WorkflowEngine({
+        organizationService,
+        auditService,
+        persistenceService,
+        autoSaveInterval: options.autoSaveInterval,
+        schedulerInterval: options.schedulerInterval
+    });
+
+    Object.entries(core.workflowTypes).forEach(([name, WorkflowClass]) => {
+        engine.registerWorkflowType(name, WorkflowClass);
+    });
+
+    // Outbound webhooks on workflow lifecycle events (options.webhooks: retry and timeout settings)
+    const webhooks = new WebhookService(db, {
+        ...options.webhooks,
+        workflowTypes: () => Array.from(engine.workflowTypes.keys())
+    });
+    webhooks.attach(engine);
+
+    // API keys other systems call the API with (options.apiKeys: default rate limit)
+    const apiKeys = new ApiKeyService(db, {
+        ...options.apiKeys,
+        workflowTypes: () => Array.from(engine.workflowTypes.keys()),
+        actors: () => Object.values(core.WorkflowActors)
+    });
+
+    // Password sign-in for users (options.sessions: token secret and lifetime)
+    const sessions = new SessionService(db, directory, {
+        secret: process.env.SESSION_SECRET,
+        ...options.sessions
+    });
+
+    await engine.start();
+    webhooks.start();
+
+    const router = new Router();
+
+    /**
+     * Serialize workflow together with the actions available to the user
+     */
+    async function describeWorkflow(workflow, user) {
+        const orgContext = await engine.getActingContext(user, workflow.organizationId, workflow);
+        return {
+            ...workflow.serialize(),
+            summary: workflow.getSummary(),
+            availableActions: workflow.getAvailableActionsForUser(user, orgContext),
+            pendingVotes: workflow.getPendingVotesForUser(user, orgContext)
+        };
+    }
+
+    // Workflows are only visible to users acting in their organization
+    function requireWorkflow(id, user) {
+        const workflow = engine.getWorkflow(id);
+        if (!workflow) {
+            throw new HttpError(404, `Workflow ${id} not found`);
+        }
+        requireMembership(user, workflow.organizationId);
+        return workflow;
+    }
+
+    /**
+     * Resolve the acting user from "Authorization: Bearer <credential>": a session
+     * token the server signed, or an API key (which acts as its service account)
+     */
+    function authenticate(req, res) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (!match) {
+            throw new HttpError(401, 'Missing Authorization header: sign in at POST /api/sessions or use an API key');
+        }
+        if (match[1].startsWith('wfk_')) {
+            return authenticateApiKey(match[1], res);
+        }
+
+        const user = sessions.verify(match[1]);
+        if (!user) {
+            throw new HttpError(401, 'Invalid or expired session token');
+        }
+        return user;
+    }
+
+    /**
+     * Resolve the service account of an API key, counting the request against the
+     * key's rate limit
+     */
+    function authenticateApiKey(key, res) {
+        const apiKey = apiKeys.verify(key);
+        if (!apiKey) {
+            throw new HttpError(401, 'Invalid or revoked API key');
+        }
+
+        const usage = apiKeys.consume(apiKey);
+        res.setHeader('X-RateLimit-Limit', usage.limit);
+        res.setHeader('X-RateLimit-Remaining', Math.max(usage.remaining, 0));
+        if (!usage.allowed) {
+            throw new HttpError(429, `Rate limit of ${usage.limit} requests per minute exceeded`, { retryAfter: usage.retryAfter });
+        }
+        return apiKeys.toServiceAccount(apiKey);
+    }
+
+    // Service accounts act only within their key's organization and workflow types
+    function checkServiceAccount(user, organizationId, workflowType) {
+        if (user.serviceAccount) {
+            apiKeys.checkAccess(user, organizationId, workflowType);
+        }
+    }
+
+    /**
+     * The organizations a user acts in: those they own or hold a current position in
+     * (a service account only its key's organization)
+     */
+    function memberOrganizationIds(user) {
+        if (user.serviceAccount) {
+            return new Set([user.organizationId]);
+        }
+        const ids = new Set(organizationService.getAllOrganizations(user.id).map(org => org.id));
+        db.find('positions', { userId: user.id })
+            .filter(position => directory.isCurrentPosition(position))
+            .forEach(position => ids.add(position.organizationId));
+        return ids;
+    }
+
+    function requireMembership(user, organizationId, organizationIds = memberOrganizationIds(user)) {
+        if (!organizationIds.has(organizationId)) {
+            throw new HttpError(403, `User ${user.id} does not have permission for organization ${organizationId}`);
+        }
+    }
+
+    function requireOrganization(orgId) {
+        if (!organizationService.getOrganizationById(orgId)) {
+            throw new HttpError(404, 'Organization not found');
+        }
+    }
+
+    // action names what only the owner may do, for the 403 message
+    function requireOrganizationOwner(orgId, user, action) {
+        const organization = organizationService.getOrganizationById(orgId);
+        if (!organization) {
+            throw new HttpError(404, 'Organization not found');
+        }
+        if (organization.owner_id !== user.id) {
+            throw new HttpError(403, `Only the organization owner may ${action}`);
+        }
+    }
+
+    // Positions grant membership and actors, so only the owner and the Administrators
+    // the actor mapping names may change the directory and branches
+    async function requireDirectoryAdmin(orgId, user, action) {
+        const organization = organizationService.getOrganizationById(orgId);
+        if (!organization) {
+            throw new HttpError(404, 'Organization not found');
+        }
+        if (organization.owner_id === user.id) return;
+
+        const positions = await directory.getUserPositions(user.id, orgId);
+        const actors = engine.rbacResolver.mapPositionsToWorkflowActors(positions, {}, await directory.getActorMapping(orgId));
+        if (!actors.includes(core.WorkflowActors.ADMINISTRATOR)) {
+            throw new HttpError(403, `Only the organization owner or an Administrator may ${action}`);
+        }
+    }
+
+    // Reject calendar settings (time zones) that workflows could not be measured against
+    function checkBusinessCalendar(organization, branch = null) {
+        try {
+            const calendar = core.BusinessCalendar.fromOrganization(organization);
+            if (branch) calendar.forBranch(branch);
+        } catch (error) {
+            throw new HttpError(400, error.message);
+        }
+    }
+
+    // Organizations
+    router.add('GET', '/api/organizations', ({ query }) =>
+        organizationService.getAllOrganizations(query.get('ownerId')));
+
+    router.add('POST', '/api/organizations', ({ body, user }) => ({
+        status: 201,
+        data: organizationService.createOrganization({ ...body, owner_id: user.id })
+    }));
+
+    router.add('GET', '/api/organizations/:orgId', ({ params }) => {
+        const org = organizationService.getOrganizationById(params.orgId);
+        if (!org) throw new HttpError(404, 'Organization not found');
+        return org;
+    });
+
+    router.add('PUT', '/api/organizations/:orgId', async ({ params, body, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'update the organization');
+        const existing = organizationService.getOrganizationById(params.orgId);
+        if (existing) checkBusinessCalendar({ ...existing, ...body });
+
+        const organization = organizationService.updateOrganization(params.orgId, body);
+        await engine.refreshBusinessCalendars(params.orgId);
+        return organization;
+    });
+
+    router.add('DELETE', '/api/organizations/:orgId', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'delete the organization');
+        organizationService.deleteOrganization(params.orgId);
+        return { deleted: true };
+    });
+
+    // Branches
+    router.add('GET', '/api/organizations/:orgId/branches', ({ params, user }) => {
+        requireMembership(user, params.orgId);
+        return organizationService.getBranches(params.orgId);
+    });
+
+    router.add('POST', '/api/organizations/:orgId/branches', async ({ params, body, user }) => {
+        await requireDirectoryAdmin(params.orgId, user, 'change branches');
+        const organization = organizationService.getOrganizationById(params.orgId);
+        if (organization) checkBusinessCalendar(organization, body);
+
+        const branch = organizationService.createBranch(params.orgId, body);
+        await engine.refreshBusinessCalendars(params.orgId);
+        return { status: 201, data: branch };
+    });
+
+    router.add('GET', '/api/organizations/:orgId/branches/:branchId', ({ params, user }) => {
+        requireMembership(user, params.orgId);
+        const branch = organizationService.getBranchById(params.orgId, params.branchId);
+        if (!branch) throw new HttpError(404, 'Branch not found');
+        return branch;
+    });
+
+    router.add('PUT', '/api/organizations/:orgId/branches/:branchId', async ({ params, body, user }) => {
+        await requireDirectoryAdmin(params.orgId, user, 'change branches');
+        const organization = organizationService.getOrganizationById(params.orgId);
+        const existing = organizationService.getBranchById(params.orgId, params.branchId);
+        if (organization && existing) checkBusinessCalendar(organization, { ...existing, ...body });
+
+        const branch = organizationService.updateBranch(params.orgId, params.branchId, body);
+        await engine.refreshBusinessCalendars(params.orgId);
+        return branch;
+    });
+
+    router.add('DELETE', '/api/organizations/:orgId/branches/:branchId', async ({ params, user }) => {
+        await requireDirectoryAdmin(params.orgId, user, 'change branches');
+        organizationService.deleteBranch(params.orgId, params.branchId);
+        await engine.refreshBusinessCalendars(params.orgId);
+        return { deleted: true };
+    });
+
+    // Organization directory
+    // Users delegate their own authority; the owner may set up delegations for anyone
+    function requireDelegator(orgId, delegation, user) {
+        if (delegation.delegatorId !== user.id) {
+            requireOrganizationOwner(orgId, user, 'manage delegations on behalf of other users');
+        }
+    }
+
+    const requireDirectoryWrite = (orgId, record, user) => requireDirectoryAdmin(orgId, user, 'change the directory');
+
+    const directoryResources = {
+        departments: { label: 'Department', list: 'getDepartments', create: 'createDepartment', update: 'updateDepartment', remove: 'deleteDepartment', authorize: requireDirectoryWrite },
+        teams: { label: 'Team', list: 'getTeams', create: 'createTeam', update: 'updateTeam', remove: 'deleteTeam', authorize: requireDirectoryWrite },
+        groups: { label: 'Group', list: 'getGroups', create: 'createGroup', remove: 'deleteGroup', authorize: requireDirectoryWrite },
+        designations: { label: 'Designation', list: 'getDesignations', create: 'createDesignation', update: 'updateDesignation', remove: 'deleteDesignation', authorize: requireDirectoryWrite },
+        positions: { label: 'Position', list: 'getPositions', create: 'assignPosition', update: 'updatePosition', remove: 'deletePosition', authorize: requireDirectoryWrite },
+        delegations: { label: 'Delegation', list: 'getDelegations', create: 'createDelegation', update: 'updateDelegation', remove: 'deleteDelegation', authorize: requireDelegator }
+    };
+
+    function requireOwnedBy(resource, orgId, id) {
+        const record = db.get(resource, id);
+        if (!record || record.organizationId !== orgId) {
+            throw new HttpError(404, `${directoryResources[resource].label} not found`);
+        }
+        return record;
+    }
+
+    Object.entries(directoryResources).forEach(([resource, methods]) => {
+        const base = `/api/organizations/:orgId/${resource}`;
+
+        router.add('GET', base, ({ params, user }) => {
+            requireOrganization(params.orgId);
+            requireMembership(user, params.orgId);
+            return directory[methods.list](params.orgId);
+        });
+
+        const authorize = methods.authorize;
+
+        router.add('POST', base, async ({ params, body, user }) => {
+            requireOrganization(params.orgId);
+            await authorize(params.orgId, body, user);
+            return { status: 201, data: await directory[methods.create](params.orgId, body) };
+        });
+
+        if (methods.update) {
+            router.add('PUT', `${base}/:id`, async ({ params, body, user }) => {
+                const record = requireOwnedBy(resource, params.orgId, params.id);
+                await authorize(params.orgId, record, user);
+                await authorize(params.orgId, { ...record, ...body }, user);
+                return directory[methods.update](params.id, { ...body, organizationId: params.orgId });
+            });
+        }
+
+        router.add('DELETE', `${base}/:id`, async ({ params, user }) => {
+            await authorize(params.orgId, requireOwnedBy(resource, params.orgId, params.id), user);
+            return { deleted: await directory[methods.remove](params.id) };
+        });
+    });
+
+    router.add('POST', '/api/organizations/:orgId/delegations/:id/revoke', ({ params, user }) => {
+        requireDelegator(params.orgId, requireOwnedBy('delegations', params.orgId, params.id), user);
+        return directory.revokeDelegation(params.id);
+    });
+
+    router.add('GET', '/api/organizations/:orgId/actor-mapping', ({ params }) => {
+        requireOrganization(params.orgId);
+        return directory.getActorMapping(params.orgId);
+    });
+
+    // The mapping decides which positions grant which workflow actors
+    router.add('PUT', '/api/organizations/:orgId/actor-mapping', async ({ params, body, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'change the actor mapping');
+        const mapping = await directory.saveActorMapping(params.orgId, body);
+
+        // Cached contexts and permission checks were resolved with the old mapping
+        engine.orgContextManager.clearCache();
+        engine.rbacResolver.clearCache();
+        return mapping;
+    });
+
+    // Webhook subscriptions and their deliveries (?status=dead_letter for the dead-letter log).
+    // Subscriptions send workflow data to outside URLs, so only the owner manages them.
+    router.add('GET', '/api/organizations/:orgId/webhooks', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        return webhooks.listSubscriptions(params.orgId);
+    });
+
+    router.add('POST', '/api/organizations/:orgId/webhooks', ({ params, body, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        return { status: 201, data: webhooks.createSubscription(params.orgId, body, user) };
+    });
+
+    router.add('PUT', '/api/organizations/:orgId/webhooks/:id', ({ params, body, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        return webhooks.updateSubscription(params.orgId, params.id, body);
+    });
+
+    router.add('DELETE', '/api/organizations/:orgId/webhooks/:id', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        return { deleted: webhooks.deleteSubscription(params.orgId, params.id) };
+    });
+
+    router.add('POST', '/api/organizations/:orgId/webhooks/:id/ping', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        return { status: 202, data: webhooks.ping(params.orgId, params.id, user) };
+    });
+
+    router.add('GET', '/api/organizations/:orgId/webhook-deliveries', ({ params, query, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        const limit = query.has('limit') ? Number(query.get('limit')) : null;
+        if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+            throw new HttpError(400, `Invalid limit '${query.get('limit')}'`);
+        }
+
+        return webhooks.listDeliveries(params.orgId, {
+            subscriptionId: query.get('subscriptionId') || undefined,
+            status: query.get('status') || undefined,
+            event: query.get('event') || undefined,
+            limit
+        });
+    });
+
+    router.add('GET', '/api/organizations/:orgId/webhook-deliveries/:id', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        return webhooks.getDelivery(params.orgId, params.id);
+    });
+
+    router.add('POST', '/api/organizations/:orgId/webhook-deliveries/:id/redeliver', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage webhooks');
+        return { status: 202, data: webhooks.redeliver(params.orgId, params.id) };
+    });
+
+    // API keys for other systems; they grant workflow actors, so only the owner manages them
+    router.add('GET', '/api/organizations/:orgId/api-keys', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage API keys');
+        return apiKeys.listKeys(params.orgId);
+    });
+
+    router.add('POST', '/api/organizations/:orgId/api-keys', ({ params, body, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage API keys');
+        return { status: 201, data: apiKeys.createKey(params.orgId, body, user) };
+    });
+
+    router.add('PUT', '/api/organizations/:orgId/api-keys/:id', ({ params, body, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage API keys');
+        const apiKey = apiKeys.updateKey(params.orgId, params.id, body);
+
+        // Permission checks cached for the service account used its old actors
+        engine.rbacResolver.clearCache();
+        return apiKey;
+    });
+
+    router.add('DELETE', '/api/organizations/:orgId/api-keys/:id', ({ params, user }) => {
+        requireOrganizationOwner(params.orgId, user, 'manage API keys');
+        return apiKeys.revokeKey(params.orgId, params.id, user);
+    });
+
+    router.add('GET', '/api/organizations/:orgId/users/:userId/positions', ({ params, user }) => {
+        requireMembership(user, params.orgId);
+        return directory.getUserPositions(params.userId, params.orgId);
+    });
+
+    // Users and sign-in
+    router.add('POST', '/api/users', async ({ body }) =>
+        ({ status: 201, data: await sessions.register(body) }), { public: true });
+
+    router.add('POST', '/api/sessions', async ({ body }) => {
+        const session = await sessions.signIn(body.username, body.password);
+        if (!session) {
+            throw new HttpError(401, 'Invalid username or password');
+        }
+        return { status: 201, data: session };
+    }, { public: true });
+
+    router.add('GET', '/api/users', () => directory.getUsers());
+
+    router.add('PUT', '/api/users/:userId', async ({ params, body, user }) => {
+        if (params.userId !== user.id) {
+            throw new HttpError(403, 'Users may only update their own profile');
+        }
+
+        const { password, username, actors, ...profile } = body;
+        if (password !== undefined) {
+            await sessions.changePassword(user.id, password);
+        }
+        return directory.saveUser({ ...profile, id: params.userId });
+    });
+
+    // Workflow types
+    router.add('GET', '/api/workflow-types', () =>
+        Array.from(engine.workflowTypes.keys()));
+
+    router.add('GET', '/api/workflow-types/:type/versions', ({ params }) => {
+        const versions = engine.getWorkflowTypeVersions(params.type);
+        if (versions.length === 0) throw new HttpError(404, `Unknown workflow type: ${params.type}`);
+
+        return {
+            type: params.type,
+            versions,
+            latestVersion: engine.getLatestVersion(params.type),
+            unrestored: Array.from(engine.unrestoredWorkflows.values())
+                .filter(entry => entry.data.type === params.type)
+                .map(entry => ({ id: entry.data.id, definitionVersion: entry.data.definitionVersion || 1, reason: entry.reason }))
+        };
+    });
+
+    // State diagram of a workflow type (?format=svg|dot|mermaid, ?version)
+    router.add('GET', '/api/workflow-types/:type/diagram', ({ params, query }) => {
+        const format = query.get('format') || 'svg';
+        const version = query.has('version') ? Number(query.get('version')) : null;
+        if (version !== null && !Number.isInteger(version)) {
+            throw new HttpError(400, `Invalid version '${query.get('version')}'`);
+        }
+
+        return { type: params.type, format, diagram: engine.getWorkflowTypeDiagram(params.type, format, version) };
+    });
+
+    // Migrate in-flight instances to a newer definition version ({ toVersion, dryRun, workflowIds }),
+    // limited to the organizations the caller owns
+    router.add('POST', '/api/workflow-types/:type/migrations', ({ params, body, user }) =>
+        engine.migrateWorkflows(params.type, {
+            toVersion: body.toVersion,
+            dryRun: body.dryRun,
+            workflowIds: body.workflowIds,
+            organizationIds: organizationService.getAllOrganizations(user.id).map(org => org.id)
+        }));
+
+    // Workflow instances
+    router.add('GET', '/api/workflows', ({ query, user }) => {
+        const organizationIds = memberOrganizationIds(user);
+        return engine.getWorkflows({
+            type: query.get('type') || undefined,
+            organizationId: query.get('organizationId') || undefined,
+            createdBy: query.get('createdBy') || undefined,
+            currentState: query.get('currentState') || undefined
+        })
+            .filter(workflow => organizationIds.has(workflow.organizationId))
+            .map(workflow => workflow.getSummary());
+    });
+
+    router.add('POST', '/api/workflows', async ({ body, user }) => {
+        if (!body.type) throw new HttpError(400, 'type is required');
+        if (!body.organizationId) throw new HttpError(400, 'organizationId is required');
+        if (!organizationService.getOrganizationById(body.organizationId)) {
+            throw new HttpError(404, 'Organization not found');
+        }
+        checkServiceAccount(user, body.organizationId, body.type);
+
+        const id = body.id || `wf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const workflow = await engine.createWorkflow(body.type, id, user, {
+            organizationId: body.organizationId
+        }, {
+            context: body.context || {},
+            metadata: body.metadata || {}
+        });
+
+        return { status: 201, data: await describeWorkflow(workflow, user) };
+    }, { scope: 'workflows:create' });
+
+    router.add('GET', '/api/workflows/:id', ({ params, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        checkServiceAccount(user, workflow.organizationId, workflow.type);
+        return describeWorkflow(workflow, user);
+    }, { scope: 'workflows:read' });
+
+    // Why a user can or cannot make each transition; other users' traces are for the organization owner
+    router.add('GET', '/api/workflows/:id/permissions', async ({ params, query, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        const userId = query.get('userId') || user.id;
+
+        let subject = user;
+        if (userId !== user.id) {
+            if (organizationService.getOrganizationById(workflow.organizationId)?.owner_id !== user.id) {
+                throw new HttpError(403, 'Only the organization owner may explain other users\' permissions');
+            }
+            subject = await directory.getUser(userId) || { id: userId, username: userId };
+        }
+
+        return engine.explainTransitions(workflow.id, subject, {
+            organizationId: workflow.organizationId
+        }, query.get('state') || null);
+    });
+
+    router.add('GET', '/api/workflows/:id/history', ({ params, user }) =>
+        requireWorkflow(params.id, user).history);
+
+    router.add('GET', '/api/workflows/:id/events', ({ params, query, user }) => {
+        const after = Number(query.get('after') || 0);
+        return requireWorkflow(params.id, user).events.filter(event => event.sequence > after);
+    });
+
+    router.add('GET', '/api/workflows/:id/replay', ({ params, query, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        const asOf = {
+            sequence: query.has('sequence') ? Number(query.get('sequence')) : null,
+            timestamp: query.get('at')
+        };
+        if (asOf.sequence === null && !asOf.timestamp) {
+            throw new HttpError(400, 'Either sequence or at is required');
+        }
+        if (asOf.sequence !== null && !Number.isInteger(asOf.sequence)) {
+            throw new HttpError(400, `Invalid event sequence '${query.get('sequence')}'`);
+        }
+
+        const replayed = engine.replayWorkflow(workflow.id, asOf);
+        const lastEvent = replayed.events[replayed.events.length - 1];
+        return {
+            ...replayed.serialize(),
+            asOf: { sequence: lastEvent.sequence, timestamp: lastEvent.timestamp }
+        };
+    });
+
+    router.add('GET', '/api/workflows/:id/timers', ({ params, user }) =>
+        engine.scheduler.getTimers(requireWorkflow(params.id, user).id));
+
+    // State diagram with the active states and the path taken so far highlighted (?format=svg|dot|mermaid)
+    router.add('GET', '/api/workflows/:id/diagram', ({ params, query, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        const format = query.get('format') || 'svg';
+        return { workflowId: workflow.id, format, diagram: engine.getWorkflowDiagram(workflow.id, format) };
+    });
+
+    router.add('GET', '/api/scheduled-transitions', ({ query, user }) => {
+        const until = query.get('until');
+        if (until && isNaN(new Date(until))) {
+            throw new HttpError(400, `Invalid date '${until}'`);
+        }
+
+        const organizationIds = memberOrganizationIds(user);
+        return engine.scheduler.getUpcomingTransitions({
+            organizationId: query.get('organizationId') || undefined,
+            workflowId: query.get('workflowId') || undefined,
+            until: until || undefined
+        }).filter(transition => organizationIds.has(transition.organizationId));
+    });
+
+    router.add('POST', '/api/workflows/:id/transitions', async ({ req, params, body, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        checkServiceAccount(user, workflow.organizationId, workflow.type);
+
+        let targetState = body.targetState;
+        if (!targetState && body.action) {
+            const stateNode = workflow.states.get(workflow.currentState);
+            const transition = stateNode?.transitions.find(t => t.action === body.action);
+            if (!transition) {
+                throw new HttpError(400, `Action '${body.action}' is not valid in state '${workflow.currentState}'`);
+            }
+            targetState = transition.target;
+        }
+        if (!targetState) throw new HttpError(400, 'targetState or action is required');
+
+        const updated = await engine.executeTransition(workflow.id, targetState, user, {
+            organizationId: workflow.organizationId
+        }, body.context || {}, { expectedRevision: readExpectedRevision(req) });
+
+        return describeWorkflow(updated, user);
+    }, { scope: 'workflows:transition' });
+
+    router.add('POST', '/api/workflows/:id/votes', async ({ params, body, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        const openBallots = workflow.getOpenBallots();
+
+        const state = body.state || (openBallots.length === 1 ? openBallots[0].state : null);
+        if (!state) throw new HttpError(400, 'state is required unless exactly one vote is open');
+        if (!body.decision) throw new HttpError(400, 'decision is required');
+
+        await engine.castVote(workflow.id, state, user, {
+            organizationId: workflow.organizationId
+        }, { decision: body.decision, comment: body.comment });
+
+        return describeWorkflow(workflow, user);
+    });
+
+    // Compensations that could not run: run them again, or record that they were handled by hand
+    router.add('POST', '/api/workflows/:id/compensations/retry', async ({ params, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        const result = await engine.retryCompensations(workflow.id, user, {
+            organizationId: workflow.organizationId
+        });
+        return { ...result, workflow: await describeWorkflow(workflow, user) };
+    });
+
+    router.add('POST', '/api/workflows/:id/compensations/:compensationId/resolve', async ({ params, body, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        await engine.resolveCompensation(workflow.id, params.compensationId, user, {
+            organizationId: workflow.organizationId
+        }, body.note || null);
+        return describeWorkflow(workflow, user);
+    });
+
+    router.add('PATCH', '/api/workflows/:id/context', async ({ req, params, body, user }) => {
+        const workflow = requireWorkflow(params.id, user);
+        checkServiceAccount(user, workflow.organizationId, workflow.type);
+        const updated = await engine.updateWorkflowContext(workflow.id, body, user, {
+            organizationId: workflow.organizationId
+        }, { expectedRevision: readExpectedRevision(req) });
+        return describeWorkflow(updated, user);
+    }, { scope: 'workflows:update' });
+
+    // Audit
+    router.add('GET', '/api/audit', async ({ query, user }) => {
+        const organizationIds = memberOrganizationIds(user);
+        return (await auditService.searchAuditLog({
+            workflowId: query.get('workflowId') || undefined,
+            userId: query.get('userId') || undefined,
+            action: query.get('action') || undefined,
+            organizationId: query.get('organizationId') || undefined,
+            startDate: query.get('startDate') || undefined,
+            endDate: query.get('endDate') || undefined
+        })).filter(entry => organizationIds.has(entry.organizationId));
+    });
+
+    router.add('GET', '/api/workflows/:id/audit', ({ params, user }) =>
+        auditService.searchAuditLog({ workflowId: requireWorkflow(params.id, user).id }));
+
+    // Raw persistence for browser-hosted engines (HttpPersistenceService).
+    // Kept in separate tables so client snapshots never overwrite server state, and
+    // scoped to the organizations the caller acts in.
+    router.add('GET', '/api/persistence/workflows', async ({ user }) => {
+        const organizationIds = memberOrganizationIds(user);
+        return (await clientPersistenceService.loadWorkflows())
+            .filter(data => organizationIds.has(data.organizationId));
+    });
+
+    router.add('GET', '/api/persistence/workflows/:id', async ({ params, user }) => {
+        const data = await clientPersistenceService.loadWorkflow(params.id);
+        if (!data || !memberOrganizationIds(user).has(data.organizationId)) {
+            throw new HttpError(404, `Workflow ${params.id} not found`);
+        }
+        return data;
+    });
+
+    router.add('PUT', '/api/persistence/workflows/:id', async ({ req, params, body, user }) => {
+        const stored = db.get(clientPersistenceService.tables.workflows, params.id);
+        if (stored) requireMembership(user, stored.organizationId);
+        requireMembership(user, body.organizationId);
+
+        await clientPersistenceService.saveWorkflow({ ...body, id: params.id }, {
+            expectedRevision: readExpectedRevision(req)
+        });
+        return { saved: true };
+    });
+
+    router.add('DELETE', '/api/persistence/workflows/:id', async ({ params, user }) => {
+        const stored = db.get(clientPersistenceService.tables.workflows, params.id);
+        if (stored) requireMembership(user, stored.organizationId);
+        return { deleted: await clientPersistenceService.deleteWorkflow(params.id) };
+    });
+
+    router.add('POST', '/api/persistence/audit', async ({ body, user }) => {
+        if (!Array.isArray(body)) throw new HttpError(400, 'Expected an array of audit entries');
+        const organizationIds = memberOrganizationIds(user);
+        body.forEach(entry => requireMembership(user, entry?.organizationId, organizationIds));
+        await clientPersistenceService.saveAuditEntries(body);
+        return { saved: body.length };
+    });
+
+    router.add('GET', '/api/persistence/audit', async ({ query, user }) => {
+        const organizationIds = memberOrganizationIds(user);
+        return (await clientPersistenceService.searchAuditEntries(Object.fromEntries(query.entries())))
+            .filter(entry => organizationIds.has(entry.organizationId));
+    });
+
+    router.add('DELETE', '/api/persistence/audit', async ({ query, user }) => {
+        if (!query.get('before')) throw new HttpError(400, 'before is required');
+        await clientPersistenceService.cleanupAuditEntries(query.get('before'), memberOrganizationIds(user));
+        return { deleted: true };
+    });
+
+    router.add('GET', '/api/persistence/timers', async ({ user }) => {
+        const organizationIds = memberOrganizationIds(user);
+        return (await clientPersistenceService.loadTimers())
+            .filter(timer => organizationIds.has(timer.organizationId));
+    });
+
+    router.add('PUT', '/api/persistence/timers/:id', async ({ params, body, user }) => {
+        const stored = db.get(clientPersistenceService.tables.timers, params.id);
+        if (stored) requireMembership(user, stored.organizationId);
+        requireMembership(user, body.organizationId);
+
+        await clientPersistenceService.saveTimer({ ...body, id: params.id });
+        return { saved: true };
+    });
+
+    router.add('DELETE', '/api/persistence/timers/:id', async ({ params, user }) => {
+        const stored = db.get(clientPersistenceService.tables.timers, params.id);
+        if (stored) requireMembership(user, stored.organizationId);
+        return { deleted: await clientPersistenceService.deleteTimer(params.id) };
+    });
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match'
+            });
+            return res.end();
+        }
+
+        try {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+            const route = router.match(req.method, url.pathname);
+            if (!route) {
+                throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+            }
+
+            const user = route.isPublic ? null : authenticate(req, res);
+            if (user?.serviceAccount && !user.scopes.includes(route.scope)) {
+                throw new HttpError(403, `API key does not have permission for ${req.method} ${url.pathname}`);
+            }
+            const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJsonBody(req) : {};
+
+            const result = await route.handler({
+                req,
+                params: route.params,
+                query: url.searchParams,
+                body,
+                user
+            });
+
+            if (result && result.status && 'data' in result) {
+                sendJson(res, result.status, result.data);
+            } else {
+                sendJson(res, 200, result);
+            }
+
+        } catch (error) {
+            const httpError = toHttpError(error);
+            if (httpError.status >= 500) {
+                console.error('Unhandled API error:', error);
+            }
+            if (httpError.details?.retryAfter) {
+                res.setHeader('Retry-After', httpError.details.retryAfter);
+            }
+            sendJson(res, httpError.status, {
+                error: httpError.message,
+                details: httpError.details
+            });
+        }
+    });
+
+    server.on('close', async () => {
+        await webhooks.stop();
+        await auditService.flushAuditLog();
+        engine.destroy();
+        auditService.destroy();
+        if (!options.db) db.close();
+    });
+
+    return { server, engine, auditService, organizationService, webhooks, apiKeys, sessions, db };
+}
+
+if (require.main === module) {
+    createServer()
+        .then(({ server }) => {
+            server.listen(PORT, () => {
+                console.log(`Workflow API server listening on port ${PORT}`);
+            });
+
+            process.on('SIGINT', () => {
+                server.close(() => process.exit(0));
+            });
+        })
+        .catch(error => {
+            console.error('Failed to start API server:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    createServer,
+    HttpError,
+    DatabaseDirectoryStorage,
+    ServerOrganizationService,
+    DatabasePersistenceService
+};
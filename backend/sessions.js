@@ -0,0 +1,139 @@
+/**
+ * Sign-in for API users
+ * Users register with a password, kept as a salted scrypt hash apart from their
+ * directory record, and sign in for a session token: an expiring statement of who
+ * they are, signed with the server's secret and sent back as "Authorization: Bearer
+ * <token>". A request's identity is only ever taken from a token the server signed,
+ * or from an API key (see api-keys.js).
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const CREDENTIALS = 'user_credentials';
+const MIN_PASSWORD_LENGTH = 6;
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+    const [, salt, expected] = String(stored).split(':');
+    const actual = (await hashPassword(password, salt)).split(':')[2];
+    return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+class SessionService {
+    /**
+     * options: secret the tokens are signed with (random per process unless given, so
+     * tokens then end with the process) and ttl, how long a token lasts in ms (12h)
+     */
+    constructor(db, directory, options = {}) {
+        this.db = db;
+        this.directory = directory;
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+        this.ttl = options.ttl || 12 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Create a user that can sign in: { username, password, firstName, lastName, email }
+     */
+    async register(data) {
+        const username = typeof data.username === 'string' ? data.username.trim().toLowerCase() : '';
+        if (!username) {
+            throw new Error('username is required');
+        }
+        this.validatePassword(data.password);
+        if (this.db.findOne(CREDENTIALS, { username })) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        const { password, ...profile } = data;
+        const user = await this.directory.saveUser({
+            ...profile,
+            id: `user-${crypto.randomBytes(6).toString('hex')}`,
+            username
+        });
+        this.db.insert(CREDENTIALS, { id: user.id, username, passwordHash: await hashPassword(password) });
+        return user;
+    }
+
+    /**
+     * Exchange a username and password for a session token: { token, expiresAt, user }
+     */
+    async signIn(username, password) {
+        const credentials = this.db.findOne(CREDENTIALS, { username: String(username || '').trim().toLowerCase() });
+        if (!credentials || typeof password !== 'string' || !await checkPassword(password, credentials.passwordHash)) {
+            return null;
+        }
+
+        const user = await this.directory.getUser(credentials.id) || { id: credentials.id, username: credentials.username };
+        return { ...this.issueToken(user), user };
+    }
+
+    async changePassword(userId, password) {
+        this.validatePassword(password);
+        const credentials = this.db.get(CREDENTIALS, userId);
+        if (!credentials) {
+            throw new Error(`User ${userId} not found`);
+        }
+        this.db.update(CREDENTIALS, userId, { passwordHash: await hashPassword(password) });
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Invalid password: expected at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Sign a token for a user; the claims are the acting user the API sees
+     */
+    issueToken(user, now = Date.now()) {
+        const expiresAt = new Date(now + this.ttl).toISOString();
+        const payload = base64url(JSON.stringify({
+            sub: user.id,
+            username: user.username || user.id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            exp: expiresAt
+        }));
+        return { token: `${payload}.${this.sign(payload)}`, expiresAt };
+    }
+
+    /**
+     * The user a token was issued to, or null if it is forged, malformed or expired
+     */
+    verify(token, now = Date.now()) {
+        const [payload, signature, extra] = String(token || '').split('.');
+        if (!payload || !signature || extra !== undefined) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (!claims.sub || !(new Date(claims.exp).getTime() > now)) return null;
+
+        return { id: claims.sub, username: claims.username, firstName: claims.firstName, lastName: claims.lastName };
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+}
+
+module.exports = {
+    SessionService
+};
@@ -0,0 +1,94 @@
+/**
+ * Stand-in webhook receiver for trying out webhook subscriptions locally.
+ * Logs every delivery with whether its signature checks out, and can fail the first
+ * attempts at each delivery to exercise retries and the dead-letter log:
+ *
+ *   node backend/webhook-receiver.js --port 4000 --secret <subscription secret> --fail 2 --status 503
+ *
+ * then subscribe http://localhost:4000/ to an organization's webhooks.
+ */
+const http = require('http');
+const { verifySignature } = require('./webhooks.js');
+
+/**
+ * options: secret (signatures are reported as unchecked without one), failures (attempts
+ * at each delivery answered with failureStatus before one succeeds) and failureStatus (500)
+ */
+function createWebhookReceiver(options = {}) {
+    const received = [];
+    const attemptsByDelivery = new Map();
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const deliveryId = req.headers['x-webhook-id'];
+            const attempt = (attemptsByDelivery.get(deliveryId) || 0) + 1;
+            attemptsByDelivery.set(deliveryId, attempt);
+
+            const failed = attempt <= (options.failures || 0);
+            const status = failed ? options.failureStatus || 500 : 200;
+            const entry = {
+                deliveryId,
+                event: req.headers['x-webhook-event'],
+                attempt,
+                status,
+                signatureValid: options.secret
+                    ? verifySignature(options.secret, req.headers['x-webhook-timestamp'], body, req.headers['x-webhook-signature'])
+                    : null,
+                body: parseJson(body)
+            };
+            received.push(entry);
+            if (options.onDelivery) options.onDelivery(entry);
+
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(failed ? { error: `Failing attempt ${attempt} on purpose` } : { received: true }));
+        });
+    });
+
+    return { server, received };
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function readArgs(argv) {
+    const args = {};
+    for (let index = 0; index < argv.length; index += 2) {
+        args[argv[index].replace(/^--/, '')] = argv[index + 1];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = readArgs(process.argv.slice(2));
+    const port = Number(args.port || 4000);
+    const { server } = createWebhookReceiver({
+        secret: args.secret,
+        failures: Number(args.fail || 0),
+        failureStatus: Number(args.status || 500),
+        onDelivery: entry => {
+            const signature = entry.signatureValid === null ? 'unchecked' : entry.signatureValid ? 'valid' : 'INVALID';
+            console.log(`${new Date().toISOString()} ${entry.event} ${entry.deliveryId} attempt ${entry.attempt} -> ${entry.status} (signature ${signature})`);
+            console.log(JSON.stringify(entry.body, null, 2));
+        }
+    });
+
+    server.listen(port, () => {
+        console.log(`Webhook receiver listening on http://localhost:${port}/`);
+    });
+
+    process.on('SIGINT', () => {
+        server.close(() => process.exit(0));
+    });
+}
+
+module.exports = {
+    createWebhookReceiver
+};
@@ -0,0 +1,456 @@
+/**
+ * Outbound webhooks
+ * Organizations subscribe URLs to workflow lifecycle events, optionally limited to some
+ * events and workflow types. Every event becomes one delivery per matching subscription:
+ * a JSON POST signed with the subscription's secret, retried with exponential backoff
+ * and moved to the dead-letter log once its attempts run out. Deliveries keep every
+ * attempt with the receiver's response, and survive restarts.
+ */
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['workflowCreated', 'workflowStateChanged', 'workflowContextUpdated', 'workflowReset'];
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead_letter'];
+
+const SUBSCRIPTIONS = 'webhook_subscriptions';
+const DELIVERIES = 'webhook_deliveries';
+
+// Kept from each response, so a chatty receiver cannot bloat the database
+const MAX_RESPONSE_LENGTH = 2000;
+
+/**
+ * Signature sent in the X-Webhook-Signature header: an HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<body>" with the subscription's secret
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a delivery's signature as a receiver would; timestamps (Unix seconds) older
+ * than the tolerance are rejected so a captured delivery cannot be replayed
+ */
+function verifySignature(secret, timestamp, body, signature, toleranceSeconds = 300) {
+    if (!signature || !timestamp) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+class WebhookService {
+    /**
+     * options: maxAttempts (5), retryDelay before the first retry in ms (1s, doubling
+     * after each failure up to maxRetryDelay, 1h), timeout per attempt in ms (10s),
+     * maxDeliveries kept per organization (1000; dead letters are never pruned) and
+     * workflowTypes, a function listing the types subscriptions may filter on
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 60 * 60 * 1000;
+        this.timeout = options.timeout || 10000;
+        this.maxDeliveries = options.maxDeliveries || 1000;
+        this.workflowTypes = options.workflowTypes || (() => []);
+        this.timers = new Map();
+        this.inFlight = new Set();
+        this.stopped = false;
+    }
+
+    /**
+     * Deliver the engine's lifecycle events
+     */
+    attach(engine) {
+        WEBHOOK_EVENTS.forEach(event => {
+            engine.on(event, data => this.handleEvent(event, data));
+        });
+    }
+
+    /**
+     * Resume deliveries that were waiting for an attempt when the server stopped
+     */
+    start() {
+        this.stopped = false;
+        this.db.find(DELIVERIES, { status: ['pending', 'retrying'] }).forEach(delivery => {
+            this.schedule(delivery.id, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+        });
+    }
+
+    /**
+     * Stop scheduling attempts; waits for the ones under way
+     */
+    async stop() {
+        this.stopped = true;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        await Promise.allSettled(Array.from(this.inFlight));
+    }
+
+    // Subscriptions
+
+    listSubscriptions(organizationId) {
+        return this.db.find(SUBSCRIPTIONS, { organizationId })
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(withoutSecret);
+    }
+
+    getSubscription(organizationId, id) {
+        const subscription = this.db.get(SUBSCRIPTIONS, id);
+        if (!subscription || subscription.organizationId !== organizationId) {
+            throw new Error('Webhook subscription not found');
+        }
+        return subscription;
+    }
+
+    /**
+     * Subscribe a URL: { url, events, workflowTypes, description, active, secret }.
+     * Empty events or workflowTypes mean all of them. The secret (generated unless given)
+     * is only returned here and when it is rotated.
+     */
+    createSubscription(organizationId, data, user) {
+        const subscription = {
+            id: generateId('whk'),
+            organizationId,
+            url: data.url,
+            events: data.events || [],
+            workflowTypes: data.workflowTypes || [],
+            description: data.description || '',
+            active: data.active !== false,
+            secret: data.secret || crypto.randomBytes(24).toString('hex'),
+            createdBy: user?.id || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.validateSubscription(subscription);
+        return this.db.insert(SUBSCRIPTIONS, subscription);
+    }
+
+    /**
+     * Change url, events, workflowTypes, description or active; rotateSecret issues a new secret
+     */
+    updateSubscription(organizationId, id, changes) {
+        const subscription = this.getSubscription(organizationId, id);
+        const updated = { ...subscription, updatedAt: new Date().toISOString() };
+
+        ['url', 'events', 'workflowTypes', 'description', 'active']
+            .filter(field => changes[field] !== undefined)
+            .forEach(field => { updated[field] = changes[field]; });
+        if (changes.rotateSecret) {
+            updated.secret = crypto.randomBytes(24).toString('hex');
+        }
+
+        this.validateSubscription(updated);
+        const saved = this.db.upsert(SUBSCRIPTIONS, updated);
+        return changes.rotateSecret ? saved : withoutSecret(saved);
+    }
+
+    deleteSubscription(organizationId, id) {
+        this.getSubscription(organizationId, id);
+        return this.db.delete(SUBSCRIPTIONS, id);
+    }
+
+    validateSubscription(subscription) {
+        let url = null;
+        try {
+            url = new URL(subscription.url);
+        } catch (error) {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new Error(`Invalid webhook URL '${subscription.url || ''}': expected an http or https URL`);
+        }
+
+        if (!Array.isArray(subscription.events)) {
+            throw new Error('Invalid webhook events: expected a list');
+        }
+        const unknownEvent = subscription.events.find(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknownEvent !== undefined) {
+            throw new Error(`Invalid webhook event '${unknownEvent}': expected one of ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+
+        if (!Array.isArray(subscription.workflowTypes)) {
+            throw new Error('Invalid webhook workflowTypes: expected a list');
+        }
+        const workflowTypes = this.workflowTypes();
+        const unknownType = subscription.workflowTypes.find(type => !workflowTypes.includes(type));
+        if (unknownType !== undefined) {
+            throw new Error(`Invalid webhook workflow type '${unknownType}': expected one of ${workflowTypes.join(', ')}`);
+        }
+
+        if (typeof subscription.active !== 'boolean') {
+            throw new Error('Invalid webhook active flag: expected true or false');
+        }
+    }
+
+    // Deliveries
+
+    /**
+     * Deliveries of an organization, newest first; filters: subscriptionId, status, event, limit
+     */
+    listDeliveries(organizationId, filters = {}) {
+        if (filters.status && !DELIVERY_STATUSES.includes(filters.status)) {
+            throw new Error(`Invalid delivery status '${filters.status}': expected one of ${DELIVERY_STATUSES.join(', ')}`);
+        }
+
+        const deliveries = this.db.find(DELIVERIES, {
+            organizationId,
+            subscriptionId: filters.subscriptionId || undefined,
+            status: filters.status || undefined,
+            event: filters.event || undefined
+        }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return filters.limit ? deliveries.slice(0, filters.limit) : deliveries;
+    }
+
+    getDelivery(organizationId, id) {
+        const delivery = this.db.get(DELIVERIES, id);
+        if (!delivery || delivery.organizationId !== organizationId) {
+            throw new Error('Webhook delivery not found');
+        }
+        return delivery;
+    }
+
+    /**
+     * Send a delivery's payload again as a new delivery, e.g. from the dead-letter log
+     */
+    redeliver(organizationId, id) {
+        const delivery = this.getDelivery(organizationId, id);
+        const subscription = this.getSubscription(organizationId, delivery.subscriptionId);
+        return this.enqueue(subscription, delivery.event, delivery.payload, { redeliveryOf: delivery.id });
+    }
+
+    /**
+     * Send a 'ping' to a subscription, whatever its filters, to check the receiver
+     */
+    ping(organizationId, id, user) {
+        const subscription = this.getSubscription(organizationId, id);
+        return this.enqueue(subscription, 'ping', {
+            event: 'ping',
+            occurredAt: new Date().toISOString(),
+            organizationId,
+            subscriptionId: subscription.id,
+            user: user ? { id: user.id, username: user.username } : null
+        });
+    }
+
+    /**
+     * Turn an engine event into deliveries for the subscriptions it matches
+     */
+    handleEvent(event, data) {
+        const workflow = data.workflow;
+        if (!workflow?.organizationId) return [];
+
+        const subscriptions = this.db.find(SUBSCRIPTIONS, { organizationId: workflow.organizationId, active: true })
+            .filter(subscription => subscription.events.length === 0 || subscription.events.includes(event))
+            .filter(subscription => subscription.workflowTypes.length === 0 || subscription.workflowTypes.includes(workflow.type));
+        if (subscriptions.length === 0) return [];
+
+        const payload = buildPayload(event, data);
+        return subscriptions.map(subscription => this.enqueue(subscription, event, payload));
+    }
+
+    enqueue(subscription, event, payload, extra = {}) {
+        const now = new Date().toISOString();
+        const delivery = this.db.insert(DELIVERIES, {
+            id: generateId('whd'),
+            organizationId: subscription.organizationId,
+            subscriptionId: subscription.id,
+            url: subscription.url,
+            event,
+            workflowId: payload.workflow?.id || null,
+            workflowType: payload.workflow?.type || null,
+            payload,
+            status: 'pending',
+            attempts: [],
+            createdAt: now,
+            nextAttemptAt: now,
+            ...extra
+        });
+
+        this.prune(subscription.organizationId);
+        this.schedule(delivery.id, 0);
+        return delivery;
+    }
+
+    schedule(deliveryId, delay) {
+        if (this.stopped) return;
+
+        clearTimeout(this.timers.get(deliveryId));
+        const timer = setTimeout(() => {
+            this.timers.delete(deliveryId);
+            const attempt = this.attempt(deliveryId).catch(error => {
+                console.error(`Error delivering webhook ${deliveryId}:`, error);
+            });
+            this.inFlight.add(attempt);
+            attempt.finally(() => this.inFlight.delete(attempt));
+        }, Math.max(0, delay));
+        timer.unref?.();
+        this.timers.set(deliveryId, timer);
+    }
+
+    /**
+     * Make one attempt at a delivery and record its outcome
+     */
+    async attempt(deliveryId) {
+        const delivery = this.db.get(DELIVERIES, deliveryId);
+        if (!delivery || !['pending', 'retrying'].includes(delivery.status)) return delivery;
+
+        const subscription = this.db.get(SUBSCRIPTIONS, delivery.subscriptionId);
+        if (!subscription) {
+            return this.db.update(DELIVERIES, deliveryId, {
+                status: 'dead_letter',
+                deadLetteredAt: new Date().toISOString(),
+                lastError: 'Subscription was deleted'
+            });
+        }
+
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const startedAt = Date.now();
+        const attempt = { number: delivery.attempts.length + 1, at: new Date(startedAt).toISOString() };
+
+        try {
+            const response = await this.send(subscription.url, body, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'workflow-webhooks/1',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+            });
+            Object.assign(attempt, { status: response.status, response: response.body });
+            if (response.status < 200 || response.status >= 300) {
+                attempt.error = `Receiver responded with status ${response.status}`;
+            }
+        } catch (error) {
+            attempt.error = error.message;
+        }
+        attempt.durationMs = Date.now() - startedAt;
+
+        const attempts = [...delivery.attempts, attempt];
+        if (!attempt.error) {
+            return this.db.update(DELIVERIES, deliveryId, { status: 'delivered', attempts, deliveredAt: attempt.at, lastError: null });
+        }
+        if (attempts.length >= this.maxAttempts) {
+            return this.db.update(DELIVERIES, deliveryId, {
+                status: 'dead_letter',
+                attempts,
+                deadLetteredAt: new Date().toISOString(),
+                lastError: attempt.error
+            });
+        }
+
+        const delay = Math.min(this.retryDelay * 2 ** (attempts.length - 1), this.maxRetryDelay);
+        const updated = this.db.update(DELIVERIES, deliveryId, {
+            status: 'retrying',
+            attempts,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+            lastError: attempt.error
+        });
+        this.schedule(deliveryId, delay);
+        return updated;
+    }
+
+    /**
+     * POST a body and resolve with the response status and (truncated) body
+     */
+    send(url, body, headers) {
+        return new Promise((resolve, reject) => {
+            const target = new URL(url);
+            const request = (target.protocol === 'https:' ? https : http).request(target, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                timeout: this.timeout
+            }, response => {
+                let text = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => {
+                    if (text.length < MAX_RESPONSE_LENGTH) text += chunk;
+                });
+                response.on('end', () => resolve({ status: response.statusCode, body: text.slice(0, MAX_RESPONSE_LENGTH) }));
+                response.on('error', reject);
+            });
+
+            request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.timeout}ms`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    /**
+     * Drop an organization's oldest delivered deliveries beyond maxDeliveries
+     */
+    prune(organizationId) {
+        const deliveries = this.db.find(DELIVERIES, { organizationId });
+        if (deliveries.length <= this.maxDeliveries) return;
+
+        deliveries
+            .filter(delivery => delivery.status === 'delivered')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .slice(0, deliveries.length - this.maxDeliveries)
+            .forEach(delivery => this.db.delete(DELIVERIES, delivery.id));
+    }
+}
+
+/**
+ * The JSON body of an event's deliveries (plus the delivery id)
+ */
+function buildPayload(event, data) {
+    const { workflow, user } = data;
+    const payload = {
+        event,
+        occurredAt: new Date().toISOString(),
+        organizationId: workflow.organizationId,
+        workflow: {
+            id: workflow.id,
+            type: workflow.type,
+            currentState: workflow.currentState,
+            activeStates: workflow.getActiveStates(),
+            definitionVersion: workflow.definitionVersion,
+            revision: workflow.revision,
+            createdBy: workflow.createdBy
+        },
+        user: user ? { id: user.id, username: user.username } : null
+    };
+
+    switch (event) {
+        case 'workflowCreated':
+            payload.data = { context: workflow.context };
+            break;
+        case 'workflowStateChanged':
+            payload.data = { fromState: data.fromState, toState: data.toState, activeStates: data.activeStates };
+            break;
+        case 'workflowContextUpdated': {
+            const oldContext = data.oldContext || {};
+            const changes = Object.fromEntries(Object.entries(data.newContext || {})
+                .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(oldContext[field])));
+            payload.data = { changes };
+            break;
+        }
+        case 'workflowReset':
+            payload.data = { resetContext: data.resetContext || {} };
+            break;
+    }
+
+    return JSON.parse(JSON.stringify(payload));
+}
+
+function withoutSecret(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+}
+
+module.exports = {
+    WebhookService,
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    signPayload,
+    verifySignature
+};
@@ -13,6 +13,8 @@ import { OrganizationForm } from "./components/organization/OrganizationForm.js"
 import { OrganizationDetails } from "./components/organization/OrganizationDetails.js";
 import { BranchManagement } from "./components/workflow/BranchManagement.js";
 import { BranchWorkflowExample } from "./components/workflow/examples/BranchWorkflowExample.js";
+import { WorkflowSimulatorPage } from "./components/workflow/WorkflowSimulatorPage.js";
+import { WebhookAdminPage } from "./components/organization/WebhookAdminPage.js";
 import { authManager } from "./core/AuthManager.js";
 
 // Create a component that shows either login or profile based on auth state
@@ -77,6 +79,8 @@ const routes = {
     'organization-details': OrganizationDetails,
     'branch-management': BranchManagement,
     'branch-workflow-example': BranchWorkflowExample,
+    'workflow-simulator': WorkflowSimulatorPage,
+    webhooks: WebhookAdminPage,
 };
 
 // Init router
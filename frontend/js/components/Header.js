@@ -110,6 +110,14 @@ export class Header extends Component {
                                 <i class="fas fa-map-marker-alt"></i>
                                 Manage Branches
                             </a>
+                            <a href="#workflow-simulator" class="dropdown-item">
+                                <i class="fas fa-flask"></i>
+                                Workflow Simulator
+                            </a>
+                            <a href="#webhooks" class="dropdown-item">
+                                <i class="fas fa-plug"></i>
+                                Webhooks
+                            </a>
                             <div class="dropdown-divider"></div>
                             <a href="#organization-settings" class="dropdown-item">
                                 <i class="fas fa-sliders-h"></i>
@@ -1,6 +1,9 @@
 import { Component } from '../../core/Component.js';
 import { organizationService } from '../../core/OrganizationService.js';
 import { WorkflowEngine } from '../../core/workflow/WorkflowEngine.js';
+import { WorkflowActors } from '../../core/workflow/OrganizationalModels.js';
+import { toActorMapping } from '../../core/workflow/ActorMapping.js';
+import { escapeHtml } from '../../utils.js';
 
 /**
  * Organization Details Component
@@ -13,6 +16,8 @@ export class OrganizationDetails extends Component {
         this.workflows = [];
         this.workflowStats = {};
         this.activeTab = 'overview';
+        this.actorMapping = toActorMapping(null);
+        this.directoryRecords = { designations: [], departments: [], teams: [] };
         this.workflowFilters = {
             status: '',
             type: '',
@@ -85,6 +90,10 @@ export class OrganizationDetails extends Component {
                         <i class="fas fa-analytics"></i>
                         Analytics
                     </button>
+                    <button class="tab-btn" data-tab="actorMapping">
+                        <i class="fas fa-user-tag"></i>
+                        Actor Mapping
+                    </button>
                 </div>
 
                 <div class="tab-content">
@@ -107,6 +116,10 @@ export class OrganizationDetails extends Component {
                     <div id="analyticsTab" class="tab-panel">
                         ${this.renderAnalyticsTab()}
                     </div>
+
+                    <div id="actorMappingTab" class="tab-panel">
+                        ${this.renderActorMappingTab()}
+                    </div>
                 </div>
             </div>
         `;
@@ -582,6 +595,74 @@ export class OrganizationDetails extends Component {
         `;
     }
 
+    renderActorMappingTab() {
+        const sections = [
+            ['designations', 'Designations', 'Unmapped designations grant no actors unless keyword matching is on'],
+            ['departments', 'Departments', 'Unmapped departments grant no actors unless keyword matching is on'],
+            ['teams', 'Teams', 'Teams grant no actors unless mapped']
+        ];
+
+        return `
+            <div class="actor-mapping-content">
+                <div class="actor-mapping-header">
+                    <div>
+                        <h3>Workflow Actor Mapping</h3>
+                        <p>Choose which workflow actors each designation, department and team grants</p>
+                    </div>
+                    <div class="actor-mapping-actions">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="keywordFallback" ${this.actorMapping.keywordFallback ? 'checked' : ''}>
+                            Match unmapped names by keyword
+                        </label>
+                        <button id="saveActorMappingBtn" class="btn btn-primary">
+                            <i class="fas fa-save"></i> Save Mapping
+                        </button>
+                    </div>
+                </div>
+                <div id="actorMappingStatus" class="actor-mapping-status"></div>
+
+                ${sections.map(([section, title, hint]) => `
+                    <div class="actor-mapping-section">
+                        <h4>${title}</h4>
+                        <small>${hint}</small>
+                        ${this.directoryRecords[section].length === 0 ? `
+                            <p class="empty-state">No ${title.toLowerCase()} defined yet.</p>
+                        ` : `
+                            <table class="actor-mapping-table">
+                                <tbody>
+                                    ${this.directoryRecords[section].map(record => this.renderActorMappingRow(section, record)).join('')}
+                                </tbody>
+                            </table>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderActorMappingRow(section, record) {
+        const mapped = this.actorMapping.lookup(this.actorMapping[section], record);
+        return `
+            <tr data-mapping-section="${section}" data-mapping-key="${escapeHtml(record.id)}">
+                <td>
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="mapping-override" ${mapped ? 'checked' : ''}>
+                        ${escapeHtml(record.name)}
+                    </label>
+                </td>
+                <td>
+                    ${Object.values(WorkflowActors).filter(actor => actor !== WorkflowActors.REQUESTOR).map(actor => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" class="mapping-actor" value="${actor}"
+                                ${mapped?.includes(actor) ? 'checked' : ''} ${mapped ? '' : 'disabled'}>
+                            ${actor}
+                        </label>
+                    `).join('')}
+                </td>
+            </tr>
+        `;
+    }
+
     renderRecentActivity() {
         const activities = [
             {
@@ -642,6 +723,8 @@ export class OrganizationDetails extends Component {
             // Load workflows for this organization
             await this.loadOrganizationWorkflows();
 
+            await this.loadActorMapping();
+
             // Calculate workflow statistics
             this.calculateWorkflowStats();
 
@@ -689,6 +772,21 @@ export class OrganizationDetails extends Component {
         ];
     }
 
+    async loadActorMapping() {
+        const organizationId = this.organization?.id;
+        if (!organizationId) return;
+
+        const [designations, departments, teams, mapping] = await Promise.all([
+            organizationService.getDesignations(organizationId),
+            organizationService.getDepartments(organizationId),
+            organizationService.getTeams(organizationId),
+            organizationService.getActorMapping(organizationId)
+        ]);
+
+        this.directoryRecords = { designations, departments, teams };
+        this.actorMapping = toActorMapping(mapping);
+    }
+
     calculateWorkflowStats() {
         const total = this.workflows.length;
         const active = this.workflows.filter(w => w.currentState === 'running').length;
@@ -752,6 +850,19 @@ export class OrganizationDetails extends Component {
 
         // Workflow table actions
         this.setupWorkflowTableListeners(container);
+
+        // Actor mapping
+        container.querySelectorAll('.mapping-override').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                checkbox.closest('tr').querySelectorAll('.mapping-actor').forEach(actor => {
+                    actor.disabled = !checkbox.checked;
+                });
+            });
+        });
+
+        container.querySelector('#saveActorMappingBtn')?.addEventListener('click', () => {
+            this.saveActorMapping(container);
+        });
     }
 
     setupWorkflowTableListeners(container) {
@@ -928,6 +1039,27 @@ export class OrganizationDetails extends Component {
         this.openBranchManagement();
     }
 
+    async saveActorMapping(container) {
+        const mapping = { designations: {}, departments: {}, teams: {} };
+        container.querySelectorAll('[data-mapping-section]').forEach(row => {
+            if (!row.querySelector('.mapping-override').checked) return;
+
+            mapping[row.dataset.mappingSection][row.dataset.mappingKey] =
+                Array.from(row.querySelectorAll('.mapping-actor:checked')).map(actor => actor.value);
+        });
+        mapping.keywordFallback = container.querySelector('#keywordFallback').checked;
+
+        const status = container.querySelector('#actorMappingStatus');
+        try {
+            this.actorMapping = toActorMapping(await organizationService.saveActorMapping(this.organization.id, mapping));
+            status.textContent = 'Actor mapping saved';
+            status.className = 'actor-mapping-status text-success';
+        } catch (error) {
+            status.textContent = error.message;
+            status.className = 'actor-mapping-status text-danger';
+        }
+    }
+
     generateReport() {
         console.log('Generate report');
         // Implementation would generate organization report
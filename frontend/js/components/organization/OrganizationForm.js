@@ -120,6 +120,14 @@ export class OrganizationForm extends BaseForm {
                 required: false,
                 value: this.organization?.main_time_zone || 'America/New_York'
             },
+            {
+                label: "Holidays",
+                type: "textarea",
+                name: "holidays",
+                placeholder: "Dates workflows do not count as working days, e.g. 2026-12-25, 2027-01-01",
+                required: false,
+                value: [].concat(this.organization?.holidays || []).map(holiday => holiday.date || holiday).join(', ')
+            },
             {
                 label: "Main Locale",
                 type: "text",
@@ -303,6 +311,11 @@ export class OrganizationForm extends BaseForm {
                 throw new Error('User must be logged in to create/edit organizations');
             }
 
+            // Holidays are kept as a list of dates for business calendars
+            if (typeof data.holidays === 'string') {
+                data.holidays = data.holidays.split(/[\s,]+/).filter(Boolean);
+            }
+
             // Convert numeric fields
             if (data.fiscal_year_start_month) {
                 data.fiscal_year_start_month = parseInt(data.fiscal_year_start_month);
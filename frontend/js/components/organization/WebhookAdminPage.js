@@ -0,0 +1,282 @@
+import { Component } from '../../core/Component.js';
+import { organizationService } from '../../core/OrganizationService.js';
+import { authManager } from '../../core/AuthManager.js';
+import { WebhookService, WEBHOOK_EVENTS } from '../../core/WebhookService.js';
+import { escapeHtml } from '../../utils.js';
+
+const DELIVERY_STATUS_LABELS = {
+    pending: 'Pending',
+    retrying: 'Retrying',
+    delivered: 'Delivered',
+    dead_letter: 'Dead letter'
+};
+
+/**
+ * Webhook Admin Page
+ * Manages the current organization's webhook subscriptions and shows their deliveries,
+ * with every attempt and the receiver's responses, including the dead-letter log
+ */
+export class WebhookAdminPage extends Component {
+    constructor(props) {
+        super(props);
+        this.webhookService = props?.webhookService || new WebhookService({ headers: () => authManager.getAuthHeaders() });
+        this.organization = organizationService.getCurrentOrganization();
+        this.subscriptions = [];
+        this.deliveries = [];
+        this.filters = { status: '', subscriptionId: '' };
+    }
+
+    render() {
+        const container = this.createElement('div', 'webhook-admin');
+
+        if (!this.organization) {
+            container.innerHTML = '<div class="error-message">Select an organization to manage its webhooks.</div>';
+            return container;
+        }
+
+        container.innerHTML = `
+            <div class="example-header">
+                <h2>Webhooks — ${escapeHtml(this.organization.name)}</h2>
+                <p>Workflow events are POSTed as JSON to each subscribed URL, signed with an HMAC-SHA256 of
+                   "&lt;X-Webhook-Timestamp&gt;.&lt;body&gt;" in X-Webhook-Signature. Failed deliveries are retried with
+                   exponential backoff, then moved to the dead-letter log.</p>
+            </div>
+
+            <form id="webhook-form" class="webhook-form">
+                <div class="form-group">
+                    <label for="webhook-url">Receiver URL</label>
+                    <input type="url" id="webhook-url" required placeholder="https://example.com/hooks/workflows">
+                </div>
+                <div class="form-group">
+                    <label>Events (none selected: all events)</label>
+                    ${WEBHOOK_EVENTS.map(event => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" name="webhook-events" value="${event}"> ${event}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label for="webhook-types">Workflow types (comma separated, empty: all types)</label>
+                    <input type="text" id="webhook-types" placeholder="ExpenseApprovalWorkflow, HireWorkflow">
+                </div>
+                <div class="form-group">
+                    <label for="webhook-description">Description</label>
+                    <input type="text" id="webhook-description">
+                </div>
+                <button type="submit" class="btn-primary">Add Subscription</button>
+            </form>
+
+            <div id="webhook-status"></div>
+            <div id="webhook-subscriptions"></div>
+
+            <h3>Deliveries</h3>
+            <div class="workflow-controls">
+                <select id="delivery-status">
+                    <option value="">All deliveries</option>
+                    ${Object.entries(DELIVERY_STATUS_LABELS).map(([status, label]) =>
+                        `<option value="${status}">${status === 'dead_letter' ? 'Dead-letter log' : label}</option>`
+                    ).join('')}
+                </select>
+                <button class="btn-secondary" id="refresh-deliveries">Refresh</button>
+            </div>
+            <div id="webhook-deliveries"></div>
+        `;
+
+        container.querySelector('#webhook-form').addEventListener('submit', event => {
+            event.preventDefault();
+            this.createSubscription(container);
+        });
+        container.querySelector('#delivery-status').addEventListener('change', event => {
+            this.filters.status = event.target.value;
+            this.loadDeliveries(container);
+        });
+        container.querySelector('#refresh-deliveries').addEventListener('click', () => this.loadDeliveries(container));
+
+        // Buttons in the tables are re-rendered, so handle their clicks here
+        container.addEventListener('click', event => {
+            const button = event.target.closest('[data-webhook-action]');
+            if (button) this.handleAction(container, button.dataset.webhookAction, button.dataset.id);
+        });
+
+        this.loadSubscriptions(container);
+        this.loadDeliveries(container);
+        return container;
+    }
+
+    async loadSubscriptions(container) {
+        try {
+            this.subscriptions = await this.webhookService.getSubscriptions(this.organization.id);
+            container.querySelector('#webhook-subscriptions').innerHTML = this.renderSubscriptions();
+        } catch (error) {
+            this.showStatus(container, escapeHtml(error.message), 'error');
+        }
+    }
+
+    async loadDeliveries(container) {
+        try {
+            this.deliveries = await this.webhookService.getDeliveries(this.organization.id, { ...this.filters, limit: 100 });
+            container.querySelector('#webhook-deliveries').innerHTML = this.renderDeliveries();
+        } catch (error) {
+            this.showStatus(container, escapeHtml(error.message), 'error');
+        }
+    }
+
+    async createSubscription(container) {
+        const form = container.querySelector('#webhook-form');
+        const subscription = {
+            url: form.querySelector('#webhook-url').value.trim(),
+            events: Array.from(form.querySelectorAll('input[name="webhook-events"]:checked')).map(input => input.value),
+            workflowTypes: form.querySelector('#webhook-types').value.split(',').map(type => type.trim()).filter(Boolean),
+            description: form.querySelector('#webhook-description').value.trim()
+        };
+
+        try {
+            const created = await this.webhookService.createSubscription(this.organization.id, subscription);
+            form.reset();
+            this.showSecret(container, created);
+            await this.loadSubscriptions(container);
+        } catch (error) {
+            this.showStatus(container, escapeHtml(error.message), 'error');
+        }
+    }
+
+    async handleAction(container, action, id) {
+        const organizationId = this.organization.id;
+
+        try {
+            switch (action) {
+                case 'ping':
+                    await this.webhookService.ping(organizationId, id);
+                    this.showStatus(container, 'Ping queued; refresh the deliveries to see the response.');
+                    break;
+                case 'toggle': {
+                    const subscription = this.subscriptions.find(candidate => candidate.id === id);
+                    await this.webhookService.updateSubscription(organizationId, id, { active: !subscription.active });
+                    break;
+                }
+                case 'rotate':
+                    if (!confirm('Issue a new signing secret? The receiver must be updated to accept it.')) return;
+                    this.showSecret(container, await this.webhookService.updateSubscription(organizationId, id, { rotateSecret: true }));
+                    break;
+                case 'delete':
+                    if (!confirm('Delete this subscription? Deliveries still waiting for a retry will be dead-lettered.')) return;
+                    await this.webhookService.deleteSubscription(organizationId, id);
+                    break;
+                case 'show-deliveries':
+                    this.filters.subscriptionId = this.filters.subscriptionId === id ? '' : id;
+                    break;
+                case 'redeliver':
+                    await this.webhookService.redeliver(organizationId, id);
+                    this.showStatus(container, 'Redelivery queued.');
+                    break;
+            }
+        } catch (error) {
+            this.showStatus(container, escapeHtml(error.message), 'error');
+        }
+
+        await this.loadSubscriptions(container);
+        await this.loadDeliveries(container);
+    }
+
+    renderSubscriptions() {
+        if (this.subscriptions.length === 0) {
+            return '<p>No webhook subscriptions yet.</p>';
+        }
+
+        return `
+            <table class="webhook-subscriptions">
+                <thead>
+                    <tr><th>URL</th><th>Events</th><th>Workflow types</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.subscriptions.map(subscription => `
+                        <tr class="${subscription.id === this.filters.subscriptionId ? 'selected' : ''}">
+                            <td>
+                                <code>${escapeHtml(subscription.url)}</code>
+                                ${subscription.description ? `<br><small>${escapeHtml(subscription.description)}</small>` : ''}
+                            </td>
+                            <td>${subscription.events.length > 0 ? subscription.events.join(', ') : 'All'}</td>
+                            <td>${subscription.workflowTypes.length > 0 ? subscription.workflowTypes.join(', ') : 'All'}</td>
+                            <td>${subscription.active ? 'Active' : 'Paused'}</td>
+                            <td class="webhook-actions">
+                                <button class="btn-secondary" data-webhook-action="ping" data-id="${subscription.id}">Ping</button>
+                                <button class="btn-secondary" data-webhook-action="show-deliveries" data-id="${subscription.id}">
+                                    ${subscription.id === this.filters.subscriptionId ? 'All deliveries' : 'Deliveries'}
+                                </button>
+                                <button class="btn-secondary" data-webhook-action="toggle" data-id="${subscription.id}">
+                                    ${subscription.active ? 'Pause' : 'Resume'}
+                                </button>
+                                <button class="btn-secondary" data-webhook-action="rotate" data-id="${subscription.id}">Rotate secret</button>
+                                <button class="btn-danger" data-webhook-action="delete" data-id="${subscription.id}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderDeliveries() {
+        if (this.deliveries.length === 0) {
+            return '<p>No deliveries.</p>';
+        }
+
+        return `
+            <table class="webhook-deliveries">
+                <thead>
+                    <tr><th>Created</th><th>Event</th><th>Workflow</th><th>Status</th><th>Attempts</th><th>Details</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.deliveries.map(delivery => `
+                        <tr class="delivery-${delivery.status}">
+                            <td>${new Date(delivery.createdAt).toLocaleString()}</td>
+                            <td>${escapeHtml(delivery.event)}</td>
+                            <td>${delivery.workflowId ? `${escapeHtml(delivery.workflowType)}<br><small>${escapeHtml(delivery.workflowId)}</small>` : '—'}</td>
+                            <td>
+                                ${DELIVERY_STATUS_LABELS[delivery.status]}
+                                ${delivery.status === 'retrying' ? `<br><small>next ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}</small>` : ''}
+                            </td>
+                            <td>${delivery.attempts.length}</td>
+                            <td>${this.renderDeliveryDetails(delivery)}</td>
+                            <td>
+                                ${['delivered', 'dead_letter'].includes(delivery.status)
+                                    ? `<button class="btn-secondary" data-webhook-action="redeliver" data-id="${delivery.id}">Redeliver</button>`
+                                    : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderDeliveryDetails(delivery) {
+        return `
+            <details>
+                <summary>${delivery.lastError ? escapeHtml(delivery.lastError) : escapeHtml(delivery.url)}</summary>
+                <ol class="delivery-attempts">
+                    ${delivery.attempts.map(attempt => `
+                        <li>
+                            ${new Date(attempt.at).toLocaleString()} —
+                            ${attempt.status ? `HTTP ${attempt.status}` : 'no response'} in ${attempt.durationMs} ms
+                            ${attempt.error ? `<br><strong>${escapeHtml(attempt.error)}</strong>` : ''}
+                            ${attempt.response ? `<pre>${escapeHtml(attempt.response)}</pre>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+                <pre>${escapeHtml(JSON.stringify(delivery.payload, null, 2))}</pre>
+            </details>
+        `;
+    }
+
+    showSecret(container, subscription) {
+        this.showStatus(container, `
+            Signing secret for ${escapeHtml(subscription.url)}: <code>${escapeHtml(subscription.secret)}</code><br>
+            Copy it now; it will not be shown again.
+        `);
+    }
+
+    showStatus(container, message, type = 'success') {
+        container.querySelector('#webhook-status').innerHTML = `<div class="${type}-message">${message}</div>`;
+    }
+}
@@ -12,6 +12,7 @@ export class WorkflowDashboard extends Component {
         this.organizationContext = organizationContext;
         this.workflows = [];
         this.statistics = {};
+        this.scheduledTransitions = [];
         this.currentFilter = 'all';
         this.currentSort = 'updated_desc';
         this.isLoading = false;
@@ -65,6 +66,13 @@ export class WorkflowDashboard extends Component {
                         <div class="stat-label">My Workflows</div>
                     </div>
                 </div>
+                <div class="stat-card">
+                    <div class="stat-icon">⏰</div>
+                    <div class="stat-content">
+                        <div class="stat-value" id="sla-workflows">-</div>
+                        <div class="stat-label">Due Soon / Overdue</div>
+                    </div>
+                </div>
             </div>
 
             <div class="dashboard-filters">
@@ -76,6 +84,8 @@ export class WorkflowDashboard extends Component {
                         <option value="in_progress">In Progress</option>
                         <option value="completed">Completed</option>
                         <option value="my_workflows">My Workflows</option>
+                        <option value="due_soon">Due Soon</option>
+                        <option value="overdue">Overdue</option>
                     </select>
                 </div>
                 <div class="filter-group">
@@ -93,6 +103,11 @@ export class WorkflowDashboard extends Component {
                 </div>
             </div>
 
+            <div class="dashboard-scheduled hidden" id="scheduled-transitions">
+                <h3>⏰ Upcoming Scheduled Transitions</h3>
+                <ul class="scheduled-list" id="scheduled-list"></ul>
+            </div>
+
             <div class="dashboard-content">
                 <div class="workflow-grid" id="workflow-grid">
                     <div class="loading-placeholder" id="loading-placeholder">
@@ -237,7 +252,15 @@ export class WorkflowDashboard extends Component {
                 this.organizationContext.organizationId
             );
 
+            // Load the scheduled transitions due in the coming week
+            const until = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+            this.scheduledTransitions = await this.workflowService.getUpcomingScheduledTransitions({
+                organizationId: this.organizationContext.organizationId,
+                until
+            });
+
             this.updateStatistics();
+            this.updateScheduledTransitions();
             this.filterAndDisplayWorkflows();
 
         } catch (error) {
@@ -254,6 +277,7 @@ export class WorkflowDashboard extends Component {
         const pendingElement = document.getElementById('pending-workflows');
         const completedElement = document.getElementById('completed-workflows');
         const myWorkflowsElement = document.getElementById('my-workflows');
+        const slaElement = document.getElementById('sla-workflows');
 
         if (totalElement) totalElement.textContent = this.workflows.length;
 
@@ -270,6 +294,31 @@ export class WorkflowDashboard extends Component {
 
         const myWorkflowsCount = this.workflows.filter(w => w.isOwner).length;
         if (myWorkflowsElement) myWorkflowsElement.textContent = myWorkflowsCount;
+
+        const dueSoonCount = this.workflows.filter(w => w.workflow.sla?.status === 'due_soon').length;
+        const overdueCount = this.workflows.filter(w => w.workflow.sla?.status === 'overdue').length;
+        if (slaElement) slaElement.textContent = `${dueSoonCount} / ${overdueCount}`;
+    }
+
+    updateScheduledTransitions() {
+        const section = document.getElementById('scheduled-transitions');
+        const list = document.getElementById('scheduled-list');
+        if (!section || !list) return;
+
+        section.classList.toggle('hidden', this.scheduledTransitions.length === 0);
+        list.innerHTML = this.scheduledTransitions.map(scheduled => `
+            <li class="scheduled-item" data-workflow-id="${scheduled.workflowId}">
+                <span class="scheduled-time">${new Date(scheduled.dueAt).toLocaleString()}</span>
+                <span class="scheduled-workflow">${this.formatWorkflowType(scheduled.workflowType)} ${scheduled.workflowId}</span>
+                <span class="scheduled-target">
+                    ${this.formatState(scheduled.state)} → ${this.formatState(scheduled.targetState)}
+                </span>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.scheduled-item').forEach(item => {
+            item.addEventListener('click', () => this.openWorkflow(item.dataset.workflowId));
+        });
     }
 
     filterAndDisplayWorkflows() {
@@ -296,6 +345,10 @@ export class WorkflowDashboard extends Component {
             case 'my_workflows':
                 filteredWorkflows = filteredWorkflows.filter(w => w.isOwner);
                 break;
+            case 'due_soon':
+            case 'overdue':
+                filteredWorkflows = filteredWorkflows.filter(w => w.workflow.sla?.status === this.currentFilter);
+                break;
         }
 
         // Apply search filter
@@ -388,6 +441,8 @@ export class WorkflowDashboard extends Component {
                         <div class="workflow-time">Updated ${timeAgo}</div>
                     </div>
 
+                    ${this.renderSlaBadge(workflow.sla)}
+
                     ${isOwner ? '<div class="workflow-owner">👤 Owner</div>' : ''}
                 </div>
 
@@ -410,6 +465,15 @@ export class WorkflowDashboard extends Component {
         `;
     }
 
+    renderSlaBadge(sla) {
+        if (!sla || sla.status === 'on_track') return '';
+
+        const dueAt = new Date(sla.dueAt).toLocaleString();
+        return sla.status === 'overdue'
+            ? `<div class="workflow-sla sla-overdue">⚠️ Overdue since ${dueAt}</div>`
+            : `<div class="workflow-sla sla-due-soon">⏰ Due ${dueAt}</div>`;
+    }
+
     formatWorkflowType(type) {
         return type.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()).trim();
     }
@@ -0,0 +1,133 @@
+import { Component } from '../../core/Component.js';
+import { WorkflowSimulator } from '../../core/workflow/WorkflowSimulator.js';
+import { HireWorkflow } from '../../core/workflow/types/HireWorkflow.js';
+import { ExpenseApprovalWorkflow } from '../../core/workflow/types/ExpenseApprovalWorkflow.js';
+import { escapeHtml } from '../../utils.js';
+
+const SAMPLE_SCENARIO = {
+    name: 'Small expense claim',
+    workflowType: 'ExpenseApprovalWorkflow',
+    createdBy: 'bob',
+    organization: {
+        id: 'org-1',
+        actorMapping: {
+            designations: { 'Financial Analyst': ['Analyzer'], 'Engineering Manager': ['Approver'] },
+            departments: { Finance: ['FinanceSpecialist'] }
+        }
+    },
+    users: [
+        { id: 'bob', positions: [{ designation: 'Software Engineer', department: 'Engineering' }] },
+        { id: 'mia', positions: [{ designation: 'Engineering Manager', department: 'Engineering', level: 3 }] },
+        { id: 'alice', positions: [{ designation: 'Financial Analyst', department: 'Finance' }] }
+    ],
+    context: {
+        total_amount: 20,
+        expense_items: [{ amount: 20 }],
+        business_purpose: 'Team lunch',
+        requester_department: 'Engineering'
+    },
+    steps: [
+        { user: 'bob', action: 'submit_claim', expect: 'denied' },
+        { user: 'alice', action: 'submit_claim', expect: 'allowed' },
+        { user: 'mia', action: 'send_to_manager', context: { total_amount: 20 }, expect: 'allowed' }
+    ],
+    expect: { finalState: 'manager_review' }
+};
+
+/**
+ * Workflow Simulator Page
+ * Runs what-if scenarios (one or a list, as JSON) against the workflow types with mock
+ * organization data, without touching real workflows
+ */
+export class WorkflowSimulatorPage extends Component {
+    constructor(props) {
+        super(props);
+        this.simulator = new WorkflowSimulator({ HireWorkflow, ExpenseApprovalWorkflow });
+    }
+
+    render() {
+        const container = this.createElement('div', 'workflow-simulator');
+
+        container.innerHTML = `
+            <div class="example-header">
+                <h2>Workflow Simulator</h2>
+                <p>Describe users with positions, a starting context and the transitions they attempt, then see which were allowed or denied and why.</p>
+                <p>Workflow types: ${Object.keys(this.simulator.workflowTypes).join(', ')}</p>
+            </div>
+
+            <div class="form-group">
+                <label for="simulator-scenario">Scenario (JSON, a scenario or a list of scenarios)</label>
+                <textarea id="simulator-scenario" rows="24" spellcheck="false">${JSON.stringify(SAMPLE_SCENARIO, null, 2)}</textarea>
+            </div>
+
+            <div class="workflow-controls">
+                <button class="btn-primary" id="run-simulation">Run Simulation</button>
+            </div>
+
+            <div id="simulation-results"></div>
+        `;
+
+        container.querySelector('#run-simulation').addEventListener('click', () => {
+            this.runSimulation(container);
+        });
+
+        return container;
+    }
+
+    async runSimulation(container) {
+        const results = container.querySelector('#simulation-results');
+
+        try {
+            const input = JSON.parse(container.querySelector('#simulator-scenario').value);
+            const reports = await this.simulator.runAll(Array.isArray(input) ? input : [input]);
+            results.innerHTML = reports.map(report => this.renderReport(report)).join('');
+        } catch (error) {
+            const message = this.createElement('div', 'error-message');
+            message.textContent = error.message;
+            results.replaceChildren(message);
+        }
+    }
+
+    renderReport(report) {
+        return `
+            <div class="simulation-report ${report.passed ? 'passed' : 'failed'}">
+                <h3>${escapeHtml(report.scenario || report.workflowType)} — ${report.passed ? 'passed' : 'failed'}</h3>
+                <table class="simulation-steps">
+                    <thead>
+                        <tr><th>#</th><th>User</th><th>From</th><th>Step</th><th>Outcome</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.steps.map(step => `
+                            <tr class="outcome-${step.outcome}">
+                                <td>${step.step}</td>
+                                <td>${escapeHtml(step.user)}</td>
+                                <td>${step.fromState}</td>
+                                <td>${step.action || (step.targetState ? `→ ${step.targetState}` : 'update context')}</td>
+                                <td>${step.outcome.replace('_', ' ')}</td>
+                                <td>${this.renderStepDetails(step)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p><strong>Final state:</strong> ${report.activeStates.join(', ') || report.finalState}</p>
+                ${report.mismatches.length > 0 ? `
+                    <ul class="simulation-mismatches">
+                        ${report.mismatches.map(mismatch => `<li>${escapeHtml(mismatch)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderStepDetails(step) {
+        const details = [];
+        if (step.reason) details.push(step.reason);
+        if (step.validationErrors.length > 0) {
+            details.push(`Validation: ${step.validationErrors.join('; ')}`);
+        }
+        if (step.failedChecks.length > 0) {
+            details.push(`Failed checks: ${step.failedChecks.map(check => check.check).join(', ')}`);
+        }
+        return details.map(escapeHtml).join('<br>');
+    }
+}
@@ -1,4 +1,5 @@
 import { Component } from "../../core/Component.js";
+import { escapeHtml } from "../../utils.js";
 
 /**
  * Workflow Viewer Component
@@ -81,8 +82,10 @@ export class WorkflowViewer extends Component {
                             <button class="tab-header active" data-tab="overview">Overview</button>
                             <button class="tab-header" data-tab="details">Details</button>
                             <button class="tab-header" data-tab="history">History</button>
+                            <button class="tab-header" data-tab="diagram">Diagram</button>
                             <button class="tab-header" data-tab="comments">Comments</button>
                             <button class="tab-header" data-tab="audit">Audit Log</button>
+                            <button class="tab-header" data-tab="permissions">Permissions</button>
                         </div>
 
                         <div class="tab-content">
@@ -107,6 +110,18 @@ export class WorkflowViewer extends Component {
                                             <!-- Next steps content -->
                                         </div>
                                     </div>
+                                    <div class="overview-card hidden" id="votes-card">
+                                        <h3>Approvals</h3>
+                                        <div id="votes-content">
+                                            <!-- Ballots of voting states -->
+                                        </div>
+                                    </div>
+                                    <div class="overview-card hidden" id="linked-workflows-card">
+                                        <h3>Linked Workflows</h3>
+                                        <div id="linked-workflows-content">
+                                            <!-- Parent and child workflows -->
+                                        </div>
+                                    </div>
                                     <div class="overview-card">
                                         <h3>Workflow Metrics</h3>
                                         <div id="metrics-content">
@@ -141,6 +156,21 @@ export class WorkflowViewer extends Component {
                                 </div>
                             </div>
 
+                            <!-- Diagram Tab -->
+                            <div class="tab-pane" id="diagram-tab">
+                                <div class="diagram-toolbar">
+                                    <select id="diagram-format" class="form-select">
+                                        <option value="svg">SVG</option>
+                                        <option value="dot">Graphviz DOT</option>
+                                        <option value="mermaid">Mermaid</option>
+                                    </select>
+                                    <button class="btn-outline" id="download-diagram">Download</button>
+                                </div>
+                                <div class="workflow-diagram-container" id="workflow-diagram">
+                                    <!-- State diagram with the current state and path taken highlighted -->
+                                </div>
+                            </div>
+
                             <!-- Comments Tab -->
                             <div class="tab-pane" id="comments-tab">
                                 <div class="comments-container">
@@ -170,6 +200,18 @@ export class WorkflowViewer extends Component {
                                     <!-- Audit entries will be listed here -->
                                 </div>
                             </div>
+
+                            <!-- Permissions Tab -->
+                            <div class="tab-pane" id="permissions-tab">
+                                <div class="permission-filters">
+                                    <input type="text" id="explain-user" class="form-input" placeholder="User ID">
+                                    <input type="text" id="explain-state" class="form-input" placeholder="Target state (all transitions if empty)">
+                                    <button class="btn-primary" id="explain-permissions">Explain</button>
+                                </div>
+                                <div class="permission-trace" id="permission-trace">
+                                    <!-- Permission explanations will be listed here -->
+                                </div>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -266,6 +308,12 @@ export class WorkflowViewer extends Component {
         [auditActionFilter, auditDateFilter].forEach(filter => {
             filter.addEventListener('change', () => this.loadAuditLog());
         });
+
+        // Permission explanations
+        const explainBtn = viewer.querySelector('#explain-permissions');
+        explainBtn.addEventListener('click', () => this.explainPermissions());
+        const downloadDiagramBtn = viewer.querySelector('#download-diagram');
+        downloadDiagramBtn.addEventListener('click', () => this.downloadDiagram());
     }
 
     async loadWorkflow() {
@@ -305,7 +353,7 @@ export class WorkflowViewer extends Component {
         typeDisplay.textContent = this.formatWorkflowType(this.workflow.type);
 
         const stateDisplay = document.getElementById('workflow-state-display');
-        stateDisplay.textContent = this.formatState(this.workflow.currentState);
+        stateDisplay.textContent = this.formatActiveStates();
         stateDisplay.className = `workflow-state ${this.getStateClass(this.workflow.currentState)}`;
 
         const priorityDisplay = document.getElementById('workflow-priority-display');
@@ -352,7 +400,7 @@ export class WorkflowViewer extends Component {
 
     updateProgressTimeline() {
         const timeline = document.getElementById('progress-timeline');
-        const history = this.workflow.history || [];
+        const history = (this.workflow.history || []).filter(entry => entry.type !== 'vote');
 
         if (history.length === 0) {
             timeline.innerHTML = '<div class="no-progress">No progress recorded</div>';
@@ -363,10 +411,13 @@ export class WorkflowViewer extends Component {
             const isLast = index === history.length - 1;
             const timeAgo = this.getTimeAgo(entry.timestamp);
 
+            const isActive = (this.workflow.activeStates || []).includes(entry.toState);
+
             return `
-                <div class="timeline-item ${isLast ? 'current' : ''}">
+                <div class="timeline-item ${isLast || isActive ? 'current' : ''} ${entry.region ? 'timeline-branch' : ''}">
                     <div class="timeline-marker"></div>
                     <div class="timeline-content">
+                        ${entry.region ? `<div class="timeline-region">${this.formatState(entry.parentState)} · ${this.formatState(entry.region)}</div>` : ''}
                         <div class="timeline-state">${this.formatState(entry.toState)}</div>
                         <div class="timeline-user">${entry.user.name}</div>
                         <div class="timeline-time">${timeAgo}</div>
@@ -404,12 +455,18 @@ export class WorkflowViewer extends Component {
             case 'history':
                 this.updateHistoryTab();
                 break;
+            case 'diagram':
+                this.updateDiagramTab();
+                break;
             case 'comments':
                 this.updateCommentsTab();
                 break;
             case 'audit':
                 this.loadAuditLog();
                 break;
+            case 'permissions':
+                this.updatePermissionsTab();
+                break;
         }
     }
 
@@ -418,7 +475,7 @@ export class WorkflowViewer extends Component {
         const statusContent = document.getElementById('current-status-content');
         statusContent.innerHTML = `
             <div class="status-item">
-                <strong>State:</strong> ${this.formatState(this.workflow.currentState)}
+                <strong>State:</strong> ${this.formatActiveStates()}
             </div>
             <div class="status-item">
                 <strong>Updated:</strong> ${this.formatDateTime(this.workflow.updatedAt)}
@@ -460,6 +517,9 @@ export class WorkflowViewer extends Component {
             nextStepsContent.innerHTML = '<div class="no-steps">No actions available</div>';
         }
 
+        this.updateVotesCard();
+        this.updateLinkedWorkflowsCard();
+
         // Metrics
         const metricsContent = document.getElementById('metrics-content');
         const metrics = this.workflow.metrics || {};
@@ -483,6 +543,93 @@ export class WorkflowViewer extends Component {
         `;
     }
 
+    updateVotesCard() {
+        const votesCard = document.getElementById('votes-card');
+        const votesContent = document.getElementById('votes-content');
+        const activeStates = this.workflow.activeStates || [this.workflow.currentState];
+        const ballots = Object.values(this.workflow.ballots || {})
+            .filter(ballot => ballot.status === 'open' || activeStates.includes(ballot.state));
+
+        votesCard.classList.toggle('hidden', ballots.length === 0);
+        if (ballots.length === 0) return;
+
+        const pendingVotes = this.workflowData?.pendingVotes || [];
+        const decisionIcons = { approve: '✅', reject: '❌', abstain: '➖' };
+
+        votesContent.innerHTML = ballots.map(ballot => `
+            <div class="ballot" data-state="${ballot.state}">
+                <div class="ballot-header">
+                    <strong>${this.formatState(ballot.state)}</strong>
+                    <span class="ballot-rule">${this.formatVotingRule(ballot)}</span>
+                    <span class="ballot-status status-${ballot.status}">${ballot.status.toUpperCase()}</span>
+                </div>
+                <ul class="ballot-voters">
+                    ${ballot.voters.map(voter => {
+                        const vote = ballot.votes.find(v => v.userId === voter.id);
+                        return `
+                            <li class="ballot-voter ${vote ? `voted vote-${vote.decision}` : 'not-voted'}">
+                                ${vote ? decisionIcons[vote.decision] : '⏳'}
+                                ${escapeHtml(voter.name || voter.username || voter.id)}
+                                ${vote?.castBy ? `<span class="vote-delegate">by ${escapeHtml(vote.castBy.name || vote.castBy.id)}</span>` : ''}
+                                ${vote ? `<span class="vote-time">${this.getTimeAgo(vote.timestamp)}</span>` : '<span class="vote-pending">has not voted</span>'}
+                                ${vote?.comment ? `<div class="vote-comment">${escapeHtml(vote.comment)}</div>` : ''}
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+                ${pendingVotes.some(pending => pending.state === ballot.state) ? `
+                    <div class="ballot-actions">
+                        <button class="btn-primary btn-sm vote-btn" data-state="${ballot.state}" data-decision="approve">Approve</button>
+                        <button class="btn-outline btn-sm vote-btn" data-state="${ballot.state}" data-decision="reject">Reject</button>
+                        <button class="btn-outline btn-sm vote-btn" data-state="${ballot.state}" data-decision="abstain">Abstain</button>
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+
+        votesContent.querySelectorAll('.vote-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.showVoteModal(e.target.dataset.state, e.target.dataset.decision);
+            });
+        });
+    }
+
+    updateLinkedWorkflowsCard() {
+        const linkedCard = document.getElementById('linked-workflows-card');
+        const linkedContent = document.getElementById('linked-workflows-content');
+        const parent = this.workflow.parent;
+        const groups = Object.values(this.workflow.subWorkflows || {}).filter(group => group.children.length > 0);
+
+        linkedCard.classList.toggle('hidden', !parent && groups.length === 0);
+        if (!parent && groups.length === 0) return;
+
+        linkedContent.innerHTML = `
+            ${parent ? `
+                <div class="info-item linked-parent">
+                    <strong>Started by:</strong>
+                    <a href="#workflows/${parent.workflowId}">${parent.workflowId}</a>
+                    <span class="linked-state">in ${this.formatState(parent.state)}</span>
+                </div>
+            ` : ''}
+            ${groups.map(group => `
+                <div class="linked-children" data-state="${group.state}">
+                    <div class="linked-children-header">
+                        <strong>${this.formatState(group.state)}</strong>
+                        <span class="subworkflow-status status-${group.status}">${group.status.toUpperCase()}</span>
+                    </div>
+                    <ul class="linked-children-list">
+                        ${group.children.map(child => `
+                            <li class="linked-child child-${child.status}">
+                                <a href="#workflows/${child.id}">${this.formatWorkflowType(child.type)}</a>
+                                <span class="child-status">${child.finalState ? this.formatState(child.finalState) : child.status}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+        `;
+    }
+
     updateDetailsTab() {
         const contextEditor = document.getElementById('context-editor');
         const context = this.workflow.context || {};
@@ -518,22 +665,40 @@ export class WorkflowViewer extends Component {
             return;
         }
 
-        historyTimeline.innerHTML = history.map(entry => `
+        historyTimeline.innerHTML = history.map(entry => entry.type === 'vote' ? `
+            <div class="history-entry history-vote">
+                <div class="history-header">
+                    <div class="history-transition">
+                        Vote in ${this.formatState(entry.state)}:
+                        <strong>${entry.decision.toUpperCase()}</strong>
+                        ${entry.region ? `<span class="history-region">${this.formatState(entry.region)} branch</span>` : ''}
+                    </div>
+                    <div class="history-time">${this.formatDateTime(entry.timestamp)}</div>
+                </div>
+                <div class="history-details">
+                    <div class="history-user">👤 ${escapeHtml(entry.user.name)}${this.formatOnBehalfOf(entry.onBehalfOf)}</div>
+                    ${entry.comment ? `<div class="history-comment">${escapeHtml(entry.comment)}</div>` : ''}
+                </div>
+            </div>
+        ` : `
             <div class="history-entry">
                 <div class="history-header">
                     <div class="history-transition">
                         ${entry.fromState ? `${this.formatState(entry.fromState)} →` : 'Initial:'}
                         <strong>${this.formatState(entry.toState)}</strong>
+                        ${entry.region ? `<span class="history-region">${this.formatState(entry.region)} branch</span>` : ''}
+                        ${entry.context?.join ? `<span class="history-region">Joined ${this.formatState(entry.context.join)}</span>` : ''}
+                        ${entry.context?.vote ? `<span class="history-region">Vote ${entry.context.outcome}</span>` : ''}
                     </div>
                     <div class="history-time">${this.formatDateTime(entry.timestamp)}</div>
                 </div>
                 <div class="history-details">
-                    <div class="history-user">👤 ${entry.user.name}</div>
+                    <div class="history-user">👤 ${escapeHtml(entry.user.name)}${this.formatOnBehalfOf(entry.onBehalfOf)}</div>
                     ${entry.context && Object.keys(entry.context).length > 0 ? `
                         <div class="history-context">
                             <details>
                                 <summary>View Context</summary>
-                                <pre>${JSON.stringify(entry.context, null, 2)}</pre>
+                                <pre>${escapeHtml(JSON.stringify(entry.context, null, 2))}</pre>
                             </details>
                         </div>
                     ` : ''}
@@ -542,6 +707,37 @@ export class WorkflowViewer extends Component {
         `).join('');
     }
 
+    async updateDiagramTab() {
+        const container = document.getElementById('workflow-diagram');
+
+        try {
+            container.innerHTML = await this.workflowService.getWorkflowDiagram(this.workflowId, 'svg');
+        } catch (error) {
+            console.error('Error loading workflow diagram:', error);
+            container.innerHTML = `<div class="error-message">${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async downloadDiagram() {
+        try {
+            const format = document.getElementById('diagram-format').value;
+            const { data, mimeType, filename } = await this.workflowService.exportWorkflow(this.workflowId, format);
+
+            const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('Error downloading workflow diagram:', error);
+            this.showError('Failed to download the diagram. Please try again.');
+        }
+    }
+
     updateCommentsTab() {
         const commentsList = document.getElementById('comments-list');
 
@@ -596,6 +792,65 @@ export class WorkflowViewer extends Component {
         }
     }
 
+    /**
+     * Only admins may explain permissions for users other than themselves
+     */
+    updatePermissionsTab() {
+        const userInput = document.getElementById('explain-user');
+        userInput.value = userInput.value || this.user.id;
+        userInput.disabled = !this.workflowData.isAdmin;
+    }
+
+    async explainPermissions() {
+        const trace = document.getElementById('permission-trace');
+        trace.innerHTML = '<div class="loading">Checking permissions...</div>';
+
+        try {
+            const explanation = await this.workflowService.explainWorkflowPermissions(
+                this.workflowId,
+                document.getElementById('explain-user').value.trim() || this.user.id,
+                this.user,
+                this.organizationContext,
+                document.getElementById('explain-state').value.trim() || null
+            );
+
+            trace.innerHTML = explanation.transitions.length === 0
+                ? '<p class="no-actions">No transitions lead out of the current state</p>'
+                : explanation.transitions.map(transition => `
+                    <div class="permission-transition ${transition.allowed ? 'allowed' : 'denied'}">
+                        <div class="permission-header">
+                            <strong>${this.formatState(transition.targetState)}</strong>
+                            <span class="permission-result">${transition.allowed ? '✓ Allowed' : '✗ Denied'}</span>
+                        </div>
+                        <ul class="permission-checks">
+                            ${transition.checks.map(check => this.renderPermissionCheck(check)).join('')}
+                        </ul>
+                    </div>
+                `).join('');
+
+        } catch (error) {
+            trace.innerHTML = `<div class="error">${escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderPermissionCheck(check) {
+        const nested = check.checks || (check.sources || []).map(source => ({
+            check: `from ${source.source}${source.action ? ` (${source.action})` : ''}`,
+            passed: source.passed,
+            expected: source.guards.map(guard => guard.guard),
+            actual: source.guards.map(guard => guard.actual ?? (guard.passed ? 'passed' : 'failed'))
+        }));
+
+        return `
+            <li class="permission-check ${check.passed ? 'passed' : 'failed'}">
+                <span class="check-status">${check.passed ? '✓' : '✗'}</span>
+                <span class="check-name">${check.check}</span>
+                ${check.expected !== undefined ? `<span class="check-values">expected <code>${JSON.stringify(check.expected)}</code>, got <code>${JSON.stringify(check.actual)}</code></span>` : ''}
+                ${nested.length > 0 ? `<ul class="permission-checks">${nested.map(item => this.renderPermissionCheck(item)).join('')}</ul>` : ''}
+            </li>
+        `;
+    }
+
     showActionModal(action, target) {
         const modal = document.getElementById('action-modal');
         const title = document.getElementById('action-modal-title');
@@ -612,6 +867,26 @@ export class WorkflowViewer extends Component {
         this.currentAction = { action, target };
     }
 
+    showVoteModal(state, decision) {
+        const modal = document.getElementById('action-modal');
+        const title = document.getElementById('action-modal-title');
+        const formContainer = document.getElementById('action-form-container');
+
+        title.textContent = `${decision.charAt(0).toUpperCase() + decision.slice(1)}: ${this.formatState(state)}`;
+        formContainer.innerHTML = `
+            <div class="form-group">
+                <label for="action-comment">Comment (optional)</label>
+                <textarea id="action-comment" class="form-textarea" rows="3"
+                          placeholder="Explain your vote..."></textarea>
+            </div>
+        `;
+
+        modal.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+
+        this.currentAction = { vote: true, state, decision };
+    }
+
     generateActionForm(action, target) {
         // Basic form for most actions
         let formHTML = `
@@ -651,20 +926,41 @@ export class WorkflowViewer extends Component {
         modal.classList.add('hidden');
         document.body.style.overflow = '';
         this.currentAction = null;
+        this.pendingConflict = null;
+
+        const confirmAction = document.getElementById('confirm-action');
+        confirmAction.textContent = 'Execute';
+        confirmAction.disabled = false;
     }
 
     async executeAction() {
         if (!this.currentAction) return;
+        if (this.currentAction.vote) return this.submitVote();
 
         try {
             const formData = this.collectActionFormData();
 
+            // Retrying after a conflict runs the action against the latest revision, if it still applies
+            if (this.pendingConflict) {
+                this.pendingConflict = null;
+                await this.loadWorkflow();
+
+                const stillAvailable = (this.workflowData?.availableActions || [])
+                    .some(action => action.target === this.currentAction.target);
+                if (!stillAvailable) {
+                    this.showConflictNotice(`'${this.currentAction.action.replace(/_/g, ' ')}' is no longer available in the latest version of this workflow.`);
+                    document.getElementById('confirm-action').disabled = true;
+                    return;
+                }
+            }
+
             await this.workflowService.executeWorkflowAction(
                 this.workflowId,
                 this.currentAction.target,
                 this.user,
                 this.organizationContext,
-                formData
+                formData,
+                { expectedRevision: this.workflow.revision }
             );
 
             this.hideActionModal();
@@ -673,10 +969,89 @@ export class WorkflowViewer extends Component {
 
         } catch (error) {
             console.error('Error executing action:', error);
+            if (error.name === 'WorkflowConflictError') {
+                this.showConflict(error);
+                return;
+            }
             this.showError('Failed to execute action. Please try again.');
         }
     }
 
+    /**
+     * Someone else changed the workflow since it was loaded: show what changed and
+     * offer to retry the action (with the form as filled in) against the latest revision
+     */
+    showConflict(conflict) {
+        const changes = this.describeChanges(this.workflow, conflict.latest);
+
+        this.showConflictNotice(`
+            This workflow was changed by someone else while you were working on it
+            (revision ${conflict.expectedRevision} → ${conflict.actualRevision}):
+            <ul class="conflict-changes">
+                ${changes.map(change => `<li>${change}</li>`).join('')}
+            </ul>
+            Retry to run the action against the latest version.
+        `);
+
+        document.getElementById('confirm-action').textContent = 'Retry';
+        this.pendingConflict = conflict;
+    }
+
+    showConflictNotice(html) {
+        const formContainer = document.getElementById('action-form-container');
+        formContainer.querySelector('.conflict-notice')?.remove();
+        formContainer.insertAdjacentHTML('afterbegin', `<div class="alert alert-error conflict-notice">${html}</div>`);
+    }
+
+    /**
+     * List the differences between two serialized revisions of the workflow
+     */
+    describeChanges(seen, latest) {
+        const changes = [];
+
+        if (seen.currentState !== latest.currentState) {
+            changes.push(`State changed from ${this.formatState(seen.currentState)} to ${this.formatState(latest.currentState)}`);
+        }
+
+        (latest.history || []).slice((seen.history || []).length).forEach(entry => {
+            const who = entry.user?.name || entry.user?.username || 'someone';
+            changes.push(entry.type === 'vote'
+                ? `${who} voted to ${entry.decision} in ${this.formatState(entry.state)}`
+                : `${who} moved it to ${this.formatState(entry.toState)} (${this.formatDateTime(entry.timestamp)})`);
+        });
+
+        const keys = new Set([...Object.keys(seen.context || {}), ...Object.keys(latest.context || {})]);
+        keys.forEach(key => {
+            if (JSON.stringify(seen.context?.[key]) !== JSON.stringify(latest.context?.[key])) {
+                changes.push(`<code>${key}</code> changed`);
+            }
+        });
+
+        return changes.length > 0 ? changes : ['No visible changes'];
+    }
+
+    async submitVote() {
+        const { state, decision } = this.currentAction;
+
+        try {
+            await this.workflowService.castWorkflowVote(
+                this.workflowId,
+                state,
+                this.user,
+                this.organizationContext,
+                { decision, comment: document.getElementById('action-comment')?.value || '' }
+            );
+
+            this.hideActionModal();
+            await this.loadWorkflow();
+            this.showSuccess('Vote recorded!');
+
+        } catch (error) {
+            console.error('Error casting vote:', error);
+            this.showError('Failed to record vote. Please try again.');
+        }
+    }
+
     collectActionFormData() {
         const formData = {};
 
@@ -749,6 +1124,35 @@ export class WorkflowViewer extends Component {
         return state.replace(/_/g, ' ').replace(/^./, str => str.toUpperCase());
     }
 
+    /**
+     * Current state, followed by the active sub-states while nested or parallel states run
+     */
+    formatActiveStates() {
+        const activeStates = (this.workflow.activeStates || [])
+            .filter(state => state !== this.workflow.currentState);
+
+        if (activeStates.length === 0) {
+            return this.formatState(this.workflow.currentState);
+        }
+
+        return `${this.formatState(this.workflow.currentState)} (${activeStates.map(state => this.formatState(state)).join(' · ')})`;
+    }
+
+    formatOnBehalfOf(onBehalfOf) {
+        return onBehalfOf ? ` <span class="history-on-behalf">on behalf of ${escapeHtml(onBehalfOf.username || onBehalfOf.id)}</span>` : '';
+    }
+
+    formatVotingRule(ballot) {
+        switch (ballot.rule) {
+            case 'any': return 'Any one approver';
+            case 'majority': return 'Majority';
+            case 'n_of_m': return `${ballot.count} of ${ballot.voters.length}`;
+            case 'unanimous': return 'Unanimous';
+            case 'sequential': return 'In order';
+            default: return ballot.rule;
+        }
+    }
+
     getStateClass(state) {
         if (['completed', 'paid'].includes(state)) return 'state-completed';
         if (['rejected', 'cancelled'].includes(state)) return 'state-rejected';
@@ -55,6 +55,14 @@ export class AuthManager {
         return this.isAuthenticated;
     }
 
+    /**
+     * Headers that authenticate API requests: the session token the backend issued
+     * at sign-in (POST /api/sessions), kept with the user
+     */
+    getAuthHeaders() {
+        return this.currentUser?.token ? { Authorization: `Bearer ${this.currentUser.token}` } : {};
+    }
+
     updateUser(userData) {
         if (this.isAuthenticated) {
             this.currentUser = { ...this.currentUser, ...userData };
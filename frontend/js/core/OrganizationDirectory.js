@@ -0,0 +1,684 @@
+import {
+    OrganizationDepartment,
+    OrganizationTeam,
+    OrganizationGroup,
+    OrganizationGroupDesignation,
+    WorkflowActors
+} from './workflow/OrganizationalModels.js';
+import { ActorMapping } from './workflow/ActorMapping.js';
+import { RBACPermissionResolver } from './workflow/RBACPermissionResolver.js';
+
+/**
+ * localStorage-backed storage for the organization directory
+ */
+export class LocalStorageDirectoryStorage {
+    constructor(storage = localStorage, prefix = 'directory') {
+        this.storage = storage;
+        this.prefix = prefix;
+    }
+
+    read(collection) {
+        const saved = this.storage.getItem(`${this.prefix}:${collection}`);
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    write(collection, records) {
+        this.storage.setItem(`${this.prefix}:${collection}`, JSON.stringify(records));
+    }
+
+    list(collection) {
+        return this.read(collection);
+    }
+
+    get(collection, id) {
+        return this.read(collection).find(record => record.id === id) || null;
+    }
+
+    put(collection, record) {
+        const records = this.read(collection).filter(existing => existing.id !== record.id);
+        records.push(record);
+        this.write(collection, records);
+        return record;
+    }
+
+    remove(collection, id) {
+        const records = this.read(collection);
+        const remaining = records.filter(record => record.id !== id);
+        this.write(collection, remaining);
+        return remaining.length !== records.length;
+    }
+}
+
+/**
+ * In-memory storage for the organization directory, for mock organizations
+ */
+export class MemoryDirectoryStorage {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    list(collection) {
+        return [...(this.collections.get(collection) || new Map()).values()];
+    }
+
+    get(collection, id) {
+        return this.collections.get(collection)?.get(id) || null;
+    }
+
+    put(collection, record) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        this.collections.get(collection).set(record.id, record);
+        return record;
+    }
+
+    remove(collection, id) {
+        return this.collections.get(collection)?.delete(id) || false;
+    }
+}
+
+/**
+ * Organization Directory
+ * Departments, teams, groups, designations and user positions for an
+ * organization, plus the lookups the RBAC layer and WorkflowEngine rely on.
+ * Storage is pluggable so the same directory runs in the browser and on the server.
+ */
+export class OrganizationDirectory {
+    constructor(options = {}) {
+        this.storage = options.storage || new LocalStorageDirectoryStorage();
+        this.rbacResolver = options.rbacResolver || new RBACPermissionResolver(this);
+    }
+
+    generateId(prefix) {
+        return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    async list(collection, organizationId) {
+        const records = await this.storage.list(collection);
+        return organizationId ? records.filter(record => record.organizationId === organizationId) : records;
+    }
+
+    async require(collection, id, label) {
+        const record = await this.storage.get(collection, id);
+        if (!record) {
+            throw new Error(`${label} not found`);
+        }
+        return record;
+    }
+
+    requireFields(data, fields) {
+        for (const field of fields) {
+            if (data[field] === undefined || data[field] === null || data[field] === '') {
+                throw new Error(`${field} is required`);
+            }
+        }
+    }
+
+    /**
+     * Users
+     */
+    async getUsers() {
+        return await this.storage.list('users');
+    }
+
+    async getUser(userId) {
+        return await this.storage.get('users', userId);
+    }
+
+    // Users hold actors through their positions only, so a profile never carries its own
+    async saveUser({ actors, ...userData }) {
+        this.requireFields(userData, ['id']);
+        const { actors: storedActors, ...existing } = await this.storage.get('users', userData.id) || {};
+        return await this.storage.put('users', { ...existing, ...userData });
+    }
+
+    /**
+     * Departments
+     */
+    async getDepartments(organizationId) {
+        return await this.list('departments', organizationId);
+    }
+
+    async createDepartment(organizationId, data) {
+        this.requireFields({ organizationId, ...data }, ['organizationId', 'name']);
+
+        if (data.parentDepartmentId) {
+            await this.require('departments', data.parentDepartmentId, 'Parent department');
+        }
+
+        const department = {
+            id: data.id || this.generateId('dept'),
+            organizationId,
+            name: data.name,
+            code: data.code,
+            description: data.description,
+            parentDepartmentId: data.parentDepartmentId || null,
+            headUserId: data.headUserId || null,
+            budget: data.budget || 0,
+            costCenter: data.costCenter,
+            isActive: data.isActive !== false,
+            metadata: data.metadata || {}
+        };
+
+        await this.storage.put('departments', department);
+        await this.createGroup(organizationId, { type: 'department', departmentId: department.id });
+        return department;
+    }
+
+    async updateDepartment(departmentId, updates) {
+        const department = await this.require('departments', departmentId, 'Department');
+        if (updates.parentDepartmentId === departmentId) {
+            throw new Error('Department cannot be its own parent');
+        }
+        return await this.storage.put('departments', { ...department, ...updates, id: departmentId });
+    }
+
+    async deleteDepartment(departmentId) {
+        await this.require('departments', departmentId, 'Department');
+
+        const teams = await this.storage.list('teams');
+        if (teams.some(team => team.departmentId === departmentId)) {
+            throw new Error('Cannot delete a department that still has teams');
+        }
+        const departments = await this.storage.list('departments');
+        if (departments.some(department => department.parentDepartmentId === departmentId)) {
+            throw new Error('Cannot delete a department that still has sub-departments');
+        }
+
+        const groups = (await this.storage.list('groups')).filter(group => group.departmentId === departmentId);
+        for (const group of groups) {
+            await this.deleteGroup(group.id);
+        }
+        return await this.storage.remove('departments', departmentId);
+    }
+
+    /**
+     * Teams
+     */
+    async getTeams(organizationId) {
+        return await this.list('teams', organizationId);
+    }
+
+    async createTeam(organizationId, data) {
+        this.requireFields({ organizationId, ...data }, ['organizationId', 'name', 'departmentId']);
+        await this.require('departments', data.departmentId, 'Department');
+
+        const team = {
+            id: data.id || this.generateId('team'),
+            organizationId,
+            departmentId: data.departmentId,
+            name: data.name,
+            code: data.code,
+            description: data.description,
+            leadUserId: data.leadUserId || null,
+            maxSize: data.maxSize || null,
+            isActive: data.isActive !== false,
+            metadata: data.metadata || {}
+        };
+
+        await this.storage.put('teams', team);
+        await this.createGroup(organizationId, { type: 'team', teamId: team.id });
+        return team;
+    }
+
+    async updateTeam(teamId, updates) {
+        const team = await this.require('teams', teamId, 'Team');
+        if (updates.departmentId) {
+            await this.require('departments', updates.departmentId, 'Department');
+        }
+        return await this.storage.put('teams', { ...team, ...updates, id: teamId });
+    }
+
+    async deleteTeam(teamId) {
+        await this.require('teams', teamId, 'Team');
+
+        const groups = (await this.storage.list('groups')).filter(group => group.teamId === teamId);
+        for (const group of groups) {
+            await this.deleteGroup(group.id);
+        }
+        return await this.storage.remove('teams', teamId);
+    }
+
+    /**
+     * Groups (a department or a team that positions and designations attach to)
+     */
+    async getGroups(organizationId) {
+        return await this.list('groups', organizationId);
+    }
+
+    async createGroup(organizationId, data) {
+        if (!['department', 'team'].includes(data.type)) {
+            throw new Error("Group type must be 'department' or 'team'");
+        }
+        if (data.type === 'department') {
+            await this.require('departments', data.departmentId, 'Department');
+        } else {
+            await this.require('teams', data.teamId, 'Team');
+        }
+
+        const group = {
+            id: data.id || this.generateId('group'),
+            organizationId,
+            type: data.type,
+            departmentId: data.type === 'department' ? data.departmentId : null,
+            teamId: data.type === 'team' ? data.teamId : null
+        };
+
+        return await this.storage.put('groups', group);
+    }
+
+    async getGroupFor({ departmentId, teamId }) {
+        const groups = await this.storage.list('groups');
+        return groups.find(group =>
+            (departmentId && group.departmentId === departmentId) || (teamId && group.teamId === teamId)
+        ) || null;
+    }
+
+    async deleteGroup(groupId) {
+        await this.require('groups', groupId, 'Group');
+
+        const positions = await this.storage.list('positions');
+        if (positions.some(position => position.groupId === groupId && position.isActive)) {
+            throw new Error('Cannot delete a group with active positions');
+        }
+        return await this.storage.remove('groups', groupId);
+    }
+
+    /**
+     * Designations
+     */
+    async getDesignations(organizationId) {
+        return await this.list('designations', organizationId);
+    }
+
+    async createDesignation(organizationId, data) {
+        this.requireFields({ organizationId, ...data }, ['organizationId', 'name']);
+        if (data.groupId) {
+            await this.require('groups', data.groupId, 'Group');
+        }
+
+        const designation = {
+            id: data.id || this.generateId('desig'),
+            organizationId,
+            groupId: data.groupId || null,
+            name: data.name,
+            code: data.code,
+            description: data.description,
+            level: data.level || 0,
+            permissions: data.permissions || [],
+            isActive: data.isActive !== false,
+            metadata: data.metadata || {}
+        };
+
+        return await this.storage.put('designations', designation);
+    }
+
+    async updateDesignation(designationId, updates) {
+        const designation = await this.require('designations', designationId, 'Designation');
+        return await this.storage.put('designations', { ...designation, ...updates, id: designationId });
+    }
+
+    async deleteDesignation(designationId) {
+        await this.require('designations', designationId, 'Designation');
+
+        const positions = await this.storage.list('positions');
+        if (positions.some(position => position.designationId === designationId && position.isActive)) {
+            throw new Error('Cannot delete a designation held by active positions');
+        }
+        return await this.storage.remove('designations', designationId);
+    }
+
+    /**
+     * User positions
+     */
+    async getPositions(organizationId) {
+        return await this.list('positions', organizationId);
+    }
+
+    async assignPosition(organizationId, data) {
+        this.requireFields({ organizationId, ...data }, ['organizationId', 'userId', 'designationId', 'groupId']);
+        await this.require('designations', data.designationId, 'Designation');
+        await this.require('groups', data.groupId, 'Group');
+
+        const position = {
+            id: data.id || this.generateId('pos'),
+            organizationId,
+            userId: data.userId,
+            designationId: data.designationId,
+            groupId: data.groupId,
+            workerSeatId: data.workerSeatId || null,
+            isActive: data.isActive !== false,
+            startDate: data.startDate || new Date().toISOString(),
+            endDate: data.endDate || null,
+            metadata: data.metadata || {}
+        };
+
+        return await this.storage.put('positions', position);
+    }
+
+    async updatePosition(positionId, updates) {
+        const position = await this.require('positions', positionId, 'Position');
+        if (updates.designationId) {
+            await this.require('designations', updates.designationId, 'Designation');
+        }
+        if (updates.groupId) {
+            await this.require('groups', updates.groupId, 'Group');
+        }
+        return await this.storage.put('positions', { ...position, ...updates, id: positionId });
+    }
+
+    async endPosition(positionId, endDate = new Date()) {
+        return await this.updatePosition(positionId, {
+            isActive: false,
+            endDate: new Date(endDate).toISOString()
+        });
+    }
+
+    async deletePosition(positionId) {
+        await this.require('positions', positionId, 'Position');
+        return await this.storage.remove('positions', positionId);
+    }
+
+    /**
+     * Delegations: a user (delegator) hands some or all of their workflow actor roles to
+     * another user (delegate) for a date range, e.g. while out of office. An empty actors
+     * or workflowTypes list means all; maxAmount caps the workflow amount covered.
+     */
+    async getDelegations(organizationId, filters = {}) {
+        return (await this.list('delegations', organizationId)).filter(delegation =>
+            (!filters.delegatorId || delegation.delegatorId === filters.delegatorId) &&
+            (!filters.delegateId || delegation.delegateId === filters.delegateId) &&
+            (!filters.activeAt || this.isCurrentDelegation(delegation, new Date(filters.activeAt)))
+        );
+    }
+
+    async createDelegation(organizationId, data) {
+        this.requireFields({ organizationId, ...data }, ['organizationId', 'delegatorId', 'delegateId', 'startDate', 'endDate']);
+
+        const delegation = {
+            id: data.id || this.generateId('dlg'),
+            organizationId,
+            delegatorId: data.delegatorId,
+            delegateId: data.delegateId,
+            actors: data.actors || [],
+            workflowTypes: data.workflowTypes || [],
+            maxAmount: data.maxAmount ?? null,
+            startDate: this.toDateString(data.startDate),
+            endDate: this.toDateString(data.endDate),
+            reason: data.reason || '',
+            isActive: data.isActive !== false,
+            createdAt: new Date().toISOString()
+        };
+        this.validateDelegation(delegation);
+        await this.requireDelegatorPosition(delegation);
+
+        return await this.storage.put('delegations', delegation);
+    }
+
+    async updateDelegation(delegationId, updates) {
+        const delegation = await this.require('delegations', delegationId, 'Delegation');
+        const updated = { ...delegation, ...updates, id: delegationId };
+        ['startDate', 'endDate'].forEach(field => {
+            if (updates[field]) updated[field] = this.toDateString(updates[field]);
+        });
+        this.validateDelegation(updated);
+        if (updated.delegatorId !== delegation.delegatorId) {
+            await this.requireDelegatorPosition(updated);
+        }
+
+        return await this.storage.put('delegations', updated);
+    }
+
+    async revokeDelegation(delegationId) {
+        return await this.updateDelegation(delegationId, {
+            isActive: false,
+            revokedAt: new Date().toISOString()
+        });
+    }
+
+    async deleteDelegation(delegationId) {
+        await this.require('delegations', delegationId, 'Delegation');
+        return await this.storage.remove('delegations', delegationId);
+    }
+
+    validateDelegation(delegation) {
+        if (delegation.delegatorId === delegation.delegateId) {
+            throw new Error('Invalid delegation: users cannot delegate to themselves');
+        }
+        if (isNaN(new Date(delegation.startDate)) || isNaN(new Date(delegation.endDate))) {
+            throw new Error('Invalid delegation: startDate and endDate must be dates');
+        }
+        if (new Date(delegation.endDate) < new Date(delegation.startDate)) {
+            throw new Error('Invalid delegation: endDate is before startDate');
+        }
+        if (!Array.isArray(delegation.actors) || !Array.isArray(delegation.workflowTypes)) {
+            throw new Error('Invalid delegation: actors and workflowTypes must be lists');
+        }
+        if (delegation.maxAmount !== null && (typeof delegation.maxAmount !== 'number' || delegation.maxAmount < 0)) {
+            throw new Error('Invalid delegation: maxAmount must be a non-negative number');
+        }
+    }
+
+    // Only someone holding a position in the organization has authority to hand over
+    async requireDelegatorPosition(delegation) {
+        const positions = await this.getUserPositions(delegation.delegatorId, delegation.organizationId);
+        if (positions.length === 0) {
+            throw new Error(`Invalid delegation: ${delegation.delegatorId} holds no current position in the organization`);
+        }
+    }
+
+    toDateString(value) {
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toISOString();
+    }
+
+    isCurrentDelegation(delegation, now = new Date()) {
+        return delegation.isActive &&
+            new Date(delegation.startDate) <= now &&
+            new Date(delegation.endDate) >= now;
+    }
+
+    /**
+     * Actor mapping: the workflow actors an organization's designations, departments and
+     * teams grant (see ActorMapping). One record per organization, keyed by its id.
+     */
+    async getActorMapping(organizationId) {
+        const mapping = await this.storage.get('actor_mappings', organizationId);
+        return mapping || { id: organizationId, organizationId, ...new ActorMapping().toJSON() };
+    }
+
+    async saveActorMapping(organizationId, data) {
+        this.requireFields({ organizationId }, ['organizationId']);
+
+        const mapping = {
+            id: organizationId,
+            organizationId,
+            ...new ActorMapping(data).toJSON(),
+            updatedAt: new Date().toISOString()
+        };
+        this.validateActorMapping(mapping);
+
+        const saved = await this.storage.put('actor_mappings', mapping);
+        this.rbacResolver.clearCache();
+        return saved;
+    }
+
+    validateActorMapping(mapping) {
+        const actors = Object.values(WorkflowActors);
+
+        for (const section of ['designations', 'departments', 'teams']) {
+            if (typeof mapping[section] !== 'object' || Array.isArray(mapping[section])) {
+                throw new Error(`Invalid actor mapping: ${section} must map ids or names to actor lists`);
+            }
+
+            for (const [key, mapped] of Object.entries(mapping[section])) {
+                if (!Array.isArray(mapped)) {
+                    throw new Error(`Invalid actor mapping: ${section} entry '${key}' must be a list of actors`);
+                }
+                const unknown = mapped.find(actor => !actors.includes(actor));
+                if (unknown) {
+                    throw new Error(`Invalid actor mapping: unknown actor '${unknown}' for ${section} entry '${key}'`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve a stored group into an OrganizationGroup with its department/team models
+     */
+    async hydrateGroup(groupId) {
+        const group = groupId ? await this.storage.get('groups', groupId) : null;
+        if (!group) return null;
+
+        const toDepartment = async (departmentId) => {
+            const record = departmentId ? await this.storage.get('departments', departmentId) : null;
+            if (!record) return null;
+            return new OrganizationDepartment({
+                ...record,
+                parentDepartment: await toDepartment(record.parentDepartmentId),
+                head: record.headUserId
+            });
+        };
+
+        let team = null;
+        if (group.teamId) {
+            const record = await this.storage.get('teams', group.teamId);
+            if (record) {
+                team = new OrganizationTeam({
+                    ...record,
+                    department: await toDepartment(record.departmentId),
+                    lead: record.leadUserId
+                });
+            }
+        }
+
+        return new OrganizationGroup({
+            id: group.id,
+            type: group.type,
+            department: group.type === 'department' ? await toDepartment(group.departmentId) : team?.department,
+            team
+        });
+    }
+
+    /**
+     * Resolve a stored position into the shape OrganizationPosition and the RBAC resolver expect
+     */
+    async hydratePosition(position) {
+        const designation = await this.storage.get('designations', position.designationId);
+        const group = await this.hydrateGroup(position.groupId);
+
+        return {
+            ...position,
+            designation: designation ? new OrganizationGroupDesignation({ ...designation, group }) : null,
+            group
+        };
+    }
+
+    /**
+     * Get a user's currently active positions in an organization
+     */
+    async getUserPositions(userId, organizationId) {
+        const positions = (await this.storage.list('positions')).filter(position =>
+            position.userId === userId &&
+            position.organizationId === organizationId &&
+            this.isCurrentPosition(position)
+        );
+
+        const hydrated = await Promise.all(positions.map(position => this.hydratePosition(position)));
+        return hydrated.filter(position => position.designation);
+    }
+
+    isCurrentPosition(position, now = new Date()) {
+        return position.isActive &&
+            new Date(position.startDate) <= now &&
+            (!position.endDate || new Date(position.endDate) >= now);
+    }
+
+    /**
+     * Get the group ids to search when walking up from a group:
+     * the group itself, then its department's group, then each parent department's group
+     */
+    async getGroupChain(groupId) {
+        const chain = [];
+        let group = groupId ? await this.storage.get('groups', groupId) : null;
+        let departmentId = null;
+
+        if (group) {
+            chain.push(group.id);
+            if (group.teamId) {
+                const team = await this.storage.get('teams', group.teamId);
+                departmentId = team?.departmentId;
+            } else {
+                const department = await this.storage.get('departments', group.departmentId);
+                departmentId = department?.parentDepartmentId;
+            }
+        }
+
+        const visited = new Set();
+        while (departmentId && !visited.has(departmentId)) {
+            visited.add(departmentId);
+            group = await this.getGroupFor({ departmentId });
+            if (group) chain.push(group.id);
+            const department = await this.storage.get('departments', departmentId);
+            departmentId = department?.parentDepartmentId;
+        }
+
+        return chain;
+    }
+
+    /**
+     * Get a user's nearest superiors: holders of the lowest designation level above
+     * the user's own, searching the user's group first and then up the department tree
+     */
+    async getSuperiors(userId, organizationId) {
+        const positions = await this.getUserPositions(userId, organizationId);
+        const designations = await this.storage.list('designations');
+        const levelOf = position => designations.find(d => d.id === position.designationId)?.level || 0;
+        const current = (await this.list('positions', organizationId))
+            .filter(position => position.userId !== userId && this.isCurrentPosition(position));
+        const superiorIds = new Set();
+
+        for (const position of positions) {
+            const level = position.designation.level || 0;
+
+            for (const groupId of await this.getGroupChain(position.groupId)) {
+                const above = current.filter(other => other.groupId === groupId && levelOf(other) > level);
+                if (above.length === 0) continue;
+
+                const nearestLevel = Math.min(...above.map(levelOf));
+                above.filter(other => levelOf(other) === nearestLevel)
+                    .forEach(other => superiorIds.add(other.userId));
+                break;
+            }
+        }
+
+        const superiors = [];
+        for (const superiorId of superiorIds) {
+            superiors.push(await this.storage.get('users', superiorId) || { id: superiorId });
+        }
+        return superiors;
+    }
+
+    /**
+     * Get users whose positions map to the given workflow actor
+     */
+    async getUsersByActor(actor, organizationId, workflowContext = {}) {
+        const positions = await this.list('positions', organizationId);
+        const userIds = [...new Set(positions.map(position => position.userId))];
+        const actorMapping = await this.getActorMapping(organizationId);
+        const users = [];
+
+        for (const userId of userIds) {
+            const userPositions = await this.getUserPositions(userId, organizationId);
+            const actors = this.rbacResolver.mapPositionsToWorkflowActors(userPositions, workflowContext, actorMapping);
+
+            if (actors.includes(actor)) {
+                const user = await this.storage.get('users', userId);
+                users.push(user || { id: userId });
+            }
+        }
+
+        return users;
+    }
+}
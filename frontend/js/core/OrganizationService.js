@@ -1,8 +1,11 @@
+import { OrganizationDirectory } from './OrganizationDirectory.js';
+
 export class OrganizationService {
     constructor() {
         this.organizations = [];
         this.currentOrganization = null;
         this.listeners = [];
+        this.directory = new OrganizationDirectory();
 
         // Load existing data from localStorage
         this.loadFromStorage();
@@ -219,6 +222,51 @@ export class OrganizationService {
         });
     }
 
+    // Organizational directory lookups used by the workflow engine and RBAC resolver
+    async getBranches(organizationId) {
+        return this.getOrganizationById(organizationId)?.branches || [];
+    }
+
+    async getDepartments(organizationId) {
+        return this.directory.getDepartments(organizationId);
+    }
+
+    async getTeams(organizationId) {
+        return this.directory.getTeams(organizationId);
+    }
+
+    async getUserPositions(userId, organizationId) {
+        return this.directory.getUserPositions(userId, organizationId);
+    }
+
+    async getUsersByActor(actor, organizationId, workflowContext = {}) {
+        return this.directory.getUsersByActor(actor, organizationId, workflowContext);
+    }
+
+    async getSuperiors(userId, organizationId) {
+        return this.directory.getSuperiors(userId, organizationId);
+    }
+
+    async getDelegations(organizationId, filters = {}) {
+        return this.directory.getDelegations(organizationId, filters);
+    }
+
+    async getUser(userId) {
+        return this.directory.getUser(userId);
+    }
+
+    async getDesignations(organizationId) {
+        return this.directory.getDesignations(organizationId);
+    }
+
+    async getActorMapping(organizationId) {
+        return this.directory.getActorMapping(organizationId);
+    }
+
+    async saveActorMapping(organizationId, mapping) {
+        return this.directory.saveActorMapping(organizationId, mapping);
+    }
+
     // Event listener system
     addListener(callback) {
         this.listeners.push(callback);
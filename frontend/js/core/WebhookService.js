@@ -0,0 +1,83 @@
+export const WEBHOOK_EVENTS = ['workflowCreated', 'workflowStateChanged', 'workflowContextUpdated', 'workflowReset'];
+
+/**
+ * Client for an organization's webhook subscriptions and deliveries
+ * (the /api/organizations/:orgId/webhooks endpoints, see backend/webhooks.js)
+ */
+export class WebhookService {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '/api').replace(/\/$/, '');
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+    }
+
+    /**
+     * Perform a JSON request and return the parsed response body
+     */
+    async request(method, path, body) {
+        const response = await this.fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(typeof this.headers === 'function' ? this.headers() : this.headers)
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+
+        if (!response.ok) {
+            const error = new Error(data?.error || `Webhook request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
+    getSubscriptions(organizationId) {
+        return this.request('GET', `/organizations/${encodeURIComponent(organizationId)}/webhooks`);
+    }
+
+    /**
+     * Subscribe a URL ({ url, events, workflowTypes, description }); the response
+     * carries the signing secret, which is not shown again
+     */
+    createSubscription(organizationId, subscription) {
+        return this.request('POST', `/organizations/${encodeURIComponent(organizationId)}/webhooks`, subscription);
+    }
+
+    updateSubscription(organizationId, subscriptionId, changes) {
+        return this.request('PUT', `/organizations/${encodeURIComponent(organizationId)}/webhooks/${encodeURIComponent(subscriptionId)}`, changes);
+    }
+
+    async deleteSubscription(organizationId, subscriptionId) {
+        const result = await this.request('DELETE', `/organizations/${encodeURIComponent(organizationId)}/webhooks/${encodeURIComponent(subscriptionId)}`);
+        return result.deleted;
+    }
+
+    ping(organizationId, subscriptionId) {
+        return this.request('POST', `/organizations/${encodeURIComponent(organizationId)}/webhooks/${encodeURIComponent(subscriptionId)}/ping`);
+    }
+
+    /**
+     * Deliveries, newest first; filters: subscriptionId, status (dead_letter for the dead-letter log), event, limit
+     */
+    getDeliveries(organizationId, filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .forEach(([key, value]) => params.set(key, value));
+        const query = params.toString() ? `?${params}` : '';
+        return this.request('GET', `/organizations/${encodeURIComponent(organizationId)}/webhook-deliveries${query}`);
+    }
+
+    getDelivery(organizationId, deliveryId) {
+        return this.request('GET', `/organizations/${encodeURIComponent(organizationId)}/webhook-deliveries/${encodeURIComponent(deliveryId)}`);
+    }
+
+    redeliver(organizationId, deliveryId) {
+        return this.request('POST', `/organizations/${encodeURIComponent(organizationId)}/webhook-deliveries/${encodeURIComponent(deliveryId)}/redeliver`);
+    }
+}
@@ -1,7 +1,7 @@
 import { WorkflowEngine } from './workflow/WorkflowEngine.js';
 import { NotificationService } from './workflow/NotificationService.js';
 import { AuditService } from './workflow/AuditService.js';
-import { OrganizationalContextManager } from './workflow/OrganizationalModels.js';
+import { DIAGRAM_MIME_TYPES } from './workflow/WorkflowDiagram.js';
 
 // Import workflow types
 import { HireWorkflow } from './workflow/types/HireWorkflow.js';
@@ -157,25 +157,26 @@ export class WorkflowService {
                 throw new Error(`Workflow ${workflowId} not found`);
             }
 
-            // Get organizational context
-            const orgContextManager = new OrganizationalContextManager(this.organizationService);
-            const orgContext = await orgContextManager.getOrganizationalContext(
-                user.id,
-                organizationContext.organizationId
+            // Get organizational context, including delegations covering this workflow
+            const orgContext = await this.workflowEngine.getActingContext(
+                user,
+                organizationContext.organizationId,
+                workflow
             );
 
             // Get available actions for user
             const availableActions = workflow.getAvailableActionsForUser(user, orgContext);
 
             // Check if user can edit
-            const currentState = workflow.getCurrentState();
-            const canEdit = currentState?.node.hasPermission(user, orgContext, workflow.context) || false;
+            const canEdit = Boolean(workflow.currentState) && workflow.hasPermissionInActiveState(user, orgContext);
 
             return {
                 workflow: workflow.serialize(),
                 availableActions,
+                pendingVotes: workflow.getPendingVotesForUser(user, orgContext),
                 canEdit,
                 isOwner: workflow.createdBy === user.id,
+                isAdmin: this.isOrganizationAdmin(user, organizationContext.organizationId),
                 organizationContext: orgContext
             };
 
@@ -201,9 +202,11 @@ export class WorkflowService {
     }
 
     /**
-     * Execute workflow action/transition
+     * Execute workflow action/transition.
+     * Pass options.expectedRevision (the revision the user was looking at) to have the
+     * action rejected with a WorkflowConflictError if someone else changed the workflow.
      */
-    async executeWorkflowAction(workflowId, targetState, user, organizationContext, transitionContext = {}) {
+    async executeWorkflowAction(workflowId, targetState, user, organizationContext, transitionContext = {}, options = {}) {
         this.ensureInitialized();
 
         try {
@@ -212,25 +215,90 @@ export class WorkflowService {
                 targetState,
                 user,
                 organizationContext,
-                transitionContext
+                transitionContext,
+                options
             );
 
             return {
                 id: workflow.id,
                 currentState: workflow.currentState,
+                revision: workflow.revision,
                 updatedAt: workflow.updatedAt
             };
 
         } catch (error) {
             console.error('Error executing workflow action:', error);
+            if (error.name === 'WorkflowConflictError') throw error;
             throw new Error(`Failed to execute workflow action: ${error.message}`);
         }
     }
 
     /**
-     * Update workflow context
+     * Explain which transitions a user can make on a workflow and why not (all of them,
+     * or the one to targetState). Explaining another user's permissions is for admins.
+     */
+    async explainWorkflowPermissions(workflowId, userId, requester, organizationContext, targetState = null) {
+        this.ensureInitialized();
+
+        if (userId !== requester.id && !this.isOrganizationAdmin(requester, organizationContext.organizationId)) {
+            throw new Error('Only organization admins have permission to explain other users\' permissions');
+        }
+
+        try {
+            const user = userId === requester.id
+                ? requester
+                : (await this.organizationService.getUser?.(userId)) || { id: userId, username: userId };
+
+            return await this.workflowEngine.explainTransitions(workflowId, user, organizationContext, targetState);
+
+        } catch (error) {
+            console.error('Error explaining workflow permissions:', error);
+            throw new Error(`Failed to explain permissions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Organization owners administer their organization's workflows
      */
-    async updateWorkflowContext(workflowId, contextUpdates, user, organizationContext) {
+    isOrganizationAdmin(user, organizationId) {
+        const organization = this.organizationService.getOrganizationById?.(organizationId);
+        return Boolean(organization) && [user.id, user.username].includes(organization.owner_id);
+    }
+
+    /**
+     * Cast a vote (approve, reject or abstain) in a voting state
+     */
+    async castWorkflowVote(workflowId, stateName, user, organizationContext, vote) {
+        this.ensureInitialized();
+
+        try {
+            const result = await this.workflowEngine.castVote(
+                workflowId,
+                stateName,
+                user,
+                organizationContext,
+                vote
+            );
+            const workflow = this.workflowEngine.getWorkflow(workflowId);
+
+            return {
+                id: workflow.id,
+                currentState: workflow.currentState,
+                outcome: result.tally.outcome,
+                ballot: result.ballot,
+                updatedAt: workflow.updatedAt
+            };
+
+        } catch (error) {
+            console.error('Error casting workflow vote:', error);
+            throw new Error(`Failed to cast vote: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update workflow context (options.expectedRevision as for executeWorkflowAction)
+     */
+    async updateWorkflowContext(workflowId, contextUpdates, user, organizationContext, options = {}) {
         this.ensureInitialized();
 
         try {
@@ -238,17 +306,20 @@ export class WorkflowService {
                 workflowId,
                 contextUpdates,
                 user,
-                organizationContext
+                organizationContext,
+                options
             );
 
             return {
                 id: workflow.id,
                 context: workflow.context,
+                revision: workflow.revision,
                 updatedAt: workflow.updatedAt
             };
 
         } catch (error) {
             console.error('Error updating workflow context:', error);
+            if (error.name === 'WorkflowConflictError') throw error;
             throw new Error(`Failed to update workflow context: ${error.message}`);
         }
     }
@@ -431,6 +502,89 @@ export class WorkflowService {
         }
     }
 
+    /**
+     * Get the scheduled transitions coming up, soonest first
+     * ({ organizationId, workflowId, until } narrow the list)
+     */
+    async getUpcomingScheduledTransitions(options = {}) {
+        this.ensureInitialized();
+
+        try {
+            return this.workflowEngine.scheduler.getUpcomingTransitions(options);
+
+        } catch (error) {
+            console.error('Error getting scheduled transitions:', error);
+            throw new Error(`Failed to get scheduled transitions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a workflow's event stream, optionally only the events after a sequence number
+     */
+    async getWorkflowEvents(workflowId, after = 0) {
+        this.ensureInitialized();
+
+        try {
+            const workflow = this.workflowEngine.getWorkflow(workflowId);
+            if (!workflow) {
+                throw new Error(`Workflow ${workflowId} not found`);
+            }
+
+            return workflow.events.filter(event => event.sequence > after);
+
+        } catch (error) {
+            console.error('Error getting workflow events:', error);
+            throw new Error(`Failed to get workflow events: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rebuild a workflow as it was at an event number ({ sequence }) or a point in time
+     * ({ timestamp }), for disputes and audits
+     */
+    async replayWorkflow(workflowId, asOf) {
+        this.ensureInitialized();
+
+        try {
+            return this.workflowEngine.replayWorkflow(workflowId, asOf).serialize();
+
+        } catch (error) {
+            console.error('Error replaying workflow:', error);
+            throw new Error(`Failed to replay workflow: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a workflow's state diagram ('svg', 'dot' or 'mermaid') with its active states and
+     * the path taken so far highlighted
+     */
+    async getWorkflowDiagram(workflowId, format = 'svg') {
+        this.ensureInitialized();
+
+        try {
+            return this.workflowEngine.getWorkflowDiagram(workflowId, format);
+
+        } catch (error) {
+            console.error('Error drawing workflow diagram:', error);
+            throw new Error(`Failed to draw workflow diagram: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the state diagram of a registered workflow type
+     */
+    async getWorkflowTypeDiagram(type, format = 'svg') {
+        this.ensureInitialized();
+
+        try {
+            return this.workflowEngine.getWorkflowTypeDiagram(type, format);
+
+        } catch (error) {
+            console.error('Error drawing workflow type diagram:', error);
+            throw new Error(`Failed to draw workflow type diagram: ${error.message}`);
+        }
+    }
+
     /**
      * Generate compliance report
      */
@@ -540,6 +694,8 @@ export class WorkflowService {
                 workflowsByType: {},
                 workflowsByState: {},
                 completionRate: 0,
+                dueSoonWorkflows: 0,
+                overdueWorkflows: 0,
                 processingTimes: []
             };
 
@@ -562,13 +718,18 @@ export class WorkflowService {
                 }
                 metrics.workflowsByState[workflow.currentState]++;
 
+                // SLAs of the states the workflow is in
+                const sla = workflow.getSlaStatus();
+                if (sla?.status === 'due_soon') metrics.dueSoonWorkflows++;
+                if (sla?.status === 'overdue') metrics.overdueWorkflows++;
+
                 // Calculate processing time for completed workflows
                 if (['completed', 'paid'].includes(workflow.currentState) && workflow.history) {
                     const completedEntry = workflow.history.find(h =>
                         ['completed', 'paid'].includes(h.toState)
                     );
                     if (completedEntry) {
-                        const processingTime = new Date(completedEntry.timestamp) - new Date(workflow.createdAt);
+                        const processingTime = workflow.getDuration(workflow.createdAt, completedEntry.timestamp);
                         metrics.processingTimes.push(processingTime);
                     }
                 }
@@ -636,6 +797,15 @@ export class WorkflowService {
                         filename: `workflow_${workflowId}.csv`
                     };
 
+                case 'dot':
+                case 'mermaid':
+                case 'svg':
+                    return {
+                        data: this.workflowEngine.getWorkflowDiagram(workflowId, format.toLowerCase()),
+                        mimeType: DIAGRAM_MIME_TYPES[format.toLowerCase()],
+                        filename: `workflow_${workflowId}.${format.toLowerCase() === 'mermaid' ? 'mmd' : format.toLowerCase()}`
+                    };
+
                 default:
                     throw new Error(`Unsupported export format: ${format}`);
             }
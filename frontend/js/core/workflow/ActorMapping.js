@@ -0,0 +1,96 @@
+/**
+ * Keyword matching used for designations and departments an organization has not mapped
+ */
+export const DESIGNATION_ACTOR_KEYWORDS = {
+    Approver: ['manager', 'head', 'director', 'supervisor', 'lead', 'chief', 'executive'],
+    Analyzer: ['analyst', 'reviewer', 'evaluator', 'assessor', 'auditor'],
+    Developer: ['developer', 'engineer', 'programmer', 'coder', 'architect'],
+    Tester: ['tester', 'qa', 'quality', 'validation', 'verification'],
+    Designer: ['designer', 'architect', 'ux', 'ui', 'creative'],
+    Supporter: ['support', 'maintenance', 'operations', 'technician'],
+    Implementor: ['implementor', 'deployment', 'devops', 'infrastructure']
+};
+
+export const DEPARTMENT_ACTOR_KEYWORDS = {
+    HRSpecialist: ['hr', 'human'],
+    FinanceSpecialist: ['finance', 'accounting'],
+    ProcurementSpecialist: ['procurement', 'purchasing']
+};
+
+/**
+ * Per-organization mapping from positions to workflow actors.
+ * designations, departments and teams map a record id (or name) to the actors it
+ * grants; an explicit entry, even an empty list, replaces keyword matching for that
+ * record. Unmapped records grant no actors; an organization that turns keywordFallback
+ * on matches unmapped designations and departments by keyword on their name instead.
+ * Every user is a Requestor.
+ */
+export class ActorMapping {
+    constructor(config = {}) {
+        this.designations = config.designations || {};
+        this.departments = config.departments || {};
+        this.teams = config.teams || {};
+        this.keywordFallback = config.keywordFallback === true;
+    }
+
+    /**
+     * Get the workflow actors a set of positions grants
+     */
+    getActors(positions = []) {
+        const actors = new Set();
+
+        positions.forEach(position => {
+            const department = position.group?.department || position.department;
+            const team = position.group?.team || position.team;
+
+            [
+                ...this.lookup(this.designations, position.designation) ||
+                    this.matchKeywords(position.designation?.name, DESIGNATION_ACTOR_KEYWORDS),
+                ...this.lookup(this.departments, department) ||
+                    this.matchKeywords(department?.name, DEPARTMENT_ACTOR_KEYWORDS),
+                ...this.lookup(this.teams, team) || []
+            ].forEach(actor => actors.add(actor));
+        });
+
+        actors.add('Requestor');
+        return Array.from(actors);
+    }
+
+    lookup(entries, record) {
+        if (!record) return null;
+        return entries[record.id] || entries[record.name] || null;
+    }
+
+    matchKeywords(name, keywords) {
+        if (!this.keywordFallback || !name) return [];
+
+        const lowerName = name.toLowerCase();
+        return Object.entries(keywords)
+            .filter(([, words]) => words.some(word => lowerName.includes(word)))
+            .map(([actor]) => actor);
+    }
+
+    toJSON() {
+        return {
+            designations: this.designations,
+            departments: this.departments,
+            teams: this.teams,
+            keywordFallback: this.keywordFallback
+        };
+    }
+}
+
+/**
+ * Wrap a stored actor mapping configuration (or nothing, for an empty mapping)
+ */
+export function toActorMapping(config) {
+    return config instanceof ActorMapping ? config : new ActorMapping(config || {});
+}
+
+/**
+ * The actors granted to a user directly rather than through positions. Only a
+ * service account (an API key) is granted actors; on any other user they are ignored.
+ */
+export function getGrantedActors(user) {
+    return user?.serviceAccount ? user.actors || [] : [];
+}
@@ -42,7 +42,8 @@ export class AuditService {
             details: {
                 initialState: workflow.currentState,
                 context: this.sanitizeContext(workflow.context),
-                metadata: workflow.metadata
+                metadata: workflow.metadata,
+                parent: workflow.parent
             },
             userAgent: this.getUserAgent(),
             ipAddress: this.getIPAddress(),
@@ -72,6 +73,7 @@ export class AuditService {
             details: {
                 fromState: historyEntry?.fromState,
                 toState: historyEntry?.toState,
+                onBehalfOf: historyEntry?.onBehalfOf,
                 transitionContext: this.sanitizeContext(transitionData.transitionContext),
                 targetState: transitionData.targetState,
                 previousContext: this.sanitizeContext(workflow.context),
@@ -113,10 +115,159 @@ export class AuditService {
         await this.addAuditEntry(entry);
     }
 
+    /**
+     * Log a vote cast in a voting state
+     */
+    async logWorkflowVote(workflow, user, organizationContext, voteResult) {
+        if (!this.isEnabled) return;
+
+        const entry = {
+            id: this.generateAuditId(),
+            timestamp: new Date(),
+            action: 'WORKFLOW_VOTE_CAST',
+            workflowId: workflow.id,
+            workflowType: workflow.type,
+            userId: user.id,
+            username: user.username,
+            organizationId: organizationContext.organizationId,
+            details: {
+                state: voteResult.ballot.state,
+                rule: voteResult.ballot.rule,
+                decision: voteResult.vote.decision,
+                comment: voteResult.vote.comment,
+                onBehalfOf: voteResult.vote.castBy ? voteResult.vote.userId : undefined,
+                approvals: voteResult.tally.approvals,
+                rejections: voteResult.tally.rejections,
+                abstentions: voteResult.tally.abstentions,
+                outcome: voteResult.tally.outcome
+            },
+            userAgent: this.getUserAgent(),
+            ipAddress: this.getIPAddress(),
+            sessionId: this.getSessionId()
+        };
+
+        await this.addAuditEntry(entry);
+    }
+
+    /**
+     * Log a timeout escalation run by the workflow scheduler
+     */
+    async logWorkflowEscalation(workflow, escalation) {
+        if (!this.isEnabled) return;
+
+        const entry = {
+            id: this.generateAuditId(),
+            timestamp: new Date(),
+            action: 'WORKFLOW_ESCALATED',
+            workflowId: workflow.id,
+            workflowType: workflow.type,
+            userId: 'system',
+            username: 'system',
+            organizationId: workflow.organizationId,
+            details: {
+                ...escalation,
+                currentState: workflow.currentState
+            },
+            userAgent: this.getUserAgent(),
+            ipAddress: this.getIPAddress()
+        };
+
+        await this.addAuditEntry(entry);
+    }
+
+    /**
+     * Log a scheduled transition fired (or skipped after a missed run) by the workflow scheduler
+     */
+    async logScheduledTransition(workflow, run) {
+        if (!this.isEnabled) return;
+
+        const entry = {
+            id: this.generateAuditId(),
+            timestamp: new Date(),
+            action: 'WORKFLOW_SCHEDULED_TRANSITION',
+            workflowId: workflow.id,
+            workflowType: workflow.type,
+            userId: 'system',
+            username: 'system',
+            organizationId: workflow.organizationId,
+            details: {
+                ...run,
+                currentState: workflow.currentState
+            },
+            userAgent: this.getUserAgent(),
+            ipAddress: this.getIPAddress()
+        };
+
+        await this.addAuditEntry(entry);
+    }
+
+    /**
+     * Log a child workflow of a sub-workflow state being started, ending (completed or
+     * failed) or cancelled along with its parent. Logged against the parent workflow.
+     */
+    async logSubWorkflow(workflow, child, event, user = null) {
+        if (!this.isEnabled) return;
+
+        const entry = {
+            id: this.generateAuditId(),
+            timestamp: new Date(),
+            action: `WORKFLOW_SUBWORKFLOW_${event.toUpperCase()}`,
+            workflowId: workflow.id,
+            workflowType: workflow.type,
+            userId: user?.id || 'system',
+            username: user?.username || 'system',
+            organizationId: workflow.organizationId,
+            details: {
+                state: child.parent?.state,
+                childWorkflowId: child.id,
+                childWorkflowType: child.type,
+                childState: child.currentState,
+                currentState: workflow.currentState
+            },
+            userAgent: this.getUserAgent(),
+            ipAddress: this.getIPAddress()
+        };
+
+        await this.addAuditEntry(entry);
+    }
+
+    /**
+     * Log one step of undoing a workflow's earlier steps: an attempt to run a
+     * compensation, or a compensation resolved by hand
+     */
+    async logCompensationStep(workflow, step) {
+        if (!this.isEnabled) return;
+
+        const entry = {
+            id: this.generateAuditId(),
+            timestamp: new Date(),
+            action: step.outcome === 'resolved' ? 'WORKFLOW_COMPENSATION_RESOLVED' : 'WORKFLOW_COMPENSATION_STEP',
+            workflowId: workflow.id,
+            workflowType: workflow.type,
+            userId: step.user?.id || 'system',
+            username: step.user?.username || 'system',
+            organizationId: workflow.organizationId,
+            details: {
+                compensationId: step.compensationId,
+                compensation: step.name,
+                registeredInState: step.state,
+                outcome: step.outcome,
+                attempt: step.attempt,
+                error: step.error,
+                note: step.note,
+                currentState: workflow.currentState
+            },
+            userAgent: this.getUserAgent(),
+            ipAddress: this.getIPAddress()
+        };
+
+        await this.addAuditEntry(entry);
+    }
+
     /**
      * Log permission check
      */
-    async logPermissionCheck(workflowId, userId, permission, result, context = {}) {
+    async logPermissionCheck(workflowId, userId, permission, result, context = {}, checkType = 'RBAC_WORKFLOW') {
         if (!this.isEnabled) return;
 
         const entry = {
@@ -129,7 +280,7 @@ export class AuditService {
                 permission: permission,
                 result: result ? 'GRANTED' : 'DENIED',
                 context: this.sanitizeContext(context),
-                checkType: 'RBAC_WORKFLOW'
+                checkType
             },
             userAgent: this.getUserAgent(),
             ipAddress: this.getIPAddress(),
@@ -524,7 +675,7 @@ export class AuditService {
      */
     setupCleanupTimer() {
         // Run cleanup daily
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             this.cleanupOldEntries();
         }, 24 * 60 * 60 * 1000);
     }
@@ -640,6 +791,10 @@ export class AuditService {
             clearInterval(this.flushTimer);
         }
 
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+        }
+
         // Final flush
         this.flushAuditLog();
     }
@@ -1,4 +1,10 @@
-import { StateNode } from './StateNode.js';
+import { StateNode, VOTE_DECISIONS } from './StateNode.js';
+import { createWorkflowEvent, foldWorkflowEvents, cloneValue } from './WorkflowEvents.js';
+import { BusinessCalendar } from './BusinessCalendar.js';
+import { getExpressionFields } from './WorkflowExpression.js';
+
+// Used for business durations of workflows whose organization has no calendar
+const DEFAULT_CALENDAR = new BusinessCalendar();
 
 /**
  * Abstract base class for all workflows with integrated RBAC
@@ -11,17 +17,28 @@ export class BaseWorkflow {
 
         this.id = id;
         this.type = options.type || this.constructor.name;
-        this.currentState = null;
+        this.currentState = null; // top-level state; nested and parallel sub-states are in activeStates
+        this.activeStates = [];
+        this.ballots = {}; // votes collected by voting states, by state name
+        this.subWorkflows = {}; // child workflows started by sub-workflow states, by state name
+        this.parent = options.parent || null; // { workflowId, state } of the workflow that started this one
         this.states = new Map();
         this.context = options.context || {};
         this.history = [];
+        this.events = []; // append-only event stream, see WorkflowEvents.js
+        this.recordedContext = null; // context as of the last recorded event
+        this.compensations = []; // undo actions registered by entry actions, see registerCompensation
+        this.entering = null; // state whose entry actions are running, and the user entering it
         this.listeners = new Map();
         this.metadata = options.metadata || {};
         this.createdAt = new Date();
         this.updatedAt = new Date();
         this.createdBy = options.createdBy;
         this.organizationId = options.organizationId;
+        this.definitionVersion = options.definitionVersion || this.constructor.version || 1;
+        this.revision = 0; // counts saved changes, for optimistic concurrency (see WorkflowEngine.commitWorkflow)
         this.rbacResolver = options.rbacResolver;
+        this.calendarResolver = options.calendarResolver; // see BusinessCalendarResolver
         this.isLocked = false;
         this.lockOwner = null;
         this.lockAcquiredAt = null;
@@ -41,33 +58,61 @@ export class BaseWorkflow {
 
     /**
      * Set current state with permission validation
+     * Transitions may leave from any active state (a leaf or one of its compound/parallel
+     * ancestors). Entering a compound state also enters its initial sub-state; entering a
+     * parallel state enters the initial sub-state of every region.
+     * options.skipPermissionCheck is for system transitions (timeouts, escalations) only.
      */
-    async setState(stateName, user, organizationContext, transitionContext = {}) {
+    async setState(stateName, user, organizationContext, transitionContext = {}, options = {}) {
         if (!this.states.has(stateName)) {
             throw new Error(`State '${stateName}' not found`);
         }
 
         const newState = this.states.get(stateName);
         const oldState = this.currentState;
+        let source = options.source || null;
 
         // Validate transition if not initial state
-        if (oldState && !this.states.get(oldState).canTransitionTo(stateName, transitionContext)) {
-            throw new Error(`Invalid transition from '${oldState}' to '${stateName}'`);
+        if (oldState && !source) {
+            source = this.findTransitionSource(stateName, transitionContext, user, organizationContext);
+            if (!source) {
+                throw new Error(`Invalid transition from '${this.getActiveStates().join(', ')}' to '${stateName}'`);
+            }
         }
 
-        // Check permissions
-        if (!newState.hasPermission(user, organizationContext, this.context)) {
-            throw new Error(`User does not have permission to access state '${stateName}'`);
+        // Check permissions; a delegate acts on behalf of the delegator
+        let delegation = null;
+        if (!options.skipPermissionCheck && !newState.hasOwnPermission(user, organizationContext, this.context)) {
+            delegation = newState.getActingDelegation(organizationContext, this.context);
+            if (!delegation) {
+                throw new Error(`User does not have permission to access state '${stateName}'`);
+            }
         }
 
-        // Execute exit actions for old state
-        if (oldState) {
-            await this.states.get(oldState).executeOnExit(this.context, user, organizationContext);
+        // Acting in the source state must not break a separation-of-duties rule
+        if (!options.skipPermissionCheck && source) {
+            this.enforceSeparationOfDuties(source, user, delegation, { targetState: stateName });
+        }
+
+        const domain = source ? this.getTransitionDomain(source, stateName) : null;
+        const exited = source ? this.getExitSet(domain, source) : { leaves: [], states: [] };
+        const entered = this.getEntrySet(domain, stateName);
+        const fromState = source && this.states.get(source).type === 'atomic' ? source : oldState;
+
+        // Execute exit actions, innermost first
+        for (const exitedState of exited.states) {
+            await this.states.get(exitedState).executeOnExit(this.context, user, organizationContext);
         }
+        this.recordContextChanges(user, 'exit');
+
+        const activeStates = [
+            ...this.getActiveStates().filter(leaf => !exited.leaves.includes(leaf)),
+            ...entered.leaves
+        ];
 
         // Record history
-        this.history.push({
-            fromState: oldState,
+        const historyEntry = {
+            fromState,
             toState: stateName,
             timestamp: new Date(),
             user: {
@@ -76,29 +121,275 @@ export class BaseWorkflow {
                 name: user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.username
             },
             context: { ...transitionContext },
-            metadata: this.metadata
-        });
+            metadata: this.metadata,
+            activeStates
+        };
+        if (delegation) {
+            historyEntry.onBehalfOf = this.describeDelegator(delegation);
+        }
+        if (newState.parent) {
+            historyEntry.parentState = newState.parent;
+        }
+        if (this.getRegion(stateName)) {
+            historyEntry.region = this.getRegion(stateName);
+        }
+        this.history.push(historyEntry);
 
         // Update state
-        this.currentState = stateName;
+        this.currentState = this.getAncestors(stateName).pop() || stateName;
+        this.activeStates = activeStates;
         this.updatedAt = new Date();
 
-        // Execute entry actions for new state
-        await newState.executeOnEnter(this.context, user, organizationContext);
+        // Undecided votes and unfinished children end with the state; entered voting
+        // and sub-workflow states start a fresh ballot or set of children
+        exited.states.forEach(exitedState => {
+            this.closeBallot(exitedState, 'cancelled');
+            this.closeSubWorkflows(exitedState, 'cancelled');
+        });
+        entered.states
+            .filter(enteredState => this.states.get(enteredState).voting)
+            .forEach(enteredState => this.openBallot(enteredState));
+        entered.states
+            .filter(enteredState => this.states.get(enteredState).subWorkflows)
+            .forEach(enteredState => this.openSubWorkflows(enteredState));
+
+        this.recordEvent('transitioned', {
+            entry: historyEntry,
+            currentState: this.currentState,
+            activeStates,
+            ballots: Object.fromEntries([...exited.states, ...entered.states]
+                .filter(name => this.ballots[name])
+                .map(name => [name, this.ballots[name]])),
+            subWorkflows: Object.fromEntries([...exited.states, ...entered.states]
+                .filter(name => this.subWorkflows[name])
+                .map(name => [name, this.subWorkflows[name]]))
+        }, user);
+
+        // Execute entry actions, outermost first
+        try {
+            for (const enteredState of entered.states) {
+                this.entering = { state: enteredState, user };
+                await this.states.get(enteredState).executeOnEnter(this.context, user, organizationContext);
+            }
+        } finally {
+            this.entering = null;
+        }
+        this.recordContextChanges(user, 'enter');
 
         // Emit state change event
         this.emit('stateChanged', {
             workflow: this,
             fromState: oldState,
             toState: stateName,
+            activeStates,
             user,
             organizationContext,
             context: transitionContext
         });
 
+        await this.processJoins(user, organizationContext);
+
         return this;
     }
 
+    /**
+     * Move on from any parallel state whose regions have reached their join quorum
+     */
+    async processJoins(user, organizationContext) {
+        const parallelStates = this.getActiveConfiguration()
+            .filter(name => this.states.get(name).type === 'parallel' && this.states.get(name).join?.target)
+            .reverse();
+
+        for (const parallelState of parallelStates) {
+            const node = this.states.get(parallelState);
+            const regions = Object.keys(node.regions);
+            const completedRegions = regions.filter(region => this.isRegionComplete(parallelState, region));
+            const quorum = node.join.quorum || regions.length;
+
+            if (completedRegions.length >= quorum) {
+                await this.setState(node.join.target, user, organizationContext, {
+                    join: parallelState,
+                    completedRegions
+                }, { source: parallelState, skipPermissionCheck: true });
+                return;
+            }
+        }
+    }
+
+    /**
+     * A region is complete once its active top-level sub-state is a final state
+     */
+    isRegionComplete(parallelState, region) {
+        return this.getActiveStates().some(leaf => {
+            const chain = [leaf, ...this.getAncestors(leaf)];
+            const regionChild = chain.find(name =>
+                this.states.get(name).parent === parallelState && this.states.get(name).region === region
+            );
+            return regionChild === leaf && this.states.get(leaf).final;
+        });
+    }
+
+    /**
+     * Get active leaf states (more than one while parallel regions are running)
+     */
+    getActiveStates() {
+        if (this.activeStates.length > 0) return [...this.activeStates];
+        return this.currentState ? [this.currentState] : [];
+    }
+
+    /**
+     * Get active leaf states followed by their active ancestors, innermost first
+     */
+    getActiveConfiguration() {
+        const configuration = [];
+        for (const leaf of this.getActiveStates()) {
+            for (const name of [leaf, ...this.getAncestors(leaf)]) {
+                if (!configuration.includes(name)) configuration.push(name);
+            }
+        }
+        return configuration;
+    }
+
+    /**
+     * Check if a state (leaf or ancestor) is currently active
+     */
+    isStateActive(stateName) {
+        return this.getActiveConfiguration().includes(stateName);
+    }
+
+    /**
+     * Get a state's ancestors, nearest first
+     */
+    getAncestors(stateName) {
+        const ancestors = [];
+        let parent = this.states.get(stateName)?.parent;
+        while (parent && !ancestors.includes(parent)) {
+            ancestors.push(parent);
+            parent = this.states.get(parent)?.parent;
+        }
+        return ancestors;
+    }
+
+    /**
+     * Get the region of the nearest parallel ancestor a state belongs to
+     */
+    getRegion(stateName) {
+        for (const name of [stateName, ...this.getAncestors(stateName)]) {
+            const node = this.states.get(name);
+            if (node.region && this.states.get(node.parent)?.type === 'parallel') {
+                return node.region;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the active state (innermost first) that may transition to the target
+     */
+    findTransitionSource(targetState, transitionContext = {}, user = null, organizationContext = null) {
+        return this.getActiveConfiguration().find(name =>
+            this.states.get(name).canTransitionTo(targetState, transitionContext, user, organizationContext)
+        ) || null;
+    }
+
+    /**
+     * The deepest state that is a proper ancestor of both source and target (null at top level)
+     */
+    getTransitionDomain(source, target) {
+        const sourceAncestors = this.getAncestors(source);
+        const domain = this.getAncestors(target).find(ancestor => sourceAncestors.includes(ancestor)) || null;
+
+        if (domain && this.states.get(domain).type === 'parallel') {
+            const sourceRegion = this.states.get(this.getChildOf(domain, source)).region;
+            const targetRegion = this.states.get(this.getChildOf(domain, target)).region;
+            if (sourceRegion !== targetRegion) {
+                throw new Error(`Cannot transition between regions of parallel state '${domain}'`);
+            }
+        }
+
+        return domain;
+    }
+
+    /**
+     * Get the direct child of an ancestor on the path down to a state
+     */
+    getChildOf(ancestor, stateName) {
+        return [stateName, ...this.getAncestors(stateName)].find(name => this.states.get(name).parent === ancestor);
+    }
+
+    /**
+     * Active leaves and states to exit when leaving source within the transition domain
+     */
+    getExitSet(domain, source) {
+        const sourceRegion = domain && this.states.get(domain).type === 'parallel'
+            ? this.states.get(this.getChildOf(domain, source)).region
+            : null;
+
+        const leaves = this.getActiveStates().filter(leaf => {
+            if (!domain) return true;
+            const child = this.getChildOf(domain, leaf);
+            if (!child) return false;
+            return sourceRegion === null || this.states.get(child).region === sourceRegion;
+        });
+
+        const states = [];
+        for (const leaf of leaves) {
+            for (const name of [leaf, ...this.getAncestors(leaf)]) {
+                if (name === domain) break;
+                if (!states.includes(name)) states.push(name);
+            }
+        }
+
+        // Ancestors must exit after all of their descendants
+        states.sort((a, b) => this.getAncestors(b).length - this.getAncestors(a).length);
+
+        return { leaves, states };
+    }
+
+    /**
+     * States to enter (outermost first) and the leaves that become active when entering target
+     */
+    getEntrySet(domain, target) {
+        const ancestors = this.getAncestors(target);
+        const ancestorsBelowDomain = domain ? ancestors.slice(0, ancestors.indexOf(domain)) : ancestors;
+        const path = [...ancestorsBelowDomain.reverse(), target];
+        const states = [];
+        const leaves = [];
+
+        const enterDefault = (stateName) => {
+            const node = this.states.get(stateName);
+            states.push(stateName);
+
+            if (node.type === 'compound') {
+                enterDefault(node.initialState);
+            } else if (node.type === 'parallel') {
+                Object.values(node.regions).forEach(initialState => enterDefault(initialState));
+            } else {
+                leaves.push(stateName);
+            }
+        };
+
+        path.forEach((stateName, index) => {
+            const node = this.states.get(stateName);
+            if (index === path.length - 1) {
+                enterDefault(stateName);
+                return;
+            }
+
+            states.push(stateName);
+
+            // Entering a parallel state on the way down starts its other regions too
+            if (node.type === 'parallel') {
+                const nextRegion = this.states.get(path[index + 1]).region;
+                Object.entries(node.regions)
+                    .filter(([region]) => region !== nextRegion)
+                    .forEach(([, initialState]) => enterDefault(initialState));
+            }
+        });
+
+        return { states, leaves };
+    }
+
     /**
      * Transition to new state with permission check
      */
@@ -115,25 +406,771 @@ export class BaseWorkflow {
 
     /**
      * Get available actions for a specific user
+     * Covers every active state, so each running parallel region contributes its own actions.
      */
     getAvailableActionsForUser(user, organizationContext) {
         if (!this.currentState || !this.states.has(this.currentState)) {
             return [];
         }
 
-        const currentStateNode = this.states.get(this.currentState);
-        const availableTransitions = currentStateNode.getAvailableTransitions(this.context);
+        const actions = [];
+
+        for (const stateName of this.getActiveConfiguration()) {
+            const availableTransitions = this.states.get(stateName).getAvailableTransitions(this.context, user, organizationContext);
+
+            availableTransitions.filter(transition => {
+                const targetState = this.states.get(transition.target);
+                if (!targetState || !targetState.hasPermission(user, organizationContext, this.context)) {
+                    return false;
+                }
+
+                const delegation = targetState.hasOwnPermission(user, organizationContext, this.context)
+                    ? null
+                    : targetState.getActingDelegation(organizationContext, this.context);
+                return !this.findSeparationOfDutiesViolation(stateName, user, delegation);
+            }).forEach(transition => {
+                if (actions.some(action => action.target === transition.target)) return;
+
+                const action = {
+                    action: transition.action || `transition_to_${transition.target}`,
+                    target: transition.target,
+                    label: transition.label || `Move to ${transition.target}`,
+                    requiresConfirmation: transition.requiresConfirmation || false,
+                    metadata: transition.metadata || {}
+                };
+                if (stateName !== this.currentState) {
+                    action.source = stateName;
+                    if (this.getRegion(stateName)) action.region = this.getRegion(stateName);
+                }
+                actions.push(action);
+            });
+        }
+
+        return actions;
+    }
+
+    /**
+     * Check if the user may act in at least one active state
+     */
+    hasPermissionInActiveState(user, organizationContext) {
+        return this.getActiveConfiguration().some(stateName =>
+            this.states.get(stateName).hasPermission(user, organizationContext, this.context)
+        );
+    }
+
+    /**
+     * Explain whether the user can move the workflow to a target state and, if not, why:
+     * the transitions leading there from the active states with each guard's result, the
+     * target state's permission checks, separation of duties and the workflow lock.
+     * Guards are evaluated against transitionContext (by default the workflow context, as
+     * for the actions offered to users).
+     */
+    explainTransition(targetState, user, organizationContext, transitionContext = this.context) {
+        const stateNode = this.states.get(targetState);
+        if (!stateNode) {
+            return {
+                targetState,
+                source: null,
+                allowed: false,
+                checks: [{ check: 'state', passed: false, expected: targetState, actual: Array.from(this.states.keys()) }]
+            };
+        }
+
+        const sources = [];
+        for (const stateName of this.getActiveConfiguration()) {
+            const node = this.states.get(stateName);
+            node.transitions.filter(transition => transition.target === targetState).forEach(transition => {
+                const guards = (transition.guards || []).map(guard => ({
+                    passed: node.evaluateGuardConditions([guard], transitionContext, user, organizationContext),
+                    guard: typeof guard === 'function' ? 'guard function' : guard,
+                    ...(guard?.field ? { actual: node.getNestedValue(transitionContext, guard.field) } : {}),
+                    ...(guard?.expression ? {
+                        actual: Object.fromEntries(getExpressionFields(guard.expression).map(field => [field, transitionContext[field]]))
+                    } : {})
+                }));
+                sources.push({ source: stateName, action: transition.action, passed: guards.every(guard => guard.passed), guards });
+            });
+        }
+        const source = sources.find(candidate => candidate.passed)?.source || null;
+
+        const permission = stateNode.explainPermission(user, organizationContext, this.context);
+        const delegation = stateNode.hasOwnPermission(user, organizationContext, this.context)
+            ? null
+            : stateNode.getActingDelegation(organizationContext, this.context);
+        const violation = source ? this.findSeparationOfDutiesViolation(source, user, delegation) : null;
+
+        const checks = [
+            { check: 'transition', passed: sources.length > 0, expected: targetState, actual: this.getActiveStates() },
+            { check: 'guards', passed: Boolean(source), sources },
+            { check: 'permission', passed: permission.allowed, state: targetState, checks: permission.checks },
+            {
+                check: 'separationOfDuties',
+                passed: !violation,
+                expected: source ? `may act in '${source}'` : null,
+                actual: violation ? { rule: violation.rule, reason: violation.reason } : null
+            },
+            {
+                check: 'lock',
+                passed: !this.isLocked || this.lockOwner === user.id,
+                expected: 'unlocked or locked by the user',
+                actual: this.isLocked ? { lockedBy: this.lockOwner, since: this.lockAcquiredAt } : null
+            }
+        ];
+
+        return {
+            targetState,
+            source,
+            allowed: checks.every(check => check.passed),
+            checks
+        };
+    }
+
+    /**
+     * Start collecting votes for a voting state
+     */
+    openBallot(stateName, voters = this.states.get(stateName).voting.voters || []) {
+        const voting = this.states.get(stateName).voting;
+
+        this.ballots[stateName] = {
+            state: stateName,
+            rule: voting.rule || 'any',
+            count: voting.count,
+            voters: voters.map(voter => typeof voter === 'string' ? { id: voter } : {
+                id: voter.id,
+                username: voter.username,
+                name: voter.firstName && voter.lastName ? `${voter.firstName} ${voter.lastName}` : voter.name || voter.username
+            }),
+            votes: [],
+            status: 'open',
+            openedAt: new Date()
+        };
+        return this.ballots[stateName];
+    }
+
+    /**
+     * Fill in the voters of an open ballot that was started without a fixed list
+     */
+    setBallotVoters(stateName, voters) {
+        const ballot = this.ballots[stateName];
+        if (!ballot || ballot.status !== 'open' || ballot.voters.length > 0) return false;
+
+        ballot.voters = this.openBallot(stateName, voters).voters;
+        this.recordEvent('ballot_updated', { ballot: this.ballots[stateName] });
+        return true;
+    }
+
+    closeBallot(stateName, status) {
+        const ballot = this.ballots[stateName];
+        if (!ballot || ballot.status !== 'open') return;
+
+        ballot.status = status;
+        ballot.closedAt = new Date();
+    }
+
+    /**
+     * Get the open ballots of active voting states
+     */
+    getOpenBallots() {
+        return this.getActiveConfiguration()
+            .map(stateName => this.ballots[stateName])
+            .filter(ballot => ballot && ballot.status === 'open');
+    }
+
+    /**
+     * Get the voters who still have to vote, in ballot order
+     */
+    getPendingVoters(stateName) {
+        const ballot = this.ballots[stateName];
+        if (!ballot) return [];
+
+        return ballot.voters.filter(voter => !ballot.votes.some(vote => vote.userId === voter.id));
+    }
+
+    /**
+     * Get the open ballots the user may vote on right now, for themselves or a delegator
+     */
+    getPendingVotesForUser(user, organizationContext = {}) {
+        return this.getOpenBallots()
+            .map(ballot => ({ ballot, ...this.resolveVoter(ballot, user, organizationContext) }))
+            .filter(({ ballot, voter, delegation }) => voter &&
+                (ballot.rule !== 'sequential' || this.getPendingVoters(ballot.state)[0].id === voter.id) &&
+                !this.findSeparationOfDutiesViolation(ballot.state, user, delegation))
+            .map(({ ballot, voter, delegation }) => ({
+                state: ballot.state,
+                rule: ballot.rule,
+                decisions: [...VOTE_DECISIONS],
+                ...(delegation ? { onBehalfOf: this.describeDelegator(delegation) } : {})
+            }));
+    }
+
+    /**
+     * Find the voter a user would vote as: themselves, or a voter who delegated the
+     * voting state's actors to them and has not voted yet
+     */
+    resolveVoter(ballot, user, organizationContext = {}) {
+        const pending = this.getPendingVoters(ballot.state);
+        const own = pending.find(voter => voter.id === user.id);
+        if (own) return { voter: own, delegation: null };
+
+        const requiredActors = this.states.get(ballot.state).requiredActors;
+        for (const delegation of organizationContext.delegations || []) {
+            const voter = pending.find(pendingVoter => pendingVoter.id === delegation.delegatorId);
+            const coversActors = delegation.actors.length === 0 || requiredActors.length === 0 ||
+                requiredActors.some(actor => delegation.actors.includes(actor));
+            if (voter && coversActors) return { voter, delegation };
+        }
+
+        return { voter: null, delegation: null };
+    }
+
+    describeDelegator(delegation) {
+        return {
+            id: delegation.delegatorId,
+            username: delegation.delegator?.username,
+            delegationId: delegation.id
+        };
+    }
+
+    /**
+     * Record a user's vote in a voting state and, once the voting rule is decided,
+     * move on to the state's onApprove or onReject target
+     */
+    async castVote(stateName, user, organizationContext, vote = {}) {
+        const ballot = this.ballots[stateName];
+        if (!ballot || ballot.status !== 'open' || !this.isStateActive(stateName)) {
+            throw new Error(`No open vote in state '${stateName}'`);
+        }
+        if (!VOTE_DECISIONS.includes(vote.decision)) {
+            throw new Error(`Invalid vote decision '${vote.decision}'; expected one of ${VOTE_DECISIONS.join(', ')}`);
+        }
+        if (ballot.voters.length === 0) {
+            throw new Error(`No eligible voters found for state '${stateName}'`);
+        }
+        const { voter, delegation } = this.resolveVoter(ballot, user, organizationContext);
+        if (!voter) {
+            if (ballot.votes.some(existing => existing.userId === user.id)) {
+                throw new Error(`User ${user.username || user.id} has already voted in state '${stateName}'`);
+            }
+            throw new Error(`User does not have permission to vote in state '${stateName}'`);
+        }
+
+        const nextVoter = this.getPendingVoters(stateName)[0];
+        if (ballot.rule === 'sequential' && nextVoter.id !== voter.id) {
+            throw new Error(`User ${user.username || user.id} is out of turn; waiting for ${nextVoter.username || nextVoter.id} to vote in state '${stateName}'`);
+        }
+
+        this.enforceSeparationOfDuties(stateName, user, delegation, { vote: true });
+
+        const actor = {
+            id: user.id,
+            username: user.username,
+            name: user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.username
+        };
+        const castVote = {
+            userId: voter.id,
+            username: delegation ? voter.username : actor.username,
+            name: delegation ? voter.name : actor.name,
+            decision: vote.decision,
+            comment: vote.comment || '',
+            timestamp: new Date()
+        };
+        if (delegation) {
+            castVote.castBy = actor;
+        }
+        ballot.votes.push(castVote);
+
+        const historyEntry = {
+            type: 'vote',
+            state: stateName,
+            decision: castVote.decision,
+            comment: castVote.comment,
+            timestamp: castVote.timestamp,
+            user: actor
+        };
+        if (delegation) {
+            historyEntry.onBehalfOf = this.describeDelegator(delegation);
+        }
+        if (this.getRegion(stateName)) {
+            historyEntry.region = this.getRegion(stateName);
+        }
+        this.history.push(historyEntry);
+        this.updatedAt = new Date();
+        this.recordEvent('vote_cast', { entry: historyEntry, ballot }, user);
+
+        const tally = this.tallyBallot(ballot);
+
+        this.emit('voteCast', {
+            workflow: this,
+            state: stateName,
+            vote: castVote,
+            tally,
+            user,
+            organizationContext
+        });
+
+        if (tally.outcome) {
+            this.closeBallot(stateName, tally.outcome);
+            this.recordEvent('ballot_updated', { ballot }, user);
+
+            const voting = this.states.get(stateName).voting;
+            const target = tally.outcome === 'approved' ? voting.onApprove : voting.onReject;
+            if (target) {
+                await this.setState(target, user, organizationContext, {
+                    vote: stateName,
+                    outcome: tally.outcome,
+                    approvals: tally.approvals,
+                    rejections: tally.rejections,
+                    abstentions: tally.abstentions
+                }, { source: stateName, skipPermissionCheck: true });
+            }
+        }
+
+        return { vote: castVote, tally, ballot };
+    }
 
-        return availableTransitions.filter(transition => {
-            const targetState = this.states.get(transition.target);
-            return targetState && targetState.hasPermission(user, organizationContext, this.context);
-        }).map(transition => ({
-            action: transition.action || `transition_to_${transition.target}`,
-            target: transition.target,
-            label: transition.label || `Move to ${transition.target}`,
-            requiresConfirmation: transition.requiresConfirmation || false,
-            metadata: transition.metadata || {}
-        }));
+    /**
+     * Count a ballot's votes and decide it once enough approvals are in, or can no longer come in
+     */
+    tallyBallot(ballot) {
+        const count = decision => ballot.votes.filter(vote => vote.decision === decision).length;
+        const approvals = count('approve');
+        const rejections = count('reject');
+        const abstentions = count('abstain');
+        const remaining = ballot.voters.length - ballot.votes.length;
+        const voting = ballot.voters.length - abstentions;
+
+        let required;
+        switch (ballot.rule) {
+            case 'any': required = 1; break;
+            case 'majority': required = Math.floor(voting / 2) + 1; break;
+            case 'n_of_m': required = ballot.count; break;
+            case 'unanimous':
+            case 'sequential': required = Math.max(voting, 1); break;
+            default: throw new Error(`Unknown voting rule '${ballot.rule}'`);
+        }
+
+        let outcome = null;
+        if (approvals >= required) {
+            outcome = 'approved';
+        } else if (approvals + remaining < required) {
+            outcome = 'rejected';
+        }
+
+        return { approvals, rejections, abstentions, remaining, required, outcome };
+    }
+
+    /**
+     * Start waiting for the children of an entered sub-workflow state; the engine starts
+     * them (see WorkflowEngine.startSubWorkflows)
+     */
+    openSubWorkflows(stateName) {
+        this.subWorkflows[stateName] = {
+            state: stateName,
+            children: [],
+            status: 'pending',
+            openedAt: new Date()
+        };
+        return this.subWorkflows[stateName];
+    }
+
+    /**
+     * Stop waiting for a sub-workflow state's children. Children still running are
+     * marked cancelled, and the engine cancels them.
+     */
+    closeSubWorkflows(stateName, status) {
+        const group = this.subWorkflows[stateName];
+        if (!group || (group.status !== 'pending' && group.status !== 'running')) return;
+
+        group.status = status;
+        group.closedAt = new Date();
+        group.children
+            .filter(child => child.status === 'running')
+            .forEach(child => { child.status = 'cancelled'; });
+    }
+
+    /**
+     * Get the sub-workflow states that are waiting for their children to be started
+     */
+    getPendingSubWorkflows() {
+        return this.getActiveConfiguration()
+            .map(stateName => this.subWorkflows[stateName])
+            .filter(group => group && group.status === 'pending');
+    }
+
+    /**
+     * Record the children started for a sub-workflow state; a state that started no
+     * children (an empty forEach list) is complete at once
+     */
+    addSubWorkflowChildren(stateName, children, user = null) {
+        const group = this.subWorkflows[stateName];
+
+        group.children.push(...children.map(child => ({
+            id: child.id,
+            type: child.type,
+            status: 'running',
+            startedAt: new Date()
+        })));
+        group.status = 'running';
+        if (children.length === 0) {
+            this.closeSubWorkflows(stateName, 'completed');
+        }
+        this.recordEvent('subworkflows_updated', { group }, user);
+        return group;
+    }
+
+    /**
+     * Record that a child workflow has ended. Returns the child's entry and the state
+     * to move on to once that decides the sub-workflow state: onFailure as soon as a
+     * child ends in one of failureStates, otherwise onComplete once every child has ended.
+     */
+    settleSubWorkflow(child) {
+        if (!this.isWaitingForSubWorkflow(child)) return null;
+
+        const group = this.subWorkflows[child.parent.state];
+        const entry = group.children.find(candidate => candidate.id === child.id);
+        const spec = this.states.get(group.state).subWorkflows;
+        entry.status = (spec.failureStates || []).includes(child.currentState) ? 'failed' : 'completed';
+        entry.finalState = child.currentState;
+        entry.endedAt = new Date();
+
+        let target = null;
+        if (entry.status === 'failed' && spec.onFailure) {
+            this.closeSubWorkflows(group.state, 'failed');
+            target = spec.onFailure;
+        } else if (group.children.every(candidate => candidate.status !== 'running')) {
+            this.closeSubWorkflows(group.state, group.children.some(candidate => candidate.status === 'failed') ? 'failed' : 'completed');
+            target = spec.onComplete || null;
+        }
+
+        this.recordEvent('subworkflows_updated', { group });
+        return { entry, target };
+    }
+
+    /**
+     * Whether an active sub-workflow state of this workflow is still waiting for the child to end
+     */
+    isWaitingForSubWorkflow(child) {
+        const group = this.subWorkflows[child.parent?.state];
+        return Boolean(group) && group.status === 'running' && this.isStateActive(group.state) &&
+            group.children.some(candidate => candidate.id === child.id && candidate.status === 'running');
+    }
+
+    /**
+     * Get every child workflow this workflow has started, with the state that started it
+     */
+    getChildWorkflows() {
+        return Object.values(this.subWorkflows)
+            .flatMap(group => group.children.map(child => ({ ...child, state: group.state })));
+    }
+
+    /**
+     * Whether the workflow has ended: its top-level state is final or has no way out
+     */
+    isInTerminalState() {
+        const node = this.states.get(this.currentState);
+        return Boolean(node) && (node.final || (node.type === 'atomic' && node.transitions.length === 0));
+    }
+
+    /**
+     * State the workflow is moved to when the workflow that started it is cancelled.
+     * Override in workflow types whose cancelled state has another name.
+     */
+    getCancelState() {
+        return this.states.has('cancelled') ? 'cancelled' : null;
+    }
+
+    /**
+     * Separation-of-duties rules for this workflow type (override in subclasses):
+     *   { type: 'creator_excluded', states: [...] }
+     *       the user who created the workflow may not act in any of the states
+     *   { type: 'distinct_actors', between: [stateOrStates, stateOrStates, ...] }
+     *       a user who acted in one group of states may not act in another
+     * A user acts in a state by transitioning out of it or voting in it; delegates
+     * are bound by the rules of the user they act for as well as their own.
+     */
+    getSeparationOfDutiesRules() {
+        return [];
+    }
+
+    /**
+     * Find the rule (and why) a user acting in a state would break, if any
+     */
+    findSeparationOfDutiesViolation(stateName, user, delegation = null) {
+        const userIds = [user.id, delegation?.delegatorId].filter(Boolean);
+
+        for (const rule of this.getSeparationOfDutiesRules()) {
+            if (rule.type === 'creator_excluded') {
+                if (rule.states.includes(stateName) && userIds.includes(this.createdBy)) {
+                    return { rule, reason: rule.message || `the creator of the workflow cannot act in '${stateName}'` };
+                }
+                continue;
+            }
+
+            if (rule.type === 'distinct_actors') {
+                const groups = rule.between.map(group => [].concat(group));
+                const currentGroup = groups.find(group => group.includes(stateName));
+                if (!currentGroup) continue;
+
+                const earlier = this.history.find(entry => {
+                    const actedIn = this.getActedInState(entry);
+                    return actedIn && !currentGroup.includes(actedIn) &&
+                        groups.some(group => group.includes(actedIn)) &&
+                        [entry.user?.id, entry.onBehalfOf?.id].some(id => id && userIds.includes(id));
+                });
+                if (earlier) {
+                    return {
+                        rule,
+                        reason: rule.message || `the same user already acted in '${this.getActedInState(earlier)}'`
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Throw (after announcing the denial) if acting in a state breaks a separation-of-duties rule
+     */
+    enforceSeparationOfDuties(stateName, user, delegation, details = {}) {
+        const violation = this.findSeparationOfDutiesViolation(stateName, user, delegation);
+        if (!violation) return;
+
+        this.emit('separationOfDutiesViolation', {
+            workflow: this,
+            user,
+            state: stateName,
+            ...details,
+            ...violation
+        });
+        throw new Error(`User does not have permission to act in state '${stateName}': ${violation.reason}`);
+    }
+
+    /**
+     * The state a history entry's user acted in (left, or voted in)
+     */
+    getActedInState(entry) {
+        if (entry.type === 'vote') return entry.state;
+        if (entry.type === 'reset') return null;
+        return entry.fromState || null;
+    }
+
+    /**
+     * Compensation handlers by name, called as handler(context, data, user, organizationContext)
+     * to undo what an entry action did. Override in workflow types that register compensations.
+     */
+    getCompensationHandlers() {
+        return {};
+    }
+
+    /**
+     * When and how compensations run:
+     *   failureStates  entering one of these states runs the pending compensations
+     *   maxAttempts    tries per compensation before it is left for manual intervention
+     *   retryDelay     milliseconds to wait between tries
+     *   onFailure      state to move to when a compensation keeps failing; it must be a
+     *                  transition target of the failure states
+     */
+    getCompensationPolicy() {
+        return { failureStates: [], maxAttempts: 3, retryDelay: 0, onFailure: null };
+    }
+
+    /**
+     * Register how to undo what the state being entered has done. Called from entry
+     * actions; entering the state again replaces its compensation if it has not run yet.
+     */
+    registerCompensation(name, data = {}) {
+        if (!this.entering) {
+            throw new Error(`Compensation '${name}' can only be registered by an entry action`);
+        }
+        if (typeof this.getCompensationHandlers()[name] !== 'function') {
+            throw new Error(`Compensation handler '${name}' not found`);
+        }
+
+        const { state, user } = this.entering;
+        const replaced = this.compensations.find(compensation =>
+            compensation.state === state && compensation.name === name && compensation.status === 'pending');
+        const compensation = {
+            id: `compensation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name,
+            state,
+            data: cloneValue(data),
+            status: 'pending', // then 'compensated', 'failed' or 'resolved'
+            attempts: [],
+            registeredAt: new Date()
+        };
+
+        this.compensations = [...this.compensations.filter(other => other !== replaced), compensation];
+        this.recordEvent('compensation_registered', { compensation, replaces: replaced?.id || null }, user);
+        return compensation;
+    }
+
+    /**
+     * Compensations that still have to run, in the order they run: newest first
+     */
+    getPendingCompensations() {
+        return this.compensations
+            .filter(compensation => compensation.status === 'pending' || compensation.status === 'failed')
+            .reverse();
+    }
+
+    /**
+     * Run the pending compensations, newest first, trying each up to the policy's
+     * maxAttempts. Stops at a compensation that keeps failing: it is left 'failed'
+     * so it can be retried or resolved by hand, and the older ones stay pending.
+     * Every attempt is announced as a 'compensationStep' event.
+     */
+    async compensate(user, organizationContext) {
+        const { maxAttempts = 3, retryDelay = 0 } = this.getCompensationPolicy();
+        const handlers = this.getCompensationHandlers();
+        const steps = [];
+
+        for (const compensation of this.getPendingCompensations()) {
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                let error = null;
+                try {
+                    const handler = handlers[compensation.name];
+                    if (typeof handler !== 'function') {
+                        throw new Error(`Compensation handler '${compensation.name}' not found`);
+                    }
+                    await handler.call(this, this.context, compensation.data, user, organizationContext);
+                } catch (caught) {
+                    error = caught;
+                }
+
+                const outcome = !error ? 'compensated' : attempt < maxAttempts ? 'retrying' : 'failed';
+                steps.push(this.recordCompensationStep(compensation, outcome, user, {
+                    attempt: compensation.attempts.length + 1,
+                    error: error?.message || null
+                }));
+
+                if (outcome === 'compensated') break;
+                if (outcome === 'failed') {
+                    return { status: 'failed', failed: compensation, steps };
+                }
+                if (retryDelay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, retryDelay));
+                }
+            }
+        }
+
+        return { status: 'compensated', failed: null, steps };
+    }
+
+    /**
+     * Mark a compensation that has not run as handled by hand, so it is not run again
+     */
+    resolveCompensation(compensationId, user, note = null) {
+        const compensation = this.compensations.find(candidate => candidate.id === compensationId);
+        if (!compensation) {
+            throw new Error(`Compensation ${compensationId} not found`);
+        }
+        if (compensation.status === 'compensated' || compensation.status === 'resolved') {
+            throw new Error(`Invalid compensation ${compensationId}: it is already ${compensation.status}`);
+        }
+
+        return this.recordCompensationStep(compensation, 'resolved', user, { note });
+    }
+
+    /**
+     * Apply the outcome of a compensation step and record it in the event stream
+     */
+    recordCompensationStep(compensation, outcome, user, details = {}) {
+        const step = {
+            compensationId: compensation.id,
+            name: compensation.name,
+            state: compensation.state,
+            outcome,
+            timestamp: new Date(),
+            user: user ? { id: user.id, username: user.username } : null,
+            ...details
+        };
+
+        if (outcome === 'resolved') {
+            compensation.status = 'resolved';
+            compensation.resolution = { user: step.user, note: details.note, timestamp: step.timestamp };
+        } else {
+            compensation.attempts.push({ attempt: step.attempt, timestamp: step.timestamp, error: step.error });
+            compensation.status = outcome === 'retrying' ? compensation.status : outcome;
+        }
+        this.updatedAt = new Date();
+
+        this.recordEvent('compensation_updated', { compensation }, user);
+        this.recordContextChanges(user, 'compensate');
+        this.emit('compensationStep', { workflow: this, ...step });
+
+        return step;
+    }
+
+    /**
+     * Get the monetary amount a workflow is about, used for amount-limited delegations.
+     * Override in workflow types that keep it elsewhere.
+     */
+    getAmount() {
+        return this.context.amount ?? this.context.total_amount ?? null;
+    }
+
+    /**
+     * Get the id of the branch a workflow is about, whose calendar it is measured against.
+     * Override in workflow types that keep it elsewhere.
+     */
+    getBranchId() {
+        return this.context.branchId ?? this.context.branchData?.id ?? null;
+    }
+
+    /**
+     * Get the business calendar of the workflow's branch or organization, if it has one
+     */
+    getBusinessCalendar() {
+        return this.calendarResolver?.getCalendar(this) || null;
+    }
+
+    /**
+     * Time between two times, in business time when the workflow has a calendar
+     */
+    getDuration(start, end = new Date()) {
+        const calendar = this.getBusinessCalendar();
+        return calendar ? calendar.getBusinessDuration(start, end) : new Date(end) - new Date(start);
+    }
+
+    /**
+     * The time a duration (milliseconds or a business duration, see BusinessCalendar) after start
+     */
+    addDuration(start, duration) {
+        return (this.getBusinessCalendar() || DEFAULT_CALENDAR).addDuration(start, duration);
+    }
+
+    /**
+     * Get the most urgent SLA of the active states: when it is due and whether it is
+     * on track, due soon (by dueSoon, default the close of the next working day) or overdue
+     */
+    getSlaStatus(now = new Date()) {
+        const slas = this.getActiveConfiguration()
+            .filter(stateName => this.states.get(stateName).sla)
+            .map(stateName => {
+                const sla = this.states.get(stateName).sla;
+                const enteredAt = new Date(this.getStateEntryTime(stateName));
+                const dueAt = this.addDuration(enteredAt, sla.target);
+
+                let status = 'on_track';
+                if (now > dueAt) {
+                    status = 'overdue';
+                } else if (this.addDuration(now, sla.dueSoon || { businessDays: 1 }) >= dueAt) {
+                    status = 'due_soon';
+                }
+
+                return {
+                    state: stateName,
+                    enteredAt,
+                    dueAt,
+                    status,
+                    timeRemaining: status === 'overdue' ? 0 : this.getDuration(now, dueAt),
+                    timeOverdue: status === 'overdue' ? this.getDuration(dueAt, now) : 0
+                };
+            })
+            .sort((a, b) => a.dueAt - b.dueAt);
+
+        return slas[0] || null;
     }
 
     /**
@@ -145,6 +1182,7 @@ export class BaseWorkflow {
         return {
             name: this.currentState,
             node: this.states.get(this.currentState),
+            activeStates: this.getActiveStates(),
             enteredAt: this.getStateEntryTime(this.currentState),
             timeInState: this.getTimeInCurrentState()
         };
@@ -159,23 +1197,26 @@ export class BaseWorkflow {
     }
 
     /**
-     * Get time spent in current state
+     * Get time spent in current state (business time when the workflow has a calendar)
      */
     getTimeInCurrentState() {
-        const entryTime = this.getStateEntryTime(this.currentState);
-        return new Date() - entryTime;
+        return this.getDuration(this.getStateEntryTime(this.currentState));
     }
 
     /**
-     * Validate current state data
+     * Validate current state data; expressions can refer to the acting user and their
+     * organizational context when given
      */
-    async validate() {
+    async validate(user = null, organizationContext = null) {
         if (!this.currentState) {
             return ['Workflow has no current state'];
         }
 
-        const currentStateNode = this.states.get(this.currentState);
-        return await currentStateNode.validate(this.context);
+        const results = [];
+        for (const stateName of this.getActiveConfiguration()) {
+            results.push(...await this.states.get(stateName).validate(this.context, user, organizationContext));
+        }
+        return results;
     }
 
     /**
@@ -202,7 +1243,13 @@ export class BaseWorkflow {
 
         this.history = [resetRecord];
         this.currentState = null;
+        this.activeStates = [];
+        this.ballots = {};
+        const { previousHistory, ...resetEntry } = resetRecord;
+        this.recordEvent('reset', { entry: resetEntry }, user);
+
         this.context = { ...this.context, ...resetContext };
+        this.recordContextChanges(user, 'reset');
 
         await this.setState(initialState, user, organizationContext);
 
@@ -214,6 +1261,26 @@ export class BaseWorkflow {
         });
     }
 
+    /**
+     * Set metadata keys, removing those set to undefined, and record the change so
+     * it survives a reload
+     */
+    updateMetadata(changes, user = null) {
+        const set = {};
+        const unset = [];
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === undefined) {
+                delete this.metadata[key];
+                unset.push(key);
+            } else {
+                this.metadata[key] = value;
+                set[key] = value;
+            }
+        });
+        this.updatedAt = new Date();
+        return this.recordEvent('metadata_updated', { set, unset }, user);
+    }
+
     /**
      * Update workflow context
      */
@@ -221,6 +1288,7 @@ export class BaseWorkflow {
         const oldContext = { ...this.context };
         this.context = { ...this.context, ...newContext };
         this.updatedAt = new Date();
+        this.recordContextChanges(user, 'update');
 
         this.emit('contextUpdated', {
             workflow: this,
@@ -246,17 +1314,84 @@ export class BaseWorkflow {
         this.isLocked = true;
         this.lockOwner = user.id;
         this.lockAcquiredAt = new Date();
+        this.recordEvent('lock_acquired', {}, user);
     }
 
     /**
      * Release workflow lock
      */
     releaseLock() {
+        if (this.isLocked) {
+            this.recordEvent('lock_released', { owner: this.lockOwner });
+        }
         this.isLocked = false;
         this.lockOwner = null;
         this.lockAcquiredAt = null;
     }
 
+    /**
+     * Append an event to the workflow's event stream. The first event of a stream
+     * records the workflow's creation.
+     */
+    recordEvent(type, data, user = null) {
+        if (this.events.length === 0 && type !== 'created' && type !== 'imported') {
+            this.recordedContext = cloneValue(this.context);
+            this.events.push({
+                ...createWorkflowEvent(1, 'created', {
+                    type: this.type,
+                    context: this.recordedContext,
+                    metadata: this.metadata,
+                    parent: this.parent,
+                    createdBy: this.createdBy,
+                    organizationId: this.organizationId,
+                    definitionVersion: this.definitionVersion
+                }, this.createdBy ? { id: this.createdBy } : null),
+                timestamp: this.createdAt
+            });
+        }
+
+        const event = createWorkflowEvent(this.events.length + 1, type, data, user);
+        this.events.push(event);
+        return event;
+    }
+
+    /**
+     * Record the keys set and unset on the context since the last recorded event,
+     * including changes state actions and callers made to this.context in place
+     */
+    recordContextChanges(user, cause) {
+        const recorded = this.events.length === 0
+            ? cloneValue(this.context)
+            : this.recordedContext || foldWorkflowEvents(this.events).context;
+        const current = cloneValue(this.context);
+
+        const set = Object.fromEntries(Object.entries(current)
+            .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(recorded[key])));
+        const unset = Object.keys(recorded).filter(key => !(key in current));
+
+        this.recordedContext = current;
+        if (Object.keys(set).length === 0 && unset.length === 0) return null;
+
+        return this.recordEvent('context_patched', { cause, set, unset }, user);
+    }
+
+    /**
+     * Rebuild the workflow's state from its event stream, as of an event number
+     * (asOf.sequence) or a point in time (asOf.timestamp), or as of now
+     */
+    replay(asOf = {}) {
+        const state = foldWorkflowEvents(this.events, asOf);
+        if (!state) {
+            throw new Error(`Replay point not found: workflow ${this.id} has no events before it`);
+        }
+
+        return {
+            id: this.id,
+            type: this.type,
+            ...state
+        };
+    }
+
     /**
      * Event listener management
      */
@@ -304,15 +1439,21 @@ export class BaseWorkflow {
             id: this.id,
             type: this.type,
             currentState: this.currentState,
+            activeStates: this.getActiveStates(),
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
             createdBy: this.createdBy,
             organizationId: this.organizationId,
+            definitionVersion: this.definitionVersion,
+            revision: this.revision,
             stateCount: this.states.size,
             historyCount: this.history.length,
             timeInCurrentState: this.getTimeInCurrentState(),
+            sla: this.getSlaStatus(),
             isLocked: this.isLocked,
-            lockOwner: this.lockOwner
+            lockOwner: this.lockOwner,
+            parent: this.parent,
+            children: this.getChildWorkflows().map(({ id, type, status, state }) => ({ id, type, status, state }))
         };
     }
 
@@ -324,13 +1465,21 @@ export class BaseWorkflow {
             id: this.id,
             type: this.type,
             currentState: this.currentState,
+            activeStates: this.getActiveStates(),
+            ballots: this.ballots,
+            subWorkflows: this.subWorkflows,
+            parent: this.parent,
             context: this.context,
             history: this.history,
+            events: this.events,
+            compensations: this.compensations,
             metadata: this.metadata,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
             createdBy: this.createdBy,
-            organizationId: this.organizationId
+            organizationId: this.organizationId,
+            definitionVersion: this.definitionVersion,
+            revision: this.revision
         };
     }
 
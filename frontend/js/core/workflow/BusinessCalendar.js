@@ -0,0 +1,277 @@
+/**
+ * Business calendars: working hours per weekday, holidays and a time zone, used to measure
+ * durations and compute due dates in business time.
+ *
+ * Working hours use the branch operating_hours shape:
+ *   { monday: { open: '09:00', close: '17:00' }, saturday: { closed: true }, ... }
+ * (a missing day is closed). Holidays are local dates, 'YYYY-MM-DD' or { date, name }.
+ *
+ * Durations (state timeouts, SLA targets) are either wall-clock milliseconds or one of
+ *   { businessHours: n }   n hours of working time
+ *   { businessDays: n }    until the close of the nth working day after the start
+ */
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DEFAULT_WORKING_HOURS = {
+    monday: { open: '09:00', close: '17:00' },
+    tuesday: { open: '09:00', close: '17:00' },
+    wednesday: { open: '09:00', close: '17:00' },
+    thursday: { open: '09:00', close: '17:00' },
+    friday: { open: '09:00', close: '17:00' },
+    saturday: { closed: true },
+    sunday: { closed: true }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Enough for any duration a workflow would use; stops calendars without working days
+const SEARCH_DAYS = 10 * 366;
+
+/**
+ * Check that a value is a duration: positive milliseconds or a business duration
+ */
+export function isValidDuration(duration) {
+    if (typeof duration === 'number') {
+        return duration > 0;
+    }
+    if (!duration || typeof duration !== 'object' || Object.keys(duration).length !== 1) {
+        return false;
+    }
+    if ('businessDays' in duration) {
+        return Number.isInteger(duration.businessDays) && duration.businessDays > 0;
+    }
+    return typeof duration.businessHours === 'number' && duration.businessHours > 0;
+}
+
+export class BusinessCalendar {
+    constructor(options = {}) {
+        this.timeZone = options.timeZone || 'UTC';
+        this.workingHours = options.workingHours || DEFAULT_WORKING_HOURS;
+        this.holidays = parseHolidays(options.holidays);
+
+        try {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        } catch (error) {
+            throw new Error(`Invalid time zone '${this.timeZone}'`);
+        }
+    }
+
+    /**
+     * Calendar of an organization: its main_time_zone, business_hours and holidays
+     */
+    static fromOrganization(organization) {
+        return new BusinessCalendar({
+            timeZone: organization.main_time_zone,
+            workingHours: organization.business_hours,
+            holidays: organization.holidays
+        });
+    }
+
+    /**
+     * Calendar of one of the organization's branches: the branch's operating hours (and
+     * time zone, if it has one), observing the organization's holidays as well as its own
+     */
+    forBranch(branch) {
+        return new BusinessCalendar({
+            timeZone: branch.time_zone || this.timeZone,
+            workingHours: branch.operating_hours || this.workingHours,
+            holidays: [...this.holidays, ...parseHolidays(branch.holidays)]
+        });
+    }
+
+    /**
+     * Check whether a time falls within working hours
+     */
+    isWorkingTime(time) {
+        const instant = new Date(time).getTime();
+        return this.getWorkingPeriods(this.getLocalDay(instant))
+            .some(period => period.start <= instant && instant < period.end);
+    }
+
+    /**
+     * Working time between two times, in milliseconds
+     */
+    getBusinessDuration(start, end) {
+        const from = new Date(start).getTime();
+        const to = new Date(end).getTime();
+        let total = 0;
+
+        for (let day = this.getLocalDay(from); this.getDayStart(day) < to; day += DAY_MS) {
+            for (const period of this.getWorkingPeriods(day)) {
+                total += Math.max(0, Math.min(period.end, to) - Math.max(period.start, from));
+            }
+        }
+
+        return total;
+    }
+
+    /**
+     * The time at which the given amount of working time (milliseconds) has passed
+     */
+    addBusinessTime(start, duration) {
+        const from = new Date(start).getTime();
+        let remaining = duration;
+        if (remaining <= 0) return new Date(from);
+
+        const firstDay = this.getLocalDay(from);
+        for (let day = firstDay; day < firstDay + SEARCH_DAYS * DAY_MS; day += DAY_MS) {
+            for (const period of this.getWorkingPeriods(day)) {
+                const available = period.end - Math.max(period.start, from);
+                if (available <= 0) continue;
+                if (remaining <= available) {
+                    return new Date(period.end - available + remaining);
+                }
+                remaining -= available;
+            }
+        }
+
+        throw new Error('Invalid business calendar: it has no working hours');
+    }
+
+    /**
+     * The close of the nth working day after the day of `start`
+     */
+    addBusinessDays(start, days) {
+        const from = new Date(start).getTime();
+        if (days <= 0) return new Date(from);
+
+        let counted = 0;
+        const firstDay = this.getLocalDay(from) + DAY_MS;
+        for (let day = firstDay; day < firstDay + SEARCH_DAYS * DAY_MS; day += DAY_MS) {
+            const periods = this.getWorkingPeriods(day);
+            if (periods.length > 0 && ++counted === days) {
+                return new Date(periods[periods.length - 1].end);
+            }
+        }
+
+        throw new Error('Invalid business calendar: it has no working days');
+    }
+
+    /**
+     * The time a duration (milliseconds or a business duration) after `start`
+     */
+    addDuration(start, duration) {
+        if (typeof duration === 'number') {
+            return new Date(new Date(start).getTime() + duration);
+        }
+        if (duration?.businessDays !== undefined) {
+            return this.addBusinessDays(start, duration.businessDays);
+        }
+        if (duration?.businessHours !== undefined) {
+            return this.addBusinessTime(start, duration.businessHours * HOUR_MS);
+        }
+        throw new Error(`Invalid duration ${JSON.stringify(duration)}`);
+    }
+
+    /**
+     * Opening periods of a local day (as epoch milliseconds), none on holidays and closed days
+     */
+    getWorkingPeriods(day) {
+        const date = new Date(day);
+        const hours = this.workingHours[WEEKDAYS[date.getUTCDay()]];
+        if (!hours || hours.closed || !hours.open || !hours.close || this.holidays.has(date.toISOString().slice(0, 10))) {
+            return [];
+        }
+
+        return [{ start: this.toInstant(day, hours.open), end: this.toInstant(day, hours.close) }];
+    }
+
+    /**
+     * The local date of an instant, as UTC midnight of that date
+     */
+    getLocalDay(instant) {
+        const parts = this.getLocalParts(instant);
+        return Date.UTC(parts.year, parts.month - 1, parts.day);
+    }
+
+    getDayStart(day) {
+        return this.toInstant(day, '00:00');
+    }
+
+    /**
+     * The instant at a local time ('HH:MM') of a local day
+     */
+    toInstant(day, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const local = day + hours * HOUR_MS + minutes * 60000;
+
+        // The offset at the guess may differ from the one at the answer across a DST change
+        const guess = local - this.getOffset(local);
+        return local - this.getOffset(guess);
+    }
+
+    getOffset(instant) {
+        const parts = this.getLocalParts(instant);
+        const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return local - (instant - ((instant % 1000) + 1000) % 1000);
+    }
+
+    getLocalParts(instant) {
+        return Object.fromEntries(this.formatter.formatToParts(new Date(instant))
+            .filter(part => part.type !== 'literal')
+            .map(part => [part.type, Number(part.value)]));
+    }
+}
+
+/**
+ * Resolves the business calendar of a workflow: its branch's calendar if it belongs to a
+ * branch, otherwise its organization's. Calendars are loaded per organization and kept
+ * until reloaded, so workflows can read them synchronously.
+ */
+export class BusinessCalendarResolver {
+    constructor(organizationService) {
+        this.organizationService = organizationService;
+        this.calendars = new Map();
+    }
+
+    hasCalendar(organizationId) {
+        return this.calendars.has(organizationId);
+    }
+
+    /**
+     * (Re)load the calendars of an organization and its branches
+     */
+    async loadCalendars(organizationId) {
+        const organization = await this.organizationService.getOrganizationById?.(organizationId);
+        if (!organization) {
+            this.calendars.delete(organizationId);
+            return null;
+        }
+
+        const calendar = BusinessCalendar.fromOrganization(organization);
+        const branches = await this.organizationService.getBranches(organizationId) || [];
+
+        this.calendars.set(organizationId, {
+            calendar,
+            branches: new Map(branches.map(branch => [branch.id, calendar.forBranch(branch)]))
+        });
+        return calendar;
+    }
+
+    /**
+     * Get the calendar a workflow is measured against, or null if its organization has none
+     */
+    getCalendar(workflow) {
+        const entry = this.calendars.get(workflow.organizationId);
+        if (!entry) return null;
+
+        return entry.branches.get(workflow.getBranchId()) || entry.calendar;
+    }
+}
+
+function parseHolidays(holidays) {
+    const list = typeof holidays === 'string' ? holidays.split(/[\s,]+/) : holidays || [];
+    return new Set(list
+        .map(holiday => typeof holiday === 'string' ? holiday : holiday?.date)
+        .filter(Boolean));
+}
@@ -0,0 +1,109 @@
+/**
+ * Cron-like schedules, as used by scheduled transitions.
+ * Five fields: minute, hour, day of month, month and day of week (0 or 7 is Sunday).
+ * Each field is '*', a number, a range (1-5), a step (*\/15, 0-30/10) or a comma
+ * separated list of those. Times are local. As in cron, when both day fields are
+ * restricted a day matching either one is due.
+ */
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Far enough to reach every valid schedule, such as the 29th of February
+const SEARCH_YEARS = 8;
+
+/**
+ * Parse a cron expression into the values each field allows
+ */
+export function parseCronExpression(expression) {
+    const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron expression '${expression}': expected ${FIELDS.length} fields`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+/**
+ * Get the first time after `after` (to the minute) at which a cron expression is due
+ */
+export function getNextCronTime(expression, after = new Date()) {
+    const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+    const time = new Date(after);
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+
+    const limit = new Date(time);
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    while (time <= limit) {
+        if (!schedule.months.has(time.getMonth() + 1)) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!isDueOnDay(schedule, time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0, 0, 0);
+        } else if (!schedule.hours.has(time.getHours())) {
+            time.setHours(time.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.has(time.getMinutes())) {
+            time.setMinutes(time.getMinutes() + 1, 0, 0);
+        } else {
+            return time;
+        }
+    }
+
+    throw new Error(`Invalid cron expression '${expression}': it is never due`);
+}
+
+function isDueOnDay(schedule, time) {
+    const dayMatches = schedule.days.has(time.getDate());
+    const weekdayMatches = schedule.weekdays.has(time.getDay());
+
+    if (schedule.anyDay) return weekdayMatches;
+    if (schedule.anyWeekday) return dayMatches;
+    return dayMatches || weekdayMatches;
+}
+
+function parseField(part, field, expression) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+        if (!match) {
+            throw new Error(`Invalid cron expression '${expression}': cannot read ${field.name} '${item}'`);
+        }
+
+        const step = match[3] !== undefined ? Number(match[3]) : 1;
+        let from = field.min;
+        let to = field.max;
+        if (match[1] !== undefined) {
+            from = Number(match[1]);
+            to = match[2] !== undefined ? Number(match[2]) : match[3] !== undefined ? field.max : from;
+        }
+
+        if (from < field.min || to > field.max || from > to || step < 1) {
+            throw new Error(`Invalid cron expression '${expression}': ${field.name} '${item}' is out of range`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
@@ -1,3 +1,5 @@
+import { toActorMapping } from './ActorMapping.js';
+
 /**
  * Organizational Structure Models for RBAC Integration
  */
@@ -81,9 +83,9 @@ export class OrganizationBuilding {
 export class OrganizationBranch {
     constructor(data) {
         this.id = data.id;
-        this.name = data.name;
-        this.code = data.code;
-        this.organizationId = data.organizationId;
+        this.name = data.name || data.branch_name;
+        this.code = data.code || data.branch_code;
+        this.organizationId = data.organizationId || data.organization_id;
         this.address = data.address;
         this.isHeadquarters = data.isHeadquarters || false;
         this.isActive = data.isActive !== false;
@@ -263,7 +265,9 @@ export const WorkflowActors = {
     SUPPORTER: 'Supporter',
     HR_SPECIALIST: 'HRSpecialist',
     FINANCE_SPECIALIST: 'FinanceSpecialist',
-    PROCUREMENT_SPECIALIST: 'ProcurementSpecialist'
+    PROCUREMENT_SPECIALIST: 'ProcurementSpecialist',
+    // Manages the organization directory alongside the owner
+    ADMINISTRATOR: 'Administrator'
 };
 
 /**
@@ -304,11 +308,12 @@ export class OrganizationalContextManager {
      * Build organizational context
      */
     async buildOrganizationalContext(userId, organizationId) {
-        const [positions, departments, teams, branches] = await Promise.all([
+        const [positions, departments, teams, branches, actorMapping] = await Promise.all([
             this.organizationService.getUserPositions(userId, organizationId),
             this.organizationService.getDepartments(organizationId),
             this.organizationService.getTeams(organizationId),
-            this.organizationService.getBranches(organizationId)
+            this.organizationService.getBranches(organizationId),
+            this.organizationService.getActorMapping ? this.organizationService.getActorMapping(organizationId) : null
         ]);
 
         return {
@@ -318,7 +323,8 @@ export class OrganizationalContextManager {
             teams: teams.map(t => new OrganizationTeam(t)),
             branches: branches.map(b => new OrganizationBranch(b)),
             hierarchy: this.buildHierarchy(positions, departments, teams),
-            permissions: this.aggregatePermissions(positions)
+            permissions: this.aggregatePermissions(positions),
+            actorMapping: toActorMapping(actorMapping)
         };
     }
 
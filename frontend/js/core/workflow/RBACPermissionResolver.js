@@ -1,3 +1,6 @@
+import { toActorMapping, getGrantedActors } from './ActorMapping.js';
+import { evaluateExpression, getExpressionFields } from './WorkflowExpression.js';
+
 /**
  * Multi-dimensional RBAC Permission Resolver
  * Handles complex organizational permission checking for workflows
@@ -44,10 +47,11 @@ export class RBACPermissionResolver {
         try {
             // Get user's organizational positions
             const userPositions = await this.getUserOrganizationalPositions(user, organizationContext.organizationId);
+            const actorMapping = organizationContext.actorMapping || await this.getActorMapping(organizationContext.organizationId);
 
             // Check each dimension of the permission
             const checks = await Promise.all([
-                this.checkWorkflowActor(user, workflowPermission.actor, userPositions, workflowContext),
+                this.checkWorkflowActor(user, workflowPermission.actor, userPositions, workflowContext, organizationContext.delegations, actorMapping),
                 this.checkOrganizationGroup(user, workflowPermission.organizationGroup, userPositions),
                 this.checkOrganizationDesignation(user, workflowPermission.organizationDesignation, userPositions),
                 this.checkContextualPermissions(user, workflowPermission.contextConditions, organizationContext, workflowContext)
@@ -63,116 +67,116 @@ export class RBACPermissionResolver {
     }
 
     /**
-     * Check workflow actor permission
+     * Explain hasPermission: each dimension checked, whether it passed and the values
+     * compared. Contextual conditions are reported one by one. Not cached.
      */
-    async checkWorkflowActor(user, requiredActor, userPositions, workflowContext) {
-        if (!requiredActor) return true;
-
-        const userActors = this.mapPositionsToWorkflowActors(userPositions, workflowContext);
-
-        if (Array.isArray(requiredActor)) {
-            return requiredActor.some(actor => userActors.includes(actor));
+    async explainPermission(user, workflowPermission, organizationContext, workflowContext = {}) {
+        const userPositions = await this.getUserOrganizationalPositions(user, organizationContext.organizationId);
+        const actorMapping = organizationContext.actorMapping || await this.getActorMapping(organizationContext.organizationId);
+        const delegations = organizationContext.delegations || [];
+        const checks = [
+            {
+                check: 'actor',
+                passed: await this.checkWorkflowActor(user, workflowPermission.actor, userPositions, workflowContext, delegations, actorMapping),
+                expected: workflowPermission.actor || null,
+                actual: this.getUserActors(userPositions, workflowContext, delegations, actorMapping, getGrantedActors(user))
+            },
+            {
+                check: 'organizationGroup',
+                passed: await this.checkOrganizationGroup(user, workflowPermission.organizationGroup, userPositions),
+                expected: workflowPermission.organizationGroup || null,
+                actual: this.getUserGroups(userPositions)
+            },
+            {
+                check: 'designation',
+                passed: await this.checkOrganizationDesignation(user, workflowPermission.organizationDesignation, userPositions),
+                expected: workflowPermission.organizationDesignation || null,
+                actual: userPositions.map(position => position.designation.name)
+            }
+        ];
+
+        for (const [condition, requirement] of Object.entries(workflowPermission.contextConditions || {})) {
+            checks.push({
+                check: `context.${condition}`,
+                passed: await this.checkContextualPermissions(user, { [condition]: requirement }, organizationContext, workflowContext),
+                expected: typeof requirement === 'function' ? `${condition} function` : requirement,
+                actual: this.describeContextCondition(condition, requirement, user, organizationContext, workflowContext)
+            });
         }
 
-        return userActors.includes(requiredActor);
+        return {
+            allowed: checks.every(check => check.passed),
+            checks
+        };
     }
 
     /**
-     * Map organizational positions to workflow actors
+     * The value a contextual condition is compared with
      */
-    mapPositionsToWorkflowActors(positions, workflowContext = {}) {
-        const actors = new Set();
-
-        positions.forEach(position => {
-            const designation = position.designation.name.toLowerCase();
-            const department = position.group?.department?.name?.toLowerCase() || '';
-            const team = position.group?.team?.name?.toLowerCase() || '';
-
-            // Map based on designation
-            if (this.isManagerialRole(designation)) {
-                actors.add('Approver');
-            }
-
-            if (this.isAnalyticalRole(designation)) {
-                actors.add('Analyzer');
-            }
-
-            if (this.isDevelopmentRole(designation)) {
-                actors.add('Developer');
-            }
-
-            if (this.isTestingRole(designation)) {
-                actors.add('Tester');
-            }
-
-            if (this.isDesignRole(designation)) {
-                actors.add('Designer');
-            }
-
-            if (this.isSupportRole(designation)) {
-                actors.add('Supporter');
-            }
-
-            if (this.isImplementationRole(designation)) {
-                actors.add('Implementor');
-            }
-
-            // Map based on department/team context
-            if (department.includes('hr') || department.includes('human')) {
-                actors.add('HRSpecialist');
-            }
-
-            if (department.includes('finance') || department.includes('accounting')) {
-                actors.add('FinanceSpecialist');
-            }
-
-            if (department.includes('procurement') || department.includes('purchasing')) {
-                actors.add('ProcurementSpecialist');
-            }
-
-            // Everyone can be a requestor
-            actors.add('Requestor');
-        });
-
-        return Array.from(actors);
+    describeContextCondition(condition, requirement, user, organizationContext, workflowContext) {
+        switch (condition) {
+            case 'isOwner':
+                return { createdBy: workflowContext.createdBy, userId: user.id };
+            case 'isSameOrganization':
+                return { workflowOrganizationId: workflowContext.organizationId, organizationId: organizationContext.organizationId };
+            case 'workflowValue':
+            case 'timeWindow':
+                return this.getNestedValue(workflowContext, requirement.field);
+            case 'expression':
+                return Object.fromEntries(getExpressionFields(requirement).map(field => [field, workflowContext[field]]));
+            default:
+                return null;
+        }
     }
 
     /**
-     * Role checking helper methods
+     * Check workflow actor permission, counting actors delegated to the user
      */
-    isManagerialRole(designation) {
-        const managerialKeywords = ['manager', 'head', 'director', 'supervisor', 'lead', 'chief', 'executive'];
-        return managerialKeywords.some(keyword => designation.includes(keyword));
-    }
+    async checkWorkflowActor(user, requiredActor, userPositions, workflowContext, delegations = [], actorMapping = null) {
+        if (!requiredActor) return true;
 
-    isAnalyticalRole(designation) {
-        const analyticalKeywords = ['analyst', 'reviewer', 'evaluator', 'assessor', 'auditor'];
-        return analyticalKeywords.some(keyword => designation.includes(keyword));
-    }
+        const userActors = this.getUserActors(userPositions, workflowContext, delegations, actorMapping, getGrantedActors(user));
 
-    isDevelopmentRole(designation) {
-        const developmentKeywords = ['developer', 'engineer', 'programmer', 'coder', 'architect'];
-        return developmentKeywords.some(keyword => designation.includes(keyword));
-    }
+        if (Array.isArray(requiredActor)) {
+            return requiredActor.some(actor => userActors.includes(actor));
+        }
 
-    isTestingRole(designation) {
-        const testingKeywords = ['tester', 'qa', 'quality', 'validation', 'verification'];
-        return testingKeywords.some(keyword => designation.includes(keyword));
+        return userActors.includes(requiredActor);
     }
 
-    isDesignRole(designation) {
-        const designKeywords = ['designer', 'architect', 'ux', 'ui', 'creative'];
-        return designKeywords.some(keyword => designation.includes(keyword));
+    /**
+     * Get the actors a user holds through their positions and delegations, and
+     * those granted to them directly (a service account's)
+     */
+    getUserActors(userPositions, workflowContext = {}, delegations = [], actorMapping = null, grantedActors = []) {
+        return [...new Set([
+            ...this.mapPositionsToWorkflowActors(userPositions, workflowContext, actorMapping),
+            ...delegations.flatMap(delegation => this.getDelegatedActors(delegation, workflowContext, actorMapping)),
+            ...(grantedActors || [])
+        ])];
     }
 
-    isSupportRole(designation) {
-        const supportKeywords = ['support', 'maintenance', 'operations', 'technician'];
-        return supportKeywords.some(keyword => designation.includes(keyword));
+    /**
+     * Map organizational positions to workflow actors
+     */
+    mapPositionsToWorkflowActors(positions, workflowContext = {}, actorMapping = null) {
+        return toActorMapping(actorMapping).getActors(positions);
     }
 
-    isImplementationRole(designation) {
-        const implementationKeywords = ['implementor', 'deployment', 'devops', 'infrastructure'];
-        return implementationKeywords.some(keyword => designation.includes(keyword));
+    /**
+     * Get an organization's actor mapping (an empty mapping if it has none)
+     */
+    async getActorMapping(organizationId) {
+        if (!organizationId || typeof this.organizationService.getActorMapping !== 'function') {
+            return toActorMapping(null);
+        }
+
+        try {
+            return toActorMapping(await this.organizationService.getActorMapping(organizationId));
+        } catch (error) {
+            console.error('Error fetching actor mapping:', error);
+            return toActorMapping(null);
+        }
     }
 
     /**
@@ -181,7 +185,17 @@ export class RBACPermissionResolver {
     async checkOrganizationGroup(user, requiredGroup, userPositions) {
         if (!requiredGroup) return true;
 
-        const userGroups = userPositions.map(position => {
+        const userGroups = this.getUserGroups(userPositions);
+
+        if (Array.isArray(requiredGroup)) {
+            return requiredGroup.some(group => this.matchesGroup(group, userGroups));
+        }
+
+        return this.matchesGroup(requiredGroup, userGroups);
+    }
+
+    getUserGroups(userPositions) {
+        return userPositions.map(position => {
             const group = position.group;
             return {
                 department: group?.department?.name,
@@ -189,12 +203,6 @@ export class RBACPermissionResolver {
                 type: group?.department ? 'department' : 'team'
             };
         });
-
-        if (Array.isArray(requiredGroup)) {
-            return requiredGroup.some(group => this.matchesGroup(group, userGroups));
-        }
-
-        return this.matchesGroup(requiredGroup, userGroups);
     }
 
     /**
@@ -229,7 +237,8 @@ export class RBACPermissionResolver {
     }
 
     /**
-     * Check contextual permissions
+     * Check contextual permissions. An expression condition (see WorkflowExpression) reads
+     * the workflow context, `user` and `organization`; one that fails to evaluate denies.
      */
     async checkContextualPermissions(user, contextConditions, organizationContext, workflowContext) {
         if (!contextConditions || Object.keys(contextConditions).length === 0) {
@@ -269,6 +278,16 @@ export class RBACPermissionResolver {
                     }
                     break;
 
+                case 'expression':
+                    try {
+                        if (!evaluateExpression(requirement, workflowContext, { user, organization: organizationContext })) {
+                            return false;
+                        }
+                    } catch (error) {
+                        return false;
+                    }
+                    break;
+
                 default:
                     console.warn(`Unknown context condition: ${condition}`);
             }
@@ -333,6 +352,119 @@ export class RBACPermissionResolver {
         }
     }
 
+    /**
+     * Get the delegations a user currently holds, each with the delegator and their positions
+     */
+    async getDelegations(user, organizationId, now = new Date()) {
+        if (typeof this.organizationService.getDelegations !== 'function') return [];
+
+        try {
+            const delegations = await this.organizationService.getDelegations(organizationId, {
+                delegateId: user.id,
+                activeAt: now
+            });
+
+            return await Promise.all(delegations.map(async delegation => ({
+                ...delegation,
+                delegator: await this.getUser(delegation.delegatorId),
+                positions: await this.getUserOrganizationalPositions({ id: delegation.delegatorId }, organizationId)
+            })));
+        } catch (error) {
+            console.error('Error fetching delegations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Add the user's delegations that cover the workflow to an organizational context,
+     * and those implied by an escalation that reassigned the workflow to the user
+     */
+    async withDelegations(user, organizationContext, workflow) {
+        const delegations = await this.getDelegations(user, organizationContext.organizationId);
+        return {
+            ...organizationContext,
+            delegations: [
+                ...delegations.filter(delegation => this.delegationCovers(delegation, workflow)),
+                ...await this.getEscalationDelegations(user, organizationContext.organizationId, workflow)
+            ]
+        };
+    }
+
+    /**
+     * A user the scheduler reassigned the workflow's current state to (see
+     * WorkflowScheduler.reassign) acts for the original assignees, as their delegate
+     */
+    async getEscalationDelegations(user, organizationId, workflow) {
+        const assignment = workflow?.metadata?.assignment;
+        if (!assignment || assignment.state !== workflow.currentState ||
+            !(assignment.users || []).some(assignee => assignee.id === user.id)) {
+            return [];
+        }
+
+        return await Promise.all((assignment.originalUserIds || []).map(async delegatorId => ({
+            id: `escalation:${workflow.id}:${assignment.escalationLevel}:${delegatorId}`,
+            organizationId,
+            delegatorId,
+            delegateId: user.id,
+            actors: [],
+            escalation: true,
+            delegator: await this.getUser(delegatorId),
+            positions: await this.getUserOrganizationalPositions({ id: delegatorId }, organizationId)
+        })));
+    }
+
+    /**
+     * Check a delegation's workflow type and amount limits against a workflow.
+     * A delegation limited to an amount does not cover a workflow whose amount is unknown.
+     */
+    delegationCovers(delegation, workflow) {
+        if (delegation.workflowTypes?.length > 0 && !delegation.workflowTypes.includes(workflow.type)) {
+            return false;
+        }
+        if (delegation.maxAmount === null || delegation.maxAmount === undefined) {
+            return true;
+        }
+
+        const amount = workflow.getAmount ? workflow.getAmount() : null;
+        return amount !== null && amount !== undefined && amount <= delegation.maxAmount;
+    }
+
+    /**
+     * Get the delegator's actors that a delegation hands over
+     */
+    getDelegatedActors(delegation, workflowContext = {}, actorMapping = null) {
+        const actors = this.mapPositionsToWorkflowActors(delegation.positions || [], workflowContext, actorMapping);
+        return delegation.actors?.length > 0 ? actors.filter(actor => delegation.actors.includes(actor)) : actors;
+    }
+
+    /**
+     * Get the users standing in for a delegator on a workflow for the given actor
+     */
+    async getDelegates(delegatorId, actor, organizationId, workflow, now = new Date()) {
+        if (typeof this.organizationService.getDelegations !== 'function') return [];
+
+        const delegations = await this.organizationService.getDelegations(organizationId, {
+            delegatorId,
+            activeAt: now
+        });
+
+        const delegates = [];
+        for (const delegation of delegations) {
+            if (delegation.actors.length > 0 && !delegation.actors.includes(actor)) continue;
+            if (!this.delegationCovers(delegation, workflow)) continue;
+
+            delegates.push({ ...await this.getUser(delegation.delegateId), onBehalfOf: delegatorId, delegationId: delegation.id });
+        }
+        return delegates;
+    }
+
+    async getUser(userId) {
+        const user = typeof this.organizationService.getUser === 'function'
+            ? await this.organizationService.getUser(userId)
+            : null;
+        return user || { id: userId };
+    }
+
     /**
      * Generate cache key for permission check
      */
@@ -340,6 +472,7 @@ export class RBACPermissionResolver {
         const permissionHash = JSON.stringify(workflowPermission);
         const contextHash = JSON.stringify({
             organizationId: organizationContext.organizationId,
+            delegations: (organizationContext.delegations || []).map(delegation => delegation.id),
             timestamp: Math.floor(Date.now() / (5 * 60 * 1000)) // 5-minute buckets
         });
 
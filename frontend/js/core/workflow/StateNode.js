@@ -1,3 +1,18 @@
+import { toActorMapping, getGrantedActors } from './ActorMapping.js';
+import { parseExpression, evaluateExpression } from './WorkflowExpression.js';
+
+/**
+ * Completion rules for voting states:
+ *   any         the first approval decides
+ *   majority    more than half of the voters who did not abstain
+ *   n_of_m      voting.count approvals
+ *   unanimous   every voter who did not abstain
+ *   sequential  unanimous, with voters taking their turn in the order listed
+ */
+export const VOTING_RULES = ['any', 'majority', 'n_of_m', 'unanimous', 'sequential'];
+
+export const VOTE_DECISIONS = ['approve', 'reject', 'abstain'];
+
 /**
  * Enhanced State Node with integrated RBAC permissions
  */
@@ -10,34 +25,120 @@ export class StateNode {
         this.permissionConditions = options.permissionConditions || {};
         this.onEnter = options.onEnter;
         this.onExit = options.onExit;
-        this.allowMultipleActors = options.allowMultipleActors || false;
-        this.timeoutDuration = options.timeoutDuration;
-        this.escalationRules = options.escalationRules || [];
+        this.allowMultipleActors = options.allowMultipleActors || Boolean(options.voting);
+        this.timeoutDuration = options.timeoutDuration; // milliseconds or a business duration
+        this.escalationRules = options.escalationRules || []; // run by WorkflowScheduler
+        this.sla = options.sla || null; // { target, dueSoon } durations, see BusinessCalendar
+
+        // Hierarchy: a compound state nests sub-states and enters its initialState;
+        // a parallel state runs one sub-state per region ({ regionName: initialState })
+        // and, once all regions (or join.quorum of them) reach a final state, moves to join.target.
+        this.parent = options.parent || null;
+        this.region = options.region || null;
+        this.initialState = options.initialState || null;
+        this.regions = options.regions || {};
+        this.join = options.join || null;
+        this.final = options.final || false;
+        this.type = options.type || (Object.keys(this.regions).length > 0 ? 'parallel' : this.initialState ? 'compound' : 'atomic');
+
+        // Voting: { rule, count, voters, onApprove, onReject }. Eligible voters each cast one
+        // vote; once the rule is decided the workflow moves to onApprove or onReject.
+        // voters (user ids) fixes the list and its order, otherwise the engine resolves
+        // everyone holding one of the requiredActors when the state is entered.
+        this.voting = options.voting || null;
+
+        // Sub-workflows: { workflows, onComplete, onFailure, failureStates }. Entering the state
+        // starts a child workflow for each entry of workflows ({ type, context, forEach }); the
+        // engine moves to onComplete once every child has ended, or to onFailure as soon as a
+        // child ends in one of failureStates. context maps child keys to paths in this
+        // workflow's context; with forEach (a path to a list) one child is started per item,
+        // which the paths can refer to as 'item'.
+        this.subWorkflows = options.subWorkflows || null;
+
+        // Scheduled transitions: [{ action or target, at or cron, catchUp }], fired as the
+        // system user by WorkflowScheduler while the state is active; see WorkflowScheduler.
+        this.scheduledTransitions = options.scheduledTransitions || [];
+
+        this.checkExpressions();
+    }
+
+    /**
+     * Parse the expressions ({ expression } guards and validations) up front, so a
+     * mistake is reported when the state is defined rather than when it is first used
+     */
+    checkExpressions() {
+        const check = (condition, where) => {
+            if (condition?.operator === 'and' || condition?.operator === 'or') {
+                (condition.conditions || []).forEach(nested => check(nested, where));
+            } else if (condition && typeof condition === 'object' && 'expression' in condition) {
+                try {
+                    parseExpression(condition.expression);
+                } catch (error) {
+                    throw new Error(`State '${this.name}' ${where}: ${error.message}`);
+                }
+            }
+        };
+
+        this.transitions.forEach(transition =>
+            (transition.guards || []).forEach(guard => check(guard, `transition '${transition.action || transition.target}' guard`))
+        );
+        this.validations.forEach(validation => check(validation, 'validation'));
     }
 
     /**
      * Check if transition to target state is allowed
      */
-    canTransitionTo(targetState, context = {}) {
+    canTransitionTo(targetState, context = {}, user = null, organizationContext = null) {
         return this.transitions.some(transition =>
             transition.target === targetState &&
-            this.evaluateGuardConditions(transition.guards || [], context)
+            this.evaluateGuardConditions(transition.guards || [], context, user, organizationContext)
         );
     }
 
     /**
      * Get available transitions for current context
      */
-    getAvailableTransitions(context = {}) {
+    getAvailableTransitions(context = {}, user = null, organizationContext = null) {
         return this.transitions.filter(transition =>
-            this.evaluateGuardConditions(transition.guards || [], context)
+            this.evaluateGuardConditions(transition.guards || [], context, user, organizationContext)
         );
     }
 
     /**
-     * Check if user has permission to act in this state
+     * Check if user has permission to act in this state, directly or through a delegation
      */
     hasPermission(user, organizationContext, workflowContext = {}) {
+        return this.hasOwnPermission(user, organizationContext, workflowContext) ||
+            Boolean(this.getActingDelegation(organizationContext, workflowContext));
+    }
+
+    /**
+     * Find a delegation (organizationContext.delegations) that lets the user act in this
+     * state on the delegator's behalf. Required actors and permission conditions are
+     * checked against the delegator's positions, limited to the delegated actors.
+     */
+    getActingDelegation(organizationContext, workflowContext = {}) {
+        for (const delegation of organizationContext.delegations || []) {
+            const delegator = delegation.delegator || { id: delegation.delegatorId };
+            const delegatorContext = { ...organizationContext, positions: delegation.positions || [], delegations: [] };
+
+            if (this.requiredActors.length > 0) {
+                const actors = this.getUserActors(delegator, delegatorContext)
+                    .filter(actor => delegation.actors.length === 0 || delegation.actors.includes(actor));
+                if (!this.requiredActors.some(actor => actors.includes(actor))) continue;
+            }
+
+            if (this.evaluatePermissionConditions(delegator, delegatorContext, workflowContext)) {
+                return delegation;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if user has permission to act in this state through their own positions
+     */
+    hasOwnPermission(user, organizationContext, workflowContext = {}) {
         // Check required actors
         if (this.requiredActors.length > 0) {
             const userActors = this.getUserActors(user, organizationContext);
@@ -52,66 +153,86 @@ export class StateNode {
     }
 
     /**
-     * Get user's workflow actors based on organizational position
+     * Explain hasPermission: every check made for the user, whether it passed and
+     * the values compared. A failed check on the user's own positions may still be
+     * covered by a delegation, which is reported as the last check.
      */
-    getUserActors(user, organizationContext) {
-        const actors = [];
-
-        // Map organizational roles to workflow actors
-        if (organizationContext.positions) {
-            organizationContext.positions.forEach(position => {
-                const designation = position.designation;
-
-                // Map designations to workflow actors
-                if (designation.name.toLowerCase().includes('manager') ||
-                    designation.name.toLowerCase().includes('head') ||
-                    designation.name.toLowerCase().includes('director')) {
-                    actors.push('Approver');
-                }
-
-                if (designation.name.toLowerCase().includes('analyst') ||
-                    designation.name.toLowerCase().includes('reviewer')) {
-                    actors.push('Analyzer');
-                }
+    explainPermission(user, organizationContext, workflowContext = {}) {
+        const checks = [];
 
-                if (designation.name.toLowerCase().includes('developer') ||
-                    designation.name.toLowerCase().includes('engineer')) {
-                    actors.push('Developer');
-                }
+        const userActors = this.getUserActors(user, organizationContext);
+        checks.push({
+            check: 'actor',
+            passed: this.requiredActors.length === 0 || this.requiredActors.some(actor => userActors.includes(actor)),
+            expected: this.requiredActors,
+            actual: userActors
+        });
 
-                if (designation.name.toLowerCase().includes('tester') ||
-                    designation.name.toLowerCase().includes('qa')) {
-                    actors.push('Tester');
-                }
+        for (const [condition, requirement] of Object.entries(this.permissionConditions)) {
+            checks.push({
+                check: condition,
+                passed: this.checkPermissionCondition(condition, requirement, user, organizationContext, workflowContext),
+                expected: typeof requirement === 'function' ? `${condition} function` : requirement,
+                actual: this.describePositions(condition, organizationContext)
+            });
+        }
 
-                if (designation.name.toLowerCase().includes('support') ||
-                    designation.name.toLowerCase().includes('maintenance')) {
-                    actors.push('Supporter');
-                }
+        const ownPermission = checks.every(check => check.passed);
+        const explanation = { state: this.name, allowed: ownPermission, checks };
 
-                if (designation.name.toLowerCase().includes('designer') ||
-                    designation.name.toLowerCase().includes('architect')) {
-                    actors.push('Designer');
-                }
+        if (!ownPermission) {
+            const delegation = this.getActingDelegation(organizationContext, workflowContext);
+            checks.push({
+                check: 'delegation',
+                passed: Boolean(delegation),
+                expected: 'a delegation covering this state',
+                actual: delegation ? { id: delegation.id, delegatorId: delegation.delegatorId } : null
             });
+            explanation.allowed = Boolean(delegation);
         }
 
-        // Every user can be a requestor
-        actors.push('Requestor');
+        return explanation;
+    }
+
+    /**
+     * The organizational values a permission condition is compared with
+     */
+    describePositions(condition, organizationContext) {
+        const positions = organizationContext.positions || [];
+        switch (condition) {
+            case 'department':
+                return positions.map(position => (position.group?.department || position.department)?.name).filter(Boolean);
+            case 'team':
+                return positions.map(position => (position.group?.team || position.team)?.name).filter(Boolean);
+            case 'designation':
+                return positions.map(position => position.designation?.name).filter(Boolean);
+            default:
+                return null;
+        }
+    }
 
-        return [...new Set(actors)]; // Remove duplicates
+    /**
+     * Get user's workflow actors based on organizational position, using the
+     * organization's actor mapping (organizationContext.actorMapping), plus the
+     * actors granted to a service account directly
+     */
+    getUserActors(user, organizationContext) {
+        const actors = toActorMapping(organizationContext.actorMapping).getActors(organizationContext.positions || []);
+        return [...new Set([...actors, ...getGrantedActors(user)])];
     }
 
     /**
-     * Evaluate guard conditions for transitions
+     * Evaluate guard conditions for transitions: functions, condition objects and
+     * expressions ({ expression }), which can also use the acting user and their
+     * organizational context when known
      */
-    evaluateGuardConditions(guards, context) {
+    evaluateGuardConditions(guards, context, user = null, organizationContext = null) {
         return guards.every(guard => {
             if (typeof guard === 'function') {
-                return guard(context);
+                return guard(context, user, organizationContext);
             }
             if (typeof guard === 'object') {
-                return this.evaluateConditionObject(guard, context);
+                return this.evaluateConditionObject(guard, context, user, organizationContext);
             }
             return true;
         });
@@ -121,31 +242,27 @@ export class StateNode {
      * Evaluate permission conditions
      */
     evaluatePermissionConditions(user, organizationContext, workflowContext) {
-        for (const [condition, requirement] of Object.entries(this.permissionConditions)) {
-            switch (condition) {
-                case 'department':
-                    if (!this.checkDepartmentAccess(user, organizationContext, requirement)) {
-                        return false;
-                    }
-                    break;
-                case 'team':
-                    if (!this.checkTeamAccess(user, organizationContext, requirement)) {
-                        return false;
-                    }
-                    break;
-                case 'designation':
-                    if (!this.checkDesignationAccess(user, organizationContext, requirement)) {
-                        return false;
-                    }
-                    break;
-                case 'customCondition':
-                    if (typeof requirement === 'function' && !requirement(user, organizationContext, workflowContext)) {
-                        return false;
-                    }
-                    break;
-            }
+        return Object.entries(this.permissionConditions).every(([condition, requirement]) =>
+            this.checkPermissionCondition(condition, requirement, user, organizationContext, workflowContext)
+        );
+    }
+
+    /**
+     * Evaluate a single permission condition
+     */
+    checkPermissionCondition(condition, requirement, user, organizationContext, workflowContext) {
+        switch (condition) {
+            case 'department':
+                return this.checkDepartmentAccess(user, organizationContext, requirement);
+            case 'team':
+                return this.checkTeamAccess(user, organizationContext, requirement);
+            case 'designation':
+                return this.checkDesignationAccess(user, organizationContext, requirement);
+            case 'customCondition':
+                return typeof requirement !== 'function' || Boolean(requirement(user, organizationContext, workflowContext));
+            default:
+                return true;
         }
-        return true;
     }
 
     /**
@@ -194,19 +311,27 @@ export class StateNode {
     }
 
     /**
-     * Evaluate complex condition objects
+     * Evaluate complex condition objects. An expression that fails to evaluate (say,
+     * comparing a number with a string) does not hold.
      */
-    evaluateConditionObject(guard, context) {
+    evaluateConditionObject(guard, context, user = null, organizationContext = null) {
         if (guard.operator === 'and') {
             return guard.conditions.every(condition =>
-                this.evaluateConditionObject(condition, context)
+                this.evaluateConditionObject(condition, context, user, organizationContext)
             );
         }
         if (guard.operator === 'or') {
             return guard.conditions.some(condition =>
-                this.evaluateConditionObject(condition, context)
+                this.evaluateConditionObject(condition, context, user, organizationContext)
             );
         }
+        if (guard.expression !== undefined) {
+            try {
+                return Boolean(evaluateExpression(guard.expression, context, { user, organization: organizationContext }));
+            } catch (error) {
+                return false;
+            }
+        }
         if (guard.field && guard.value !== undefined) {
             const fieldValue = this.getNestedValue(context, guard.field);
             switch (guard.operator) {
@@ -250,14 +375,32 @@ export class StateNode {
     }
 
     /**
-     * Validate state data
+     * Validate state data. Validations are functions returning true or a message, or
+     * condition objects and expressions with an optional message.
      */
-    async validate(context) {
+    async validate(context, user = null, organizationContext = null) {
         const results = [];
 
         for (const validation of this.validations) {
+            if (typeof validation === 'object') {
+                const message = validation.message ||
+                    (validation.expression ? `Validation failed: ${validation.expression}` : `Validation failed for ${validation.field}`);
+                if (validation.expression !== undefined) {
+                    try {
+                        if (!evaluateExpression(validation.expression, context, { user, organization: organizationContext })) {
+                            results.push(message);
+                        }
+                    } catch (error) {
+                        results.push(`${message} (${error.message})`);
+                    }
+                } else if (!this.evaluateConditionObject(validation, context, user, organizationContext)) {
+                    results.push(message);
+                }
+                continue;
+            }
+
             try {
-                const result = await validation(context);
+                const result = await validation(context, user, organizationContext);
                 if (result !== true) {
                     results.push(result || 'Validation failed');
                 }
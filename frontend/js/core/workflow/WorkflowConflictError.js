@@ -0,0 +1,16 @@
+/**
+ * Thrown when a write was made against an older revision of a workflow than the
+ * latest one, i.e. someone else changed the workflow in the meantime. latest is
+ * the serialized workflow at its current revision, so callers can show what
+ * changed and retry against it.
+ */
+export class WorkflowConflictError extends Error {
+    constructor(workflowId, expectedRevision, latest) {
+        super(`Workflow ${workflowId} was changed by someone else: expected revision ${expectedRevision}, latest is ${latest?.revision || 0}`);
+        this.name = 'WorkflowConflictError';
+        this.workflowId = workflowId;
+        this.expectedRevision = expectedRevision;
+        this.actualRevision = latest?.revision || 0;
+        this.latest = latest;
+    }
+}
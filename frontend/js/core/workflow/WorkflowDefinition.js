@@ -0,0 +1,661 @@
+import yaml from 'js-yaml';
+import { BaseWorkflow } from './BaseWorkflow.js';
+import { StateNode, VOTING_RULES } from './StateNode.js';
+import { getNextCronTime } from './CronExpression.js';
+import { isValidDuration } from './BusinessCalendar.js';
+import { checkExpression } from './WorkflowExpression.js';
+
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'greater_than', 'less_than', 'contains', 'in'];
+const ESCALATION_ACTIONS = ['remind', 'reassign', 'transition'];
+
+const DEFINITION_KEYS = ['name', 'version', 'description', 'initialState', 'context', 'states', 'separationOfDuties', 'compensation'];
+const STATE_KEYS = [
+    'label', 'description', 'final', 'transitions', 'requiredActors', 'permissionConditions',
+    'validations', 'onEnter', 'onExit', 'allowMultipleActors', 'timeoutDuration', 'escalationRules',
+    'parent', 'region', 'initialState', 'regions', 'join', 'voting', 'subWorkflows', 'compensate',
+    'scheduledTransitions', 'sla'
+];
+const VOTING_KEYS = ['rule', 'count', 'voters', 'onApprove', 'onReject'];
+const SUB_WORKFLOWS_KEYS = ['workflows', 'onComplete', 'onFailure', 'failureStates'];
+const SUB_WORKFLOW_KEYS = ['type', 'context', 'forEach'];
+const SLA_KEYS = ['target', 'dueSoon'];
+const SCHEDULED_TRANSITION_KEYS = ['action', 'target', 'at', 'cron', 'catchUp'];
+const SEPARATION_OF_DUTIES_KEYS = ['type', 'states', 'between', 'message'];
+const SEPARATION_OF_DUTIES_TYPES = ['creator_excluded', 'distinct_actors'];
+const COMPENSATION_KEYS = ['failureStates', 'maxAttempts', 'retryDelay', 'onFailure'];
+const TRANSITION_KEYS = ['target', 'action', 'label', 'guards', 'requiresConfirmation', 'metadata'];
+
+/**
+ * Parse a workflow definition from a JSON or YAML string (objects are returned as is)
+ */
+export function parseWorkflowDefinition(source) {
+    if (typeof source !== 'string') {
+        return source;
+    }
+
+    try {
+        return source.trim().startsWith('{') ? JSON.parse(source) : yaml.load(source);
+    } catch (error) {
+        throw new Error(`Could not parse workflow definition: ${error.message}`);
+    }
+}
+
+/**
+ * Check a definition against the workflow definition schema.
+ * Returns a list of human-readable problems; an empty list means the definition is valid.
+ * Hook names used by onEnter, onExit, compensate, validations and guards must exist in `hooks`.
+ * Guards and validations can also be conditions ({ field, operator, value }, combined with
+ * and/or) or expressions ({ expression, message }, see WorkflowExpression), which are parsed here.
+ */
+export function validateWorkflowDefinition(definition, hooks = {}) {
+    const errors = [];
+
+    if (!isPlainObject(definition)) {
+        return ['Definition must be an object'];
+    }
+
+    checkKeys(definition, DEFINITION_KEYS, 'Definition', errors);
+
+    if (typeof definition.name !== 'string' || !definition.name) {
+        errors.push('name is required');
+    }
+    if (definition.version !== undefined && (!Number.isInteger(definition.version) || definition.version < 1)) {
+        errors.push('version must be a positive integer');
+    }
+    if (definition.context !== undefined && !isPlainObject(definition.context)) {
+        errors.push('context must be an object');
+    }
+    if (!isPlainObject(definition.states) || Object.keys(definition.states).length === 0) {
+        errors.push('states must be an object with at least one state');
+        return errors;
+    }
+
+    const stateNames = Object.keys(definition.states);
+
+    if (!definition.initialState) {
+        errors.push('initialState is required');
+    } else if (!stateNames.includes(definition.initialState)) {
+        errors.push(`initialState '${definition.initialState}' is not a defined state`);
+    }
+
+    for (const [stateName, state] of Object.entries(definition.states)) {
+        const where = `State '${stateName}'`;
+
+        if (!isPlainObject(state)) {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+
+        checkKeys(state, STATE_KEYS, where, errors);
+        checkStringList(state.requiredActors, `${where} requiredActors`, errors);
+        checkHookRefs(state.onEnter, `${where} onEnter`, hooks, errors);
+        checkHookRefs(state.onExit, `${where} onExit`, hooks, errors);
+        if (Array.isArray(state.compensate)) {
+            errors.push(`${where} compensate must be a single hook name`);
+        } else {
+            checkHookRefs(state.compensate, `${where} compensate`, hooks, errors);
+        }
+
+        if (state.permissionConditions !== undefined && !isPlainObject(state.permissionConditions)) {
+            errors.push(`${where} permissionConditions must be an object`);
+        }
+        if (state.timeoutDuration !== undefined && !isValidDuration(state.timeoutDuration)) {
+            errors.push(`${where} timeoutDuration must be a positive number of milliseconds or a business duration`);
+        }
+
+        toList(state.validations).forEach((validation, index) => {
+            const validationWhere = `${where} validation ${index + 1}`;
+            if (typeof validation === 'string') {
+                checkHookRefs(validation, validationWhere, hooks, errors);
+            } else {
+                checkCondition(validation, validationWhere, errors);
+            }
+        });
+
+        toList(state.escalationRules).forEach((rule, index) => {
+            const ruleWhere = `${where} escalation rule ${index + 1}`;
+            if (!ESCALATION_ACTIONS.includes(rule?.action)) {
+                errors.push(`${ruleWhere} action must be one of ${ESCALATION_ACTIONS.join(', ')}`);
+            } else if (rule.action === 'transition' && !stateNames.includes(rule.targetState)) {
+                errors.push(`${ruleWhere} targets unknown state '${rule.targetState}'`);
+            }
+        });
+
+        if (state.transitions !== undefined && !Array.isArray(state.transitions)) {
+            errors.push(`${where} transitions must be a list`);
+            continue;
+        }
+
+        toList(state.transitions).forEach((transition, index) => {
+            const transitionWhere = `${where} transition ${index + 1}`;
+            if (!isPlainObject(transition)) {
+                errors.push(`${transitionWhere} must be an object`);
+                return;
+            }
+
+            checkKeys(transition, TRANSITION_KEYS, transitionWhere, errors);
+
+            if (!transition.target) {
+                errors.push(`${transitionWhere} is missing a target`);
+            } else if (!stateNames.includes(transition.target)) {
+                errors.push(`${transitionWhere} targets unknown state '${transition.target}'`);
+            }
+
+            toList(transition.guards).forEach((guard, guardIndex) => {
+                const guardWhere = `${transitionWhere} guard ${guardIndex + 1}`;
+                if (typeof guard === 'string') {
+                    checkHookRefs(guard, guardWhere, hooks, errors);
+                } else {
+                    checkCondition(guard, guardWhere, errors);
+                }
+            });
+        });
+
+        if (state.final && toList(state.transitions).length > 0) {
+            errors.push(`${where} is final but has transitions`);
+        }
+
+        checkHierarchy(stateName, state, definition.states, errors);
+        checkVoting(stateName, state, stateNames, errors);
+        checkSubWorkflows(stateName, state, stateNames, errors);
+        checkScheduledTransitions(stateName, state, stateNames, errors);
+        checkSla(stateName, state, errors);
+    }
+
+    checkSeparationOfDuties(definition.separationOfDuties, stateNames, errors);
+    checkCompensation(definition.compensation, definition.states, errors);
+
+    if (stateNames.includes(definition.initialState)) {
+        const reachable = findReachableStates(definition);
+        stateNames
+            .filter(stateName => !reachable.has(stateName))
+            .forEach(stateName => errors.push(`State '${stateName}' is unreachable from '${definition.initialState}'`));
+    }
+
+    return errors;
+}
+
+/**
+ * Build a BaseWorkflow subclass from a definition.
+ * Throws an error listing every schema problem if the definition is invalid.
+ */
+export function createWorkflowClass(source, hooks = {}) {
+    const definition = parseWorkflowDefinition(source);
+    const errors = validateWorkflowDefinition(definition, hooks);
+
+    if (errors.length > 0) {
+        const name = definition?.name ? ` '${definition.name}'` : '';
+        const error = new Error(`Invalid workflow definition${name}:\n- ${errors.join('\n- ')}`);
+        error.errors = errors;
+        throw error;
+    }
+
+    class DefinedWorkflow extends BaseWorkflow {
+        constructor(id, options = {}) {
+            super(id, { ...options, type: definition.name });
+            this.context = { ...cloneJson(definition.context || {}), ...this.context };
+            this.definition = definition;
+            this.initialize();
+        }
+
+        getInitialState() {
+            return definition.initialState;
+        }
+
+        getSeparationOfDutiesRules() {
+            return definition.separationOfDuties || [];
+        }
+
+        getCompensationHandlers() {
+            return Object.fromEntries(Object.values(definition.states)
+                .filter(state => state.compensate)
+                .map(state => [state.compensate, hooks[state.compensate]]));
+        }
+
+        getCompensationPolicy() {
+            return { ...super.getCompensationPolicy(), ...definition.compensation };
+        }
+
+        defineStates() {
+            for (const [stateName, state] of Object.entries(definition.states)) {
+                this.addState(stateName, buildStateNode(stateName, state, hooks, this));
+            }
+        }
+    }
+
+    Object.defineProperty(DefinedWorkflow, 'name', { value: definition.name });
+    DefinedWorkflow.definition = definition;
+    DefinedWorkflow.version = definition.version || 1;
+
+    return DefinedWorkflow;
+}
+
+/**
+ * Turn a state definition into a StateNode, resolving hook names to functions.
+ * A state's compensate hook is registered with the workflow once its entry actions have run.
+ */
+function buildStateNode(stateName, state, hooks, workflow) {
+    const onEnter = composeHooks(state.onEnter, hooks);
+    const node = new StateNode(stateName, {
+        transitions: toList(state.transitions).map(transition => ({
+            ...transition,
+            guards: toList(transition.guards).map(guard => typeof guard === 'string' ? hooks[guard] : guard)
+        })),
+        requiredActors: state.requiredActors || [],
+        permissionConditions: state.permissionConditions || {},
+        allowMultipleActors: state.allowMultipleActors || false,
+        timeoutDuration: state.timeoutDuration,
+        sla: state.sla,
+        escalationRules: state.escalationRules || [],
+        parent: state.parent,
+        region: state.region,
+        initialState: state.initialState,
+        regions: state.regions,
+        join: state.join,
+        final: state.final,
+        voting: state.voting,
+        subWorkflows: state.subWorkflows,
+        scheduledTransitions: state.scheduledTransitions || [],
+        onEnter: !state.compensate ? onEnter : async (context, user, organizationContext) => {
+            if (onEnter) await onEnter(context, user, organizationContext);
+            workflow.registerCompensation(state.compensate);
+        },
+        onExit: composeHooks(state.onExit, hooks)
+    });
+
+    // Condition objects and expressions are checked by StateNode.validate
+    node.validations = toList(state.validations).map(validation =>
+        typeof validation === 'string' ? hooks[validation] : validation
+    );
+
+    return node;
+}
+
+function composeHooks(names, hooks) {
+    const fns = toList(names).map(name => hooks[name]);
+    if (fns.length === 0) return undefined;
+
+    return async (context, user, organizationContext) => {
+        for (const fn of fns) {
+            await fn(context, user, organizationContext);
+        }
+    };
+}
+
+function findReachableStates(definition) {
+    const reachable = new Set([definition.initialState]);
+    const queue = [definition.initialState];
+
+    while (queue.length > 0) {
+        const state = definition.states[queue.shift()];
+        const targets = [
+            ...toList(state?.transitions).map(transition => transition?.target),
+            ...toList(state?.escalationRules).map(rule => rule?.targetState),
+            ...toList(state?.scheduledTransitions).map(rule => rule?.target),
+            state?.parent,
+            state?.initialState,
+            ...(isPlainObject(state?.regions) ? Object.values(state.regions) : []),
+            state?.join?.target,
+            state?.voting?.onApprove,
+            state?.voting?.onReject,
+            state?.subWorkflows?.onComplete,
+            state?.subWorkflows?.onFailure
+        ];
+
+        targets
+            .filter(target => target && definition.states[target] && !reachable.has(target))
+            .forEach(target => {
+                reachable.add(target);
+                queue.push(target);
+            });
+    }
+
+    return reachable;
+}
+
+function checkHierarchy(stateName, state, states, errors) {
+    const where = `State '${stateName}'`;
+    const childrenOf = (parent, region) => Object.entries(states)
+        .filter(([, child]) => child?.parent === parent && (region === undefined || child.region === region))
+        .map(([name]) => name);
+
+    if (state.initialState !== undefined && state.regions !== undefined) {
+        errors.push(`${where} cannot have both initialState and regions`);
+    }
+
+    if (state.initialState !== undefined && !childrenOf(stateName).includes(state.initialState)) {
+        errors.push(`${where} initialState '${state.initialState}' is not one of its sub-states`);
+    }
+
+    if (state.regions !== undefined) {
+        if (!isPlainObject(state.regions) || Object.keys(state.regions).length < 2) {
+            errors.push(`${where} regions must map at least two region names to initial sub-states`);
+        } else {
+            Object.entries(state.regions)
+                .filter(([region, initialState]) => !childrenOf(stateName, region).includes(initialState))
+                .forEach(([region, initialState]) =>
+                    errors.push(`${where} region '${region}' initial state '${initialState}' is not a sub-state in that region`));
+        }
+    }
+
+    if (state.join !== undefined) {
+        const regionCount = isPlainObject(state.regions) ? Object.keys(state.regions).length : 0;
+        if (!state.regions) {
+            errors.push(`${where} join is only allowed on parallel states`);
+        } else if (!isPlainObject(state.join) || !states[state.join.target]) {
+            errors.push(`${where} join targets unknown state '${state.join?.target}'`);
+        } else if (state.join.quorum !== undefined &&
+            (!Number.isInteger(state.join.quorum) || state.join.quorum < 1 || state.join.quorum > regionCount)) {
+            errors.push(`${where} join quorum must be between 1 and ${regionCount}`);
+        }
+    }
+
+    if (state.parent !== undefined) {
+        const parent = states[state.parent];
+        if (!isPlainObject(parent) || (parent.initialState === undefined && parent.regions === undefined)) {
+            errors.push(`${where} parent '${state.parent}' is not a compound or parallel state`);
+        } else if (parent.regions && !Object.keys(parent.regions).includes(state.region)) {
+            errors.push(`${where} must name one of the regions of '${state.parent}'`);
+        }
+
+        const seen = new Set([stateName]);
+        let ancestor = state.parent;
+        while (ancestor && states[ancestor]) {
+            if (seen.has(ancestor)) {
+                errors.push(`${where} has a parent cycle`);
+                break;
+            }
+            seen.add(ancestor);
+            ancestor = states[ancestor].parent;
+        }
+    } else if (state.region !== undefined) {
+        errors.push(`${where} has a region but no parent`);
+    }
+}
+
+function checkVoting(stateName, state, stateNames, errors) {
+    if (state.voting === undefined) return;
+
+    const where = `State '${stateName}' voting`;
+    if (!isPlainObject(state.voting)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+
+    const voting = state.voting;
+    checkKeys(voting, VOTING_KEYS, where, errors);
+    checkStringList(voting.voters, `${where} voters`, errors);
+
+    if (voting.rule !== undefined && !VOTING_RULES.includes(voting.rule)) {
+        errors.push(`${where} rule must be one of ${VOTING_RULES.join(', ')}`);
+    }
+    if (voting.rule === 'n_of_m' && (!Number.isInteger(voting.count) || voting.count < 1)) {
+        errors.push(`${where} rule 'n_of_m' needs a positive integer count`);
+    } else if (voting.count !== undefined && voting.rule !== 'n_of_m') {
+        errors.push(`${where} count is only used by the 'n_of_m' rule`);
+    }
+    if (Array.isArray(voting.voters) && Number.isInteger(voting.count) && voting.count > voting.voters.length) {
+        errors.push(`${where} count is larger than the number of voters`);
+    }
+    if (!voting.voters && !toList(state.requiredActors).length) {
+        errors.push(`${where} needs voters or requiredActors to decide who may vote`);
+    }
+
+    ['onApprove', 'onReject'].forEach(key => {
+        if (voting[key] !== undefined && !stateNames.includes(voting[key])) {
+            errors.push(`${where} ${key} targets unknown state '${voting[key]}'`);
+        }
+    });
+}
+
+function checkSubWorkflows(stateName, state, stateNames, errors) {
+    if (state.subWorkflows === undefined) return;
+
+    const where = `State '${stateName}' subWorkflows`;
+    if (!isPlainObject(state.subWorkflows)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+
+    const subWorkflows = state.subWorkflows;
+    checkKeys(subWorkflows, SUB_WORKFLOWS_KEYS, where, errors);
+    checkStringList(subWorkflows.failureStates, `${where} failureStates`, errors);
+
+    if (!Array.isArray(subWorkflows.workflows) || subWorkflows.workflows.length === 0) {
+        errors.push(`${where} needs a non-empty workflows list`);
+    } else {
+        subWorkflows.workflows.forEach((workflow, index) => {
+            const workflowWhere = `${where} workflow ${index + 1}`;
+            if (!isPlainObject(workflow)) {
+                errors.push(`${workflowWhere} must be an object`);
+                return;
+            }
+
+            checkKeys(workflow, SUB_WORKFLOW_KEYS, workflowWhere, errors);
+            if (typeof workflow.type !== 'string' || !workflow.type) {
+                errors.push(`${workflowWhere} is missing a type`);
+            }
+            if (workflow.context !== undefined &&
+                (!isPlainObject(workflow.context) || Object.values(workflow.context).some(path => typeof path !== 'string'))) {
+                errors.push(`${workflowWhere} context must map context keys to paths`);
+            }
+            if (workflow.forEach !== undefined && (typeof workflow.forEach !== 'string' || !workflow.forEach)) {
+                errors.push(`${workflowWhere} forEach must be a path`);
+            }
+        });
+    }
+
+    ['onComplete', 'onFailure'].forEach(key => {
+        if (subWorkflows[key] !== undefined && !stateNames.includes(subWorkflows[key])) {
+            errors.push(`${where} ${key} targets unknown state '${subWorkflows[key]}'`);
+        }
+    });
+}
+
+function checkSla(stateName, state, errors) {
+    if (state.sla === undefined) return;
+
+    const where = `State '${stateName}' sla`;
+    if (!isPlainObject(state.sla)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+
+    checkKeys(state.sla, SLA_KEYS, where, errors);
+    ['target', 'dueSoon'].forEach(key => {
+        if ((key === 'target' || state.sla[key] !== undefined) && !isValidDuration(state.sla[key])) {
+            errors.push(`${where} ${key} must be a positive number of milliseconds or a business duration`);
+        }
+    });
+}
+
+function checkScheduledTransitions(stateName, state, stateNames, errors) {
+    if (state.scheduledTransitions === undefined) return;
+
+    if (!Array.isArray(state.scheduledTransitions)) {
+        errors.push(`State '${stateName}' scheduledTransitions must be a list`);
+        return;
+    }
+
+    const actions = toList(state.transitions).map(transition => transition?.action);
+
+    state.scheduledTransitions.forEach((rule, index) => {
+        const where = `State '${stateName}' scheduled transition ${index + 1}`;
+        if (!isPlainObject(rule)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+
+        checkKeys(rule, SCHEDULED_TRANSITION_KEYS, where, errors);
+
+        if ((rule.action === undefined) === (rule.target === undefined)) {
+            errors.push(`${where} needs either an action or a target`);
+        } else if (rule.action !== undefined && !actions.includes(rule.action)) {
+            errors.push(`${where} uses action '${rule.action}', which the state has no transition for`);
+        } else if (rule.target !== undefined && !stateNames.includes(rule.target)) {
+            errors.push(`${where} targets unknown state '${rule.target}'`);
+        }
+
+        if ((rule.at === undefined) === (rule.cron === undefined)) {
+            errors.push(`${where} needs either at (a context path) or cron`);
+        } else if (rule.at !== undefined && (typeof rule.at !== 'string' || !rule.at)) {
+            errors.push(`${where} at must be a context path`);
+        } else if (rule.cron !== undefined) {
+            try {
+                getNextCronTime(rule.cron);
+            } catch (error) {
+                errors.push(`${where}: ${error.message}`);
+            }
+        }
+
+        if (rule.catchUp !== undefined && typeof rule.catchUp !== 'boolean') {
+            errors.push(`${where} catchUp must be true or false`);
+        }
+    });
+}
+
+function checkSeparationOfDuties(rules, stateNames, errors) {
+    if (rules === undefined) return;
+
+    if (!Array.isArray(rules)) {
+        errors.push('separationOfDuties must be a list of rules');
+        return;
+    }
+
+    rules.forEach((rule, index) => {
+        const where = `separationOfDuties rule ${index + 1}`;
+        if (!isPlainObject(rule)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+
+        checkKeys(rule, SEPARATION_OF_DUTIES_KEYS, where, errors);
+        if (rule.message !== undefined && typeof rule.message !== 'string') {
+            errors.push(`${where} message must be a string`);
+        }
+
+        let referenced = [];
+        if (rule.type === 'creator_excluded') {
+            if (!Array.isArray(rule.states) || rule.states.length === 0) {
+                errors.push(`${where} 'creator_excluded' needs a non-empty states list`);
+            } else {
+                referenced = rule.states;
+            }
+        } else if (rule.type === 'distinct_actors') {
+            if (!Array.isArray(rule.between) || rule.between.length < 2) {
+                errors.push(`${where} 'distinct_actors' needs at least two state groups in between`);
+            } else {
+                referenced = rule.between.flatMap(group => [].concat(group));
+            }
+        } else {
+            errors.push(`${where} type must be one of ${SEPARATION_OF_DUTIES_TYPES.join(', ')}`);
+        }
+
+        referenced
+            .filter(stateName => !stateNames.includes(stateName))
+            .forEach(stateName => errors.push(`${where} references unknown state '${stateName}'`));
+    });
+}
+
+function checkCompensation(compensation, states, errors) {
+    if (compensation === undefined) return;
+
+    if (!isPlainObject(compensation)) {
+        errors.push('compensation must be an object');
+        return;
+    }
+
+    checkKeys(compensation, COMPENSATION_KEYS, 'compensation', errors);
+    checkStringList(compensation.failureStates, 'compensation failureStates', errors);
+    if (compensation.maxAttempts !== undefined &&
+        (!Number.isInteger(compensation.maxAttempts) || compensation.maxAttempts < 1)) {
+        errors.push('compensation maxAttempts must be a positive integer');
+    }
+    if (compensation.retryDelay !== undefined &&
+        (typeof compensation.retryDelay !== 'number' || compensation.retryDelay < 0)) {
+        errors.push('compensation retryDelay must be a number of milliseconds');
+    }
+
+    const failureStates = Array.isArray(compensation.failureStates) ? compensation.failureStates : [];
+    failureStates
+        .filter(stateName => !states[stateName])
+        .forEach(stateName => errors.push(`compensation failureStates references unknown state '${stateName}'`));
+
+    if (compensation.onFailure === undefined) return;
+    if (!states[compensation.onFailure]) {
+        errors.push(`compensation onFailure targets unknown state '${compensation.onFailure}'`);
+        return;
+    }
+    failureStates
+        .filter(stateName => states[stateName] &&
+            !toList(states[stateName].transitions).some(transition => transition?.target === compensation.onFailure))
+        .forEach(stateName => errors.push(`compensation failure state '${stateName}' has no transition to onFailure '${compensation.onFailure}'`));
+}
+
+function checkCondition(condition, where, errors) {
+    if (!isPlainObject(condition)) {
+        errors.push(`${where} must be a condition object or a hook name`);
+        return;
+    }
+
+    if (condition.expression !== undefined) {
+        const problem = checkExpression(condition.expression);
+        if (problem) errors.push(`${where}: ${problem}`);
+        return;
+    }
+
+    if (condition.operator === 'and' || condition.operator === 'or') {
+        if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+            errors.push(`${where} '${condition.operator}' needs a non-empty conditions list`);
+            return;
+        }
+        condition.conditions.forEach((nested, index) => checkCondition(nested, `${where}.${index + 1}`, errors));
+        return;
+    }
+
+    if (typeof condition.field !== 'string' || !condition.field) {
+        errors.push(`${where} is missing a field`);
+    }
+    if (condition.value === undefined) {
+        errors.push(`${where} is missing a value`);
+    }
+    if (condition.operator !== undefined && !CONDITION_OPERATORS.includes(condition.operator)) {
+        errors.push(`${where} has unknown operator '${condition.operator}'`);
+    }
+}
+
+function checkHookRefs(names, where, hooks, errors) {
+    for (const name of toList(names)) {
+        if (typeof name !== 'string') {
+            errors.push(`${where} must reference hooks by name`);
+        } else if (typeof hooks[name] !== 'function') {
+            errors.push(`${where} references unknown hook '${name}'`);
+        }
+    }
+}
+
+function checkStringList(value, where, errors) {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item)) {
+        errors.push(`${where} must be a list of names`);
+    }
+}
+
+function checkKeys(object, allowed, where, errors) {
+    Object.keys(object)
+        .filter(key => !allowed.includes(key))
+        .forEach(key => errors.push(`${where} has unknown property '${key}'`));
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneJson(value) {
+    return JSON.parse(JSON.stringify(value));
+}
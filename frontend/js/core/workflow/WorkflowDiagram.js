@@ -0,0 +1,501 @@
+/**
+ * State-machine diagrams of workflows, built from a workflow's states Map and each
+ * StateNode's transitions, as Graphviz DOT, Mermaid (stateDiagram-v2) or SVG.
+ *
+ * States are annotated with their required actors (and voting rule or sub-workflows);
+ * transitions with their action and guards. Moves the engine makes by itself (votes,
+ * sub-workflows finishing, parallel joins, escalations, scheduled transitions) and entry
+ * into compound and parallel states are drawn dashed. With `progress`, the workflow's
+ * active states and the states and transitions in its history are highlighted.
+ *
+ * The SVG is laid out here (states in rows by distance from the initial state) so it can
+ * be shown without Graphviz; DOT gives a better layout where Graphviz is available.
+ */
+export const DIAGRAM_FORMATS = ['dot', 'mermaid', 'svg'];
+
+export const DIAGRAM_MIME_TYPES = {
+    dot: 'text/vnd.graphviz',
+    mermaid: 'text/plain',
+    svg: 'image/svg+xml'
+};
+
+const COLORS = {
+    active: { fill: '#fde68a', stroke: '#b45309' },
+    visited: { fill: '#dbeafe', stroke: '#2563eb' },
+    state: { fill: '#ffffff', stroke: '#4b5563' },
+    edge: '#6b7280',
+    taken: '#2563eb'
+};
+
+const GUARD_OPERATORS = {
+    equals: '==',
+    not_equals: '!=',
+    greater_than: '>',
+    less_than: '<',
+    contains: 'contains',
+    in: 'in'
+};
+
+// SVG layout, in pixels
+const NODE_WIDTH = 190;
+const NODE_HEIGHT = 54;
+const GAP_X = 50;
+const GAP_Y = 80;
+const MARGIN = 40;
+
+export class WorkflowDiagram {
+    constructor(workflow, options = {}) {
+        this.type = workflow.type;
+        this.initialState = workflow.getInitialState();
+        this.progress = Boolean(options.progress);
+
+        const active = new Set(this.progress && workflow.currentState ? workflow.getActiveConfiguration() : []);
+        const history = this.progress ? workflow.history.filter(entry => entry.type !== 'vote') : [];
+        const visited = new Set(history.map(entry => entry.toState).filter(Boolean));
+        const taken = new Set(history.map(entry => `${entry.fromState}->${entry.toState}`));
+
+        // Entering a sub-state means its compound or parallel parents were visited too
+        for (const name of [...visited]) {
+            for (let parent = workflow.states.get(name)?.parent; parent; parent = workflow.states.get(parent)?.parent) {
+                visited.add(parent);
+            }
+        }
+
+        this.nodes = Array.from(workflow.states.entries()).map(([name, node]) => ({
+            name,
+            type: node.type,
+            parent: node.parent,
+            region: node.region,
+            final: node.final || (node.type === 'atomic' && node.transitions.length === 0 && !node.voting && !node.subWorkflows),
+            actors: node.requiredActors,
+            notes: [
+                node.voting ? `vote: ${node.voting.rule || 'any'}` : null,
+                node.subWorkflows ? `starts ${node.subWorkflows.workflows.map(child => child.type).join(', ')}` : null
+            ].filter(Boolean),
+            status: active.has(name) ? 'active' : visited.has(name) ? 'visited' : 'state'
+        }));
+
+        this.edges = this.buildEdges(workflow)
+            .filter(edge => workflow.states.has(edge.to))
+            .map(edge => ({
+                ...edge,
+                taken: taken.has(`${edge.from}->${edge.to}`) || (edge.kind === 'initial' && visited.has(edge.to))
+            }));
+    }
+
+    /**
+     * Diagram of a workflow type: an instance that has not started, without progress
+     */
+    static forWorkflowType(WorkflowClass) {
+        return new WorkflowDiagram(new WorkflowClass('diagram'));
+    }
+
+    buildEdges(workflow) {
+        const edges = [];
+
+        for (const [name, node] of workflow.states) {
+            const schedules = node.scheduledTransitions.map(rule => ({
+                rule,
+                target: rule.target || node.transitions.find(transition => transition.action === rule.action)?.target
+            }));
+
+            node.transitions.forEach(transition => {
+                edges.push({
+                    from: name,
+                    to: transition.target,
+                    kind: 'transition',
+                    label: transition.action || transition.label || '',
+                    guards: (transition.guards || []).map(describeGuard),
+                    schedules: schedules
+                        .filter(({ rule, target }) => rule.action ? rule.action === transition.action : target === transition.target)
+                        .map(({ rule }) => describeSchedule(rule))
+                });
+            });
+
+            schedules
+                .filter(({ rule, target }) => !rule.action && target && !node.transitions.some(transition => transition.target === target))
+                .forEach(({ rule, target }) => edges.push(automaticEdge(name, target, 'scheduled', describeSchedule(rule))));
+
+            node.escalationRules
+                .filter(rule => rule.action === 'transition')
+                .forEach(rule => edges.push(automaticEdge(name, rule.targetState, 'escalation', 'escalation')));
+
+            if (node.voting) {
+                edges.push(automaticEdge(name, node.voting.onApprove, 'vote', 'approved'));
+                edges.push(automaticEdge(name, node.voting.onReject, 'vote', 'rejected'));
+            }
+            if (node.subWorkflows) {
+                edges.push(automaticEdge(name, node.subWorkflows.onComplete, 'subWorkflows', 'sub-workflows completed'));
+                edges.push(automaticEdge(name, node.subWorkflows.onFailure, 'subWorkflows', 'sub-workflow failed'));
+            }
+            if (node.join) {
+                edges.push(automaticEdge(name, node.join.target, 'join', node.join.quorum ? `${node.join.quorum} regions done` : 'regions done'));
+            }
+            if (node.initialState) {
+                edges.push(automaticEdge(name, node.initialState, 'initial', ''));
+            }
+            Object.entries(node.regions).forEach(([region, initialState]) => {
+                edges.push(automaticEdge(name, initialState, 'initial', region));
+            });
+        }
+
+        return edges.filter(edge => edge.to);
+    }
+
+    /**
+     * Render the diagram in one of DIAGRAM_FORMATS
+     */
+    render(format = 'svg') {
+        switch (format) {
+            case 'dot': return this.toDot();
+            case 'mermaid': return this.toMermaid();
+            case 'svg': return this.toSvg();
+            default:
+                throw new Error(`Invalid diagram format '${format}': expected one of ${DIAGRAM_FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Graphviz DOT; compound and parallel states become clusters
+     */
+    toDot() {
+        const lines = [
+            `digraph ${dotString(this.type)} {`,
+            '    compound=true;',
+            '    node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=11];',
+            '    edge [fontname="Helvetica", fontsize=9];',
+            '    "__start" [shape=point, width=0.15];',
+            `    "__start" -> ${dotString(this.initialState)};`
+        ];
+
+        const writeStates = (parent, region, indent) => {
+            this.nodes.filter(node => node.parent === parent && (region === undefined || node.region === region)).forEach(node => {
+                if (node.type === 'atomic') {
+                    lines.push(`${indent}${this.dotNode(node)}`);
+                    return;
+                }
+
+                lines.push(`${indent}subgraph ${dotString(`cluster_${node.name}`)} {`);
+                lines.push(`${indent}    label=${dotString(`${node.name} (${node.type})`)}; style=dashed;`);
+                lines.push(`${indent}    ${this.dotNode(node)}`);
+
+                const regions = this.getRegions(node.name);
+                if (regions.length > 0) {
+                    regions.forEach(regionName => {
+                        lines.push(`${indent}    subgraph ${dotString(`cluster_${node.name}_${regionName}`)} {`);
+                        lines.push(`${indent}        label=${dotString(regionName)}; style=dotted;`);
+                        writeStates(node.name, regionName, `${indent}        `);
+                        lines.push(`${indent}    }`);
+                    });
+                } else {
+                    writeStates(node.name, undefined, `${indent}    `);
+                }
+                lines.push(`${indent}}`);
+            });
+        };
+        writeStates(null, undefined, '    ');
+
+        this.edges.forEach(edge => {
+            const attributes = [`label=${dotString(this.getEdgeLabel(edge))}`];
+            if (edge.kind !== 'transition') attributes.push('style=dashed');
+            attributes.push(edge.taken ? `color="${COLORS.taken}", fontcolor="${COLORS.taken}", penwidth=2` : `color="${COLORS.edge}"`);
+            lines.push(`    ${dotString(edge.from)} -> ${dotString(edge.to)} [${attributes.join(', ')}];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    dotNode(node) {
+        const colors = COLORS[node.status];
+        const attributes = [
+            `label=${dotString([node.name, ...this.getAnnotations(node)].join('\n'))}`,
+            `fillcolor="${colors.fill}"`,
+            `color="${colors.stroke}"`
+        ];
+        if (node.final) attributes.push('peripheries=2');
+        if (node.type !== 'atomic') attributes.push('style="rounded,filled,dashed"');
+        return `${dotString(node.name)} [${attributes.join(', ')}];`;
+    }
+
+    /**
+     * Mermaid stateDiagram-v2; compound and parallel states become composite states
+     */
+    toMermaid() {
+        const lines = ['stateDiagram-v2'];
+        const ids = new Map(this.nodes.map(node => [node.name, mermaidId(node.name)]));
+
+        const writeStates = (parent, region, indent) => {
+            const nodes = this.nodes.filter(node => node.parent === parent && (region === undefined || node.region === region));
+
+            nodes.forEach(node => {
+                const id = ids.get(node.name);
+                if (id !== node.name) lines.push(`${indent}state "${mermaidText(node.name)}" as ${id}`);
+                this.getAnnotations(node).forEach(annotation => lines.push(`${indent}${id} : ${mermaidText(annotation)}`));
+
+                if (node.type === 'atomic') return;
+
+                lines.push(`${indent}state ${id} {`);
+                const regions = this.getRegions(node.name);
+                if (regions.length > 0) {
+                    regions.forEach((regionName, index) => {
+                        if (index > 0) lines.push(`${indent}    --`);
+                        writeStates(node.name, regionName, `${indent}    `);
+                    });
+                } else {
+                    writeStates(node.name, undefined, `${indent}    `);
+                }
+                lines.push(`${indent}}`);
+            });
+
+            // Entry into a composite state and the moves among its sub-states stay inside its block
+            this.edges
+                .filter(edge => edge.kind === 'initial'
+                    ? edge.from === parent && nodes.some(node => node.name === edge.to)
+                    : this.getScope(edge) === parent && (region === undefined || this.getNode(edge.from)?.region === region))
+                .forEach(edge => {
+                    const label = this.getEdgeLabel(edge);
+                    const from = edge.kind === 'initial' ? '[*]' : ids.get(edge.from);
+                    lines.push(`${indent}${from} --> ${ids.get(edge.to)}${label && edge.kind !== 'initial' ? ` : ${mermaidText(label)}` : ''}`);
+                });
+            nodes.filter(node => node.final).forEach(node => lines.push(`${indent}${ids.get(node.name)} --> [*]`));
+        };
+
+        lines.push(`    [*] --> ${ids.get(this.initialState)}`);
+        writeStates(null, undefined, '    ');
+
+        lines.push(`    classDef active fill:${COLORS.active.fill},stroke:${COLORS.active.stroke}`);
+        lines.push(`    classDef visited fill:${COLORS.visited.fill},stroke:${COLORS.visited.stroke}`);
+        ['active', 'visited'].forEach(status => {
+            const names = this.nodes.filter(node => node.status === status).map(node => ids.get(node.name));
+            if (names.length > 0) lines.push(`    class ${names.join(',')} ${status}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Standalone SVG: states in rows by their distance from the initial state, transitions
+     * to later rows drawn downwards and others looping round the right-hand side
+     */
+    toSvg() {
+        const rows = this.getRows();
+        const widest = Math.max(...rows.map(row => row.length));
+        const width = MARGIN * 2 + widest * NODE_WIDTH + (widest - 1) * GAP_X + 200;
+        const height = MARGIN * 2 + rows.length * NODE_HEIGHT + (rows.length - 1) * GAP_Y + 30;
+        const positions = new Map();
+
+        rows.forEach((row, rowIndex) => {
+            const rowWidth = row.length * NODE_WIDTH + (row.length - 1) * GAP_X;
+            const left = MARGIN + (widest * NODE_WIDTH + (widest - 1) * GAP_X - rowWidth) / 2;
+            row.forEach((node, index) => positions.set(node.name, {
+                x: left + index * (NODE_WIDTH + GAP_X),
+                y: MARGIN + 30 + rowIndex * (NODE_HEIGHT + GAP_Y),
+                row: rowIndex
+            }));
+        });
+
+        const start = positions.get(this.initialState);
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" class="workflow-diagram" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+            `<title>${svgText(this.type)}</title>`,
+            '<defs>',
+            ...['edge', 'taken'].map(kind => `<marker id="arrow-${kind}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${COLORS[kind]}"/></marker>`),
+            '</defs>'
+        ];
+
+        if (start) {
+            const x = start.x + NODE_WIDTH / 2;
+            parts.push(`<circle cx="${x}" cy="${start.y - 28}" r="6" fill="#111827"/>`);
+            parts.push(`<line x1="${x}" y1="${start.y - 22}" x2="${x}" y2="${start.y}" stroke="#111827" stroke-width="1.5" marker-end="url(#arrow-edge)"/>`);
+        }
+
+        this.edges.forEach((edge, index) => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            if (from && to) parts.push(this.svgEdge(edge, from, to, index));
+        });
+        this.nodes.forEach(node => parts.push(this.svgNode(node, positions.get(node.name))));
+
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    svgNode(node, { x, y }) {
+        const colors = COLORS[node.status];
+        const annotations = this.getAnnotations(node);
+        const label = node.type === 'atomic' ? node.name : `${node.name} (${node.type})`;
+        const parts = [
+            `<g class="diagram-state state-${node.status}" data-state="${svgText(node.name)}">`,
+            `<rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8" fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="${node.status === 'active' ? 2.5 : 1.2}"${node.type !== 'atomic' ? ' stroke-dasharray="6 3"' : ''}/>`
+        ];
+        if (node.final) {
+            parts.push(`<rect x="${x + 4}" y="${y + 4}" width="${NODE_WIDTH - 8}" height="${NODE_HEIGHT - 8}" rx="6" fill="none" stroke="${colors.stroke}"/>`);
+        }
+        parts.push(`<text x="${x + NODE_WIDTH / 2}" y="${y + 22}" text-anchor="middle" font-size="12" font-weight="bold" fill="#111827">${svgText(truncate(label, 28))}</text>`);
+        if (annotations.length > 0) {
+            parts.push(`<text x="${x + NODE_WIDTH / 2}" y="${y + 40}" text-anchor="middle" font-size="10" fill="#4b5563">${svgText(truncate(annotations.join(' · '), 34))}</text>`);
+        }
+        parts.push(`<title>${svgText([node.name, ...annotations].join('\n'))}</title>`, '</g>');
+        return parts.join('');
+    }
+
+    svgEdge(edge, from, to, index) {
+        const color = edge.taken ? COLORS.taken : COLORS.edge;
+        let path;
+        let labelX;
+        let labelY;
+
+        if (edge.from === edge.to) {
+            const x = from.x + NODE_WIDTH;
+            const y = from.y + NODE_HEIGHT / 2;
+            path = `M ${x} ${y - 10} C ${x + 50} ${y - 40}, ${x + 50} ${y + 40}, ${x} ${y + 10}`;
+            labelX = x + 42;
+            labelY = y;
+        } else if (to.row > from.row) {
+            const [x1, y1] = [from.x + NODE_WIDTH / 2, from.y + NODE_HEIGHT];
+            const [x2, y2] = [to.x + NODE_WIDTH / 2, to.y];
+            const bend = Math.max(30, (y2 - y1) / 2);
+            path = `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`;
+            labelX = (x1 + x2) / 2;
+            labelY = (y1 + y2) / 2;
+        } else {
+            // Back and sideways edges loop round the right, each a little further out
+            const [x1, y1] = [from.x + NODE_WIDTH, from.y + NODE_HEIGHT / 2];
+            const [x2, y2] = [to.x + NODE_WIDTH, to.y + NODE_HEIGHT / 2 + (from.row === to.row ? 8 : 0)];
+            const reach = Math.max(x1, x2) + 40 + (index % 5) * 18;
+            path = `M ${x1} ${y1} C ${reach} ${y1}, ${reach} ${y2}, ${x2} ${y2}`;
+            labelX = (x1 + x2 + 6 * reach) / 8;
+            labelY = (y1 + y2) / 2;
+        }
+
+        const label = this.getEdgeLabel(edge);
+        return [
+            `<g class="diagram-transition${edge.taken ? ' taken' : ''}" data-from="${svgText(edge.from)}" data-to="${svgText(edge.to)}">`,
+            `<path d="${path}" fill="none" stroke="${color}" stroke-width="${edge.taken ? 2.2 : 1.2}"${edge.kind !== 'transition' ? ' stroke-dasharray="5 4"' : ''} marker-end="url(#arrow-${edge.taken ? 'taken' : 'edge'})"/>`,
+            label ? `<text x="${labelX}" y="${labelY}" text-anchor="middle" font-size="9" fill="${color}" stroke="#ffffff" stroke-width="3" paint-order="stroke">${svgText(truncate(label, 40))}</text>` : '',
+            label ? `<title>${svgText(label)}</title>` : '',
+            '</g>'
+        ].join('');
+    }
+
+    /**
+     * States grouped by their distance from the initial state; unreachable ones come last
+     */
+    getRows() {
+        const rank = new Map([[this.initialState, 0]]);
+        const queue = [this.initialState];
+
+        while (queue.length > 0) {
+            const name = queue.shift();
+            this.edges.filter(edge => edge.from === name && !rank.has(edge.to)).forEach(edge => {
+                rank.set(edge.to, rank.get(name) + 1);
+                queue.push(edge.to);
+            });
+        }
+
+        const last = Math.max(...rank.values()) + 1;
+        const rows = [];
+        this.nodes.forEach(node => {
+            const row = rank.get(node.name) ?? last;
+            (rows[row] = rows[row] || []).push(node);
+        });
+        return rows.filter(Boolean);
+    }
+
+    getNode(name) {
+        return this.nodes.find(node => node.name === name);
+    }
+
+    getRegions(parent) {
+        return [...new Set(this.nodes.filter(node => node.parent === parent && node.region).map(node => node.region))];
+    }
+
+    /**
+     * The innermost composite state containing both ends of an edge (null for the top level)
+     */
+    getScope(edge) {
+        const ancestors = name => {
+            const chain = [];
+            for (let parent = this.getNode(name)?.parent; parent; parent = this.getNode(parent)?.parent) {
+                chain.push(parent);
+            }
+            return chain;
+        };
+
+        const toAncestors = ancestors(edge.to);
+        return ancestors(edge.from).find(parent => toAncestors.includes(parent)) || null;
+    }
+
+    getAnnotations(node) {
+        return [
+            ...(node.actors.length > 0 ? [node.actors.join(', ')] : []),
+            ...node.notes
+        ];
+    }
+
+    getEdgeLabel(edge) {
+        return [
+            edge.label,
+            edge.guards?.length > 0 ? `[${edge.guards.join(' && ')}]` : '',
+            ...(edge.schedules || [])
+        ].filter(Boolean).join(' ');
+    }
+}
+
+function automaticEdge(from, to, kind, label) {
+    return { from, to, kind, label, guards: [], schedules: [] };
+}
+
+/**
+ * Readable form of a transition guard: an expression, a condition object, or a function's source
+ */
+export function describeGuard(guard) {
+    if (typeof guard === 'function') {
+        const source = guard.toString()
+            .replace(/^(?:async\s*)?function\s*\w*\s*\([^)]*\)\s*/, '')
+            .replace(/^(?:async\s*)?(?:\([^)]*\)|\w+)\s*=>\s*/, '')
+            .replace(/^\{\s*return\s+([\s\S]*?);?\s*\}$/, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return truncate(source, 60);
+    }
+    if (typeof guard?.expression === 'string') {
+        return truncate(guard.expression.replace(/\s+/g, ' ').trim(), 60);
+    }
+    if (guard?.operator === 'and' || guard?.operator === 'or') {
+        return `(${(guard.conditions || []).map(describeGuard).join(guard.operator === 'and' ? ' && ' : ' || ')})`;
+    }
+    if (guard?.field) {
+        return `${guard.field} ${GUARD_OPERATORS[guard.operator] || '=='} ${JSON.stringify(guard.value)}`;
+    }
+    return 'guard';
+}
+
+function describeSchedule(rule) {
+    return rule.cron ? `⏱ cron ${rule.cron}` : `⏱ at ${rule.at}`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function dotString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function mermaidId(name) {
+    return name.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function mermaidText(text) {
+    return text.replace(/[:;#{}]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function svgText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -1,5 +1,12 @@
 import { RBACPermissionResolver } from './RBACPermissionResolver.js';
 import { OrganizationalContextManager } from './OrganizationalModels.js';
+import { WorkflowScheduler, SYSTEM_USER } from './WorkflowScheduler.js';
+import { createWorkflowClass } from './WorkflowDefinition.js';
+import { createWorkflowEvent, foldWorkflowEvents, cloneValue } from './WorkflowEvents.js';
+import { WorkflowConflictError } from './WorkflowConflictError.js';
+import { BusinessCalendarResolver } from './BusinessCalendar.js';
+import { WorkflowDiagram } from './WorkflowDiagram.js';
+import { lintWorkflowType } from './WorkflowLinter.js';
 
 /**
  * Workflow Engine - Orchestrates workflow execution with security enforcement
@@ -8,9 +15,14 @@ export class WorkflowEngine {
     constructor(options = {}) {
         this.workflows = new Map();
         this.workflowTypes = new Map();
+        this.workflowVersions = new Map(); // type -> Map(version -> workflow class)
+        this.workflowMigrations = new Map(); // type -> [{ from, to, stateMap, transform }]
+        this.unrestoredWorkflows = new Map(); // id -> { data, reason }
+        this.uncommittedEvents = new Map(); // id -> lifecycle events waiting for the change to be saved
         this.organizationService = options.organizationService;
         this.rbacResolver = new RBACPermissionResolver(this.organizationService);
         this.orgContextManager = new OrganizationalContextManager(this.organizationService);
+        this.calendarResolver = new BusinessCalendarResolver(this.organizationService);
         this.notificationService = options.notificationService;
         this.auditService = options.auditService;
         this.persistenceService = options.persistenceService;
@@ -22,6 +34,10 @@ export class WorkflowEngine {
         this.autoSaveInterval = options.autoSaveInterval || 60000; // 1 minute
         this.metricsCollector = options.metricsCollector;
         this.isRunning = false;
+        this.scheduler = new WorkflowScheduler(this, {
+            persistenceService: this.persistenceService,
+            checkInterval: options.schedulerInterval
+        });
 
         // Auto-save timer
         if (this.autoSaveInterval > 0) {
@@ -43,10 +59,19 @@ export class WorkflowEngine {
                 await this.loadPersistedWorkflows();
             }
 
+            // Business calendars must be in place before timeouts are scheduled
+            await this.loadBusinessCalendars(new Set(Array.from(this.workflows.values(), workflow => workflow.organizationId)));
+
             // Initialize event listeners
             this.setupEventListeners();
 
+            // Restore timeout timers and start escalation checks
+            await this.scheduler.start();
+
             this.isRunning = true;
+
+            // Scheduled transitions that fell due while the engine was down
+            await this.scheduler.catchUpMissedRuns();
             this.emit('engineStarted', { timestamp: new Date() });
 
             console.log('Workflow Engine started successfully');
@@ -72,6 +97,7 @@ export class WorkflowEngine {
             if (this.autoSaveTimer) {
                 clearInterval(this.autoSaveTimer);
             }
+            this.scheduler.stop();
 
             // Release all locks
             this.lockManager.clear();
@@ -88,14 +114,115 @@ export class WorkflowEngine {
 
     /**
      * Register a workflow type
+     * Accepts a BaseWorkflow subclass, or a declarative definition (object, JSON or YAML)
+     * whose hook names are resolved against options.hooks. Several versions of a type may be
+     * registered (options.version, the class's static version, or the definition's version);
+     * new instances always start on the highest one.
+     * The type's states are linted first (see WorkflowLinter): errors reject the
+     * registration, warnings are returned (and reported by npm run lint:workflows).
      */
-    registerWorkflowType(name, workflowClass) {
+    registerWorkflowType(name, workflowClass, options = {}) {
         if (typeof workflowClass !== 'function') {
-            throw new Error('Workflow class must be a constructor function');
+            if (!workflowClass || !['object', 'string'].includes(typeof workflowClass)) {
+                throw new Error('Workflow class must be a constructor function or a workflow definition');
+            }
+            workflowClass = createWorkflowClass(workflowClass, options.hooks);
+            if (name && name !== workflowClass.name) {
+                throw new Error(`Workflow definition '${workflowClass.name}' cannot be registered as '${name}'`);
+            }
+            name = workflowClass.name;
+        }
+
+        const version = options.version || workflowClass.version || 1;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Workflow type version must be a positive integer, got ${version}`);
+        }
+
+        const { errors, warnings } = lintWorkflowType(workflowClass);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid workflow type '${name}':\n- ${errors.join('\n- ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        if (!this.workflowVersions.has(name)) {
+            this.workflowVersions.set(name, new Map());
+        }
+        this.workflowVersions.get(name).set(version, workflowClass);
+
+        if (version === this.getLatestVersion(name)) {
+            this.workflowTypes.set(name, workflowClass);
+        }
+
+        this.emit('workflowTypeRegistered', { name, workflowClass, version, warnings });
+        return { name, version, warnings };
+    }
+
+    /**
+     * Get the highest registered version of a workflow type
+     */
+    getLatestVersion(type) {
+        const versions = this.workflowVersions.get(type);
+        return versions ? Math.max(...versions.keys()) : null;
+    }
+
+    /**
+     * Get the registered versions of a workflow type in ascending order
+     */
+    getWorkflowTypeVersions(type) {
+        return Array.from(this.workflowVersions.get(type)?.keys() || []).sort((a, b) => a - b);
+    }
+
+    /**
+     * Draw a registered workflow type (its latest version unless one is given) as one of
+     * WorkflowDiagram's formats
+     */
+    getWorkflowTypeDiagram(type, format = 'svg', version = null) {
+        const WorkflowClass = this.workflowVersions.get(type)?.get(version || this.getLatestVersion(type));
+        if (!WorkflowClass) {
+            throw new Error(version ? `Unknown workflow type: ${type} version ${version}` : `Unknown workflow type: ${type}`);
+        }
+
+        return WorkflowDiagram.forWorkflowType(WorkflowClass).render(format);
+    }
+
+    /**
+     * Draw a workflow with its active states and the path taken so far highlighted
+     */
+    getWorkflowDiagram(workflowId, format = 'svg') {
+        const workflow = this.getWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
         }
 
-        this.workflowTypes.set(name, workflowClass);
-        this.emit('workflowTypeRegistered', { name, workflowClass });
+        return new WorkflowDiagram(workflow, { progress: true }).render(format);
+    }
+
+    /**
+     * Register explicit rules for moving instances of a type from one version to another.
+     * stateMap renames states ({ oldName: newName }); states not listed keep their name.
+     * transform(data) may return an updated serialized instance (e.g. to reshape context).
+     */
+    registerWorkflowMigration(type, migration) {
+        const { from, to, stateMap = {}, transform } = migration;
+
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from >= to) {
+            throw new Error('Workflow migration needs integer from and to versions with from < to');
+        }
+        if (transform !== undefined && typeof transform !== 'function') {
+            throw new Error('Workflow migration transform must be a function');
+        }
+
+        if (!this.workflowMigrations.has(type)) {
+            this.workflowMigrations.set(type, []);
+        }
+
+        const migrations = this.workflowMigrations.get(type);
+        if (migrations.some(existing => existing.from === from && existing.to === to)) {
+            throw new Error(`A migration of ${type} from version ${from} to ${to} is already registered`);
+        }
+
+        migrations.push({ from, to, stateMap, transform });
     }
 
     /**
@@ -122,21 +249,32 @@ export class WorkflowEngine {
                 organizationContext.organizationId
             );
 
+            if (!this.calendarResolver.hasCalendar(organizationContext.organizationId)) {
+                await this.loadBusinessCalendars([organizationContext.organizationId]);
+            }
+
             // Create workflow instance
             const WorkflowClass = this.workflowTypes.get(type);
             const workflow = new WorkflowClass(id, {
                 ...options,
+                definitionVersion: this.getLatestVersion(type),
                 createdBy: user.id,
                 organizationId: organizationContext.organizationId,
-                rbacResolver: this.rbacResolver
+                rbacResolver: this.rbacResolver,
+                calendarResolver: this.calendarResolver
             });
 
             // Set up workflow event listeners
             this.setupWorkflowEventListeners(workflow);
 
-            // Set initial state
+            // Set initial state; a child workflow is started by its parent's state, not
+            // by the user's own permission to start it
             const initialState = workflow.getInitialState();
-            await workflow.setState(initialState, user, orgContext);
+            await workflow.setState(initialState, user, orgContext, {}, {
+                skipPermissionCheck: Boolean(options.parent)
+            });
+            await this.assignBallotVoters(workflow);
+            await this.startSubWorkflows(workflow, user);
 
             // Store workflow
             this.workflows.set(id, workflow);
@@ -147,9 +285,7 @@ export class WorkflowEngine {
             }
 
             // Persist workflow
-            if (this.persistenceService) {
-                await this.persistenceService.saveWorkflow(workflow.serialize());
-            }
+            await this.commitWorkflow(workflow);
 
             // Emit creation event
             this.emit('workflowCreated', {
@@ -166,12 +302,39 @@ export class WorkflowEngine {
             return workflow;
 
         } catch (error) {
-            // Clean up on error
+            // Clean up on error, dropping the events of the unsaved workflow
             this.workflows.delete(id);
+            this.uncommittedEvents.delete(id);
             throw error;
         }
     }
 
+    /**
+     * Load the business calendars of the given organizations. An organization whose
+     * calendar cannot be loaded keeps measuring its workflows in wall-clock time.
+     */
+    async loadBusinessCalendars(organizationIds) {
+        for (const organizationId of organizationIds) {
+            try {
+                await this.calendarResolver.loadCalendars(organizationId);
+            } catch (error) {
+                console.error(`Error loading business calendar for organization ${organizationId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Reload an organization's business calendars after its working hours, holidays or
+     * branches changed, and move its workflows' timeouts to match
+     */
+    async refreshBusinessCalendars(organizationId) {
+        await this.loadBusinessCalendars([organizationId]);
+
+        for (const workflow of this.getWorkflows({ organizationId })) {
+            await this.scheduler.scheduleStateTimeout(workflow);
+        }
+    }
+
     /**
      * Get workflow by ID
      */
@@ -228,7 +391,7 @@ export class WorkflowEngine {
     /**
      * Execute workflow transition with full validation
      */
-    async executeTransition(workflowId, targetState, user, organizationContext, transitionContext = {}) {
+    async executeTransition(workflowId, targetState, user, organizationContext, transitionContext = {}, options = {}) {
         const workflow = this.getWorkflow(workflowId);
         if (!workflow) {
             throw new Error(`Workflow ${workflowId} not found`);
@@ -238,20 +401,25 @@ export class WorkflowEngine {
         await this.acquireWorkflowLock(workflowId, user);
 
         try {
-            // Get organizational context
-            const orgContext = await this.orgContextManager.getOrganizationalContext(
-                user.id,
-                organizationContext.organizationId
-            );
+            this.assertRevision(workflow, options.expectedRevision);
+
+            // Get organizational context, including delegations covering this workflow
+            const orgContext = await this.getActingContext(user, organizationContext.organizationId, workflow);
 
             // Validate current state
-            const validationErrors = await workflow.validate();
+            const validationErrors = await workflow.validate(user, orgContext);
             if (validationErrors.length > 0) {
                 throw new Error(`Workflow validation failed: ${validationErrors.join(', ')}`);
             }
 
-            // Execute transition
-            await workflow.transitionWithPermissionCheck(targetState, user, orgContext, transitionContext);
+            // Execute transition, undoing earlier steps if it entered a failure state, and
+            // persist it; a conflicting save rejects the transition before it is audited
+            await this.commitChange(workflow, async () => {
+                await workflow.transitionWithPermissionCheck(targetState, user, orgContext, transitionContext);
+                await this.runCompensations(workflow, user, orgContext);
+                await this.assignBallotVoters(workflow);
+                await this.startSubWorkflows(workflow, user);
+            });
 
             // Audit transition
             if (this.auditService) {
@@ -261,11 +429,6 @@ export class WorkflowEngine {
                 });
             }
 
-            // Persist workflow
-            if (this.persistenceService) {
-                await this.persistenceService.saveWorkflow(workflow.serialize());
-            }
-
             // Send notifications
             if (this.notificationService) {
                 await this.sendWorkflowNotifications(workflow, user, orgContext);
@@ -281,6 +444,8 @@ export class WorkflowEngine {
                 );
             }
 
+            await this.propagateSubWorkflowChanges(workflow);
+
             return workflow;
 
         } finally {
@@ -288,10 +453,325 @@ export class WorkflowEngine {
         }
     }
 
+    /**
+     * Execute a transition on behalf of the system (timeouts, escalations, sub-workflows).
+     * Transition guards still apply; actor permission checks do not. options.source
+     * moves out of that state without a transition, as decided votes and sub-workflows do.
+     */
+    async executeSystemTransition(workflowId, targetState, transitionContext = {}, options = {}) {
+        const workflow = this.getWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+
+        await this.acquireWorkflowLock(workflowId, SYSTEM_USER);
+
+        try {
+            const orgContext = { organizationId: workflow.organizationId, positions: [] };
+
+            await this.commitChange(workflow, async () => {
+                await workflow.setState(targetState, SYSTEM_USER, orgContext, transitionContext, {
+                    source: options.source,
+                    skipPermissionCheck: true
+                });
+                await this.runCompensations(workflow, SYSTEM_USER, orgContext);
+                await this.assignBallotVoters(workflow);
+                await this.startSubWorkflows(workflow, SYSTEM_USER);
+            });
+
+            if (this.auditService) {
+                await this.auditService.logWorkflowTransition(workflow, SYSTEM_USER, orgContext, {
+                    targetState,
+                    transitionContext
+                });
+            }
+
+            if (this.notificationService) {
+                await this.sendWorkflowNotifications(workflow, SYSTEM_USER, orgContext);
+            }
+
+            await this.propagateSubWorkflowChanges(workflow);
+
+            return workflow;
+
+        } finally {
+            this.releaseWorkflowLock(workflowId);
+        }
+    }
+
+    /**
+     * Cast a user's vote in a voting state. When the vote decides the ballot the
+     * workflow moves on, and that transition is audited and notified like any other.
+     */
+    async castVote(workflowId, stateName, user, organizationContext, vote) {
+        const workflow = this.getWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+
+        await this.acquireWorkflowLock(workflowId, user);
+
+        try {
+            const orgContext = await this.getActingContext(user, organizationContext.organizationId, workflow);
+
+            // Ballots opened by joins or restored instances may not have their voters yet
+            await this.assignBallotVoters(workflow);
+
+            const historyLength = workflow.history.length;
+            let transition;
+            const result = await this.commitChange(workflow, async () => {
+                const cast = await workflow.castVote(stateName, user, orgContext, vote);
+                transition = workflow.history.slice(historyLength).find(entry => entry.type !== 'vote');
+
+                if (transition) {
+                    await this.runCompensations(workflow, user, orgContext);
+                    await this.assignBallotVoters(workflow);
+                    await this.startSubWorkflows(workflow, user);
+                }
+                return cast;
+            });
+
+            if (this.auditService) {
+                await this.auditService.logWorkflowVote(workflow, user, orgContext, result);
+
+                if (transition) {
+                    await this.auditService.logWorkflowTransition(workflow, user, orgContext, {
+                        targetState: transition.toState,
+                        transitionContext: transition.context
+                    });
+                }
+            }
+
+            if (transition && this.notificationService) {
+                await this.sendWorkflowNotifications(workflow, user, orgContext);
+            }
+
+            if (transition) {
+                await this.propagateSubWorkflowChanges(workflow);
+            }
+
+            return result;
+
+        } finally {
+            this.releaseWorkflowLock(workflowId);
+        }
+    }
+
+    /**
+     * Run a workflow's pending compensations once it is in one of its policy's failure
+     * states. When a compensation keeps failing, the workflow moves to the policy's
+     * onFailure state to wait for manual intervention.
+     */
+    async runCompensations(workflow, user, organizationContext) {
+        const policy = workflow.getCompensationPolicy();
+        const failureStates = policy.failureStates || [];
+        if (!workflow.getActiveConfiguration().some(stateName => failureStates.includes(stateName)) ||
+            workflow.getPendingCompensations().length === 0) {
+            return null;
+        }
+
+        const result = await workflow.compensate(user, organizationContext);
+
+        if (result.status === 'failed' && policy.onFailure) {
+            const lastAttempt = result.failed.attempts[result.failed.attempts.length - 1];
+            await workflow.setState(policy.onFailure, SYSTEM_USER, organizationContext, {
+                compensationId: result.failed.id,
+                error: lastAttempt.error
+            }, { skipPermissionCheck: true });
+        }
+
+        return result;
+    }
+
+    /**
+     * Run a workflow's pending compensations again, e.g. after fixing what made them fail
+     */
+    async retryCompensations(workflowId, user, organizationContext) {
+        const workflow = this.getWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+
+        await this.acquireWorkflowLock(workflowId, user);
+
+        try {
+            const orgContext = await this.getActingContext(user, organizationContext.organizationId, workflow);
+            if (!workflow.hasPermissionInActiveState(user, orgContext)) {
+                throw new Error('User does not have permission to retry compensations');
+            }
+
+            return await this.commitChange(workflow, () => workflow.compensate(user, orgContext));
+
+        } finally {
+            this.releaseWorkflowLock(workflowId);
+        }
+    }
+
+    /**
+     * Record that a compensation which could not run was handled by hand
+     */
+    async resolveCompensation(workflowId, compensationId, user, organizationContext, note = null) {
+        const workflow = this.getWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+
+        await this.acquireWorkflowLock(workflowId, user);
+
+        try {
+            const orgContext = await this.getActingContext(user, organizationContext.organizationId, workflow);
+            if (!workflow.hasPermissionInActiveState(user, orgContext)) {
+                throw new Error('User does not have permission to resolve compensations');
+            }
+
+            return await this.commitChange(workflow, () => workflow.resolveCompensation(compensationId, user, note));
+
+        } finally {
+            this.releaseWorkflowLock(workflowId);
+        }
+    }
+
+    /**
+     * Start the children of the workflow's entered sub-workflow states, each with its
+     * mapped part of the parent's context. A state that starts no children moves on
+     * to its onComplete state at once.
+     */
+    async startSubWorkflows(workflow, user) {
+        let group;
+        while ((group = workflow.getPendingSubWorkflows()[0])) {
+            const stateNode = workflow.states.get(group.state);
+            const spec = stateNode.subWorkflows;
+            const children = [];
+
+            for (const childSpec of spec.workflows || []) {
+                const items = childSpec.forEach ? stateNode.getNestedValue(workflow.context, childSpec.forEach) : [undefined];
+                if (!Array.isArray(items)) {
+                    throw new Error(`Invalid sub-workflow list: '${childSpec.forEach}' in the context of workflow ${workflow.id} is not a list`);
+                }
+
+                for (const item of items) {
+                    const scope = childSpec.forEach ? { ...workflow.context, item } : workflow.context;
+                    const context = Object.fromEntries(Object.entries(childSpec.context || {})
+                        .map(([key, path]) => [key, cloneValue(stateNode.getNestedValue(scope, path))]));
+
+                    children.push(await this.createWorkflow(childSpec.type, `${workflow.id}_${group.state}_${Date.now()}_${children.length + 1}`, user, {
+                        organizationId: workflow.organizationId
+                    }, {
+                        context,
+                        parent: { workflowId: workflow.id, state: group.state }
+                    }));
+                }
+            }
+
+            workflow.addSubWorkflowChildren(group.state, children, user);
+
+            if (this.auditService) {
+                for (const child of children) {
+                    await this.auditService.logSubWorkflow(workflow, child, 'started', user);
+                }
+            }
+
+            if (children.length === 0 && spec.onComplete) {
+                const orgContext = { organizationId: workflow.organizationId, positions: [] };
+                await workflow.setState(spec.onComplete, SYSTEM_USER, orgContext, {
+                    subWorkflows: group.state
+                }, { source: group.state, skipPermissionCheck: true });
+            }
+        }
+    }
+
+    /**
+     * Once a workflow has changed, cancel the children its left sub-workflow states no
+     * longer wait for and, if it has ended, report that to the workflow that started it.
+     * The workflow's own change is already saved, so failures here are only logged.
+     */
+    async propagateSubWorkflowChanges(workflow) {
+        for (const entry of workflow.getChildWorkflows().filter(child => child.status === 'cancelled')) {
+            const child = this.getWorkflow(entry.id);
+            if (!child || child.isInTerminalState()) continue;
+
+            const cancelState = child.getCancelState();
+            if (!cancelState) {
+                console.warn(`Child workflow ${child.id} of ${workflow.id} has no state to be cancelled to`);
+                continue;
+            }
+
+            try {
+                await this.executeSystemTransition(child.id, cancelState, { cancelledWith: workflow.id }, {
+                    source: child.currentState
+                });
+                if (this.auditService) {
+                    await this.auditService.logSubWorkflow(workflow, child, 'cancelled');
+                }
+            } catch (error) {
+                console.error(`Error cancelling child workflow ${child.id} of ${workflow.id}:`, error);
+            }
+        }
+
+        try {
+            await this.updateParentWorkflow(workflow);
+        } catch (error) {
+            console.error(`Error reporting workflow ${workflow.id} to its parent:`, error);
+        }
+    }
+
+    /**
+     * Record in the parent workflow that a child has ended, and move the parent on when
+     * that decides its sub-workflow state
+     */
+    async updateParentWorkflow(child) {
+        const parent = child.parent && this.getWorkflow(child.parent.workflowId);
+        if (!parent || !child.isInTerminalState() || !parent.isWaitingForSubWorkflow(child)) return;
+
+        let settled;
+        await this.acquireWorkflowLock(parent.id, SYSTEM_USER);
+        try {
+            settled = await this.commitChange(parent, () => parent.settleSubWorkflow(child));
+        } finally {
+            this.releaseWorkflowLock(parent.id);
+        }
+
+        if (this.auditService) {
+            await this.auditService.logSubWorkflow(parent, child, settled.entry.status);
+        }
+
+        if (settled.target) {
+            await this.executeSystemTransition(parent.id, settled.target, {
+                subWorkflows: child.parent.state,
+                childWorkflowId: child.id,
+                outcome: settled.entry.status
+            }, { source: child.parent.state });
+        }
+    }
+
+    /**
+     * Give open ballots without a fixed voter list everyone holding one of the
+     * voting state's required actors
+     */
+    async assignBallotVoters(workflow) {
+        if (!this.organizationService) return;
+
+        for (const ballot of workflow.getOpenBallots()) {
+            const stateNode = workflow.states.get(ballot.state);
+            if (ballot.voters.length > 0 || stateNode.requiredActors.length === 0) continue;
+
+            const recipients = await this.getNotificationRecipients(
+                workflow,
+                stateNode.requiredActors,
+                { organizationId: workflow.organizationId }
+            );
+            // Delegates vote on behalf of their delegator rather than as voters of their own
+            const voters = recipients.filter((recipient, index) => !recipient.onBehalfOf &&
+                recipients.findIndex(other => other.id === recipient.id) === index
+            );
+            workflow.setBallotVoters(ballot.state, voters);
+        }
+    }
+
     /**
      * Update workflow context
      */
-    async updateWorkflowContext(workflowId, contextUpdates, user, organizationContext) {
+    async updateWorkflowContext(workflowId, contextUpdates, user, organizationContext, options = {}) {
         const workflow = this.getWorkflow(workflowId);
         if (!workflow) {
             throw new Error(`Workflow ${workflowId} not found`);
@@ -301,31 +781,24 @@ export class WorkflowEngine {
         await this.acquireWorkflowLock(workflowId, user);
 
         try {
-            // Get organizational context
-            const orgContext = await this.orgContextManager.getOrganizationalContext(
-                user.id,
-                organizationContext.organizationId
-            );
+            this.assertRevision(workflow, options.expectedRevision);
+
+            // Get organizational context, including delegations covering this workflow
+            const orgContext = await this.getActingContext(user, organizationContext.organizationId, workflow);
 
             // Check permissions for context update
-            const currentState = workflow.getCurrentState();
-            if (currentState && !currentState.node.hasPermission(user, orgContext, workflow.context)) {
+            if (workflow.currentState && !workflow.hasPermissionInActiveState(user, orgContext)) {
                 throw new Error('User does not have permission to update workflow context');
             }
 
-            // Update context
-            workflow.updateContext(contextUpdates, user);
+            // Update context and persist it; a conflicting save rejects the update before it is audited
+            await this.commitChange(workflow, () => workflow.updateContext(contextUpdates, user));
 
             // Audit context update
             if (this.auditService) {
                 await this.auditService.logWorkflowContextUpdate(workflow, user, orgContext, contextUpdates);
             }
 
-            // Persist workflow
-            if (this.persistenceService) {
-                await this.persistenceService.saveWorkflow(workflow.serialize());
-            }
-
             return workflow;
 
         } finally {
@@ -341,6 +814,7 @@ export class WorkflowEngine {
             user.id,
             organizationContext.organizationId
         );
+        const delegations = await this.rbacResolver.getDelegations(user, organizationContext.organizationId);
 
         const allWorkflows = this.getWorkflows({
             organizationId: organizationContext.organizationId,
@@ -350,19 +824,22 @@ export class WorkflowEngine {
         const userWorkflows = [];
 
         for (const workflow of allWorkflows) {
-            const currentState = workflow.getCurrentState();
+            const actingContext = {
+                ...orgContext,
+                delegations: delegations.filter(delegation => this.rbacResolver.delegationCovers(delegation, workflow))
+            };
+            const canAct = Boolean(workflow.currentState) && workflow.hasPermissionInActiveState(user, actingContext);
 
             // Check if user can access this workflow
-            if (workflow.createdBy === user.id ||
-                (currentState && currentState.node.hasPermission(user, orgContext, workflow.context))) {
+            if (workflow.createdBy === user.id || canAct) {
 
                 // Get available actions for this user
-                const availableActions = workflow.getAvailableActionsForUser(user, orgContext);
+                const availableActions = workflow.getAvailableActionsForUser(user, actingContext);
 
                 userWorkflows.push({
                     workflow: workflow.getSummary(),
                     availableActions,
-                    canEdit: currentState?.node.hasPermission(user, orgContext, workflow.context) || false,
+                    canEdit: canAct,
                     isOwner: workflow.createdBy === user.id
                 });
             }
@@ -371,6 +848,164 @@ export class WorkflowEngine {
         return userWorkflows;
     }
 
+    /**
+     * Get a user's organizational context for acting on a workflow: their own positions
+     * plus the delegations they hold that cover the workflow's type and amount
+     */
+    async getActingContext(user, organizationId, workflow) {
+        const orgContext = await this.orgContextManager.getOrganizationalContext(user.id, organizationId);
+        return await this.rbacResolver.withDelegations(user, orgContext, workflow);
+    }
+
+    /**
+     * Explain whether a user could make a transition on a workflow and why not (see
+     * BaseWorkflow.explainTransition), adding the checks executeTransition makes first:
+     * the current state's validations and the engine's workflow lock. Without a target
+     * state every transition out of the active states is explained.
+     */
+    async explainTransitions(workflowId, user, organizationContext, targetState = null) {
+        const workflow = this.getWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+
+        const orgContext = await this.getActingContext(user, organizationContext.organizationId, workflow);
+        const targets = targetState ? [targetState] : [...new Set(workflow.getActiveConfiguration().flatMap(stateName =>
+            workflow.states.get(stateName).transitions.map(transition => transition.target)
+        ))];
+
+        const validationErrors = await workflow.validate(user, orgContext);
+        const lock = this.lockManager.get(`workflow:${workflowId}`);
+        const locked = Boolean(lock) && lock.userId !== user.id && Date.now() - lock.acquiredAt < this.lockTimeout;
+
+        return {
+            workflowId,
+            userId: user.id,
+            activeStates: workflow.getActiveStates(),
+            transitions: targets.map(target => {
+                const explanation = workflow.explainTransition(target, user, orgContext);
+                explanation.checks.unshift({
+                    check: 'validation',
+                    passed: validationErrors.length === 0,
+                    expected: [],
+                    actual: validationErrors
+                });
+                explanation.checks.push({
+                    check: 'engineLock',
+                    passed: !locked,
+                    expected: 'unlocked or locked by the user',
+                    actual: lock ? { lockedBy: lock.userId, since: new Date(lock.acquiredAt) } : null
+                });
+                explanation.allowed = explanation.checks.every(check => check.passed);
+                return explanation;
+            })
+        };
+    }
+
+    /**
+     * Reject a write based on an older revision than the workflow's current one
+     */
+    assertRevision(workflow, expectedRevision) {
+        if (expectedRevision === undefined || expectedRevision === null) return;
+
+        if (expectedRevision !== workflow.revision) {
+            throw new WorkflowConflictError(workflow.id, expectedRevision, workflow.serialize());
+        }
+    }
+
+    /**
+     * Count a change to a workflow and persist it. The engine locks are in-memory, so
+     * another tab or server may have saved the workflow meanwhile: the save only goes
+     * through while the stored revision is the one this change started from. Otherwise
+     * the local copy is replaced with the stored one and the WorkflowConflictError,
+     * carrying that latest state, is rethrown. Lifecycle events of the change are
+     * emitted once it is saved, and dropped with it.
+     */
+    async commitWorkflow(workflow) {
+        const expectedRevision = workflow.revision;
+        workflow.revision += 1;
+
+        if (this.persistenceService) {
+            try {
+                await this.persistenceService.saveWorkflow(workflow.serialize(), { expectedRevision });
+            } catch (error) {
+                this.uncommittedEvents.delete(workflow.id);
+                if (error.name === 'WorkflowConflictError' && error.latest) {
+                    this.refreshWorkflow(error.latest);
+                }
+                throw error;
+            }
+        }
+
+        this.emitCommittedEvents(workflow);
+    }
+
+    /**
+     * Make a change to a workflow and commit it. When the change or its save fails,
+     * the change's lifecycle events are dropped and the instance is put back to how
+     * it was before (after a conflicting save it already holds the stored one).
+     */
+    async commitChange(workflow, change) {
+        // A copy, as the serialized data shares the instance's history and events
+        const before = JSON.parse(JSON.stringify(workflow.serialize()));
+
+        try {
+            const result = await change();
+            await this.commitWorkflow(workflow);
+            return result;
+        } catch (error) {
+            this.uncommittedEvents.delete(workflow.id);
+            if (!(error.name === 'WorkflowConflictError' && error.latest)) {
+                this.revertWorkflow(workflow, before);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Put an instance back to serialized data it had earlier. The instance itself, and
+     * the listeners on it, stay the ones callers and the engine hold.
+     */
+    revertWorkflow(workflow, data) {
+        const { listeners, ...state } = this.hydrateWorkflow(data, workflow.constructor);
+        Object.assign(workflow, state);
+    }
+
+    /**
+     * Hold a workflow lifecycle event until the change it belongs to is committed
+     */
+    deferUntilCommitted(workflow, emit) {
+        if (!this.uncommittedEvents.has(workflow.id)) {
+            this.uncommittedEvents.set(workflow.id, []);
+        }
+        this.uncommittedEvents.get(workflow.id).push(emit);
+    }
+
+    emitCommittedEvents(workflow) {
+        const pending = this.uncommittedEvents.get(workflow.id) || [];
+        this.uncommittedEvents.delete(workflow.id);
+        pending.forEach(emit => emit());
+    }
+
+    /**
+     * Replace the in-memory instance with newer serialized data saved elsewhere
+     */
+    refreshWorkflow(data) {
+        const version = data.definitionVersion || 1;
+        const WorkflowClass = this.workflowVersions.get(data.type)?.get(version);
+
+        try {
+            if (!WorkflowClass) {
+                throw new Error(`Version ${version} of ${data.type} is not registered`);
+            }
+            return this.restoreWorkflow(data, WorkflowClass);
+        } catch (error) {
+            this.workflows.delete(data.id);
+            this.markUnrestored(data, error.message);
+            return null;
+        }
+    }
+
     /**
      * Acquire workflow lock for thread-safe operations
      */
@@ -407,17 +1042,52 @@ export class WorkflowEngine {
      * Setup event listeners for a workflow
      */
     setupWorkflowEventListeners(workflow) {
-        workflow.on('stateChanged', (data) => {
+        // Timers and lifecycle events follow changes once they are committed (see commitWorkflow)
+        workflow.on('stateChanged', (data) => this.deferUntilCommitted(data.workflow, () => {
+            this.scheduler.scheduleStateTimers(data.workflow).catch(error => {
+                console.error(`Error scheduling timers for workflow ${data.workflow.id}:`, error);
+            });
             this.emit('workflowStateChanged', data);
+        }));
+
+        workflow.on('separationOfDutiesViolation', (data) => {
+            if (!this.auditService) return;
+
+            this.auditService.logPermissionCheck(data.workflow.id, data.user.id, `act_in_state:${data.state}`, false, {
+                state: data.state,
+                targetState: data.targetState,
+                vote: data.vote,
+                rule: data.rule,
+                reason: data.reason
+            }, 'SEPARATION_OF_DUTIES').catch(error => {
+                console.error(`Error auditing separation-of-duties denial for workflow ${data.workflow.id}:`, error);
+            });
         });
 
-        workflow.on('contextUpdated', (data) => {
-            this.emit('workflowContextUpdated', data);
+        workflow.on('compensationStep', (data) => {
+            if (this.auditService) {
+                this.auditService.logCompensationStep(data.workflow, data).catch(error => {
+                    console.error(`Error auditing compensation step for workflow ${data.workflow.id}:`, error);
+                });
+            }
+            this.deferUntilCommitted(data.workflow, () => this.emit('workflowCompensationStep', data));
         });
 
-        workflow.on('workflowReset', (data) => {
+        workflow.on('voteCast', (data) => this.deferUntilCommitted(data.workflow, () => {
+            this.emit('workflowVoteCast', data);
+        }));
+
+        workflow.on('contextUpdated', (data) => this.deferUntilCommitted(data.workflow, () => {
+            // Scheduled transitions may read their time from the context
+            this.scheduler.scheduleTransitions(data.workflow).catch(error => {
+                console.error(`Error scheduling transitions for workflow ${data.workflow.id}:`, error);
+            });
+            this.emit('workflowContextUpdated', data);
+        }));
+
+        workflow.on('workflowReset', (data) => this.deferUntilCommitted(data.workflow, () => {
             this.emit('workflowReset', data);
-        });
+        }));
     }
 
     /**
@@ -437,7 +1107,8 @@ export class WorkflowEngine {
 
         try {
             const currentState = workflow.getCurrentState();
-            const nextActors = currentState?.node.requiredActors || [];
+            const nextActors = [...new Set(workflow.getActiveConfiguration()
+                .flatMap(stateName => workflow.states.get(stateName).requiredActors))];
 
             // Get users who need to be notified
             const notificationRecipients = await this.getNotificationRecipients(
@@ -475,6 +1146,11 @@ export class WorkflowEngine {
                 workflow.context
             );
             recipients.push(...users);
+
+            // Users standing in for them (out of office) are told as well
+            for (const user of users) {
+                recipients.push(...await this.rbacResolver.getDelegates(user.id, actor, organizationContext.organizationId, workflow));
+            }
         }
 
         return recipients;
@@ -492,7 +1168,7 @@ export class WorkflowEngine {
             );
 
             for (const workflow of dirtyWorkflows) {
-                await this.persistenceService.saveWorkflow(workflow.serialize());
+                await this.saveWorkflowSnapshot(workflow);
                 workflow.lastSavedAt = new Date();
             }
 
@@ -512,9 +1188,20 @@ export class WorkflowEngine {
         if (!this.persistenceService) return;
 
         const workflows = Array.from(this.workflows.values());
-        await Promise.all(workflows.map(workflow =>
-            this.persistenceService.saveWorkflow(workflow.serialize())
-        ));
+        await Promise.all(workflows.map(workflow => this.saveWorkflowSnapshot(workflow)));
+    }
+
+    /**
+     * Save a workflow without counting a change. If another tab or server has saved a
+     * newer revision, the local copy is refreshed from it instead of overwriting it.
+     */
+    async saveWorkflowSnapshot(workflow) {
+        try {
+            await this.persistenceService.saveWorkflow(workflow.serialize(), { expectedRevision: workflow.revision });
+        } catch (error) {
+            if (error.name !== 'WorkflowConflictError' || !error.latest) throw error;
+            this.refreshWorkflow(error.latest);
+        }
     }
 
     /**
@@ -527,34 +1214,328 @@ export class WorkflowEngine {
             const workflowData = await this.persistenceService.loadWorkflows();
 
             for (const data of workflowData) {
-                if (this.workflowTypes.has(data.type)) {
-                    const WorkflowClass = this.workflowTypes.get(data.type);
-                    const workflow = new WorkflowClass(data.id, {
-                        context: data.context,
-                        metadata: data.metadata,
-                        createdBy: data.createdBy,
-                        organizationId: data.organizationId,
-                        rbacResolver: this.rbacResolver
-                    });
+                if (!this.workflowVersions.has(data.type)) continue;
 
-                    // Restore state
-                    workflow.currentState = data.currentState;
-                    workflow.history = data.history;
-                    workflow.createdAt = new Date(data.createdAt);
-                    workflow.updatedAt = new Date(data.updatedAt);
+                // Instances keep running on the definition version they were started on
+                const version = data.definitionVersion || 1;
+                const WorkflowClass = this.workflowVersions.get(data.type).get(version);
 
-                    this.setupWorkflowEventListeners(workflow);
-                    this.workflows.set(workflow.id, workflow);
+                if (!WorkflowClass) {
+                    this.markUnrestored(data, `Version ${version} of ${data.type} is not registered`);
+                    continue;
+                }
+
+                try {
+                    this.restoreWorkflow(data, WorkflowClass);
+                } catch (error) {
+                    this.markUnrestored(data, error.message);
                 }
             }
 
             console.log(`Loaded ${workflowData.length} persisted workflows`);
+            if (this.unrestoredWorkflows.size > 0) {
+                console.warn(`${this.unrestoredWorkflows.size} workflows could not be restored and need migration`);
+            }
 
         } catch (error) {
             console.error('Error loading persisted workflows:', error);
         }
     }
 
+    /**
+     * Rebuild a workflow instance from serialized data on the given class
+     */
+    restoreWorkflow(data, WorkflowClass) {
+        const workflow = this.hydrateWorkflow(data, WorkflowClass);
+
+        this.setupWorkflowEventListeners(workflow);
+        this.workflows.set(workflow.id, workflow);
+        this.unrestoredWorkflows.delete(workflow.id);
+
+        return workflow;
+    }
+
+    /**
+     * Build a workflow instance from serialized data without registering it.
+     * The state comes from folding the instance's event stream; instances saved
+     * before events were recorded start their stream with an 'imported' snapshot.
+     */
+    hydrateWorkflow(data, WorkflowClass) {
+        const events = data.events || [];
+        const state = events.length > 0 ? foldWorkflowEvents(events) : data;
+
+        const workflow = new WorkflowClass(data.id, {
+            context: state.context,
+            metadata: state.metadata,
+            definitionVersion: state.definitionVersion || 1,
+            createdBy: state.createdBy,
+            organizationId: state.organizationId,
+            parent: state.parent,
+            rbacResolver: this.rbacResolver,
+            calendarResolver: this.calendarResolver
+        });
+
+        const activeStates = state.activeStates || (state.currentState ? [state.currentState] : []);
+        const missingState = [state.currentState, ...activeStates].find(name => name && !workflow.states.has(name));
+        if (missingState) {
+            throw new Error(`State '${missingState}' does not exist in version ${workflow.definitionVersion} of ${data.type}`);
+        }
+
+        // Restore state
+        workflow.currentState = state.currentState;
+        workflow.activeStates = activeStates;
+        workflow.ballots = state.ballots || {};
+        workflow.subWorkflows = state.subWorkflows || {};
+        workflow.history = state.history || [];
+        workflow.compensations = state.compensations || [];
+        workflow.revision = data.revision || 0;
+        workflow.createdAt = new Date(data.createdAt || state.createdAt);
+        workflow.updatedAt = new Date(data.updatedAt || state.updatedAt);
+        workflow.events = events;
+        workflow.recordedContext = events.length > 0 ? cloneValue(state.context) : null;
+
+        if (events.length === 0) {
+            workflow.recordEvent('imported', {
+                snapshot: {
+                    currentState: workflow.currentState,
+                    activeStates: workflow.activeStates,
+                    ballots: workflow.ballots,
+                    subWorkflows: workflow.subWorkflows,
+                    context: workflow.context,
+                    history: workflow.history,
+                    compensations: workflow.compensations,
+                    metadata: workflow.metadata,
+                    createdBy: workflow.createdBy,
+                    organizationId: workflow.organizationId,
+                    parent: workflow.parent,
+                    definitionVersion: workflow.definitionVersion,
+                    createdAt: workflow.createdAt
+                }
+            });
+            workflow.recordedContext = cloneValue(workflow.context);
+        }
+
+        return workflow;
+    }
+
+    /**
+     * Rebuild a workflow as it was at an earlier point, from the events up to
+     * asOf.sequence or asOf.timestamp. The instance is detached: it is not registered,
+     * persisted or listened to, so it can be inspected without affecting the live one.
+     */
+    replayWorkflow(workflowId, asOf = {}) {
+        const workflow = this.getWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+
+        const state = workflow.replay(asOf);
+        const WorkflowClass = this.workflowVersions.get(workflow.type)?.get(state.definitionVersion || 1);
+        if (!WorkflowClass) {
+            throw new Error(`Version ${state.definitionVersion || 1} of ${workflow.type} is not registered`);
+        }
+
+        return this.hydrateWorkflow({
+            id: workflow.id,
+            type: workflow.type,
+            createdAt: state.createdAt,
+            updatedAt: state.updatedAt,
+            events: workflow.events.slice(0, workflow.events.findIndex(event => event.sequence === state.sequence) + 1)
+        }, WorkflowClass);
+    }
+
+    markUnrestored(data, reason) {
+        console.error(`Could not restore workflow ${data.id}: ${reason}`);
+        this.unrestoredWorkflows.set(data.id, { data, reason });
+    }
+
+    /**
+     * Find the chain of registered migrations leading from one version to another
+     */
+    findMigrationPath(type, fromVersion, toVersion) {
+        const migrations = this.workflowMigrations.get(type) || [];
+        const queue = [{ version: fromVersion, path: [] }];
+        const visited = new Set([fromVersion]);
+
+        while (queue.length > 0) {
+            const { version, path } = queue.shift();
+            if (version === toVersion) return path;
+
+            migrations
+                .filter(migration => migration.from === version && migration.to <= toVersion && !visited.has(migration.to))
+                .forEach(migration => {
+                    visited.add(migration.to);
+                    queue.push({ version: migration.to, path: [...path, migration] });
+                });
+        }
+
+        return null;
+    }
+
+    /**
+     * Work out what migrating one serialized instance would change, without applying it
+     */
+    planWorkflowMigration(data, toVersion) {
+        const fromVersion = data.definitionVersion || 1;
+        const plan = {
+            workflowId: data.id,
+            type: data.type,
+            fromVersion,
+            toVersion,
+            fromState: data.currentState,
+            toState: data.currentState,
+            changes: [],
+            errors: [],
+            data: null
+        };
+
+        const path = this.findMigrationPath(data.type, fromVersion, toVersion);
+        if (!path) {
+            plan.errors.push(`No migration path from version ${fromVersion} to ${toVersion}`);
+            return plan;
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+
+        for (const migration of path) {
+            const mapState = state => (state && migration.stateMap[state]) || state;
+            const mapHistory = history => (history || []).map(entry => ({
+                ...entry,
+                fromState: mapState(entry.fromState),
+                toState: mapState(entry.toState),
+                ...(entry.state ? { state: mapState(entry.state) } : {}),
+                ...(entry.previousHistory ? { previousHistory: mapHistory(entry.previousHistory) } : {})
+            }));
+
+            const nextState = mapState(migrated.currentState);
+            if (nextState !== migrated.currentState) {
+                plan.changes.push(`v${migration.from}->v${migration.to}: state '${migrated.currentState}' becomes '${nextState}'`);
+            }
+
+            migrated = {
+                ...migrated,
+                currentState: nextState,
+                activeStates: (migrated.activeStates || []).map(mapState),
+                ballots: Object.fromEntries(Object.values(migrated.ballots || {})
+                    .map(ballot => [mapState(ballot.state), { ...ballot, state: mapState(ballot.state) }])),
+                history: mapHistory(migrated.history),
+                definitionVersion: migration.to
+            };
+
+            if (migration.transform) {
+                try {
+                    migrated = migration.transform(migrated) || migrated;
+                    plan.changes.push(`v${migration.from}->v${migration.to}: transform applied`);
+                } catch (error) {
+                    plan.errors.push(`v${migration.from}->v${migration.to} transform failed: ${error.message}`);
+                    return plan;
+                }
+            }
+        }
+
+        const TargetClass = this.workflowVersions.get(data.type)?.get(toVersion);
+        if (!TargetClass) {
+            plan.errors.push(`Version ${toVersion} of ${data.type} is not registered`);
+        } else {
+            const targetStates = new TargetClass(data.id).states;
+            [migrated.currentState, ...(migrated.activeStates || [])]
+                .filter((state, index, all) => state && !targetStates.has(state) && all.indexOf(state) === index)
+                .forEach(state => plan.errors.push(`State '${state}' does not exist in version ${toVersion}; add it to the migration's stateMap`));
+        }
+
+        // The event stream is append-only, so the migrated state is recorded as a snapshot
+        if (migrated.events?.length) {
+            migrated.events = [...migrated.events, createWorkflowEvent(migrated.events.length + 1, 'migrated', {
+                fromVersion,
+                toVersion,
+                snapshot: {
+                    currentState: migrated.currentState,
+                    activeStates: migrated.activeStates,
+                    ballots: migrated.ballots,
+                    context: migrated.context,
+                    history: migrated.history,
+                    definitionVersion: migrated.definitionVersion
+                }
+            })];
+        }
+
+        plan.toState = migrated.currentState;
+        plan.data = migrated;
+        return plan;
+    }
+
+    /**
+     * Migrate instances of a type (running and unrestored) to a newer definition version.
+     * With dryRun the report is produced but nothing is changed. organizationIds and
+     * workflowIds limit the instances considered.
+     */
+    async migrateWorkflows(type, options = {}) {
+        const toVersion = options.toVersion || this.getLatestVersion(type);
+        if (!toVersion) {
+            throw new Error(`Unknown workflow type: ${type}`);
+        }
+
+        const candidates = [
+            ...Array.from(this.workflows.values())
+                .filter(workflow => workflow.type === type)
+                .map(workflow => workflow.serialize()),
+            ...Array.from(this.unrestoredWorkflows.values())
+                .filter(entry => entry.data.type === type)
+                .map(entry => entry.data)
+        ].filter(data =>
+            (data.definitionVersion || 1) < toVersion &&
+            (!options.organizationIds || options.organizationIds.includes(data.organizationId)) &&
+            (!options.workflowIds || options.workflowIds.includes(data.id))
+        );
+
+        const report = {
+            type,
+            toVersion,
+            dryRun: Boolean(options.dryRun),
+            migrated: [],
+            failed: []
+        };
+
+        for (const data of candidates) {
+            const { data: migratedData, ...plan } = this.planWorkflowMigration(JSON.parse(JSON.stringify(data)), toVersion);
+
+            if (!plan.errors.length && this.lockManager.has(`workflow:${data.id}`)) {
+                plan.errors.push('Workflow is locked');
+            }
+
+            if (plan.errors.length > 0) {
+                report.failed.push(plan);
+                continue;
+            }
+
+            if (!options.dryRun) {
+                const WorkflowClass = this.workflowVersions.get(type).get(toVersion);
+                const workflow = this.restoreWorkflow(migratedData, WorkflowClass);
+                workflow.updatedAt = new Date();
+
+                await this.commitWorkflow(workflow);
+                await this.scheduler.scheduleStateTimers(workflow);
+
+                if (this.auditService) {
+                    await this.auditService.logSystemEvent('WORKFLOW_MIGRATED', {
+                        workflowId: workflow.id,
+                        workflowType: type,
+                        fromVersion: plan.fromVersion,
+                        toVersion,
+                        fromState: plan.fromState,
+                        toState: plan.toState
+                    });
+                }
+
+                this.emit('workflowMigrated', { workflow, plan });
+            }
+
+            report.migrated.push(plan);
+        }
+
+        return report;
+    }
+
     /**
      * Global event management
      */
@@ -0,0 +1,156 @@
+/**
+ * Append-only event stream of a workflow instance.
+ * Every change to an instance is recorded as an event; folding the events in order
+ * rebuilds the instance's state, as of now or as of any earlier event.
+ */
+export const WORKFLOW_EVENT_TYPES = [
+    'created',          // initial context, metadata and ownership
+    'context_patched',  // keys set and unset on the context
+    'metadata_updated', // keys set and unset on the metadata
+    'transitioned',     // history entry, resulting states and the ballots the transition opened or closed
+    'vote_cast',        // history entry and the ballot after the vote
+    'ballot_updated',   // ballot after voters were assigned or the vote was decided
+    'subworkflows_updated', // children of a sub-workflow state after they were started or one ended
+    'reset',            // reset record; the previous history is kept inside it
+    'lock_acquired',
+    'lock_released',
+    'compensation_registered', // undo action registered by a state's entry action, and the one it replaces
+    'compensation_updated',    // undo action after it ran, failed or was resolved by hand
+    'imported',         // full snapshot of an instance saved before events were recorded
+    'migrated'          // full snapshot after moving to a newer definition version
+];
+
+/**
+ * Build the next event of a stream
+ */
+export function createWorkflowEvent(sequence, type, data, user = null) {
+    return {
+        sequence,
+        type,
+        timestamp: new Date(),
+        user: user ? { id: user.id, username: user.username } : null,
+        data: cloneValue(data)
+    };
+}
+
+/**
+ * Fold events into the state they describe. asOf.sequence stops after that event,
+ * asOf.timestamp after the last event recorded at or before that time.
+ */
+export function foldWorkflowEvents(events, asOf = {}) {
+    const until = asOf.timestamp !== undefined && asOf.timestamp !== null ? new Date(asOf.timestamp) : null;
+    if (until && isNaN(until)) {
+        throw new Error(`Invalid replay timestamp '${asOf.timestamp}'`);
+    }
+
+    let state = null;
+
+    for (const event of events) {
+        if (asOf.sequence !== undefined && asOf.sequence !== null && event.sequence > asOf.sequence) break;
+        if (until && new Date(event.timestamp) > until) break;
+
+        state = applyWorkflowEvent(state, event);
+    }
+
+    return state;
+}
+
+/**
+ * Apply one event to a folded state
+ */
+export function applyWorkflowEvent(state, event) {
+    const data = cloneValue(event.data);
+
+    if (!state && !['created', 'imported'].includes(event.type)) {
+        throw new Error(`Invalid event stream: '${event.type}' event ${event.sequence} comes before the workflow was created`);
+    }
+
+    const next = state ? { ...state } : {
+        currentState: null,
+        activeStates: [],
+        ballots: {},
+        subWorkflows: {},
+        context: {},
+        history: [],
+        compensations: [],
+        metadata: {},
+        isLocked: false,
+        lockOwner: null,
+        lockAcquiredAt: null,
+        createdAt: event.timestamp
+    };
+    next.sequence = event.sequence;
+    next.updatedAt = event.timestamp;
+
+    switch (event.type) {
+        case 'created':
+            return { ...next, ...data };
+        case 'context_patched': {
+            const context = { ...next.context, ...data.set };
+            data.unset.forEach(key => delete context[key]);
+            return { ...next, context };
+        }
+        case 'metadata_updated': {
+            const metadata = { ...next.metadata, ...data.set };
+            data.unset.forEach(key => delete metadata[key]);
+            return { ...next, metadata };
+        }
+        case 'transitioned':
+            return {
+                ...next,
+                currentState: data.currentState,
+                activeStates: data.activeStates,
+                ballots: { ...next.ballots, ...data.ballots },
+                subWorkflows: { ...next.subWorkflows, ...data.subWorkflows },
+                history: [...next.history, data.entry]
+            };
+        case 'vote_cast':
+            return {
+                ...next,
+                ballots: { ...next.ballots, [data.ballot.state]: data.ballot },
+                history: [...next.history, data.entry]
+            };
+        case 'ballot_updated':
+            return { ...next, ballots: { ...next.ballots, [data.ballot.state]: data.ballot } };
+        case 'subworkflows_updated':
+            return { ...next, subWorkflows: { ...next.subWorkflows, [data.group.state]: data.group } };
+        case 'reset':
+            return {
+                ...next,
+                currentState: null,
+                activeStates: [],
+                ballots: {},
+                history: [{ ...data.entry, previousHistory: next.history }]
+            };
+        case 'lock_acquired':
+            return { ...next, isLocked: true, lockOwner: event.user?.id || null, lockAcquiredAt: event.timestamp };
+        case 'lock_released':
+            return { ...next, isLocked: false, lockOwner: null, lockAcquiredAt: null };
+        case 'compensation_registered':
+            return {
+                ...next,
+                compensations: [
+                    ...(next.compensations || []).filter(compensation => compensation.id !== data.replaces),
+                    data.compensation
+                ]
+            };
+        case 'compensation_updated':
+            return {
+                ...next,
+                compensations: (next.compensations || []).map(compensation =>
+                    compensation.id === data.compensation.id ? data.compensation : compensation)
+            };
+        case 'imported':
+        case 'migrated':
+            return { ...next, ...data.snapshot };
+        default:
+            throw new Error(`Invalid event stream: unknown event type '${event.type}'`);
+    }
+}
+
+/**
+ * Copy a value the way it would be stored
+ */
+export function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,581 @@
+import { toActorMapping } from './ActorMapping.js';
+
+/**
+ * A small, sandboxed expression language for guards, validations and RBAC context
+ * conditions, written as plain strings so they can be stored, shown and edited:
+ *
+ *   total_amount >= 5000 and requester_department in ['Finance', 'Operations']
+ *   any(expense_items, item.amount > 500) or sum(expense_items, item.amount) > budget
+ *   now() - date(submitted_at) > days(3) and user.id != createdBy
+ *
+ * Bare names are fields of the workflow context; `context`, `user` and `organization`
+ * (the organizational context: positions, delegations, ...) are always available, and
+ * `item` is the current element inside the second argument of a list function.
+ * Operators: arithmetic (+ - * / %), comparisons (== != < <= > >=), `in`, `and`/`&&`,
+ * `or`/`||`, `not`/`!` and `cond ? a : b`. Only the functions below can be called and
+ * only an object's own fields can be read, so an expression cannot reach anything the
+ * variables do not hold. Dates are milliseconds since the epoch: date() converts
+ * ISO strings, days() and hours() give durations.
+ */
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const VARIABLES = ['context', 'user', 'organization'];
+const LITERALS = { true: true, false: false, null: null };
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+
+// Functions taking a list and, as their optional second argument, an expression
+// evaluated for each element as `item`
+const LIST_FUNCTIONS = {
+    any: (values) => values.some(Boolean),
+    all: (values) => values.every(Boolean),
+    count: (values) => values.filter(Boolean).length,
+    sum: (values) => values.reduce((total, value) => total + toNumber(value, 'sum'), 0),
+    avg: (values) => values.length > 0 ? LIST_FUNCTIONS.sum(values) / values.length : null,
+    min: (values) => values.length > 0 ? Math.min(...values.map(value => toNumber(value, 'min'))) : null,
+    max: (values) => values.length > 0 ? Math.max(...values.map(value => toNumber(value, 'max'))) : null
+};
+
+// Other functions: [minimum arguments, maximum arguments, implementation]
+const FUNCTIONS = {
+    now: [0, 0, () => Date.now()],
+    today: [0, 0, () => new Date().setHours(0, 0, 0, 0)],
+    date: [1, 1, (value) => toDate(value)],
+    days: [1, 1, (count) => toNumber(count, 'days') * DAY],
+    hours: [1, 1, (count) => toNumber(count, 'hours') * HOUR],
+    add_days: [2, 2, (value, count) => toDate(value) + toNumber(count, 'add_days') * DAY],
+    days_between: [2, 2, (from, to) => Math.floor((toDate(to) - toDate(from)) / DAY)],
+    len: [1, 1, (value) => value === null || value === undefined ? 0 : toList(value, 'len').length],
+    abs: [1, 1, (value) => Math.abs(toNumber(value, 'abs'))],
+    round: [1, 2, (value, digits = 0) => Number(toNumber(value, 'round').toFixed(toNumber(digits, 'round')))],
+    floor: [1, 1, (value) => Math.floor(toNumber(value, 'floor'))],
+    ceil: [1, 1, (value) => Math.ceil(toNumber(value, 'ceil'))],
+    lower: [1, 1, (value) => String(value ?? '').toLowerCase()],
+    upper: [1, 1, (value) => String(value ?? '').toUpperCase()],
+    contains: [2, 2, (container, value) => isIn(value, container)],
+    exists: [1, 1, (value) => value !== null && value !== undefined],
+    empty: [1, 1, (value) => value === null || value === undefined || value === '' ||
+        (Array.isArray(value) && value.length === 0) || (isRecord(value) && Object.keys(value).length === 0)]
+};
+
+// Functions about the acting user's positions in `organization`
+const ORGANIZATION_FUNCTIONS = {
+    in_department: (organization, name) => getPositions(organization)
+        .some(position => (position.group?.department || position.department)?.name === name),
+    in_team: (organization, name) => getPositions(organization)
+        .some(position => (position.group?.team || position.team)?.name === name),
+    has_designation: (organization, name) => getPositions(organization)
+        .some(position => position.designation?.name === name),
+    has_actor: (organization, actor) => toActorMapping(organization?.actorMapping)
+        .getActors(getPositions(organization)).includes(actor)
+};
+
+export const EXPRESSION_FUNCTIONS = [
+    ...Object.keys(LIST_FUNCTIONS),
+    ...Object.keys(FUNCTIONS),
+    ...Object.keys(ORGANIZATION_FUNCTIONS)
+];
+
+const MAX_CACHED = 500;
+const cache = new Map();
+
+/**
+ * Parse an expression, throwing an 'Invalid expression' error that points at the
+ * problem. Parsed expressions are cached by source.
+ */
+export function parseExpression(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+        throw new Error('Invalid expression: expected a non-empty string');
+    }
+    if (cache.has(source)) {
+        return cache.get(source);
+    }
+
+    const parser = new Parser(source);
+    const ast = parser.parseExpression();
+    if (parser.peek().type !== 'end') {
+        parser.fail(`unexpected ${describeToken(parser.peek())}`);
+    }
+
+    const expression = { source, ast, fields: collectFields(ast) };
+    if (cache.size >= MAX_CACHED) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(source, expression);
+    return expression;
+}
+
+/**
+ * Check an expression without evaluating it; returns the error message or null
+ */
+export function checkExpression(source) {
+    try {
+        parseExpression(source);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Evaluate an expression (a string or a parsed expression) against a workflow context.
+ * scope may hold the acting user and their organizational context.
+ */
+export function evaluateExpression(expression, context = {}, { user = null, organization = null } = {}) {
+    const parsed = typeof expression === 'string' ? parseExpression(expression) : expression;
+    try {
+        return evaluate(parsed.ast, { context: context || {}, user, organization, item: undefined });
+    } catch (error) {
+        throw new Error(`Expression '${parsed.source}' failed: ${error.message}`);
+    }
+}
+
+/**
+ * The workflow context fields an expression reads, by their top-level name
+ */
+export function getExpressionFields(expression) {
+    return (typeof expression === 'string' ? parseExpression(expression) : expression).fields;
+}
+
+// Tokens: numbers, strings, names, punctuation and operators, each with its position
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][\w]*)|(==|!=|<=|>=|&&|\|\||[-+*/%<>!?:.,()[\]]))/y;
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+
+    while (TOKEN.lastIndex < source.length) {
+        const position = TOKEN.lastIndex;
+        if (!source.slice(position).trim()) break;
+
+        const match = TOKEN.exec(source);
+        if (!match) {
+            const column = position + source.slice(position).search(/\S/);
+            const problem = `'"`.includes(source[column]) ? 'unterminated string' : `unexpected character '${source[column]}'`;
+            throw new Error(`Invalid expression '${source}' at column ${column + 1}: ${problem}`);
+        }
+
+        const column = match.index + match[0].search(/\S/) + 1;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]), column });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'string', value: unquote(match[2]), column });
+        } else if (match[3] !== undefined) {
+            const keyword = KEYWORDS.includes(match[3]);
+            tokens.push({ type: keyword ? 'operator' : 'name', value: match[3], column });
+        } else {
+            tokens.push({ type: 'operator', value: match[4], column });
+        }
+    }
+
+    tokens.push({ type: 'end', column: source.length + 1 });
+    return tokens;
+}
+
+function unquote(literal) {
+    return literal.slice(1, -1).replace(/\\(.)/g, (escape, character) => ({ n: '\n', t: '\t' })[character] || character);
+}
+
+/**
+ * Recursive descent parser, lowest precedence first:
+ * conditional, or, and, not, comparison, additive, multiplicative, unary, member access
+ */
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+        this.itemDepth = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    accept(...operators) {
+        const token = this.peek();
+        if (token.type === 'operator' && operators.includes(token.value)) {
+            this.index++;
+            return token.value;
+        }
+        return null;
+    }
+
+    expect(operator) {
+        if (!this.accept(operator)) {
+            this.fail(`expected '${operator}' but found ${describeToken(this.peek())}`);
+        }
+    }
+
+    fail(message, token = this.peek()) {
+        throw new Error(`Invalid expression '${this.source}' at column ${token.column}: ${message}`);
+    }
+
+    parseExpression() {
+        const test = this.parseOr();
+        if (!this.accept('?')) return test;
+
+        const consequent = this.parseExpression();
+        this.expect(':');
+        return { type: 'conditional', test, consequent, alternate: this.parseExpression() };
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('or', '||')) {
+            left = { type: 'logical', operator: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.accept('and', '&&')) {
+            left = { type: 'logical', operator: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.accept('not', '!')) {
+            return { type: 'unary', operator: 'not', argument: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        let operator = this.accept('==', '!=', '<', '<=', '>', '>=', 'in');
+        if (!operator && this.peek().value === 'not' && this.tokens[this.index + 1]?.value === 'in') {
+            this.index += 2;
+            operator = 'not in';
+        }
+        if (!operator) return left;
+
+        const node = { type: 'binary', operator, left, right: this.parseAdditive() };
+        if (this.peek().type === 'operator' && ['==', '!=', '<', '<=', '>', '>=', 'in'].includes(this.peek().value)) {
+            this.fail('comparisons cannot be chained, combine them with and');
+        }
+        return node;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        for (let operator; (operator = this.accept('+', '-'));) {
+            left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        for (let operator; (operator = this.accept('*', '/', '%'));) {
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.accept('-')) {
+            return { type: 'unary', operator: '-', argument: this.parseUnary() };
+        }
+        return this.parseMember();
+    }
+
+    parseMember() {
+        let object = this.parsePrimary();
+        for (;;) {
+            if (this.accept('.')) {
+                const token = this.next();
+                if (token.type !== 'name' && !(token.type === 'operator' && KEYWORDS.includes(token.value))) {
+                    this.fail(`expected a field name after '.' but found ${describeToken(token)}`, token);
+                }
+                object = { type: 'member', object, property: { type: 'literal', value: token.value } };
+            } else if (this.accept('[')) {
+                const property = this.parseExpression();
+                this.expect(']');
+                object = { type: 'member', object, property };
+            } else {
+                return object;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            if (token.value in LITERALS) {
+                return { type: 'literal', value: LITERALS[token.value] };
+            }
+            if (this.accept('(')) {
+                return this.parseCall(token);
+            }
+            if (token.value === 'item' && this.itemDepth === 0) {
+                this.fail(`'item' can only be used inside the second argument of ${Object.keys(LIST_FUNCTIONS).join(', ')}`, token);
+            }
+            return { type: 'identifier', name: token.value };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        }
+
+        if (token.type === 'operator' && token.value === '[') {
+            const elements = [];
+            if (!this.accept(']')) {
+                do {
+                    elements.push(this.parseExpression());
+                } while (this.accept(','));
+                this.expect(']');
+            }
+            return { type: 'array', elements };
+        }
+
+        return this.fail(`expected a value but found ${describeToken(token)}`, token);
+    }
+
+    parseCall(nameToken) {
+        const name = nameToken.value;
+        if (!EXPRESSION_FUNCTIONS.includes(name)) {
+            this.fail(`unknown function '${name}'`, nameToken);
+        }
+
+        const args = [];
+        if (!this.accept(')')) {
+            do {
+                const perItem = name in LIST_FUNCTIONS && args.length === 1;
+                if (perItem) this.itemDepth++;
+                args.push(this.parseExpression());
+                if (perItem) this.itemDepth--;
+            } while (this.accept(','));
+            this.expect(')');
+        }
+
+        const [min, max] = name in LIST_FUNCTIONS ? [1, 2] : name in ORGANIZATION_FUNCTIONS ? [1, 1] : FUNCTIONS[name];
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : `${min} to ${max}`;
+            this.fail(`${name}() takes ${expected} argument${max === 1 ? '' : 's'}, got ${args.length}`, nameToken);
+        }
+
+        return { type: 'call', name, args };
+    }
+}
+
+function describeToken(token) {
+    if (token.type === 'end') return 'the end of the expression';
+    if (token.type === 'string') return `string '${token.value}'`;
+    return `'${token.value}'`;
+}
+
+/**
+ * Top-level context fields read: bare names and context.<field>
+ */
+function collectFields(ast, fields = []) {
+    const add = (field) => {
+        if (!fields.includes(field)) fields.push(field);
+    };
+
+    switch (ast.type) {
+        case 'identifier':
+            if (!VARIABLES.includes(ast.name) && ast.name !== 'item') add(ast.name);
+            break;
+        case 'member':
+            if (ast.object.type === 'identifier' && ast.object.name === 'context' && ast.property.type === 'literal') {
+                add(String(ast.property.value));
+            } else {
+                collectFields(ast.object, fields);
+            }
+            collectFields(ast.property, fields);
+            break;
+        case 'unary':
+            collectFields(ast.argument, fields);
+            break;
+        case 'binary':
+        case 'logical':
+            collectFields(ast.left, fields);
+            collectFields(ast.right, fields);
+            break;
+        case 'conditional':
+            [ast.test, ast.consequent, ast.alternate].forEach(node => collectFields(node, fields));
+            break;
+        case 'array':
+            ast.elements.forEach(node => collectFields(node, fields));
+            break;
+        case 'call':
+            ast.args.forEach(node => collectFields(node, fields));
+            break;
+    }
+
+    return fields;
+}
+
+function evaluate(node, scope) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'identifier':
+            if (node.name === 'item') return scope.item;
+            if (VARIABLES.includes(node.name)) return scope[node.name];
+            return readField(scope.context, node.name);
+
+        case 'member':
+            return readField(evaluate(node.object, scope), evaluate(node.property, scope));
+
+        case 'array':
+            return node.elements.map(element => evaluate(element, scope));
+
+        case 'conditional':
+            return evaluate(node.test, scope) ? evaluate(node.consequent, scope) : evaluate(node.alternate, scope);
+
+        case 'logical':
+            return node.operator === 'and'
+                ? Boolean(evaluate(node.left, scope)) && Boolean(evaluate(node.right, scope))
+                : Boolean(evaluate(node.left, scope)) || Boolean(evaluate(node.right, scope));
+
+        case 'unary':
+            return node.operator === 'not'
+                ? !evaluate(node.argument, scope)
+                : -toNumber(evaluate(node.argument, scope), 'negate');
+
+        case 'binary':
+            return applyOperator(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+
+        case 'call':
+            return callFunction(node, scope);
+
+        default:
+            throw new Error(`unknown node '${node.type}'`);
+    }
+}
+
+function callFunction(node, scope) {
+    if (node.name in LIST_FUNCTIONS) {
+        const list = evaluate(node.args[0], scope);
+        const items = list === null || list === undefined ? [] : toList(list, node.name);
+        const values = node.args[1]
+            ? items.map(item => evaluate(node.args[1], { ...scope, item }))
+            : items;
+        return LIST_FUNCTIONS[node.name](values);
+    }
+
+    const args = node.args.map(arg => evaluate(arg, scope));
+    if (node.name in ORGANIZATION_FUNCTIONS) {
+        return ORGANIZATION_FUNCTIONS[node.name](scope.organization, ...args);
+    }
+    return FUNCTIONS[node.name][2](...args);
+}
+
+/**
+ * Read an own field (or the length of a list or string); missing values read as undefined
+ */
+function readField(object, key) {
+    if (object === null || object === undefined) return undefined;
+    if (key === 'length' && (Array.isArray(object) || typeof object === 'string')) return object.length;
+    if (typeof object !== 'object' || (typeof key !== 'string' && typeof key !== 'number')) return undefined;
+    return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+function applyOperator(operator, left, right) {
+    switch (operator) {
+        case '==': return isEqual(left, right);
+        case '!=': return !isEqual(left, right);
+        case 'in': return isIn(left, right);
+        case 'not in': return !isIn(left, right);
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            return compare(operator, left, right);
+        case '+':
+            if (typeof left === 'string' && typeof right === 'string') return left + right;
+            return toNumber(left, '+') + toNumber(right, '+');
+        case '-': return toNumber(left, '-') - toNumber(right, '-');
+        case '*': return toNumber(left, '*') * toNumber(right, '*');
+        case '/': {
+            const divisor = toNumber(right, '/');
+            if (divisor === 0) throw new Error('division by zero');
+            return toNumber(left, '/') / divisor;
+        }
+        case '%': return toNumber(left, '%') % toNumber(right, '%');
+        default:
+            throw new Error(`unknown operator '${operator}'`);
+    }
+}
+
+// Missing fields (undefined) equal null, so `approved_by != null` covers both
+function isEqual(left, right) {
+    return (left ?? null) === (right ?? null);
+}
+
+function isIn(value, container) {
+    if (Array.isArray(container)) return container.some(element => isEqual(element, value));
+    if (typeof container === 'string') return typeof value === 'string' && container.includes(value);
+    if (isRecord(container)) return (typeof value === 'string' || typeof value === 'number') && Object.prototype.hasOwnProperty.call(container, value);
+    return false;
+}
+
+// Missing values compare false; numbers compare with numbers and strings with strings
+function compare(operator, left, right) {
+    if (left === null || left === undefined || right === null || right === undefined) return false;
+    if (typeof left !== typeof right || (typeof left !== 'number' && typeof left !== 'string')) {
+        throw new Error(`cannot compare ${describeValue(left)} ${operator} ${describeValue(right)}`);
+    }
+
+    switch (operator) {
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+}
+
+function toNumber(value, operation) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        throw new Error(`${operation} expects a number, got ${describeValue(value)}`);
+    }
+    return value;
+}
+
+function toDate(value) {
+    const time = value instanceof Date ? value.getTime()
+        : typeof value === 'number' ? value
+        : typeof value === 'string' ? Date.parse(value)
+        : NaN;
+    if (Number.isNaN(time)) {
+        throw new Error(`expected a date, got ${describeValue(value)}`);
+    }
+    return time;
+}
+
+function toList(value, operation) {
+    if (!Array.isArray(value) && typeof value !== 'string') {
+        throw new Error(`${operation} expects a list, got ${describeValue(value)}`);
+    }
+    return value;
+}
+
+function isRecord(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function getPositions(organization) {
+    return Array.isArray(organization?.positions) ? organization.positions : [];
+}
+
+function describeValue(value) {
+    if (value === null || value === undefined) return 'nothing';
+    if (Array.isArray(value)) return 'a list';
+    return typeof value === 'string' ? `'${value}'` : typeof value === 'object' ? 'an object' : String(value);
+}
@@ -0,0 +1,219 @@
+import { BaseWorkflow } from './BaseWorkflow.js';
+import { WorkflowActors } from './OrganizationalModels.js';
+import { getExpressionFields } from './WorkflowExpression.js';
+
+const KNOWN_ACTORS = Object.values(WorkflowActors);
+
+// Context fields a function's source reads or writes (context.field, this.context.field)
+const CONTEXT_FIELD = /\bcontext\.([A-Za-z_$][\w$]*)/g;
+
+/**
+ * Static checks of a workflow type's states, run when the type is registered.
+ *
+ * Errors (the type cannot be registered):
+ *   - the initial state, a transition target or another state reference (escalation,
+ *     scheduled transition, voting, sub-workflow, join, parent, sub-state) is not a state
+ *   - a requiredActors value is not one of WorkflowActors
+ *   - two transitions of a state share an action
+ *   - a final state has transitions
+ *   - a state cannot be reached from the initial state
+ * Warnings:
+ *   - the type has no terminal (top-level final) state
+ *   - a state from which no terminal state can be reached (a dead end)
+ *   - a guard reads a context field no validation, entry or exit action, helper method
+ *     or default context ever mentions, so nothing but the transition itself supplies it
+ */
+export function lintWorkflowType(WorkflowClass) {
+    if (typeof WorkflowClass !== 'function' || !(WorkflowClass.prototype instanceof BaseWorkflow)) {
+        return { errors: ['Workflow type must be a BaseWorkflow subclass'], warnings: [] };
+    }
+
+    let workflow;
+    try {
+        workflow = new WorkflowClass('lint');
+        workflow.getInitialState();
+    } catch (error) {
+        return { errors: [`Could not create an instance to check: ${error.message}`], warnings: [] };
+    }
+
+    return lintWorkflow(workflow, WorkflowClass);
+}
+
+/**
+ * Lint the states of a workflow instance (see lintWorkflowType)
+ */
+export function lintWorkflow(workflow, WorkflowClass = workflow.constructor) {
+    const errors = [];
+    const warnings = [];
+    const states = workflow.states;
+    const initialState = workflow.getInitialState();
+
+    if (!states.has(initialState)) {
+        errors.push(`Initial state '${initialState}' is not a defined state`);
+    }
+
+    for (const [stateName, node] of states) {
+        const where = `State '${stateName}'`;
+
+        getReferences(node).forEach(({ target, what }) => {
+            if (!states.has(target)) {
+                errors.push(`${where} ${what} '${target}', which is not a defined state`);
+            }
+        });
+
+        node.scheduledTransitions
+            .filter(rule => rule.action && !node.transitions.some(transition => transition.action === rule.action))
+            .forEach(rule => errors.push(`${where} schedules action '${rule.action}', which none of its transitions has`));
+
+        node.requiredActors
+            .filter(actor => !KNOWN_ACTORS.includes(actor))
+            .forEach(actor => errors.push(`${where} requires unknown actor '${actor}'`));
+
+        const actions = node.transitions.map(transition => transition.action).filter(Boolean);
+        [...new Set(actions.filter((action, index) => actions.indexOf(action) !== index))]
+            .forEach(action => errors.push(`${where} has more than one transition with action '${action}'`));
+
+        if (node.final && node.transitions.length > 0) {
+            errors.push(`${where} is final but has transitions`);
+        }
+    }
+
+    if (states.has(initialState)) {
+        const reachable = findReachable(states, [initialState]);
+        [...states.keys()]
+            .filter(stateName => !reachable.has(stateName))
+            .forEach(stateName => errors.push(`State '${stateName}' is unreachable from '${initialState}'`));
+
+        const terminals = [...states.keys()].filter(stateName => isTerminal(states.get(stateName)));
+        if (terminals.length === 0) {
+            warnings.push('No terminal state: the workflow has no top-level final state');
+        } else {
+            [...states.keys()]
+                .filter(stateName => reachable.has(stateName) && !terminals.includes(stateName))
+                .filter(stateName => !terminals.some(terminal => findReachable(states, [stateName]).has(terminal)))
+                .forEach(stateName => warnings.push(`State '${stateName}' is a dead end: no terminal state can be reached from it`));
+        }
+    }
+
+    const knownFields = getKnownContextFields(workflow, WorkflowClass);
+    for (const [stateName, node] of states) {
+        node.transitions.forEach(transition => {
+            (transition.guards || [])
+                .flatMap(getGuardFields)
+                .filter((field, index, fields) => fields.indexOf(field) === index && !knownFields.has(field))
+                .forEach(field => warnings.push(
+                    `State '${stateName}' transition '${transition.action || transition.target}' guards on '${field}', which no validation, entry action or default context sets`
+                ));
+        });
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Other states a state refers to, with what it does with them
+ */
+function getReferences(node) {
+    return [
+        ...node.transitions.map(transition => ({ target: transition.target, what: 'has a transition to' })),
+        ...node.escalationRules
+            .filter(rule => rule.action === 'transition')
+            .map(rule => ({ target: rule.targetState, what: 'escalates to' })),
+        ...node.scheduledTransitions
+            .filter(rule => rule.target)
+            .map(rule => ({ target: rule.target, what: 'schedules a transition to' })),
+        ...(node.voting ? [
+            { target: node.voting.onApprove, what: 'moves on approval to' },
+            { target: node.voting.onReject, what: 'moves on rejection to' }
+        ] : []),
+        ...(node.subWorkflows ? [
+            { target: node.subWorkflows.onComplete, what: 'moves when its sub-workflows complete to' },
+            { target: node.subWorkflows.onFailure, what: 'moves when a sub-workflow fails to' }
+        ] : []),
+        ...(node.join ? [{ target: node.join.target, what: 'joins to' }] : []),
+        ...(node.parent ? [{ target: node.parent, what: 'has parent' }] : []),
+        ...(node.initialState ? [{ target: node.initialState, what: 'starts in' }] : []),
+        ...Object.entries(node.regions).map(([region, target]) => ({ target, what: `starts region '${region}' in` }))
+    ].filter(reference => reference.target);
+}
+
+/**
+ * States a state can move on to: its own references, the transitions of the compound and
+ * parallel states containing it and, for the end of a parallel region, the join
+ */
+function getSuccessors(states, stateName) {
+    const node = states.get(stateName);
+    const successors = getReferences(node).filter(reference => reference.what !== 'has parent').map(reference => reference.target);
+
+    for (let parent = states.get(node.parent), child = node; parent; child = parent, parent = states.get(parent.parent)) {
+        successors.push(...parent.transitions.map(transition => transition.target));
+        if (child.final && child.region && parent.join?.target) {
+            successors.push(parent.join.target);
+        }
+    }
+
+    return successors.filter(target => states.has(target));
+}
+
+function findReachable(states, from) {
+    const reachable = new Set(from);
+    const queue = [...from];
+
+    while (queue.length > 0) {
+        getSuccessors(states, queue.shift())
+            .filter(target => !reachable.has(target))
+            .forEach(target => {
+                reachable.add(target);
+                queue.push(target);
+            });
+    }
+
+    return reachable;
+}
+
+function isTerminal(node) {
+    return !node.parent && (node.final || (node.type === 'atomic' && getReferences(node).length === 0));
+}
+
+function getGuardFields(guard) {
+    if (typeof guard === 'function') {
+        return [...guard.toString().matchAll(CONTEXT_FIELD)].map(match => match[1]);
+    }
+    if (guard?.operator === 'and' || guard?.operator === 'or') {
+        return (guard.conditions || []).flatMap(getGuardFields);
+    }
+    if (typeof guard?.expression === 'string') {
+        return getExpressionFields(guard.expression);
+    }
+    return guard?.field ? [guard.field.split('.')[0]] : [];
+}
+
+/**
+ * Context fields the type mentions anywhere but in its guards: validations (functions,
+ * conditions and expressions), entry and exit actions, helper methods and the default context
+ */
+function getKnownContextFields(workflow, WorkflowClass) {
+    const fields = new Set(Object.keys(workflow.context || {}));
+    const sources = [];
+
+    for (const node of workflow.states.values()) {
+        sources.push(...node.validations, node.onEnter, node.onExit);
+        node.validations
+            .filter(validation => typeof validation === 'object')
+            .flatMap(getGuardFields)
+            .forEach(field => fields.add(field));
+        Object.values(node.permissionConditions).forEach(condition => sources.push(condition));
+    }
+
+    for (let prototype = WorkflowClass.prototype; prototype && prototype !== BaseWorkflow.prototype; prototype = Object.getPrototypeOf(prototype)) {
+        Object.getOwnPropertyNames(prototype)
+            .filter(name => name !== 'constructor' && name !== 'defineStates')
+            .forEach(name => sources.push(Object.getOwnPropertyDescriptor(prototype, name).value));
+    }
+
+    sources
+        .filter(source => typeof source === 'function')
+        .forEach(source => [...source.toString().matchAll(CONTEXT_FIELD)].forEach(match => fields.add(match[1])));
+
+    return fields;
+}
@@ -0,0 +1,576 @@
+import { getNextCronTime } from './CronExpression.js';
+
+/**
+ * User recorded on history entries and audit records for actions taken by the scheduler
+ */
+export const SYSTEM_USER = {
+    id: 'system',
+    username: 'system'
+};
+
+/**
+ * Workflow Scheduler
+ * Tracks when each workflow entered its current state and, once the state's
+ * timeoutDuration has elapsed (on the workflow's business calendar for business
+ * durations, see BusinessCalendar), runs its escalation rules. Timers are stored
+ * through the engine's persistence service so they survive a restart.
+ *
+ * Escalation rules (StateNode.escalationRules) run in order, each at most once:
+ *   { action: 'remind', after, template }        notify the current assignees
+ *   { action: 'reassign', after }                 hand the work to the assignees' superiors
+ *   { action: 'transition', after, targetState }  move the workflow on as the system user
+ * `after` is an optional delay in milliseconds past the timeout. A state with a
+ * timeout but no rules gets a single reminder.
+ *
+ * Scheduled transitions (StateNode.scheduledTransitions) fire a transition of the
+ * state as the system user at a set time, while the state is active:
+ *   { action, at }        at the date in the context field `at` (a path)
+ *   { action, cron }      at the next time the cron expression is due, and again at
+ *                         every later one while the transition does not go through
+ * `target` may be given instead of `action`. Runs that fell due while the scheduler
+ * was not running are fired when it starts, unless the rule sets catchUp: false.
+ */
+export class WorkflowScheduler {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.persistenceService = options.persistenceService;
+        this.checkInterval = options.checkInterval || 60000; // 1 minute
+        this.timers = new Map();
+        this.isProcessing = false;
+        this.checkTimer = null;
+    }
+
+    /**
+     * Restore persisted timers and start checking for due ones
+     */
+    async start() {
+        if (this.persistenceService) {
+            const savedTimers = await this.persistenceService.loadTimers();
+            savedTimers.forEach(timer => this.timers.set(timer.id, timer));
+        }
+
+        // Workflows restored by the engine may have entered their state before a timer was recorded
+        for (const workflow of this.engine.workflows.values()) {
+            const timer = this.timers.get(this.getTimeoutTimerId(workflow.id));
+            if (!timer || timer.state !== workflow.currentState) {
+                await this.scheduleStateTimeout(workflow);
+            }
+            await this.scheduleTransitions(workflow);
+        }
+
+        if (this.checkInterval > 0 && !this.checkTimer) {
+            this.checkTimer = setInterval(() => {
+                this.processDueTimers();
+            }, this.checkInterval);
+        }
+    }
+
+    /**
+     * Stop checking for due timers (persisted timers are kept)
+     */
+    stop() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+    }
+
+    getTimeoutTimerId(workflowId) {
+        return `${workflowId}:timeout`;
+    }
+
+    getScheduledTransitionTimerId(workflowId, stateName, ruleIndex) {
+        return `${workflowId}:scheduled:${stateName}:${ruleIndex}`;
+    }
+
+    /**
+     * Get the pending timers for a workflow
+     */
+    getTimers(workflowId) {
+        return Array.from(this.timers.values()).filter(timer => timer.workflowId === workflowId);
+    }
+
+    /**
+     * Get the scheduled transitions due up to options.until, soonest first, optionally
+     * only those of one organization or workflow
+     */
+    getUpcomingTransitions(options = {}) {
+        const until = options.until ? new Date(options.until) : null;
+
+        return Array.from(this.timers.values())
+            .filter(timer => timer.type === 'scheduled_transition')
+            .filter(timer => !until || new Date(timer.dueAt) <= until)
+            .map(timer => ({ timer, workflow: this.engine.getWorkflow(timer.workflowId) }))
+            .filter(({ timer, workflow }) => workflow &&
+                (!options.organizationId || workflow.organizationId === options.organizationId) &&
+                (!options.workflowId || timer.workflowId === options.workflowId))
+            .map(({ timer, workflow }) => ({
+                timerId: timer.id,
+                workflowId: workflow.id,
+                workflowType: workflow.type,
+                organizationId: workflow.organizationId,
+                state: timer.state,
+                action: timer.action,
+                targetState: timer.targetState,
+                schedule: timer.schedule,
+                dueAt: timer.dueAt
+            }))
+            .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+    }
+
+    /**
+     * Bring every timer of the workflow in line with its current states
+     */
+    async scheduleStateTimers(workflow) {
+        await this.scheduleStateTimeout(workflow);
+        await this.scheduleTransitions(workflow);
+    }
+
+    /**
+     * Replace the workflow's timeout timer with one for its current state
+     */
+    async scheduleStateTimeout(workflow) {
+        const timerId = this.getTimeoutTimerId(workflow.id);
+        const stateNode = workflow.states.get(workflow.currentState);
+
+        if (!stateNode?.timeoutDuration) {
+            await this.cancelTimer(timerId);
+            return null;
+        }
+
+        const enteredAt = new Date(workflow.getStateEntryTime(workflow.currentState));
+        const existing = this.timers.get(timerId);
+        const timer = {
+            id: timerId,
+            type: 'state_timeout',
+            workflowId: workflow.id,
+            organizationId: workflow.organizationId,
+            state: workflow.currentState,
+            enteredAt: enteredAt.toISOString(),
+            dueAt: workflow.addDuration(enteredAt, stateNode.timeoutDuration).toISOString(),
+            // Rescheduling the same stay (say, after a calendar change) keeps the rules already run
+            firedRules: existing?.state === workflow.currentState && existing.enteredAt === enteredAt.toISOString()
+                ? existing.firedRules
+                : []
+        };
+
+        this.timers.set(timerId, timer);
+        await this.saveTimer(timer);
+        return timer;
+    }
+
+    /**
+     * Schedule the transitions of the workflow's active states and drop those of the
+     * states it has left. Rules reading a context field follow changes to that field.
+     */
+    async scheduleTransitions(workflow) {
+        const activeStates = workflow.getActiveConfiguration();
+        const scheduled = [];
+
+        for (const stateName of activeStates) {
+            const rules = workflow.states.get(stateName).scheduledTransitions || [];
+            for (const [index, rule] of rules.entries()) {
+                const timer = await this.scheduleTransition(workflow, stateName, rule, index);
+                if (timer) scheduled.push(timer.id);
+            }
+        }
+
+        const stale = this.getTimers(workflow.id)
+            .filter(timer => timer.type === 'scheduled_transition' && !scheduled.includes(timer.id));
+        for (const timer of stale) {
+            await this.cancelTimer(timer.id);
+        }
+
+        return scheduled;
+    }
+
+    /**
+     * Schedule one scheduled-transition rule of an active state
+     */
+    async scheduleTransition(workflow, stateName, rule, ruleIndex) {
+        const timerId = this.getScheduledTransitionTimerId(workflow.id, stateName, ruleIndex);
+        const enteredAt = new Date(workflow.getStateEntryTime(stateName)).toISOString();
+        const existing = this.timers.get(timerId);
+
+        // A cron timer moves on by itself after each run during the same stay in the state
+        if (rule.cron && existing?.enteredAt === enteredAt) {
+            return existing;
+        }
+
+        const targetState = rule.target ||
+            workflow.states.get(stateName).transitions.find(transition => transition.action === rule.action)?.target;
+        if (!targetState) {
+            console.error(`Scheduled transition ${ruleIndex + 1} of state '${stateName}' in ${workflow.type} has no transition '${rule.action}'`);
+            return null;
+        }
+
+        let dueAt = null;
+        if (rule.cron) {
+            dueAt = getNextCronTime(rule.cron, new Date(enteredAt));
+        } else {
+            const value = workflow.states.get(stateName).getNestedValue(workflow.context, rule.at);
+            dueAt = value ? new Date(value) : null;
+            if (dueAt && isNaN(dueAt)) {
+                console.error(`Scheduled transition of workflow ${workflow.id} reads an invalid date from '${rule.at}'`);
+                dueAt = null;
+            }
+        }
+
+        if (!dueAt) return null;
+        if (existing?.enteredAt === enteredAt && existing.dueAt === dueAt.toISOString()) {
+            return existing;
+        }
+
+        const timer = {
+            id: timerId,
+            type: 'scheduled_transition',
+            workflowId: workflow.id,
+            organizationId: workflow.organizationId,
+            state: stateName,
+            ruleIndex,
+            action: rule.action || null,
+            targetState,
+            schedule: rule.cron ? { cron: rule.cron } : { at: rule.at },
+            catchUp: rule.catchUp !== false,
+            enteredAt,
+            dueAt: dueAt.toISOString()
+        };
+
+        this.timers.set(timerId, timer);
+        await this.saveTimer(timer);
+        return timer;
+    }
+
+    async saveTimer(timer) {
+        if (this.persistenceService) {
+            await this.persistenceService.saveTimer(timer);
+        }
+    }
+
+    async cancelTimer(timerId) {
+        if (!this.timers.delete(timerId)) return false;
+
+        if (this.persistenceService) {
+            await this.persistenceService.deleteTimer(timerId);
+        }
+        return true;
+    }
+
+    /**
+     * Fire every timer that is due at the given time
+     */
+    async processDueTimers(now = new Date()) {
+        if (this.isProcessing) return [];
+
+        this.isProcessing = true;
+        const fired = [];
+
+        try {
+            const dueTimers = Array.from(this.timers.values()).filter(timer => new Date(timer.dueAt) <= now);
+
+            for (const timer of dueTimers) {
+                try {
+                    fired.push(...await this.fireTimer(timer, now));
+                } catch (error) {
+                    console.error(`Error processing timer ${timer.id}:`, error);
+                }
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return fired;
+    }
+
+    /**
+     * Fire the scheduled transitions that fell due while the scheduler was not running.
+     * Rules with catchUp: false skip the missed run instead.
+     */
+    async catchUpMissedRuns(now = new Date()) {
+        const missed = Array.from(this.timers.values())
+            .filter(timer => timer.type === 'scheduled_transition' && new Date(timer.dueAt) <= now);
+        const runs = [];
+
+        for (const timer of missed) {
+            try {
+                runs.push(timer.catchUp
+                    ? await this.fireScheduledTransition(timer, now, { caughtUp: true })
+                    : await this.skipScheduledTransition(timer, now));
+            } catch (error) {
+                console.error(`Error catching up timer ${timer.id}:`, error);
+            }
+        }
+
+        return runs.filter(Boolean);
+    }
+
+    /**
+     * Fire a due timer: a scheduled transition, or the escalation rules of a state timeout
+     */
+    async fireTimer(timer, now = new Date()) {
+        if (timer.type === 'scheduled_transition') {
+            const run = await this.fireScheduledTransition(timer, now);
+            return run ? [run] : [];
+        }
+
+        return await this.fireEscalations(timer, now);
+    }
+
+    /**
+     * Run the escalation rules of a due timeout timer that have reached their delay
+     */
+    async fireEscalations(timer, now = new Date()) {
+        const workflow = this.engine.getWorkflow(timer.workflowId);
+
+        // The workflow moved on (or is gone) without the timer being replaced
+        if (!workflow || workflow.currentState !== timer.state) {
+            await this.cancelTimer(timer.id);
+            return [];
+        }
+
+        const stateNode = workflow.states.get(timer.state);
+        const rules = stateNode.escalationRules.length > 0 ? stateNode.escalationRules : [{ action: 'remind' }];
+        const overdueBy = now - new Date(timer.dueAt);
+        const escalations = [];
+
+        for (const [index, rule] of rules.entries()) {
+            if (timer.firedRules.includes(index) || overdueBy < (rule.after || 0)) continue;
+
+            // Record the rule as fired before running it so a crash never repeats it
+            timer.firedRules.push(index);
+            await this.saveTimer(timer);
+
+            escalations.push(await this.runEscalation(workflow, timer, rule, index));
+
+            if (workflow.currentState !== timer.state) break;
+        }
+
+        if (this.timers.get(timer.id) === timer && timer.firedRules.length >= rules.length) {
+            await this.cancelTimer(timer.id);
+        }
+
+        return escalations;
+    }
+
+    /**
+     * Get the workflow a scheduled-transition timer belongs to, or cancel the timer if
+     * the workflow has left the state (or is gone) without the timer being dropped
+     */
+    async getScheduledWorkflow(timer) {
+        const workflow = this.engine.getWorkflow(timer.workflowId);
+        const rule = workflow?.isStateActive(timer.state) &&
+            workflow.states.get(timer.state).scheduledTransitions?.[timer.ruleIndex];
+
+        if (!rule || new Date(workflow.getStateEntryTime(timer.state)).toISOString() !== timer.enteredAt) {
+            await this.cancelTimer(timer.id);
+            return {};
+        }
+        return { workflow, rule };
+    }
+
+    /**
+     * Fire a due scheduled transition as the system user, then audit and announce it.
+     * The timer is moved to its next run (cron) or removed before the transition is
+     * made, so a crash never repeats it.
+     */
+    async fireScheduledTransition(timer, now = new Date(), options = {}) {
+        const { workflow, rule } = await this.getScheduledWorkflow(timer);
+        if (!workflow) return null;
+
+        const run = {
+            action: timer.action,
+            state: timer.state,
+            targetState: timer.targetState,
+            dueAt: timer.dueAt,
+            caughtUp: Boolean(options.caughtUp),
+            timestamp: new Date()
+        };
+
+        await this.advanceScheduledTransition(timer, rule, now);
+
+        try {
+            await this.engine.executeSystemTransition(workflow.id, timer.targetState, {
+                reason: 'scheduled',
+                scheduledFor: timer.dueAt,
+                ...(timer.action ? { action: timer.action } : {})
+            }, { source: timer.state });
+            run.status = 'completed';
+        } catch (error) {
+            console.error(`Scheduled transition to '${timer.targetState}' failed for workflow ${workflow.id}:`, error);
+            run.status = 'failed';
+            run.error = error.message;
+        }
+
+        await this.reportScheduledTransition(workflow, run);
+        return run;
+    }
+
+    /**
+     * Skip a scheduled transition that was missed, moving it to its next run (cron) if any
+     */
+    async skipScheduledTransition(timer, now = new Date()) {
+        const { workflow, rule } = await this.getScheduledWorkflow(timer);
+        if (!workflow) return null;
+
+        const run = {
+            action: timer.action,
+            state: timer.state,
+            targetState: timer.targetState,
+            dueAt: timer.dueAt,
+            status: 'skipped',
+            timestamp: new Date()
+        };
+
+        await this.advanceScheduledTransition(timer, rule, now);
+        await this.reportScheduledTransition(workflow, run);
+        return run;
+    }
+
+    async advanceScheduledTransition(timer, rule, now) {
+        if (!rule.cron) {
+            await this.cancelTimer(timer.id);
+            return;
+        }
+
+        timer.dueAt = getNextCronTime(rule.cron, now).toISOString();
+        await this.saveTimer(timer);
+    }
+
+    async reportScheduledTransition(workflow, run) {
+        if (this.engine.auditService) {
+            await this.engine.auditService.logScheduledTransition(workflow, run);
+        }
+
+        this.engine.emit('workflowScheduledTransition', { workflow, run });
+    }
+
+    /**
+     * Run a single escalation rule, then audit and announce it
+     */
+    async runEscalation(workflow, timer, rule, ruleIndex) {
+        const escalation = {
+            action: rule.action,
+            ruleIndex,
+            state: timer.state,
+            dueAt: timer.dueAt,
+            timestamp: new Date()
+        };
+
+        try {
+            switch (rule.action) {
+                case 'remind':
+                    escalation.recipients = await this.remind(workflow, timer, rule);
+                    break;
+                case 'reassign':
+                    escalation.assignees = await this.reassign(workflow, timer);
+                    break;
+                case 'transition':
+                    await this.engine.executeSystemTransition(workflow.id, rule.targetState, {
+                        reason: 'timeout',
+                        escalation: true
+                    });
+                    escalation.targetState = rule.targetState;
+                    break;
+                default:
+                    throw new Error(`Unknown escalation action: ${rule.action}`);
+            }
+            escalation.status = 'completed';
+        } catch (error) {
+            console.error(`Escalation '${rule.action}' failed for workflow ${workflow.id}:`, error);
+            escalation.status = 'failed';
+            escalation.error = error.message;
+        }
+
+        if (this.engine.auditService) {
+            await this.engine.auditService.logWorkflowEscalation(workflow, escalation);
+        }
+
+        this.engine.emit('workflowEscalated', { workflow, escalation });
+        return escalation;
+    }
+
+    /**
+     * Get the users currently expected to act on the workflow
+     */
+    async getAssignees(workflow) {
+        const assignment = workflow.metadata.assignment;
+        if (assignment && assignment.state === workflow.currentState) {
+            return assignment.users;
+        }
+
+        const stateNode = workflow.states.get(workflow.currentState);
+        if (!this.engine.organizationService || !stateNode?.requiredActors.length) {
+            return [];
+        }
+
+        return await this.engine.getNotificationRecipients(
+            workflow,
+            stateNode.requiredActors,
+            { organizationId: workflow.organizationId }
+        );
+    }
+
+    async remind(workflow, timer, rule) {
+        const recipients = await this.getAssignees(workflow);
+        await this.notify(workflow, recipients, rule.template || 'action_required', {
+            dueDate: new Date(timer.dueAt).toLocaleString()
+        });
+        return recipients.map(recipient => recipient.id);
+    }
+
+    async reassign(workflow, timer) {
+        const assignees = await this.getAssignees(workflow);
+        const superiors = new Map();
+
+        // Delegates standing in for an assignee escalate through the assignee's superiors
+        for (const assignee of assignees.filter(assignee => !assignee.onBehalfOf)) {
+            const users = await this.engine.organizationService.getSuperiors(assignee.id, workflow.organizationId);
+            users.forEach(user => superiors.set(user.id, user));
+        }
+
+        if (superiors.size === 0) {
+            throw new Error('No superior found to reassign to');
+        }
+
+        const previous = workflow.metadata.assignment?.state === timer.state ? workflow.metadata.assignment : null;
+
+        // The superiors act for the assignees the state started with (see RBACPermissionResolver.getEscalationDelegations)
+        await this.engine.commitChange(workflow, () => workflow.updateMetadata({
+            assignment: {
+                state: timer.state,
+                users: Array.from(superiors.values()),
+                previousUserIds: assignees.map(assignee => assignee.id),
+                originalUserIds: previous?.originalUserIds ||
+                    assignees.filter(assignee => !assignee.onBehalfOf).map(assignee => assignee.id),
+                escalationLevel: (previous?.escalationLevel || 0) + 1,
+                reason: 'timeout',
+                assignedAt: new Date()
+            }
+        }, SYSTEM_USER));
+
+        await this.notify(workflow, workflow.metadata.assignment.users, 'workflow_escalation', {
+            escalationReason: `No action taken in '${timer.state}' before ${new Date(timer.dueAt).toLocaleString()}`,
+            originalAssignee: assignees.map(assignee => assignee.username || assignee.id).join(', '),
+            timeInState: `${Math.round(workflow.getTimeInCurrentState() / 3600000)} hours`
+        });
+
+        return workflow.metadata.assignment.users.map(user => user.id);
+    }
+
+    async notify(workflow, recipients, templateName, additionalData) {
+        const notificationService = this.engine.notificationService;
+        if (!notificationService) return;
+
+        for (const recipient of recipients) {
+            await notificationService.sendWorkflowNotification({
+                recipient,
+                workflow,
+                currentState: workflow.currentState,
+                actor: SYSTEM_USER,
+                organizationContext: { organizationId: workflow.organizationId },
+                templateName,
+                additionalData
+            });
+        }
+    }
+}
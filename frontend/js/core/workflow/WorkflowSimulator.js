@@ -0,0 +1,259 @@
+import { WorkflowEngine } from './WorkflowEngine.js';
+import { MemoryPersistenceService } from './persistence/MemoryPersistenceService.js';
+import { OrganizationDirectory, MemoryDirectoryStorage } from '../OrganizationDirectory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Outcomes of a simulated step:
+ *   allowed            the transition (or context update) went through
+ *   denied             the user lacks permission, or a separation-of-duties rule stops them
+ *   validation_failed  the current state's validations failed
+ *   unavailable        no transition to the target (or with the action) is open, e.g. a guard failed
+ *   error              anything else, such as an entry action throwing
+ */
+export const SIMULATION_OUTCOMES = ['allowed', 'denied', 'validation_failed', 'unavailable', 'error'];
+
+/**
+ * Headless what-if runs of workflow types against scripted scenarios, on a fresh
+ * WorkflowEngine with mock organization data and in-memory persistence per run.
+ *
+ * A scenario:
+ *   {
+ *     name, workflowType, createdBy, context,
+ *     organization: { id, actorMapping, branches, ... },
+ *     users: [{ id, username, positions: [{ designation, department, team, level }] }],
+ *     delegations: [{ delegatorId, delegateId, actors, workflowTypes, maxAmount }],  (active now unless dated)
+ *     steps: [
+ *       { user, action | target, context, expect },   attempt a transition (context is
+ *                                                     the transition context guards read)
+ *       { user, update, expect }                       update the workflow context
+ *     ],
+ *     expect: { finalState, context }
+ *   }
+ * `expect` is optional everywhere; a step's expect is one of SIMULATION_OUTCOMES.
+ */
+export class WorkflowSimulator {
+    constructor(workflowTypes = {}, options = {}) {
+        this.workflowTypes = workflowTypes; // name -> workflow class or definition
+        this.hooks = options.hooks || {};
+    }
+
+    /**
+     * Run several scenarios, each on its own engine
+     */
+    async runAll(scenarios) {
+        const reports = [];
+        for (const scenario of scenarios) {
+            reports.push(await this.run(scenario));
+        }
+        return reports;
+    }
+
+    /**
+     * Run a scenario and report each step's outcome, the final state and any unmet expectations
+     */
+    async run(scenario) {
+        if (!this.workflowTypes[scenario.workflowType]) {
+            throw new Error(`Invalid scenario '${scenario.name}': unknown workflow type '${scenario.workflowType}'`);
+        }
+
+        const organizationId = scenario.organization?.id || 'simulated-org';
+        const organizationContext = { organizationId };
+        const users = new Map((scenario.users || []).map(user => [user.id, { username: user.id, ...user }]));
+        const getUser = userId => {
+            if (!users.has(userId)) {
+                throw new Error(`Invalid scenario '${scenario.name}': unknown user '${userId}'`);
+            }
+            return users.get(userId);
+        };
+
+        const engine = new WorkflowEngine({
+            organizationService: await createMockOrganizationService(scenario, organizationId),
+            persistenceService: new MemoryPersistenceService()
+        });
+        engine.registerWorkflowType(scenario.workflowType, this.workflowTypes[scenario.workflowType], { hooks: this.hooks });
+
+        const workflowId = `simulation-${Date.now()}`;
+        const report = {
+            scenario: scenario.name,
+            workflowType: scenario.workflowType,
+            steps: [],
+            finalState: null,
+            activeStates: [],
+            finalContext: null,
+            mismatches: [],
+            passed: false
+        };
+
+        await engine.start();
+        try {
+            const creator = getUser(scenario.createdBy || scenario.users?.[0]?.id);
+            const workflow = await engine.createWorkflow(scenario.workflowType, workflowId, creator, organizationContext, {
+                context: JSON.parse(JSON.stringify(scenario.context || {}))
+            });
+
+            for (const [index, step] of (scenario.steps || []).entries()) {
+                const result = await this.runStep(engine, workflow, getUser(step.user), organizationContext, step);
+                result.step = index + 1;
+
+                if (step.expect !== undefined && step.expect !== result.outcome) {
+                    report.mismatches.push(`Step ${index + 1} (${result.action || result.targetState || 'update'} by ${step.user}): expected ${step.expect}, got ${result.outcome}${result.reason ? ` (${result.reason})` : ''}`);
+                }
+                report.steps.push(result);
+            }
+
+            report.finalState = workflow.currentState;
+            report.activeStates = workflow.getActiveStates();
+            report.finalContext = JSON.parse(JSON.stringify(workflow.context));
+
+            const expected = scenario.expect || {};
+            if (expected.finalState !== undefined && expected.finalState !== workflow.currentState) {
+                report.mismatches.push(`Expected final state ${expected.finalState}, got ${workflow.currentState}`);
+            }
+            Object.entries(expected.context || {}).forEach(([key, value]) => {
+                if (JSON.stringify(workflow.context[key]) !== JSON.stringify(value)) {
+                    report.mismatches.push(`Expected context ${key} to be ${JSON.stringify(value)}, got ${JSON.stringify(workflow.context[key])}`);
+                }
+            });
+        } finally {
+            await engine.stop();
+        }
+
+        report.passed = report.mismatches.length === 0;
+        return report;
+    }
+
+    /**
+     * Attempt one step as the given user
+     */
+    async runStep(engine, workflow, user, organizationContext, step) {
+        const actingContext = await engine.getActingContext(user, organizationContext.organizationId, workflow);
+        const result = {
+            user: user.id,
+            fromState: workflow.currentState,
+            action: step.action || null,
+            targetState: step.target || null,
+            validationErrors: await workflow.validate(user, actingContext),
+            outcome: 'allowed',
+            reason: null,
+            failedChecks: []
+        };
+
+        if (step.update) {
+            try {
+                await engine.updateWorkflowContext(workflow.id, step.update, user, organizationContext);
+            } catch (error) {
+                Object.assign(result, { outcome: classifyError(error), reason: error.message });
+            }
+            return result;
+        }
+
+        if (!result.targetState) {
+            result.targetState = workflow.getActiveConfiguration()
+                .flatMap(stateName => workflow.states.get(stateName).transitions)
+                .find(transition => transition.action === step.action)?.target || null;
+        }
+        if (!result.targetState) {
+            return { ...result, outcome: 'unavailable', reason: `Action '${step.action}' is not valid in state '${workflow.currentState}'` };
+        }
+
+        try {
+            await engine.executeTransition(workflow.id, result.targetState, user, organizationContext, step.context || {});
+        } catch (error) {
+            Object.assign(result, {
+                outcome: classifyError(error),
+                reason: error.message,
+                failedChecks: workflow.explainTransition(result.targetState, user, actingContext, step.context || {})
+                    .checks.filter(check => !check.passed)
+            });
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Organization service for a scenario: an in-memory OrganizationDirectory seeded with the
+ * scenario's users, positions, delegations and actor mapping, plus its organization record
+ * and branches (read for business calendars)
+ */
+export async function createMockOrganizationService(scenario, organizationId) {
+    const organization = { name: organizationId, ...scenario.organization, id: organizationId };
+    const directory = new OrganizationDirectory({ storage: new MemoryDirectoryStorage() });
+    const groups = new Map();
+    const designations = new Map();
+
+    const getGroup = async ({ department, team }) => {
+        const departmentId = `dept-${department}`;
+        if (!await directory.storage.get('departments', departmentId)) {
+            await directory.createDepartment(organizationId, { id: departmentId, name: department });
+        }
+        if (team && !await directory.storage.get('teams', `team-${team}`)) {
+            await directory.createTeam(organizationId, { id: `team-${team}`, name: team, departmentId });
+        }
+
+        const key = team ? `team:${team}` : `department:${department}`;
+        if (!groups.has(key)) {
+            groups.set(key, await directory.getGroupFor(team ? { teamId: `team-${team}` } : { departmentId }));
+        }
+        return groups.get(key);
+    };
+
+    for (const user of scenario.users || []) {
+        await directory.saveUser({ id: user.id, username: user.username || user.id });
+
+        for (const position of user.positions || []) {
+            if (!position.designation || !position.department) {
+                throw new Error(`Invalid scenario '${scenario.name}': positions of '${user.id}' need a designation and a department`);
+            }
+
+            const group = await getGroup(position);
+            const key = `${group.id}:${position.designation}:${position.level || 1}`;
+            if (!designations.has(key)) {
+                designations.set(key, await directory.createDesignation(organizationId, {
+                    name: position.designation,
+                    level: position.level || 1,
+                    groupId: group.id
+                }));
+            }
+            await directory.assignPosition(organizationId, {
+                userId: user.id,
+                designationId: designations.get(key).id,
+                groupId: group.id
+            });
+        }
+    }
+
+    for (const delegation of scenario.delegations || []) {
+        await directory.createDelegation(organizationId, {
+            startDate: new Date(Date.now() - DAY_MS),
+            endDate: new Date(Date.now() + DAY_MS),
+            ...delegation
+        });
+    }
+    if (organization.actorMapping) {
+        await directory.saveActorMapping(organizationId, organization.actorMapping);
+    }
+
+    return {
+        directory,
+        getOrganizationById: id => id === organizationId ? organization : null,
+        getBranches: async () => organization.branches || [],
+        getDepartments: orgId => directory.getDepartments(orgId),
+        getTeams: orgId => directory.getTeams(orgId),
+        getUserPositions: (userId, orgId) => directory.getUserPositions(userId, orgId),
+        getUsersByActor: (actor, orgId, workflowContext) => directory.getUsersByActor(actor, orgId, workflowContext),
+        getSuperiors: (userId, orgId) => directory.getSuperiors(userId, orgId),
+        getDelegations: (orgId, filters) => directory.getDelegations(orgId, filters),
+        getUser: userId => directory.getUser(userId),
+        getActorMapping: orgId => directory.getActorMapping(orgId)
+    };
+}
+
+function classifyError(error) {
+    if (/permission/i.test(error.message)) return 'denied';
+    if (error.message.startsWith('Workflow validation failed')) return 'validation_failed';
+    if (error.message.startsWith('Invalid transition')) return 'unavailable';
+    return 'error';
+}
@@ -0,0 +1,107 @@
+import { PersistenceService } from './PersistenceService.js';
+import { WorkflowConflictError } from '../WorkflowConflictError.js';
+
+/**
+ * HTTP persistence service
+ * Talks to the backend's /api/persistence endpoints (see backend/server.js).
+ */
+export class HttpPersistenceService extends PersistenceService {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || '/api/persistence').replace(/\/$/, '');
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || globalThis.fetch.bind(globalThis);
+    }
+
+    /**
+     * Perform a JSON request and return the parsed response body
+     */
+    async request(method, path, body, headers = {}) {
+        const response = await this.fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(typeof this.headers === 'function' ? this.headers() : this.headers),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : null;
+
+        if (!response.ok) {
+            const error = new Error(data?.error || `Persistence request failed with status ${response.status}`);
+            error.status = response.status;
+            error.details = data?.details;
+            throw error;
+        }
+
+        return data;
+    }
+
+    async saveWorkflow(workflowData, options = {}) {
+        const checked = options.expectedRevision !== undefined && options.expectedRevision !== null;
+
+        try {
+            await this.request('PUT', `/workflows/${encodeURIComponent(workflowData.id)}`, this.toStorable(workflowData),
+                checked ? { 'If-Match': String(options.expectedRevision) } : {});
+        } catch (error) {
+            if (error.status === 409 && error.details?.latest) {
+                throw new WorkflowConflictError(workflowData.id, options.expectedRevision, error.details.latest);
+            }
+            throw error;
+        }
+    }
+
+    async loadWorkflow(workflowId) {
+        try {
+            return await this.request('GET', `/workflows/${encodeURIComponent(workflowId)}`);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async loadWorkflows() {
+        return await this.request('GET', '/workflows');
+    }
+
+    async deleteWorkflow(workflowId) {
+        const result = await this.request('DELETE', `/workflows/${encodeURIComponent(workflowId)}`);
+        return result.deleted;
+    }
+
+    async saveAuditEntries(entries) {
+        await this.request('POST', '/audit', this.toStorable(entries));
+    }
+
+    async searchAuditEntries(criteria = {}) {
+        const params = new URLSearchParams();
+        Object.entries(criteria).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                params.set(key, value instanceof Date ? value.toISOString() : value);
+            }
+        });
+
+        const query = params.toString();
+        return await this.request('GET', `/audit${query ? `?${query}` : ''}`);
+    }
+
+    async cleanupAuditEntries(cutoffDate) {
+        await this.request('DELETE', `/audit?before=${encodeURIComponent(new Date(cutoffDate).toISOString())}`);
+    }
+
+    async saveTimer(timer) {
+        await this.request('PUT', `/timers/${encodeURIComponent(timer.id)}`, this.toStorable(timer));
+    }
+
+    async loadTimers() {
+        return await this.request('GET', '/timers');
+    }
+
+    async deleteTimer(timerId) {
+        const result = await this.request('DELETE', `/timers/${encodeURIComponent(timerId)}`);
+        return result.deleted;
+    }
+}
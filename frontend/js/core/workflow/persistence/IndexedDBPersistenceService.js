@@ -0,0 +1,175 @@
+import { PersistenceService } from './PersistenceService.js';
+
+const WORKFLOW_STORE = 'workflows';
+const AUDIT_STORE = 'auditEntries';
+const TIMER_STORE = 'timers';
+
+/**
+ * Browser IndexedDB persistence service
+ */
+export class IndexedDBPersistenceService extends PersistenceService {
+    constructor(options = {}) {
+        super(options);
+        this.indexedDB = options.indexedDB || globalThis.indexedDB;
+        this.databaseName = options.databaseName || 'workflow-engine';
+        this.version = options.version || 2;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.databaseName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(WORKFLOW_STORE)) {
+                    db.createObjectStore(WORKFLOW_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+                    const auditStore = db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+                    auditStore.createIndex('workflowId', 'workflowId');
+                    auditStore.createIndex('timestamp', 'timestamp');
+                }
+                if (!db.objectStoreNames.contains(TIMER_STORE)) {
+                    db.createObjectStore(TIMER_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request-producing function inside a transaction
+     */
+    async withStore(storeName, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            let result;
+
+            const request = fn(store);
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async saveWorkflow(workflowData, options = {}) {
+        const data = this.toStorable(workflowData);
+        let conflict = null;
+
+        try {
+            // Read and write in one transaction so the revision check cannot race another tab
+            await this.withStore(WORKFLOW_STORE, 'readwrite', store => {
+                const existing = store.get(data.id);
+                existing.onsuccess = () => {
+                    try {
+                        this.checkRevision(existing.result, data, options);
+                        store.put(data);
+                    } catch (error) {
+                        conflict = error;
+                        store.transaction.abort();
+                    }
+                };
+            });
+        } catch (error) {
+            throw conflict || error;
+        }
+    }
+
+    async loadWorkflow(workflowId) {
+        const data = await this.withStore(WORKFLOW_STORE, 'readonly', store => store.get(workflowId));
+        return data || null;
+    }
+
+    async loadWorkflows() {
+        return await this.withStore(WORKFLOW_STORE, 'readonly', store => store.getAll());
+    }
+
+    async deleteWorkflow(workflowId) {
+        const existing = await this.loadWorkflow(workflowId);
+        if (!existing) return false;
+
+        await this.withStore(WORKFLOW_STORE, 'readwrite', store => store.delete(workflowId));
+        return true;
+    }
+
+    async saveAuditEntries(entries) {
+        await this.withStore(AUDIT_STORE, 'readwrite', store => {
+            entries.forEach(entry => store.put(this.toStorable(entry)));
+        });
+    }
+
+    async searchAuditEntries(criteria = {}) {
+        const entries = await this.withStore(AUDIT_STORE, 'readonly', store =>
+            criteria.workflowId ? store.index('workflowId').getAll(criteria.workflowId) : store.getAll()
+        );
+        return entries.filter(entry => this.matchesAuditCriteria(entry, criteria));
+    }
+
+    async cleanupAuditEntries(cutoffDate) {
+        // Audit timestamps are stored as ISO strings, which sort chronologically
+        const cutoff = new Date(cutoffDate).toISOString();
+        const db = await this.open();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(AUDIT_STORE, 'readwrite');
+            const request = transaction.objectStore(AUDIT_STORE)
+                .index('timestamp')
+                .openCursor(this.keyRange().upperBound(cutoff));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async saveTimer(timer) {
+        await this.withStore(TIMER_STORE, 'readwrite', store => store.put(this.toStorable(timer)));
+    }
+
+    async loadTimers() {
+        return await this.withStore(TIMER_STORE, 'readonly', store => store.getAll());
+    }
+
+    async deleteTimer(timerId) {
+        const existing = await this.withStore(TIMER_STORE, 'readonly', store => store.get(timerId));
+        if (!existing) return false;
+
+        await this.withStore(TIMER_STORE, 'readwrite', store => store.delete(timerId));
+        return true;
+    }
+
+    keyRange() {
+        return this.options.IDBKeyRange || globalThis.IDBKeyRange;
+    }
+
+    /**
+     * Close the database connection
+     */
+    async close() {
+        if (!this.dbPromise) return;
+        const db = await this.dbPromise;
+        db.close();
+        this.dbPromise = null;
+    }
+}
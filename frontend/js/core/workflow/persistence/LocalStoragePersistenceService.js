@@ -0,0 +1,95 @@
+import { PersistenceService } from './PersistenceService.js';
+
+/**
+ * Browser localStorage persistence service
+ * Suitable for small data sets; use IndexedDBPersistenceService for larger ones.
+ */
+export class LocalStoragePersistenceService extends PersistenceService {
+    constructor(options = {}) {
+        super(options);
+        this.storage = options.storage || localStorage;
+        this.prefix = options.prefix || 'workflow';
+    }
+
+    get workflowsKey() {
+        return `${this.prefix}:workflows`;
+    }
+
+    get auditKey() {
+        return `${this.prefix}:audit`;
+    }
+
+    get timersKey() {
+        return `${this.prefix}:timers`;
+    }
+
+    readJson(key, fallback) {
+        const saved = this.storage.getItem(key);
+        return saved ? JSON.parse(saved) : fallback;
+    }
+
+    writeJson(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    async saveWorkflow(workflowData, options = {}) {
+        const workflows = this.readJson(this.workflowsKey, {});
+        this.checkRevision(workflows[workflowData.id], workflowData, options);
+        workflows[workflowData.id] = this.toStorable(workflowData);
+        this.writeJson(this.workflowsKey, workflows);
+    }
+
+    async loadWorkflow(workflowId) {
+        return this.readJson(this.workflowsKey, {})[workflowId] || null;
+    }
+
+    async loadWorkflows() {
+        return Object.values(this.readJson(this.workflowsKey, {}));
+    }
+
+    async deleteWorkflow(workflowId) {
+        const workflows = this.readJson(this.workflowsKey, {});
+        if (!workflows[workflowId]) return false;
+
+        delete workflows[workflowId];
+        this.writeJson(this.workflowsKey, workflows);
+        return true;
+    }
+
+    async saveAuditEntries(entries) {
+        const auditEntries = this.readJson(this.auditKey, []);
+        auditEntries.push(...entries.map(entry => this.toStorable(entry)));
+        this.writeJson(this.auditKey, auditEntries);
+    }
+
+    async searchAuditEntries(criteria = {}) {
+        return this.readJson(this.auditKey, [])
+            .filter(entry => this.matchesAuditCriteria(entry, criteria));
+    }
+
+    async cleanupAuditEntries(cutoffDate) {
+        const cutoff = new Date(cutoffDate);
+        const auditEntries = this.readJson(this.auditKey, [])
+            .filter(entry => new Date(entry.timestamp) > cutoff);
+        this.writeJson(this.auditKey, auditEntries);
+    }
+
+    async saveTimer(timer) {
+        const timers = this.readJson(this.timersKey, {});
+        timers[timer.id] = this.toStorable(timer);
+        this.writeJson(this.timersKey, timers);
+    }
+
+    async loadTimers() {
+        return Object.values(this.readJson(this.timersKey, {}));
+    }
+
+    async deleteTimer(timerId) {
+        const timers = this.readJson(this.timersKey, {});
+        if (!timers[timerId]) return false;
+
+        delete timers[timerId];
+        this.writeJson(this.timersKey, timers);
+        return true;
+    }
+}
@@ -0,0 +1,67 @@
+import { PersistenceService } from './PersistenceService.js';
+
+/**
+ * In-memory persistence service for tests and ephemeral engines
+ */
+export class MemoryPersistenceService extends PersistenceService {
+    constructor(options = {}) {
+        super(options);
+        this.workflows = new Map();
+        this.auditEntries = [];
+        this.timers = new Map();
+    }
+
+    async saveWorkflow(workflowData, options = {}) {
+        this.checkRevision(this.workflows.get(workflowData.id), workflowData, options);
+        this.workflows.set(workflowData.id, this.toStorable(workflowData));
+    }
+
+    async loadWorkflow(workflowId) {
+        const data = this.workflows.get(workflowId);
+        return data ? this.toStorable(data) : null;
+    }
+
+    async loadWorkflows() {
+        return Array.from(this.workflows.values()).map(data => this.toStorable(data));
+    }
+
+    async deleteWorkflow(workflowId) {
+        return this.workflows.delete(workflowId);
+    }
+
+    async saveAuditEntries(entries) {
+        this.auditEntries.push(...entries.map(entry => this.toStorable(entry)));
+    }
+
+    async searchAuditEntries(criteria = {}) {
+        return this.auditEntries
+            .filter(entry => this.matchesAuditCriteria(entry, criteria))
+            .map(entry => this.toStorable(entry));
+    }
+
+    async cleanupAuditEntries(cutoffDate) {
+        const cutoff = new Date(cutoffDate);
+        this.auditEntries = this.auditEntries.filter(entry => new Date(entry.timestamp) > cutoff);
+    }
+
+    async saveTimer(timer) {
+        this.timers.set(timer.id, this.toStorable(timer));
+    }
+
+    async loadTimers() {
+        return Array.from(this.timers.values()).map(timer => this.toStorable(timer));
+    }
+
+    async deleteTimer(timerId) {
+        return this.timers.delete(timerId);
+    }
+
+    /**
+     * Drop all stored data
+     */
+    clear() {
+        this.workflows.clear();
+        this.auditEntries = [];
+        this.timers.clear();
+    }
+}
@@ -0,0 +1,119 @@
+import { WorkflowConflictError } from '../WorkflowConflictError.js';
+
+/**
+ * Abstract persistence service used by WorkflowEngine and AuditService
+ * Subclasses store serialized workflows, audit entries and scheduler timers in a concrete backend.
+ */
+export class PersistenceService {
+    constructor(options = {}) {
+        if (this.constructor === PersistenceService) {
+            throw new Error('PersistenceService is abstract and cannot be instantiated directly');
+        }
+
+        this.options = options;
+    }
+
+    /**
+     * Save a serialized workflow (insert or replace by id).
+     * With options.expectedRevision the save is rejected with a WorkflowConflictError
+     * unless the stored workflow is still at that revision (see checkRevision).
+     */
+    async saveWorkflow(workflowData, options = {}) {
+        throw new Error('saveWorkflow() must be implemented by subclass');
+    }
+
+    /**
+     * Load a single serialized workflow, or null if it does not exist
+     */
+    async loadWorkflow(workflowId) {
+        throw new Error('loadWorkflow() must be implemented by subclass');
+    }
+
+    /**
+     * Load all serialized workflows
+     */
+    async loadWorkflows() {
+        throw new Error('loadWorkflows() must be implemented by subclass');
+    }
+
+    /**
+     * Delete a serialized workflow
+     */
+    async deleteWorkflow(workflowId) {
+        throw new Error('deleteWorkflow() must be implemented by subclass');
+    }
+
+    /**
+     * Append audit entries
+     */
+    async saveAuditEntries(entries) {
+        throw new Error('saveAuditEntries() must be implemented by subclass');
+    }
+
+    /**
+     * Search audit entries using AuditService criteria
+     */
+    async searchAuditEntries(criteria = {}) {
+        throw new Error('searchAuditEntries() must be implemented by subclass');
+    }
+
+    /**
+     * Remove audit entries older than the cutoff date
+     */
+    async cleanupAuditEntries(cutoffDate) {
+        throw new Error('cleanupAuditEntries() must be implemented by subclass');
+    }
+
+    /**
+     * Save a scheduled timer (insert or replace by id)
+     */
+    async saveTimer(timer) {
+        throw new Error('saveTimer() must be implemented by subclass');
+    }
+
+    /**
+     * Load all scheduled timers
+     */
+    async loadTimers() {
+        throw new Error('loadTimers() must be implemented by subclass');
+    }
+
+    /**
+     * Delete a scheduled timer
+     */
+    async deleteTimer(timerId) {
+        throw new Error('deleteTimer() must be implemented by subclass');
+    }
+
+    /**
+     * Optimistic concurrency check for saveWorkflow: throw if the stored workflow has
+     * moved past the revision the caller last saw
+     */
+    checkRevision(stored, workflowData, options = {}) {
+        if (options.expectedRevision === undefined || options.expectedRevision === null || !stored) return;
+
+        if ((stored.revision || 0) !== options.expectedRevision) {
+            throw new WorkflowConflictError(workflowData.id, options.expectedRevision, this.toStorable(stored));
+        }
+    }
+
+    /**
+     * Check if audit entry matches search criteria
+     */
+    matchesAuditCriteria(entry, criteria = {}) {
+        if (criteria.workflowId && entry.workflowId !== criteria.workflowId) return false;
+        if (criteria.userId && entry.userId !== criteria.userId) return false;
+        if (criteria.action && entry.action !== criteria.action) return false;
+        if (criteria.organizationId && entry.organizationId !== criteria.organizationId) return false;
+        if (criteria.startDate && new Date(entry.timestamp) < new Date(criteria.startDate)) return false;
+        if (criteria.endDate && new Date(entry.timestamp) > new Date(criteria.endDate)) return false;
+        return true;
+    }
+
+    /**
+     * Deep copy through JSON so every adapter returns the same shapes (dates as ISO strings)
+     */
+    toStorable(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
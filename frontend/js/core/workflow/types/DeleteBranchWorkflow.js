@@ -19,6 +19,44 @@ export class DeleteBranchWorkflow extends BranchManagementWorkflow {
         return 'draft';
     }
 
+    /**
+     * Separation-of-duties rules for delete branch workflow
+     */
+    getSeparationOfDutiesRules() {
+        return [
+            { type: 'distinct_actors', between: [['review'], ['approved', 'backup', 'deleting']] }
+        ];
+    }
+
+    /**
+     * Restore the deleted branch from its backup
+     */
+    getCompensationHandlers() {
+        return {
+            restoreFromBackup: async (context, data, user) => {
+                try {
+                    context.restoreResults = await this.restoreFromBackup(context.backup);
+                } catch (error) {
+                    context.restoreError = error.message;
+                    throw error;
+                }
+
+                this.logOperation('restore_in_progress', user, {
+                    branchId: context.branchData.id,
+                    backupId: data.backupId,
+                    restoreReason: context.restoreReason || 'Deletion rollback'
+                });
+            }
+        };
+    }
+
+    /**
+     * Entering restore undoes the deletion; a restore that keeps failing ends in restore_failed
+     */
+    getCompensationPolicy() {
+        return { ...super.getCompensationPolicy(), failureStates: ['restore'], onFailure: 'restore_failed' };
+    }
+
     /**
      * Define all states for delete branch workflow
      */
@@ -253,6 +291,9 @@ export class DeleteBranchWorkflow extends BranchManagementWorkflow {
             requiredActors: [WorkflowActors.IMPLEMENTOR],
             onEnter: async (context, user, orgContext) => {
                 context.deletion_started_at = new Date();
+                if (context.backup) {
+                    this.registerCompensation('restoreFromBackup', { backupId: context.backup.backupId });
+                }
 
                 try {
                     // Execute deletion process
@@ -332,26 +373,8 @@ export class DeleteBranchWorkflow extends BranchManagementWorkflow {
             ],
             requiredActors: [WorkflowActors.IMPLEMENTOR],
             onEnter: async (context, user, orgContext) => {
+                // The backup is restored by the restoreFromBackup compensation
                 context.restore_started_at = new Date();
-
-                try {
-                    if (context.backup) {
-                        // Restore from backup
-                        context.restoreResults = await this.restoreFromBackup(context.backup);
-
-                        this.logOperation('restore_in_progress', user, {
-                            branchId: context.branchData.id,
-                            backupId: context.backup.backupId,
-                            restoreReason: context.restoreReason || 'Deletion rollback'
-                        });
-                    }
-                } catch (error) {
-                    context.restoreError = error.message;
-                    this.logOperation('restore_error', user, {
-                        branchId: context.branchData.id,
-                        error: error.message
-                    });
-                }
             }
         }));
 
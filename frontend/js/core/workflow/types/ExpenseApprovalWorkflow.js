@@ -1,6 +1,7 @@
 import { BaseWorkflow } from '../BaseWorkflow.js';
 import { StateNode } from '../StateNode.js';
 import { WorkflowActors } from '../OrganizationalModels.js';
+import { toActorMapping } from '../ActorMapping.js';
 
 /**
  * Expense Approval Workflow Implementation
@@ -19,6 +20,16 @@ export class ExpenseApprovalWorkflow extends BaseWorkflow {
         return 'draft';
     }
 
+    /**
+     * Separation-of-duties rules for expense approval workflow
+     */
+    getSeparationOfDutiesRules() {
+        return [
+            { type: 'creator_excluded', states: ['manager_review', 'finance_review'] },
+            { type: 'distinct_actors', between: ['manager_review', 'finance_review'] }
+        ];
+    }
+
     /**
      * Define all states for expense approval workflow
      */
@@ -89,10 +100,10 @@ export class ExpenseApprovalWorkflow extends BaseWorkflow {
             requiredActors: [WorkflowActors.APPROVER],
             permissionConditions: {
                 customCondition: (user, orgContext, workflowContext) => {
-                    // Must be manager in same department as requester
+                    // Must be an approver in the same department as the requester
                     const requesterDept = workflowContext.requester_department;
                     return orgContext.positions.some(pos =>
-                        pos.designation.name.toLowerCase().includes('manager') &&
+                        toActorMapping(orgContext.actorMapping).getActors([pos]).includes(WorkflowActors.APPROVER) &&
                         pos.group?.department?.name === requesterDept
                     );
                 }
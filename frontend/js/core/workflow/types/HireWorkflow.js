@@ -1,6 +1,7 @@
 import { BaseWorkflow } from '../BaseWorkflow.js';
 import { StateNode } from '../StateNode.js';
 import { WorkflowActors } from '../OrganizationalModels.js';
+import { toActorMapping } from '../ActorMapping.js';
 
 /**
  * Hire Workflow Implementation
@@ -47,13 +48,13 @@ export class HireWorkflow extends BaseWorkflow {
                     target: 'approved',
                     action: 'approve',
                     label: 'Approve Requisition',
-                    guards: [(context) => context.approved_by && context.approval_comments]
+                    guards: [{ expression: 'approved_by and approval_comments' }]
                 },
                 {
                     target: 'rejected',
                     action: 'reject',
                     label: 'Reject Requisition',
-                    guards: [(context) => context.rejection_reason]
+                    guards: [{ expression: 'rejection_reason' }]
                 },
                 { target: 'draft', action: 'return_to_draft', label: 'Return to Draft' }
             ],
@@ -61,9 +62,9 @@ export class HireWorkflow extends BaseWorkflow {
             permissionConditions: {
                 department: (context) => context.department || null,
                 customCondition: (user, orgContext, workflowContext) => {
-                    // Manager can approve for their department
+                    // Approvers can approve for their department
                     return orgContext.positions.some(pos =>
-                        pos.designation.name.toLowerCase().includes('manager') &&
+                        toActorMapping(orgContext.actorMapping).getActors([pos]).includes(WorkflowActors.APPROVER) &&
                         pos.group?.department?.name === workflowContext.department
                     );
                 }
@@ -110,7 +111,7 @@ export class HireWorkflow extends BaseWorkflow {
                     target: 'interviewing',
                     action: 'start_interviews',
                     label: 'Start Interviews',
-                    guards: [(context) => context.screened_candidates && context.screened_candidates.length > 0]
+                    guards: [{ expression: 'len(screened_candidates) > 0' }]
                 },
                 { target: 'posted', action: 'reopen_posting', label: 'Reopen Posting' },
                 { target: 'cancelled', action: 'cancel', label: 'Cancel' }
@@ -131,7 +132,7 @@ export class HireWorkflow extends BaseWorkflow {
                     target: 'selecting',
                     action: 'complete_interviews',
                     label: 'Complete Interviews',
-                    guards: [(context) => context.interview_results && context.interview_results.length > 0]
+                    guards: [{ expression: 'len(interview_results) > 0' }]
                 },
                 { target: 'screening', action: 'return_to_screening', label: 'Return to Screening' },
                 { target: 'cancelled', action: 'cancel', label: 'Cancel' }
@@ -155,7 +156,7 @@ export class HireWorkflow extends BaseWorkflow {
                     target: 'offer_preparation',
                     action: 'select_candidate',
                     label: 'Select Candidate',
-                    guards: [(context) => context.selected_candidate]
+                    guards: [{ expression: 'selected_candidate' }]
                 },
                 { target: 'interviewing', action: 'continue_interviews', label: 'Continue Interviews' },
                 { target: 'cancelled', action: 'cancel', label: 'Cancel' }
@@ -177,7 +178,7 @@ export class HireWorkflow extends BaseWorkflow {
                     target: 'offer_sent',
                     action: 'send_offer',
                     label: 'Send Offer',
-                    guards: [(context) => context.offer_details && context.offer_details.salary]
+                    guards: [{ expression: 'offer_details.salary' }]
                 },
                 { target: 'selecting', action: 'revise_selection', label: 'Revise Selection' }
             ],
@@ -199,7 +200,8 @@ export class HireWorkflow extends BaseWorkflow {
                 { target: 'offer_preparation', action: 'revise_offer', label: 'Revise Offer' }
             ],
             requiredActors: [WorkflowActors.HR_SPECIALIST],
-            timeoutDuration: 7 * 24 * 60 * 60 * 1000, // 7 days
+            timeoutDuration: { businessDays: 5 }, // a working week on the organization's calendar
+            sla: { target: { businessDays: 5 }, dueSoon: { businessDays: 2 } },
             onEnter: async (context, user, orgContext) => {
                 context.offer_sent_at = new Date();
                 console.log(`Offer sent to ${context.selected_candidate?.name}`);
@@ -375,7 +377,7 @@ export class HireWorkflow extends BaseWorkflow {
 
         // Calculate time to hire if completed
         if (this.currentState === 'completed' && this.context.completed_at) {
-            metrics.time_to_hire = this.context.completed_at - this.createdAt;
+            metrics.time_to_hire = this.getDuration(this.createdAt, this.context.completed_at);
         }
 
         return metrics;
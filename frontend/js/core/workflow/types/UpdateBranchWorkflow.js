@@ -20,6 +20,35 @@ export class UpdateBranchWorkflow extends BranchManagementWorkflow {
         return 'draft';
     }
 
+    /**
+     * Restore the branch from the backup taken before updating when the update is rolled back
+     */
+    getCompensationHandlers() {
+        return {
+            restoreBranchBackup: async (context, data, user) => {
+                try {
+                    context.branchData = { ...context.backup.branchData };
+                } catch (error) {
+                    context.rollbackError = error.message;
+                    throw error;
+                }
+
+                this.logOperation('rollback_in_progress', user, {
+                    branchId: context.branchData.id,
+                    backupId: data.backupId,
+                    rollbackReason: context.rollbackReason || 'Update verification failed'
+                });
+            }
+        };
+    }
+
+    /**
+     * Entering rollback undoes the update; a restore that keeps failing ends in rollback_failed
+     */
+    getCompensationPolicy() {
+        return { ...super.getCompensationPolicy(), failureStates: ['rollback'], onFailure: 'rollback_failed' };
+    }
+
     /**
      * Define all states for update branch workflow
      */
@@ -229,6 +258,10 @@ export class UpdateBranchWorkflow extends BranchManagementWorkflow {
                 { target: 'approved', action: 'reschedule_update', label: 'Reschedule Update' },
                 { target: 'cancelled', action: 'cancel_scheduled_update', label: 'Cancel Scheduled Update' }
             ],
+            // Run the update by itself once the maintenance window opens
+            scheduledTransitions: [
+                { action: 'execute_scheduled_update', at: 'scheduledUpdateTime' }
+            ],
             requiredActors: [WorkflowActors.IMPLEMENTOR],
             onEnter: async (context, user, orgContext) => {
                 context.scheduled_at = new Date();
@@ -266,6 +299,7 @@ export class UpdateBranchWorkflow extends BranchManagementWorkflow {
                     timestamp: context.update_started_at,
                     backupId: `backup_${context.branchData.id}_${Date.now()}`
                 };
+                this.registerCompensation('restoreBranchBackup', { backupId: context.backup.backupId });
 
                 // Simulate update process
                 try {
@@ -345,26 +379,8 @@ export class UpdateBranchWorkflow extends BranchManagementWorkflow {
             ],
             requiredActors: [WorkflowActors.IMPLEMENTOR],
             onEnter: async (context, user, orgContext) => {
+                // The backup is restored by the restoreBranchBackup compensation
                 context.rollback_started_at = new Date();
-
-                try {
-                    // Restore from backup
-                    if (context.backup) {
-                        context.branchData = { ...context.backup.branchData };
-
-                        this.logOperation('rollback_in_progress', user, {
-                            branchId: context.branchData.id,
-                            backupId: context.backup.backupId,
-                            rollbackReason: context.rollbackReason || 'Update verification failed'
-                        });
-                    }
-                } catch (error) {
-                    context.rollbackError = error.message;
-                    this.logOperation('rollback_error', user, {
-                        branchId: context.branchData.id,
-                        error: error.message
-                    });
-                }
             }
         }));
 
@@ -0,0 +1,12 @@
+/**
+ * Escape text written into HTML markup or attribute values, so names, URLs and
+ * other user-supplied values are shown as text, never as markup
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
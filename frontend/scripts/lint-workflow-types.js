@@ -0,0 +1,38 @@
+/**
+ * Lint the workflow types in js/core/workflow/types (see WorkflowLinter):
+ *   npm run lint:workflows                  every type
+ *   npm run lint:workflows -- HireWorkflow  only the types named
+ * Exits with status 1 if any type has errors.
+ */
+import { readdirSync } from 'fs';
+import { BaseWorkflow } from '../js/core/workflow/BaseWorkflow.js';
+import { lintWorkflowType } from '../js/core/workflow/WorkflowLinter.js';
+
+const typesDirectory = new URL('../js/core/workflow/types/', import.meta.url);
+const selected = process.argv.slice(2);
+
+let errorCount = 0;
+let warningCount = 0;
+
+for (const file of readdirSync(typesDirectory).filter(file => file.endsWith('.js')).sort()) {
+    const exports = await import(new URL(file, typesDirectory));
+
+    for (const [name, WorkflowClass] of Object.entries(exports)) {
+        if (typeof WorkflowClass !== 'function' || !(WorkflowClass.prototype instanceof BaseWorkflow)) continue;
+        if (selected.length > 0 && !selected.includes(name)) continue;
+
+        // Abstract bases such as BranchManagementWorkflow leave the initial state to subclasses
+        if (WorkflowClass.prototype.getInitialState === BaseWorkflow.prototype.getInitialState) continue;
+
+        const { errors, warnings } = lintWorkflowType(WorkflowClass);
+        errorCount += errors.length;
+        warningCount += warnings.length;
+
+        console.log(`${errors.length > 0 ? '✗' : '✓'} ${name}`);
+        errors.forEach(error => console.log(`    error    ${error}`));
+        warnings.forEach(warning => console.log(`    warning  ${warning}`));
+    }
+}
+
+console.log(`\n${errorCount} error(s), ${warningCount} warning(s)`);
+process.exitCode = errorCount > 0 ? 1 : 0;
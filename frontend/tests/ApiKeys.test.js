@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { createServer } = require("../../backend/server.js");
+
+let api;
+let baseUrl;
+let organizationId;
+let otherOrganizationId;
+
+const claim = { total_amount: 20, expense_items: [{ amount: 20 }], business_purpose: "Taxi to the client" };
+
+async function request(method, path, { body, user = "owner", key } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${key || api.sessions.issueToken({ id: user }).token}`
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const issueKey = async data => (await request("POST", `/organizations/${organizationId}/api-keys`, { body: data })).body;
+
+beforeAll(async () => {
+  api = await createServer({ dbFile: null, auditFlushInterval: 100000, autoSaveInterval: 100000 });
+  await new Promise(resolve => api.server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${api.server.address().port}/api`;
+
+  const createOrganization = async name =>
+    (await request("POST", "/organizations", { body: { name, sub_domain_to_v4l_app: name.toLowerCase() } })).body.id;
+  organizationId = await createOrganization("Keys");
+  otherOrganizationId = await createOrganization("Other");
+});
+
+afterAll(async () => {
+  await new Promise(resolve => api.server.close(resolve));
+});
+
+describe("API keys", () => {
+  test("the organization owner issues keys, which are shown once and can be revoked", async () => {
+    const path = `/organizations/${organizationId}/api-keys`;
+    expect((await request("POST", path, { user: "someone-else", body: { name: "HR", scopes: ["workflows:create"] } })).status).toBe(403);
+    expect((await request("POST", path, { body: { name: "HR", scopes: ["workflows:delete"] } })).body.error)
+      .toMatch(/^Invalid API key scope 'workflows:delete'/);
+    expect((await request("POST", path, { body: { name: "HR", scopes: ["workflows:create"], actors: ["Boss"] } })).status).toBe(400);
+
+    const issued = await issueKey({ name: "HR system", scopes: ["workflows:read"], actors: ["HRSpecialist"] });
+    expect(issued.key).toMatch(/^wfk_[0-9a-f]{8}_[0-9a-f]+$/);
+
+    const [listed] = (await request("GET", path)).body;
+    expect(listed).toMatchObject({ id: issued.id, name: "HR system", actors: ["HRSpecialist"], rateLimit: 60, active: true });
+    expect(listed).not.toHaveProperty("key");
+    expect(listed).not.toHaveProperty("keyHash");
+
+    expect((await request("GET", "/workflows/none", { key: issued.key })).status).toBe(404);
+    const tampered = issued.key.slice(0, -1) + (issued.key.endsWith("0") ? "1" : "0");
+    expect((await request("GET", "/workflows/none", { key: tampered })).status).toBe(401);
+
+    expect((await request("DELETE", `${path}/${issued.id}`)).body).toMatchObject({ active: false, revokedBy: "owner" });
+    expect((await request("GET", "/workflows/none", { key: issued.key })).body.error).toBe("Invalid or revoked API key");
+  });
+
+  test("a service account creates, updates and transitions workflows within its scopes, audited under its name", async () => {
+    const accounting = await issueKey({
+      name: "Accounting system",
+      scopes: ["workflows:create", "workflows:update", "workflows:transition"],
+      actors: ["Analyzer"],
+      workflowTypes: ["ExpenseApprovalWorkflow"]
+    });
+    const key = accounting.key;
+
+    const created = await request("POST", "/workflows", {
+      key,
+      body: { type: "ExpenseApprovalWorkflow", organizationId, context: { total_amount: 20 } }
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.createdBy).toBe(`service-account:${accounting.id}`);
+
+    const workflowId = created.body.id;
+    expect((await request("PATCH", `/workflows/${workflowId}/context`, { key, body: claim })).status).toBe(200);
+    const submitted = await request("POST", `/workflows/${workflowId}/transitions`, { key, body: { action: "submit_claim" } });
+    expect(submitted.body.currentState).toBe("submitted");
+
+    // The key's actors decide what it may do: it submits as an Analyzer, but a manager review needs an Approver
+    expect(submitted.body.availableActions.map(action => action.action)).toEqual(["return_to_draft"]);
+    expect((await request("POST", `/workflows/${workflowId}/transitions`, { key, body: { action: "send_to_manager" } })).body.error)
+      .toBe("Invalid transition from 'submitted' to 'manager_review'");
+
+    // Outside its scopes, workflow types and organization
+    expect((await request("GET", `/workflows/${workflowId}`, { key })).body.error)
+      .toBe(`API key does not have permission for GET /api/workflows/${workflowId}`);
+    expect((await request("GET", "/audit", { key })).status).toBe(403);
+    expect((await request("POST", "/workflows", { key, body: { type: "HireWorkflow", organizationId } })).body.error)
+      .toBe("API key does not have permission for workflow type HireWorkflow");
+    expect((await request("POST", "/workflows", { key, body: { type: "ExpenseApprovalWorkflow", organizationId: otherOrganizationId } })).status)
+      .toBe(403);
+
+    const audit = await api.auditService.searchAuditLog({ workflowId });
+    expect(audit.map(entry => [entry.action, entry.userId, entry.username])).toEqual(expect.arrayContaining([
+      ["WORKFLOW_CREATED", `service-account:${accounting.id}`, "Accounting system"],
+      ["WORKFLOW_CONTEXT_UPDATED", `service-account:${accounting.id}`, "Accounting system"],
+      ["WORKFLOW_TRANSITION", `service-account:${accounting.id}`, "Accounting system"]
+    ]));
+  });
+
+  test("requests over a key's rate limit are refused until the minute is up", async () => {
+    const { key } = await issueKey({ name: "Batch import", scopes: ["workflows:read"], rateLimit: 2 });
+
+    const first = await request("GET", "/workflows/none", { key });
+    expect(first.headers.get("x-ratelimit-remaining")).toBe("1");
+    await request("GET", "/workflows/none", { key });
+
+    const refused = await request("GET", "/workflows/none", { key });
+    expect(refused.status).toBe(429);
+    expect(refused.body.error).toBe("Rate limit of 2 requests per minute exceeded");
+    expect(Number(refused.headers.get("retry-after"))).toBeGreaterThan(0);
+
+    // Browser sessions are not rate limited
+    expect((await request("GET", "/workflows/none")).status).toBe(404);
+  });
+});
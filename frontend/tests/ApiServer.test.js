@@ -0,0 +1,203 @@
+/**
+ * @jest-environment node
+ */
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { createServer } = require("../../backend/server.js");
+
+let api;
+let baseUrl;
+let token;
+
+async function request(method, path, { body, headers = { Authorization: `Bearer ${token}` } } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body === undefined || typeof body === "string" ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+beforeAll(async () => {
+  api = await createServer({ dbFile: null, auditFlushInterval: 100000, autoSaveInterval: 100000 });
+  await new Promise(resolve => api.server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${api.server.address().port}/api`;
+  token = api.sessions.issueToken({ id: "owner", username: "owner" }).token;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => api.server.close(resolve));
+});
+
+describe("API server", () => {
+  test("requests are identified by a signed session token, never by a header the client picks", async () => {
+    expect((await request("GET", "/organizations", { headers: {} })).status).toBe(401);
+    expect((await request("GET", "/organizations", { headers: { "X-User-Id": "owner" } })).status).toBe(401);
+
+    const registered = await request("POST", "/users", { headers: {}, body: { username: "Ada", password: "secret1", firstName: "Ada" } });
+    expect(registered.status).toBe(201);
+    expect(JSON.stringify(registered.body)).not.toMatch(/secret1|password/i);
+    expect((await request("POST", "/users", { headers: {}, body: { username: "ada", password: "secret2" } })).status).toBe(409);
+    expect((await request("POST", "/users", { headers: {}, body: { username: "bob", password: "123" } })).status).toBe(400);
+
+    expect((await request("POST", "/sessions", { headers: {}, body: { username: "ada", password: "wrong-password" } })).status).toBe(401);
+    const session = await request("POST", "/sessions", { headers: {}, body: { username: "ada", password: "secret1" } });
+    expect(session.body.user).toMatchObject({ id: registered.body.id, username: "ada" });
+
+    // The session names the owner of what it creates, whatever the body claims
+    const adaHeaders = { Authorization: `Bearer ${session.body.token}` };
+    const organization = await request("POST", "/organizations", { headers: adaHeaders, body: { name: "Ada Ltd", owner_id: "owner" } });
+    expect(organization.body.owner_id).toBe(registered.body.id);
+
+    // Forged, expired and other users' tokens
+    const signature = session.body.token.split(".")[1];
+    const forged = Buffer.from(JSON.stringify({ sub: "owner", exp: "2999-01-01T00:00:00Z" })).toString("base64url");
+    expect((await request("GET", "/organizations", { headers: { Authorization: `Bearer ${forged}.${signature}` } })).status).toBe(401);
+    const expired = api.sessions.issueToken({ id: registered.body.id }, Date.now() - 24 * 60 * 60 * 1000).token;
+    expect((await request("GET", "/organizations", { headers: { Authorization: `Bearer ${expired}` } })).body.error)
+      .toBe("Invalid or expired session token");
+    expect((await request("PUT", "/users/owner", { headers: adaHeaders, body: { firstName: "Eve" } })).status).toBe(403);
+  });
+
+  test("unknown routes and records are 404s", async () => {
+    expect((await request("GET", "/nothing-here")).body.error).toBe("No route for GET /api/nothing-here");
+    expect((await request("GET", "/workflows/wf-missing")).body.error).toBe("Workflow wf-missing not found");
+    expect((await request("GET", "/organizations/org-missing")).status).toBe(404);
+    expect((await request("POST", "/workflows", { body: { type: "HireWorkflow", organizationId: "org-missing" } })).status).toBe(404);
+
+    const organization = await request("POST", "/organizations", { body: { name: "Routes", sub_domain_to_v4l_app: "routes" } });
+    expect((await request("POST", "/workflows", { body: { type: "NoSuchWorkflow", organizationId: organization.body.id } })).status).toBe(404);
+  });
+
+  test("the workflow list only shows the caller's organizations", async () => {
+    const organization = await request("POST", "/organizations", { body: { name: "Listed", sub_domain_to_v4l_app: "listed" } });
+    const created = await request("POST", "/workflows", { body: { type: "ExpenseApprovalWorkflow", organizationId: organization.body.id } });
+
+    expect((await request("GET", "/workflows")).body.map(workflow => workflow.id)).toContain(created.body.id);
+    const stranger = { Authorization: `Bearer ${api.sessions.issueToken({ id: "stranger" }).token}` };
+    expect((await request("GET", "/workflows", { headers: stranger })).body).toEqual([]);
+  });
+
+  test("a workflow, its history and its audit trail are only visible in its organization", async () => {
+    const organization = await request("POST", "/organizations", { body: { name: "Private", sub_domain_to_v4l_app: "private" } });
+    const created = await request("POST", "/workflows", { body: { type: "ExpenseApprovalWorkflow", organizationId: organization.body.id } });
+    const path = `/workflows/${created.body.id}`;
+    const stranger = { Authorization: `Bearer ${api.sessions.issueToken({ id: "stranger" }).token}` };
+
+    for (const suffix of ["", "/history", "/events", "/replay?sequence=1", "/timers", "/diagram", "/audit", "/permissions"]) {
+      const refused = await request("GET", `${path}${suffix}`, { headers: stranger });
+      expect(refused.status).toBe(403);
+      expect(refused.body.error).toBe(`User stranger does not have permission for organization ${organization.body.id}`);
+    }
+    expect((await request("PATCH", `${path}/context`, { headers: stranger, body: { total_amount: 1 } })).status).toBe(403);
+    expect((await request("POST", `${path}/transitions`, { headers: stranger, body: { action: "submit_claim" } })).status).toBe(403);
+
+    expect((await request("GET", `/audit?workflowId=${created.body.id}`)).body.length).toBeGreaterThan(0);
+    expect((await request("GET", `/audit?workflowId=${created.body.id}`, { headers: stranger })).body).toEqual([]);
+    expect((await request("GET", "/scheduled-transitions", { headers: stranger })).body).toEqual([]);
+  });
+
+  test("only the owner updates or deletes an organization, and never its id or owner", async () => {
+    const organization = await request("POST", "/organizations", { body: { name: "Owned", sub_domain_to_v4l_app: "owned" } });
+    const path = `/organizations/${organization.body.id}`;
+    const mallory = { Authorization: `Bearer ${api.sessions.issueToken({ id: "mallory" }).token}` };
+
+    const takeover = await request("PUT", path, { headers: mallory, body: { owner_id: "mallory" } });
+    expect(takeover.status).toBe(403);
+    expect(takeover.body.error).toBe("Only the organization owner may update the organization");
+    expect((await request("DELETE", path, { headers: mallory })).status).toBe(403);
+    expect((await request("PUT", "/organizations/org-missing", { body: { name: "Nobody" } })).status).toBe(404);
+
+    const updated = await request("PUT", path, { body: { name: "Renamed", owner_id: "mallory", id: "org-other" } });
+    expect(updated.body).toMatchObject({ id: organization.body.id, name: "Renamed", owner_id: "owner" });
+    expect((await request("DELETE", path)).body).toEqual({ deleted: true });
+  });
+
+  test("the owner and Administrators change the directory and branches, and only members read them", async () => {
+    const organization = await request("POST", "/organizations", { body: { name: "Staffed", sub_domain_to_v4l_app: "staffed" } });
+    const path = `/organizations/${organization.body.id}`;
+    const as = id => ({ Authorization: `Bearer ${api.sessions.issueToken({ id }).token}` });
+    const branch = code => ({ branch_code: code, branch_name: `Branch ${code}` });
+
+    const refused = await request("POST", `${path}/departments`, { headers: as("mallory"), body: { name: "Shadow IT" } });
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe("Only the organization owner or an Administrator may change the directory");
+    expect((await request("POST", `${path}/branches`, { headers: as("mallory"), body: branch("B1") })).status).toBe(403);
+    expect((await request("GET", `${path}/departments`, { headers: as("mallory") })).status).toBe(403);
+    expect((await request("GET", `${path}/branches`, { headers: as("mallory") })).status).toBe(403);
+
+    const department = (await request("POST", `${path}/departments`, { body: { name: "Operations" } })).body;
+    const designation = (await request("POST", `${path}/designations`, { body: { name: "Office Clerk", level: 1 } })).body;
+    const group = (await request("GET", `${path}/groups`)).body.find(candidate => candidate.departmentId === department.id);
+    await request("POST", `${path}/positions`, { body: { userId: "clerk", designationId: designation.id, groupId: group.id } });
+
+    // A member reads the directory, but changes it only once the mapping makes them an Administrator
+    expect((await request("GET", `${path}/departments`, { headers: as("clerk") })).status).toBe(200);
+    expect((await request("POST", `${path}/teams`, { headers: as("clerk"), body: { name: "Night shift", departmentId: department.id } })).status).toBe(403);
+    await request("PUT", `${path}/actor-mapping`, { body: { designations: { "Office Clerk": ["Administrator"] } } });
+    expect((await request("POST", `${path}/teams`, { headers: as("clerk"), body: { name: "Night shift", departmentId: department.id } })).status).toBe(201);
+    expect((await request("POST", `${path}/branches`, { headers: as("clerk"), body: branch("B2") })).status).toBe(201);
+  });
+
+  test("users delegate only their own authority unless they own the organization", async () => {
+    const organization = await request("POST", "/organizations", { body: { name: "Delegating", sub_domain_to_v4l_app: "delegating" } });
+    const path = `/organizations/${organization.body.id}/delegations`;
+    const mallory = { Authorization: `Bearer ${api.sessions.issueToken({ id: "mallory" }).token}` };
+    const delegation = delegatorId => ({ delegatorId, delegateId: "mallory", startDate: "2024-01-01", endDate: "2099-01-01" });
+
+    const takeover = await request("POST", path, { headers: mallory, body: delegation("owner") });
+    expect(takeover.status).toBe(403);
+    expect(takeover.body.error).toBe("Only the organization owner may manage delegations on behalf of other users");
+
+    // Only someone holding a position has authority to delegate, and never to themselves
+    const outsider = await request("POST", path, { headers: mallory, body: { ...delegation("mallory"), delegateId: "owner" } });
+    expect(outsider.status).toBe(400);
+    expect(outsider.body.error).toBe("Invalid delegation: mallory holds no current position in the organization");
+
+    const directoryPath = `/organizations/${organization.body.id}`;
+    const department = (await request("POST", `${directoryPath}/departments`, { body: { name: "Board" } })).body;
+    const group = (await request("GET", `${directoryPath}/groups`)).body.find(candidate => candidate.departmentId === department.id);
+    const designation = (await request("POST", `${directoryPath}/designations`, { body: { name: "Director", level: 5 } })).body;
+    for (const userId of ["mallory", "ceo"]) {
+      await request("POST", `${directoryPath}/positions`, { body: { userId, designationId: designation.id, groupId: group.id } });
+    }
+
+    expect((await request("POST", path, { headers: mallory, body: { ...delegation("mallory"), delegateId: "owner" } })).status).toBe(201);
+    expect((await request("POST", path, { headers: mallory, body: delegation("mallory") })).status).toBe(400);
+
+    const byOwner = await request("POST", path, { body: delegation("ceo") });
+    expect(byOwner.status).toBe(201);
+    expect((await request("PUT", `${path}/${byOwner.body.id}`, { headers: mallory, body: { maxAmount: 1 } })).status).toBe(403);
+    expect((await request("POST", `${path}/${byOwner.body.id}/revoke`, { headers: mallory })).status).toBe(403);
+    expect((await request("POST", `${path}/${byOwner.body.id}/revoke`)).body.isActive).toBe(false);
+  });
+
+  test("only the organization owner changes its actor mapping", async () => {
+    const organization = await request("POST", "/organizations", { body: { name: "Mapped", sub_domain_to_v4l_app: "mapped" } });
+    const path = `/organizations/${organization.body.id}/actor-mapping`;
+    const mallory = { Authorization: `Bearer ${api.sessions.issueToken({ id: "mallory" }).token}` };
+    const mapping = { designations: { Intern: ["Approver"] } };
+
+    const refused = await request("PUT", path, { headers: mallory, body: mapping });
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe("Only the organization owner may change the actor mapping");
+    expect((await request("PUT", "/organizations/org-missing/actor-mapping", { body: mapping })).status).toBe(404);
+
+    expect((await request("PUT", path, { body: mapping })).status).toBe(200);
+    expect((await request("GET", path, { headers: mallory })).body.designations).toEqual({ Intern: ["Approver"] });
+  });
+
+  test("malformed requests are 400s", async () => {
+    expect((await request("POST", "/workflows", { body: '{"type":' })).body.error).toBe("Invalid JSON body");
+    expect((await request("POST", "/workflows", { body: "null" })).body.error).toBe("Invalid JSON body: expected an object or array");
+    expect((await request("POST", "/workflows", { body: "42" })).status).toBe(400);
+    expect((await request("GET", "/workflows/%E0%A4%A")).body.error).toBe("Invalid URL encoding in '%E0%A4%A'");
+
+    expect((await request("POST", "/workflows", { body: {} })).body.error).toBe("type is required");
+    expect((await request("POST", "/workflows", { body: { type: "HireWorkflow" } })).body.error).toBe("organizationId is required");
+    expect((await request("POST", "/organizations", { body: { name: "Twice", sub_domain_to_v4l_app: "twice" } })).status).toBe(201);
+    expect((await request("POST", "/organizations", { body: { name: "Twice", sub_domain_to_v4l_app: "twice" } })).status).toBe(409);
+  });
+});
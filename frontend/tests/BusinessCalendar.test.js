@@ -0,0 +1,116 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { BusinessCalendar } from "../js/core/workflow/BusinessCalendar.js";
+import { alice, org, createOrganizationService } from "./workflowFixtures.js";
+
+const organization = {
+  id: "org-1",
+  main_time_zone: "America/New_York",
+  holidays: ["2026-11-26"]
+};
+
+const branches = [{
+  id: "branch-sf",
+  time_zone: "America/Los_Angeles",
+  operating_hours: {
+    monday: { open: "08:00", close: "12:00" },
+    tuesday: { open: "08:00", close: "12:00" },
+    wednesday: { open: "08:00", close: "12:00" },
+    thursday: { open: "08:00", close: "12:00" },
+    friday: { open: "08:00", close: "12:00" }
+  }
+}];
+
+const organizationService = createOrganizationService({
+  getOrganizationById: id => id === organization.id ? organization : null,
+  getBranches: async () => branches
+});
+
+const reviewDefinition = {
+  name: "Review",
+  initialState: "open",
+  states: {
+    open: {
+      sla: { target: { businessHours: 8 }, dueSoon: { businessHours: 2 } },
+      timeoutDuration: { businessDays: 1 },
+      transitions: [{ target: "closed", action: "close" }]
+    },
+    closed: { final: true }
+  }
+};
+
+describe("Business calendars", () => {
+  let engine;
+
+  beforeEach(async () => {
+    engine = new WorkflowEngine({
+      organizationService,
+      persistenceService: new MemoryPersistenceService(),
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async () => {}
+      }
+    });
+    engine.registerWorkflowType("Review", reviewDefinition);
+    await engine.start();
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+  });
+
+  test("working time skips nights, weekends and holidays in the calendar's time zone", () => {
+    const calendar = BusinessCalendar.fromOrganization(organization);
+    const wednesdayAfternoon = new Date("2026-11-25T20:00:00Z"); // 15:00 in New York
+
+    expect(calendar.addBusinessTime(wednesdayAfternoon, 4 * 3600000)).toEqual(new Date("2026-11-27T16:00:00Z"));
+    expect(calendar.getBusinessDuration(wednesdayAfternoon, new Date("2026-11-30T15:00:00Z"))).toBe(11 * 3600000);
+    expect(calendar.addBusinessDays(wednesdayAfternoon, 2)).toEqual(new Date("2026-11-30T22:00:00Z"));
+    expect(calendar.isWorkingTime("2026-11-26T15:00:00Z")).toBe(false);
+
+    // Across the end of daylight saving time
+    expect(calendar.addBusinessTime(new Date("2026-10-30T20:00:00Z"), 2 * 3600000)).toEqual(new Date("2026-11-02T15:00:00Z"));
+  });
+
+  test("SLAs and timeouts are due in business time on the organization's or branch's calendar", async () => {
+    const workflow = await engine.createWorkflow("Review", "r-1", alice, org);
+    const branchWorkflow = await engine.createWorkflow("Review", "r-2", alice, org, { context: { branchId: "branch-sf" } });
+    workflow.history[0].timestamp = new Date("2026-11-25T20:00:00Z");
+    branchWorkflow.history[0].timestamp = new Date("2026-11-25T20:00:00Z");
+
+    // 2 hours on Wednesday, none on Thanksgiving, 6 more from Friday 9:00 in New York
+    expect(workflow.getSlaStatus(new Date("2026-11-27T18:30:00Z"))).toMatchObject({
+      state: "open",
+      dueAt: new Date("2026-11-27T20:00:00Z"),
+      status: "due_soon",
+      timeRemaining: 1.5 * 3600000
+    });
+    expect(workflow.getSlaStatus(new Date("2026-11-25T21:00:00Z")).status).toBe("on_track");
+    expect(workflow.getSlaStatus(new Date("2026-11-30T14:00:00Z"))).toMatchObject({ status: "overdue", timeOverdue: 2 * 3600000 });
+
+    // The San Francisco branch opens 08:00-12:00 and has closed by 12:00 on Wednesday
+    expect(branchWorkflow.getSlaStatus(new Date("2026-11-25T21:00:00Z")).dueAt).toEqual(new Date("2026-11-30T20:00:00Z"));
+
+    const timer = await engine.scheduler.scheduleStateTimeout(workflow);
+    expect(timer.dueAt).toBe("2026-11-27T22:00:00.000Z");
+  });
+
+  test("durations are measured in business time and follow calendar changes", async () => {
+    const workflow = await engine.createWorkflow("Review", "r-1", alice, org);
+    const friday = new Date("2026-11-27T21:00:00Z"); // 16:00 in New York
+    workflow.history[0].timestamp = friday;
+    workflow.createdAt = friday;
+
+    await engine.executeTransition("r-1", "closed", alice, org);
+    workflow.history[1].timestamp = new Date("2026-11-30T15:00:00Z");
+    expect(workflow.getDuration(workflow.createdAt, workflow.history[1].timestamp)).toBe(2 * 3600000);
+
+    organization.main_time_zone = "Europe/London";
+    try {
+      await engine.refreshBusinessCalendars("org-1");
+      expect(workflow.getDuration(workflow.createdAt, workflow.history[1].timestamp)).toBe(6 * 3600000);
+    } finally {
+      organization.main_time_zone = "America/New_York";
+    }
+  });
+});
@@ -0,0 +1,134 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { foldWorkflowEvents } from "../js/core/workflow/WorkflowEvents.js";
+import { alice, org, organizationService } from "./workflowFixtures.js";
+
+const provisioningDefinition = {
+  name: "Provisioning",
+  initialState: "draft",
+  compensation: { failureStates: ["failed"], maxAttempts: 2, onFailure: "stuck" },
+  states: {
+    draft: { transitions: [{ target: "reserving", action: "reserve" }] },
+    reserving: {
+      onEnter: ["reserveAccount"],
+      compensate: "releaseAccount",
+      transitions: [{ target: "configuring", action: "configure" }]
+    },
+    configuring: {
+      onEnter: ["applySettings"],
+      compensate: "revertSettings",
+      transitions: [{ target: "done", action: "finish" }, { target: "failed", action: "fail" }]
+    },
+    failed: { transitions: [{ target: "stuck", action: "give_up" }] },
+    stuck: { transitions: [{ target: "failed", action: "retry" }] },
+    done: { final: true }
+  }
+};
+
+describe("Compensations", () => {
+  let engine;
+  let auditSteps;
+  let undone;
+  let revertFailures;
+
+  const hooks = {
+    reserveAccount: context => { context.account = "reserved"; },
+    releaseAccount: context => {
+      undone.push("releaseAccount");
+      delete context.account;
+    },
+    applySettings: context => { context.settings = "applied"; },
+    revertSettings: context => {
+      if (revertFailures > 0) {
+        revertFailures -= 1;
+        throw new Error("settings service unavailable");
+      }
+      undone.push("revertSettings");
+      context.settings = "reverted";
+    }
+  };
+
+  const startFailedRun = async () => {
+    const workflow = await engine.createWorkflow("Provisioning", "p-1", alice, org);
+    await engine.executeTransition("p-1", "reserving", alice, org);
+    await engine.executeTransition("p-1", "configuring", alice, org);
+    await engine.executeTransition("p-1", "failed", alice, org);
+    return workflow;
+  };
+
+  beforeEach(async () => {
+    auditSteps = [];
+    undone = [];
+    revertFailures = 0;
+
+    engine = new WorkflowEngine({
+      organizationService,
+      persistenceService: new MemoryPersistenceService(),
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async () => {},
+        logCompensationStep: async (workflow, step) => {
+          auditSteps.push({ name: step.name, outcome: step.outcome, attempt: step.attempt });
+        }
+      }
+    });
+    engine.registerWorkflowType("Provisioning", provisioningDefinition, { hooks });
+    await engine.start();
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+  });
+
+  test("entering a failure state undoes the completed steps newest first", async () => {
+    const workflow = await startFailedRun();
+
+    expect(undone).toEqual(["revertSettings", "releaseAccount"]);
+    expect(workflow.currentState).toBe("failed");
+    expect(workflow.context).toEqual({ settings: "reverted" });
+    expect(workflow.compensations.map(compensation => [compensation.state, compensation.status])).toEqual([
+      ["reserving", "compensated"],
+      ["configuring", "compensated"]
+    ]);
+    expect(auditSteps).toEqual([
+      { name: "revertSettings", outcome: "compensated", attempt: 1 },
+      { name: "releaseAccount", outcome: "compensated", attempt: 1 }
+    ]);
+    expect(foldWorkflowEvents(workflow.events).compensations).toEqual(JSON.parse(JSON.stringify(workflow.compensations)));
+  });
+
+  test("a compensation that keeps failing stops the run and waits for a retry", async () => {
+    revertFailures = 2;
+    const workflow = await startFailedRun();
+
+    expect(workflow.currentState).toBe("stuck");
+    expect(undone).toEqual([]);
+    expect(auditSteps.map(step => step.outcome)).toEqual(["retrying", "failed"]);
+    expect(workflow.history[workflow.history.length - 1].context.error).toBe("settings service unavailable");
+    expect(workflow.getPendingCompensations().map(compensation => compensation.status)).toEqual(["failed", "pending"]);
+
+    await engine.executeTransition("p-1", "failed", alice, org);
+
+    expect(workflow.currentState).toBe("failed");
+    expect(undone).toEqual(["revertSettings", "releaseAccount"]);
+    expect(workflow.compensations[1].attempts.map(attempt => attempt.attempt)).toEqual([1, 2, 3]);
+  });
+
+  test("a failed compensation can be resolved by hand before retrying the rest", async () => {
+    revertFailures = 2;
+    const workflow = await startFailedRun();
+    const failed = workflow.getPendingCompensations()[0];
+
+    await engine.resolveCompensation("p-1", failed.id, alice, org, "settings reverted manually");
+    await expect(engine.resolveCompensation("p-1", failed.id, alice, org)).rejects.toThrow("already resolved");
+
+    const result = await engine.retryCompensations("p-1", alice, org);
+
+    expect(result.status).toBe("compensated");
+    expect(undone).toEqual(["releaseAccount"]);
+    expect(failed.resolution).toMatchObject({ user: { id: "alice" }, note: "settings reverted manually" });
+    expect(auditSteps.map(step => `${step.name}:${step.outcome}`)).toEqual([
+      "revertSettings:retrying", "revertSettings:failed", "revertSettings:resolved", "releaseAccount:compensated"
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { createRequire } from "module";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const require = createRequire(import.meta.url);
+const { Database, migrations } = require("../../backend/db.js");
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = mkdtempSync(join(tmpdir(), "workflow-db-"));
+});
+
+afterEach(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("Database", () => {
+  test("migrations run once, in order, and pending ones apply when the file is reopened", () => {
+    const filename = join(dataDir, "db.json");
+    const first = new Database({ filename, migrations: migrations.slice(0, 2) });
+    expect(first.getVersion()).toBe(2);
+    first.insert("organizations", { id: "org-1", name: "Acme" });
+    first.close();
+
+    const reopened = new Database({ filename });
+    expect(reopened.appliedMigrations.map(migration => migration.version))
+      .toEqual(migrations.map(migration => migration.version));
+    expect(reopened.get("organizations", "org-1").name).toBe("Acme");
+    expect(reopened.migrate()).toEqual([]);
+    reopened.close();
+
+    const failing = [...migrations, { version: 99, name: "broken", up(db) { db.createTable("half_done"); throw new Error("boom"); } }];
+    expect(() => new Database({ filename, migrations: failing })).toThrow("boom");
+    const afterFailure = new Database({ filename });
+    expect(afterFailure.getVersion()).toBe(migrations.length);
+    expect(() => afterFailure.find("half_done")).toThrow("Unknown table 'half_done'");
+    afterFailure.close();
+  });
+
+  test("unique constraints reject a second record with the same value", () => {
+    const db = new Database({ filename: null });
+    db.insert("organizations", { id: "org-1", sub_domain_to_v4l_app: "acme" });
+
+    expect(() => db.insert("organizations", { id: "org-2", sub_domain_to_v4l_app: "acme" }))
+      .toThrow("Unique constraint failed: organizations.sub_domain_to_v4l_app");
+    expect(() => db.insert("organizations", { id: "org-1" })).toThrow("Duplicate id 'org-1' in 'organizations'");
+    db.upsert("organizations", { id: "org-1", sub_domain_to_v4l_app: "acme", name: "Acme" });
+    db.insert("organizations", { id: "org-3", sub_domain_to_v4l_app: "" });
+    db.insert("organizations", { id: "org-4", sub_domain_to_v4l_app: "" });
+    expect(db.count("organizations")).toBe(3);
+  });
+
+  test("a failing transaction rolls back every change, and writes reach the file in one batch", () => {
+    const filename = join(dataDir, "db.json");
+    const db = new Database({ filename, flushDelay: 60 * 1000 });
+    db.insert("teams", { id: "t-1", name: "Red" });
+    db.insert("teams", { id: "t-2", name: "Blue" });
+
+    expect(() => db.transaction(() => {
+      db.update("teams", "t-1", { name: "Green" });
+      db.delete("teams", "t-2");
+      db.deleteWhere("teams", {});
+      db.insert("teams", { id: "t-3", name: "Gold" });
+      db.createTable("scratch");
+      throw new Error("abort");
+    })).toThrow("abort");
+
+    expect(db.find("teams").map(team => team.name).sort()).toEqual(["Blue", "Red"]);
+    expect(db.schema.scratch).toBeUndefined();
+
+    // Nothing is written until the flush delay is up or the database is closed
+    expect(existsSync(filename)).toBe(false);
+    db.close();
+    expect(Object.keys(JSON.parse(readFileSync(filename, "utf8")).tables.teams).sort()).toEqual(["t-1", "t-2"]);
+  });
+});
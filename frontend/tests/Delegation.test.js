@@ -0,0 +1,168 @@
+import { OrganizationDirectory, LocalStorageDirectoryStorage } from "../js/core/OrganizationDirectory.js";
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { BaseWorkflow } from "../js/core/workflow/BaseWorkflow.js";
+import { StateNode } from "../js/core/workflow/StateNode.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class ExpenseClaim extends BaseWorkflow {
+  constructor(id, options = {}) {
+    super(id, options);
+    this.initialize();
+  }
+
+  getInitialState() {
+    return "draft";
+  }
+
+  defineStates() {
+    this.addState("draft", new StateNode("draft", {
+      transitions: [{ target: "approved" }]
+    }));
+    this.addState("approved", new StateNode("approved", {
+      requiredActors: ["Approver"]
+    }));
+  }
+}
+
+class PurchaseOrder extends ExpenseClaim {}
+
+describe("Approval delegation", () => {
+  let directory;
+  let engine;
+  const audited = [];
+  const mia = { id: "mia", username: "mia" };
+  const ben = { id: "ben", username: "ben" };
+
+  beforeEach(async () => {
+    localStorage.clear();
+    audited.length = 0;
+    directory = new OrganizationDirectory({ storage: new LocalStorageDirectoryStorage() });
+
+    await directory.createDepartment("org-1", { id: "finance", name: "Finance" });
+    const group = await directory.getGroupFor({ departmentId: "finance" });
+    const manager = await directory.createDesignation("org-1", { name: "Finance Manager", level: 3, groupId: group.id });
+    const analyst = await directory.createDesignation("org-1", { name: "Finance Analyst", level: 1, groupId: group.id });
+
+    await directory.saveUser(mia);
+    await directory.saveUser(ben);
+    await directory.assignPosition("org-1", { userId: "mia", designationId: manager.id, groupId: group.id });
+    await directory.assignPosition("org-1", { userId: "ben", designationId: analyst.id, groupId: group.id });
+    await directory.saveActorMapping("org-1", { designations: { [manager.id]: ["Approver"] } });
+
+    engine = new WorkflowEngine({
+      organizationService: {
+        getUserPositions: (userId, orgId) => directory.getUserPositions(userId, orgId),
+        getDepartments: orgId => directory.getDepartments(orgId),
+        getTeams: orgId => directory.getTeams(orgId),
+        getBranches: async () => [],
+        getUsersByActor: (actor, orgId, context) => directory.getUsersByActor(actor, orgId, context),
+        getDelegations: (orgId, filters) => directory.getDelegations(orgId, filters),
+        getUser: userId => directory.getUser(userId),
+        getActorMapping: orgId => directory.getActorMapping(orgId)
+      },
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async (workflow, user, context, transition) => {
+          audited.push({ userId: user.id, onBehalfOf: workflow.history[workflow.history.length - 1].onBehalfOf });
+        }
+      }
+    });
+    engine.registerWorkflowType("ExpenseClaim", ExpenseClaim);
+    engine.registerWorkflowType("PurchaseOrder", PurchaseOrder);
+    await engine.start();
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+  });
+
+  const delegateApprovals = (overrides = {}) => directory.createDelegation("org-1", {
+    delegatorId: "mia",
+    delegateId: "ben",
+    actors: ["Approver"],
+    workflowTypes: ["ExpenseClaim"],
+    maxAmount: 1000,
+    startDate: new Date(Date.now() - DAY),
+    endDate: new Date(Date.now() + DAY),
+    reason: "Annual leave",
+    ...overrides
+  });
+
+  const createClaim = (type, id, amount) =>
+    engine.createWorkflow(type, id, ben, { organizationId: "org-1" }, { context: { total_amount: amount } });
+
+  test("a delegate approves on behalf of the delegator and the audit trail records it", async () => {
+    const delegation = await delegateApprovals();
+    const workflow = await createClaim("ExpenseClaim", "claim-1", 250);
+
+    await engine.executeTransition("claim-1", "approved", ben, { organizationId: "org-1" });
+
+    expect(workflow.currentState).toBe("approved");
+    const onBehalfOf = { id: "mia", username: "mia", delegationId: delegation.id };
+    expect(workflow.history[workflow.history.length - 1]).toMatchObject({ user: { id: "ben" }, onBehalfOf });
+    expect(audited).toEqual([{ userId: "ben", onBehalfOf }]);
+  });
+
+  test("delegations only cover their workflow types, amount limit and date range", async () => {
+    await delegateApprovals();
+    await createClaim("ExpenseClaim", "large-claim", 5000);
+    await createClaim("PurchaseOrder", "order-1", 100);
+    await engine.createWorkflow("ExpenseClaim", "unpriced-claim", ben, { organizationId: "org-1" });
+
+    await expect(engine.executeTransition("large-claim", "approved", ben, { organizationId: "org-1" }))
+      .rejects.toThrow("User does not have permission to access state 'approved'");
+    // Without an amount the limit cannot be checked, so the delegation does not apply
+    await expect(engine.executeTransition("unpriced-claim", "approved", ben, { organizationId: "org-1" }))
+      .rejects.toThrow("User does not have permission to access state 'approved'");
+    await expect(engine.executeTransition("order-1", "approved", ben, { organizationId: "org-1" }))
+      .rejects.toThrow("User does not have permission to access state 'approved'");
+
+    const expired = await directory.getDelegations("org-1", { delegateId: "ben", activeAt: new Date(Date.now() + 2 * DAY) });
+    expect(expired).toEqual([]);
+  });
+
+  test("revoked delegations stop applying and notifications reach active delegates", async () => {
+    const delegation = await delegateApprovals({ maxAmount: null });
+    const workflow = await createClaim("ExpenseClaim", "claim-2", 9000);
+
+    const recipients = await engine.getNotificationRecipients(workflow, ["Approver"], { organizationId: "org-1" });
+    expect(recipients.map(recipient => [recipient.id, recipient.onBehalfOf])).toEqual([["mia", undefined], ["ben", "mia"]]);
+
+    const context = await engine.getActingContext(ben, "org-1", workflow);
+    expect(await engine.rbacResolver.hasPermission(ben, { actor: "Approver" }, context)).toBe(true);
+
+    await directory.revokeDelegation(delegation.id);
+    expect(await engine.getNotificationRecipients(workflow, ["Approver"], { organizationId: "org-1" }))
+      .toEqual([mia]);
+    await expect(engine.executeTransition("claim-2", "approved", ben, { organizationId: "org-1" }))
+      .rejects.toThrow("User does not have permission to access state 'approved'");
+  });
+
+  test("actors on a user record grant nothing unless the user is a service account", async () => {
+    await directory.saveUser({ ...ben, actors: ["Approver"] });
+    expect(await directory.getUser("ben")).not.toHaveProperty("actors");
+
+    // A delegator record carrying actors of its own passes them on no more than ben's does
+    await directory.storage.put("users", { id: "sam", username: "sam", actors: ["Approver"] });
+    const [analystPosition] = await directory.getUserPositions("ben", "org-1");
+    await directory.assignPosition("org-1", { userId: "sam", designationId: analystPosition.designationId, groupId: analystPosition.groupId });
+    await delegateApprovals({ delegatorId: "sam" });
+    await createClaim("ExpenseClaim", "claim-3", 100);
+
+    await expect(engine.executeTransition("claim-3", "approved", { ...ben, actors: ["Approver"] }, { organizationId: "org-1" }))
+      .rejects.toThrow("User does not have permission to access state 'approved'");
+    await engine.executeTransition("claim-3", "approved", { ...ben, actors: ["Approver"], serviceAccount: true }, { organizationId: "org-1" });
+  });
+
+  test("delegations are validated", async () => {
+    await expect(delegateApprovals({ delegateId: "mia" }))
+      .rejects.toThrow("Invalid delegation: users cannot delegate to themselves");
+    await expect(delegateApprovals({ delegatorId: "eve" }))
+      .rejects.toThrow("Invalid delegation: eve holds no current position in the organization");
+    await expect(directory.createDelegation("org-2", { delegatorId: "mia", delegateId: "ben", startDate: new Date(), endDate: new Date(Date.now() + DAY) }))
+      .rejects.toThrow("Invalid delegation: mia holds no current position in the organization");
+    await expect(delegateApprovals({ endDate: new Date(Date.now() - 2 * DAY) }))
+      .rejects.toThrow("Invalid delegation: endDate is before startDate");
+  });
+});
@@ -0,0 +1,151 @@
+import { OrganizationDirectory, LocalStorageDirectoryStorage } from "../js/core/OrganizationDirectory.js";
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { ExpenseApprovalWorkflow } from "../js/core/workflow/types/ExpenseApprovalWorkflow.js";
+
+describe("OrganizationDirectory", () => {
+  let directory;
+  let financeGroup;
+  let analystDesignation;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    directory = new OrganizationDirectory({ storage: new LocalStorageDirectoryStorage() });
+
+    const finance = await directory.createDepartment("org-1", { id: "dept-finance", name: "Finance" });
+    await directory.createTeam("org-1", { id: "team-ap", name: "Accounts Payable", departmentId: finance.id });
+    financeGroup = await directory.getGroupFor({ departmentId: finance.id });
+
+    analystDesignation = await directory.createDesignation("org-1", {
+      name: "Financial Analyst",
+      level: 1,
+      groupId: financeGroup.id
+    });
+
+    await directory.saveUser({ id: "alice", username: "alice", email: "alice@example.com" });
+    await directory.assignPosition("org-1", {
+      userId: "alice",
+      designationId: analystDesignation.id,
+      groupId: financeGroup.id
+    });
+    await directory.saveActorMapping("org-1", {
+      designations: { "Financial Analyst": ["Analyzer"] },
+      departments: { Finance: ["FinanceSpecialist"] }
+    });
+  });
+
+  test("creating departments and teams also creates their groups", async () => {
+    const groups = await directory.getGroups("org-1");
+    expect(groups.map(g => g.type).sort()).toEqual(["department", "team"]);
+  });
+
+  test("getUserPositions hydrates designation and group models", async () => {
+    const [position] = await directory.getUserPositions("alice", "org-1");
+
+    expect(position.designation.name).toBe("Financial Analyst");
+    expect(position.designation.getLevelDescription()).toBe("Senior Individual Contributor");
+    expect(position.group.type).toBe("department");
+    expect(position.group.department.name).toBe("Finance");
+  });
+
+  test("ended positions are not returned", async () => {
+    const [position] = await directory.getPositions("org-1");
+    await directory.endPosition(position.id, new Date(Date.now() - 1000));
+
+    expect(await directory.getUserPositions("alice", "org-1")).toEqual([]);
+  });
+
+  test("getUsersByActor resolves users through their positions", async () => {
+    const analyzers = await directory.getUsersByActor("Analyzer", "org-1");
+    const finance = await directory.getUsersByActor("FinanceSpecialist", "org-1");
+    const approvers = await directory.getUsersByActor("Approver", "org-1");
+
+    expect(analyzers.map(u => u.email)).toEqual(["alice@example.com"]);
+    expect(finance.map(u => u.id)).toEqual(["alice"]);
+    expect(approvers).toEqual([]);
+  });
+
+  test("referential checks reject dangling or in-use records", async () => {
+    await expect(directory.createTeam("org-1", { name: "Orphans", departmentId: "missing" }))
+      .rejects.toThrow("Department not found");
+    await expect(directory.deleteDesignation(analystDesignation.id))
+      .rejects.toThrow("Cannot delete a designation held by active positions");
+    await expect(directory.deleteDepartment("dept-finance"))
+      .rejects.toThrow("Cannot delete a department that still has teams");
+  });
+
+  test("unmapped designations grant no actors unless keyword matching is turned on", async () => {
+    const salesManager = await directory.createDesignation("org-1", { name: "Sales Manager", level: 3, groupId: financeGroup.id });
+    await directory.saveUser({ id: "sam", username: "sam" });
+    await directory.assignPosition("org-1", { userId: "sam", designationId: salesManager.id, groupId: financeGroup.id });
+
+    const actorsOfSam = async () => directory.rbacResolver.mapPositionsToWorkflowActors(
+      await directory.getUserPositions("sam", "org-1"), {}, await directory.getActorMapping("org-1"));
+    expect(await actorsOfSam()).toEqual(["FinanceSpecialist", "Requestor"]);
+    expect(await directory.getUsersByActor("Approver", "org-1")).toEqual([]);
+
+    await directory.saveActorMapping("org-1", { keywordFallback: true });
+    expect((await directory.getUsersByActor("Approver", "org-1")).map(u => u.id)).toEqual(["sam"]);
+  });
+
+  test("actor mappings replace keyword matching for mapped designations and teams", async () => {
+    const salesManager = await directory.createDesignation("org-1", { name: "Sales Manager", level: 3, groupId: financeGroup.id });
+    await directory.saveUser({ id: "sam", username: "sam" });
+    await directory.assignPosition("org-1", { userId: "sam", designationId: salesManager.id, groupId: financeGroup.id });
+
+    await directory.saveActorMapping("org-1", {
+      designations: { [salesManager.id]: [], "Financial Analyst": ["Analyzer", "Approver"] },
+      teams: { "team-ap": ["Implementor"] },
+      keywordFallback: true
+    });
+
+    expect((await directory.getUsersByActor("Approver", "org-1")).map(u => u.id)).toEqual(["alice"]);
+    const [position] = await directory.getUserPositions("sam", "org-1");
+    expect(directory.rbacResolver.mapPositionsToWorkflowActors([position], {}, await directory.getActorMapping("org-1")))
+      .toEqual(["FinanceSpecialist", "Requestor"]);
+
+    await expect(directory.saveActorMapping("org-1", { designations: { [salesManager.id]: ["Boss"] } }))
+      .rejects.toThrow(`Invalid actor mapping: unknown actor 'Boss' for designations entry '${salesManager.id}'`);
+  });
+
+  test("WorkflowEngine resolves RBAC end to end through the directory", async () => {
+    const organizationService = {
+      getUserPositions: (userId, orgId) => directory.getUserPositions(userId, orgId),
+      getDepartments: orgId => directory.getDepartments(orgId),
+      getTeams: orgId => directory.getTeams(orgId),
+      getBranches: async () => [],
+      getUsersByActor: (actor, orgId, context) => directory.getUsersByActor(actor, orgId, context),
+      getActorMapping: orgId => directory.getActorMapping(orgId)
+    };
+    const engine = new WorkflowEngine({ organizationService });
+    engine.registerWorkflowType("ExpenseApprovalWorkflow", ExpenseApprovalWorkflow);
+    await engine.start();
+
+    try {
+      const alice = { id: "alice", username: "alice" };
+      const bob = { id: "bob", username: "bob" };
+      const context = {
+        total_amount: 20,
+        expense_items: [{ amount: 20 }],
+        business_purpose: "Team lunch",
+        requester_department: "Finance"
+      };
+
+      await engine.createWorkflow("ExpenseApprovalWorkflow", "exp-1", bob, { organizationId: "org-1" }, { context });
+
+      await expect(engine.executeTransition("exp-1", "submitted", bob, { organizationId: "org-1" }))
+        .rejects.toThrow("User does not have permission to access state 'submitted'");
+
+      const workflow = await engine.executeTransition("exp-1", "submitted", alice, { organizationId: "org-1" });
+      expect(workflow.currentState).toBe("submitted");
+
+      // State permissions follow the organization's mapping
+      await directory.saveActorMapping("org-1", { designations: { "Financial Analyst": ["Approver"] } });
+      engine.orgContextManager.clearCache();
+
+      await engine.executeTransition("exp-1", "manager_review", alice, { organizationId: "org-1" }, { total_amount: 20 });
+      expect(workflow.currentState).toBe("manager_review");
+    } finally {
+      await engine.stop();
+    }
+  });
+});
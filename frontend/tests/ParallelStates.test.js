@@ -0,0 +1,170 @@
+import { BaseWorkflow } from "../js/core/workflow/BaseWorkflow.js";
+import { StateNode } from "../js/core/workflow/StateNode.js";
+import { validateWorkflowDefinition, createWorkflowClass } from "../js/core/workflow/WorkflowDefinition.js";
+
+class CandidateWorkflow extends BaseWorkflow {
+  constructor(id, options = {}) {
+    super(id, options);
+    this.quorum = options.quorum;
+    this.initialize();
+  }
+
+  getInitialState() {
+    return "screening";
+  }
+
+  defineStates() {
+    this.addState("screening", new StateNode("screening", {
+      transitions: [{ target: "checks", action: "start_checks" }]
+    }));
+
+    this.addState("checks", new StateNode("checks", {
+      regions: { references: "reference_check", background: "background_check" },
+      join: { target: "approval", quorum: this.quorum },
+      transitions: [{ target: "cancelled", action: "cancel" }]
+    }));
+    this.addState("reference_check", new StateNode("reference_check", {
+      parent: "checks",
+      region: "references",
+      transitions: [{ target: "references_done", action: "confirm_references" }]
+    }));
+    this.addState("references_done", new StateNode("references_done", { parent: "checks", region: "references", final: true }));
+    this.addState("background_check", new StateNode("background_check", {
+      parent: "checks",
+      region: "background",
+      transitions: [
+        { target: "background_done", action: "clear_background" },
+        { target: "reference_check", action: "recheck_references" }
+      ]
+    }));
+    this.addState("background_done", new StateNode("background_done", {
+      parent: "checks",
+      region: "background",
+      requiredActors: ["HRSpecialist"],
+      final: true
+    }));
+
+    this.addState("approval", new StateNode("approval", {
+      initialState: "manager_review",
+      transitions: [{ target: "cancelled", action: "cancel" }]
+    }));
+    this.addState("manager_review", new StateNode("manager_review", {
+      parent: "approval",
+      transitions: [{ target: "director_review", action: "escalate" }]
+    }));
+    this.addState("director_review", new StateNode("director_review", { parent: "approval" }));
+
+    this.addState("cancelled", new StateNode("cancelled", { final: true }));
+  }
+}
+
+describe("Parallel and nested states", () => {
+  const user = { id: "u1", username: "recruiter" };
+  const orgContext = { positions: [] };
+
+  const startChecks = async (options = {}) => {
+    const workflow = new CandidateWorkflow("cand-1", options);
+    await workflow.setState("screening", user, orgContext);
+    await workflow.setState("checks", user, orgContext);
+    return workflow;
+  };
+
+  test("entering a parallel state forks into every region", async () => {
+    const workflow = await startChecks();
+
+    expect(workflow.currentState).toBe("checks");
+    expect(workflow.getActiveStates()).toEqual(["reference_check", "background_check"]);
+    expect(workflow.serialize().activeStates).toEqual(["reference_check", "background_check"]);
+
+    // Clearing the background check needs an HR specialist
+    expect(workflow.getAvailableActionsForUser(user, orgContext).map(action => [action.action, action.region]))
+      .toEqual([["confirm_references", "references"], ["cancel", undefined], ["recheck_references", "background"]]);
+  });
+
+  test("regions advance independently and join once all are final", async () => {
+    const workflow = await startChecks();
+
+    await workflow.setState("references_done", user, orgContext);
+    expect(workflow.currentState).toBe("checks");
+    expect(workflow.getActiveStates()).toEqual(["background_check", "references_done"]);
+
+    await workflow.setState("background_done", user, orgContext, {}, { skipPermissionCheck: true });
+
+    expect(workflow.currentState).toBe("approval");
+    expect(workflow.getActiveStates()).toEqual(["manager_review"]);
+
+    const joinEntry = workflow.history[workflow.history.length - 1];
+    expect(joinEntry).toMatchObject({ fromState: "checks", toState: "approval" });
+    expect(joinEntry.context).toEqual({ join: "checks", completedRegions: ["references", "background"] });
+    expect(workflow.history.find(entry => entry.toState === "references_done"))
+      .toMatchObject({ parentState: "checks", region: "references" });
+  });
+
+  test("a join quorum moves on before every region finishes", async () => {
+    const workflow = await startChecks({ quorum: 1 });
+
+    await workflow.setState("references_done", user, orgContext);
+
+    expect(workflow.currentState).toBe("approval");
+    expect(workflow.getActiveStates()).toEqual(["manager_review"]);
+  });
+
+  test("compound states enter their initial sub-state and parent transitions exit all children", async () => {
+    const workflow = await startChecks({ quorum: 1 });
+    await workflow.setState("references_done", user, orgContext);
+
+    await workflow.setState("director_review", user, orgContext);
+    expect(workflow.getActiveStates()).toEqual(["director_review"]);
+    expect(workflow.isStateActive("approval")).toBe(true);
+
+    await workflow.setState("cancelled", user, orgContext);
+    expect(workflow.currentState).toBe("cancelled");
+    expect(workflow.getActiveStates()).toEqual(["cancelled"]);
+  });
+
+  test("transitions across regions of a parallel state are rejected", async () => {
+    const workflow = await startChecks();
+
+    await expect(workflow.setState("reference_check", user, orgContext, {}, { source: "background_check" }))
+      .rejects.toThrow("Cannot transition between regions of parallel state 'checks'");
+  });
+
+  test("declarative definitions describe regions, joins and sub-states", async () => {
+    const definition = {
+      name: "ExpenseReview",
+      initialState: "reviews",
+      states: {
+        reviews: {
+          regions: { manager: "manager_review", finance: "finance_review" },
+          join: { target: "approved" }
+        },
+        manager_review: { parent: "reviews", region: "manager", transitions: [{ target: "manager_ok" }] },
+        manager_ok: { parent: "reviews", region: "manager", final: true },
+        finance_review: { parent: "reviews", region: "finance", transitions: [{ target: "finance_ok" }] },
+        finance_ok: { parent: "reviews", region: "finance", final: true },
+        approved: { final: true }
+      }
+    };
+
+    const ExpenseReview = createWorkflowClass(definition);
+    const workflow = new ExpenseReview("exp-1");
+    await workflow.setState("reviews", user, orgContext);
+    await workflow.setState("manager_ok", user, orgContext);
+    await workflow.setState("finance_ok", user, orgContext);
+    expect(workflow.currentState).toBe("approved");
+
+    expect(validateWorkflowDefinition({
+      ...definition,
+      states: {
+        ...definition.states,
+        finance_review: { parent: "reviews", region: "audit" },
+        manager_ok: { parent: "approved", final: true }
+      }
+    })).toEqual([
+      "State 'reviews' region 'finance' initial state 'finance_review' is not a sub-state in that region",
+      "State 'manager_ok' parent 'approved' is not a compound or parallel state",
+      "State 'finance_review' must name one of the regions of 'reviews'",
+      "State 'finance_ok' is unreachable from 'reviews'"
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { RBACPermissionResolver } from "../js/core/workflow/RBACPermissionResolver.js";
+import { alice, bob, createOrganizationService } from "./workflowFixtures.js";
+
+const positions = {
+  alice: [{ designation: { name: "Finance Manager" }, group: { department: { name: "Finance" } } }],
+  bob: [{ designation: { name: "Sales Analyst" }, group: { department: { name: "Sales" } } }]
+};
+
+const organizationService = createOrganizationService({
+  getUserPositions: async userId => positions[userId] || [],
+  getActorMapping: async () => ({ designations: { "Finance Manager": ["Approver"], "Sales Analyst": ["Analyzer"] } })
+});
+
+const purchaseDefinition = {
+  name: "Purchase",
+  initialState: "draft",
+  states: {
+    draft: {
+      transitions: [
+        { target: "approved", action: "approve", guards: [{ field: "amount", operator: "less_than", value: 1000 }] },
+        { target: "cancelled", action: "cancel" }
+      ]
+    },
+    approved: {
+      requiredActors: ["Approver"],
+      permissionConditions: { department: "Finance" },
+      final: true
+    },
+    cancelled: { final: true }
+  }
+};
+
+const find = (checks, name) => checks.find(check => check.check === name);
+
+describe("Permission explanations", () => {
+  let engine;
+
+  beforeEach(async () => {
+    engine = new WorkflowEngine({ organizationService });
+    engine.registerWorkflowType("Purchase", purchaseDefinition);
+    await engine.start();
+    await engine.createWorkflow("Purchase", "po-1", bob, { organizationId: "org-1" }, { context: { amount: 250 } });
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+  });
+
+  test("traces each check for every transition out of the active states", async () => {
+    const explanation = await engine.explainTransitions("po-1", bob, { organizationId: "org-1" });
+
+    expect(explanation.transitions.map(transition => [transition.targetState, transition.allowed]))
+      .toEqual([["approved", false], ["cancelled", true]]);
+
+    const approve = explanation.transitions[0];
+    expect(approve.checks.map(check => [check.check, check.passed])).toEqual([
+      ["validation", true],
+      ["transition", true],
+      ["guards", true],
+      ["permission", false],
+      ["separationOfDuties", true],
+      ["lock", true],
+      ["engineLock", true]
+    ]);
+    expect(find(approve.checks, "guards").sources[0].guards[0]).toMatchObject({ passed: true, actual: 250 });
+
+    const permission = find(approve.checks, "permission");
+    expect(find(permission.checks, "actor")).toMatchObject({ passed: false, expected: ["Approver"], actual: ["Analyzer", "Requestor"] });
+    expect(find(permission.checks, "department")).toMatchObject({ passed: false, expected: "Finance", actual: ["Sales"] });
+    expect(find(permission.checks, "delegation")).toMatchObject({ passed: false, actual: null });
+  });
+
+  test("reports failing guards and locks held by other users", async () => {
+    const workflow = engine.getWorkflow("po-1");
+    workflow.context.amount = 5000;
+    await engine.acquireWorkflowLock("po-1", bob);
+
+    const explanation = await engine.explainTransitions("po-1", alice, { organizationId: "org-1" }, "approved");
+    const [approve] = explanation.transitions;
+
+    expect(approve.allowed).toBe(false);
+    expect(find(approve.checks, "permission").passed).toBe(true);
+    expect(find(approve.checks, "guards").sources[0].guards[0]).toMatchObject({ passed: false, actual: 5000 });
+    expect(find(approve.checks, "engineLock")).toMatchObject({ passed: false, actual: { lockedBy: "bob" } });
+  });
+
+  test("the RBAC resolver explains every permission dimension", async () => {
+    const resolver = new RBACPermissionResolver(organizationService);
+    const explanation = await resolver.explainPermission(bob, {
+      actor: "Analyzer",
+      organizationGroup: { type: "department", name: "Finance" },
+      organizationDesignation: "Sales Analyst",
+      contextConditions: { isOwner: true }
+    }, { organizationId: "org-1" }, { createdBy: "alice" });
+
+    expect(explanation.allowed).toBe(false);
+    expect(explanation.checks.map(check => [check.check, check.passed])).toEqual([
+      ["actor", true],
+      ["organizationGroup", false],
+      ["designation", true],
+      ["context.isOwner", false]
+    ]);
+    expect(explanation.checks[3].actual).toEqual({ createdBy: "alice", userId: "bob" });
+  });
+});
@@ -0,0 +1,120 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { getNextCronTime } from "../js/core/workflow/CronExpression.js";
+import { alice, org, organizationService } from "./workflowFixtures.js";
+
+const releaseDefinition = {
+  name: "Release",
+  initialState: "planned",
+  states: {
+    planned: {
+      scheduledTransitions: [{ action: "go_live", at: "releaseAt" }],
+      transitions: [{ target: "live", action: "go_live" }]
+    },
+    live: {
+      scheduledTransitions: [{ target: "checked", cron: "0 2 * * 6", catchUp: false }],
+      transitions: [{ target: "checked", action: "check" }, { target: "retired", action: "retire" }]
+    },
+    checked: { transitions: [{ target: "live", action: "reopen" }] },
+    retired: { final: true }
+  }
+};
+
+describe("Scheduled transitions", () => {
+  let persistenceService;
+  let engines;
+  let runs;
+
+  const startEngine = async () => {
+    const engine = new WorkflowEngine({
+      organizationService,
+      persistenceService,
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async () => {},
+        logWorkflowContextUpdate: async () => {},
+        logScheduledTransition: async (workflow, run) => {
+          runs.push(`${workflow.id} ${run.state}->${run.targetState} ${run.status}${run.caughtUp ? " (caught up)" : ""}`);
+        }
+      }
+    });
+    engine.registerWorkflowType("Release", releaseDefinition);
+    await engine.start();
+    engines.push(engine);
+    return engine;
+  };
+
+  beforeEach(() => {
+    persistenceService = new MemoryPersistenceService();
+    engines = [];
+    runs = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(engines.map(engine => engine.stop()));
+  });
+
+  test("a time read from the context fires the transition as the system user and follows edits", async () => {
+    const engine = await startEngine();
+    const workflow = await engine.createWorkflow("Release", "r-1", alice, org, {
+      context: { releaseAt: "2030-01-01T09:00:00.000Z" }
+    });
+
+    await engine.updateWorkflowContext("r-1", { releaseAt: "2030-02-01T09:00:00.000Z" }, alice, org);
+    expect(engine.scheduler.getUpcomingTransitions({ organizationId: "org-1" })).toEqual([
+      expect.objectContaining({ workflowId: "r-1", action: "go_live", targetState: "live", dueAt: "2030-02-01T09:00:00.000Z" })
+    ]);
+
+    await engine.scheduler.processDueTimers(new Date("2030-01-15T00:00:00Z"));
+    expect(workflow.currentState).toBe("planned");
+
+    await engine.scheduler.processDueTimers(new Date("2030-02-01T09:00:00Z"));
+    expect(workflow.currentState).toBe("live");
+    expect(workflow.history[workflow.history.length - 1]).toMatchObject({
+      user: { id: "system" },
+      context: { reason: "scheduled", scheduledFor: "2030-02-01T09:00:00.000Z", action: "go_live" }
+    });
+    expect(runs).toEqual(["r-1 planned->live completed"]);
+  });
+
+  test("cron schedules fire at their next run and start over when the state is entered again", async () => {
+    expect(getNextCronTime("0 2 * * 6", new Date(2030, 0, 1, 12, 0))).toEqual(new Date(2030, 0, 5, 2, 0));
+    expect(getNextCronTime("*/15 9-17 1,15 * *", new Date(2030, 0, 1, 17, 50))).toEqual(new Date(2030, 0, 15, 9, 0));
+    expect(() => getNextCronTime("0 0 30 2 *")).toThrow("never due");
+
+    const engine = await startEngine();
+    const workflow = await engine.createWorkflow("Release", "r-1", alice, org);
+    await engine.executeTransition("r-1", "live", alice, org);
+
+    const [timer] = engine.scheduler.getTimers("r-1");
+    const firstRun = new Date(timer.dueAt);
+    expect(firstRun.getDay()).toBe(6);
+    expect(firstRun.getHours()).toBe(2);
+
+    await engine.scheduler.processDueTimers(firstRun);
+    expect(workflow.currentState).toBe("checked");
+    expect(engine.scheduler.getTimers("r-1")).toEqual([]);
+
+    await engine.executeTransition("r-1", "live", alice, org);
+    expect(engine.scheduler.getTimers("r-1")).toHaveLength(1);
+  });
+
+  test("runs missed while the engine was down are caught up on restart unless the rule skips them", async () => {
+    const first = await startEngine();
+    await first.createWorkflow("Release", "r-1", alice, org, { context: { releaseAt: "2020-01-01T00:00:00.000Z" } });
+    await first.createWorkflow("Release", "r-2", alice, org, { context: { releaseAt: "2099-01-01T00:00:00.000Z" } });
+    await first.executeTransition("r-2", "live", alice, org);
+    await first.stop();
+
+    // Pretend the weekly check fell due during the downtime
+    const cronTimer = (await persistenceService.loadTimers()).find(timer => timer.workflowId === "r-2");
+    await persistenceService.saveTimer({ ...cronTimer, dueAt: "2020-01-04T02:00:00.000Z" });
+
+    const second = await startEngine();
+
+    expect(second.getWorkflow("r-1").currentState).toBe("live");
+    expect(second.getWorkflow("r-2").currentState).toBe("live");
+    expect(runs.sort()).toEqual(["r-1 planned->live completed (caught up)", "r-2 live->checked skipped"]);
+    expect(new Date(second.scheduler.getTimers("r-2")[0].dueAt) > new Date()).toBe(true);
+  });
+});
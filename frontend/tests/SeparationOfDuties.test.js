@@ -0,0 +1,115 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { createWorkflowClass, validateWorkflowDefinition } from "../js/core/workflow/WorkflowDefinition.js";
+import { alice, bob, createOrganizationService } from "./workflowFixtures.js";
+
+const carol = { id: "carol", username: "carol" };
+const managerPosition = { designation: { name: "Finance Manager" } };
+const actorMapping = { designations: { "Finance Manager": ["Approver"] } };
+const orgContext = { positions: [managerPosition], actorMapping };
+
+const payoutDefinition = {
+  name: "Payout",
+  initialState: "draft",
+  states: {
+    draft: { transitions: [{ target: "review", action: "submit" }] },
+    review: {
+      transitions: [{ target: "payment", action: "approve" }, { target: "rejected", action: "reject" }]
+    },
+    payment: {
+      requiredActors: ["Approver"],
+      transitions: [{ target: "paid", action: "pay" }]
+    },
+    paid: { final: true },
+    rejected: { final: true }
+  },
+  separationOfDuties: [
+    { type: "creator_excluded", states: ["review"] },
+    { type: "distinct_actors", between: ["review", "payment"], message: "the approver cannot also pay" }
+  ]
+};
+
+describe("Separation of duties", () => {
+  const startPayout = async () => {
+    const Payout = createWorkflowClass(payoutDefinition);
+    const workflow = new Payout("payout-1", { createdBy: "alice" });
+    await workflow.setState("draft", alice, orgContext);
+    await workflow.setState("review", alice, orgContext);
+    return workflow;
+  };
+
+  test("the creator cannot act in excluded states", async () => {
+    const workflow = await startPayout();
+
+    expect(workflow.getAvailableActionsForUser(alice, orgContext)).toEqual([]);
+    expect(workflow.getAvailableActionsForUser(bob, orgContext).map(action => action.action)).toEqual(["approve", "reject"]);
+    await expect(workflow.setState("payment", alice, orgContext))
+      .rejects.toThrow("User does not have permission to act in state 'review': the creator of the workflow cannot act in 'review'");
+    expect(workflow.currentState).toBe("review");
+  });
+
+  test("distinct actors are required across the listed states", async () => {
+    const workflow = await startPayout();
+    await workflow.setState("payment", bob, orgContext);
+
+    expect(workflow.getAvailableActionsForUser(bob, orgContext)).toEqual([]);
+    await expect(workflow.setState("paid", bob, orgContext))
+      .rejects.toThrow("User does not have permission to act in state 'payment': the approver cannot also pay");
+
+    await workflow.setState("paid", carol, orgContext);
+    expect(workflow.currentState).toBe("paid");
+  });
+
+  test("rules in definitions are validated", () => {
+    const definition = {
+      ...payoutDefinition,
+      separationOfDuties: [
+        { type: "creator_excluded", states: ["approval"] },
+        { type: "distinct_actors", between: ["review"] },
+        { type: "four_eyes" }
+      ]
+    };
+
+    expect(validateWorkflowDefinition(definition)).toEqual([
+      "separationOfDuties rule 1 references unknown state 'approval'",
+      "separationOfDuties rule 2 'distinct_actors' needs at least two state groups in between",
+      "separationOfDuties rule 3 type must be one of creator_excluded, distinct_actors"
+    ]);
+  });
+
+  test("the engine audits denials as failed permission checks", async () => {
+    const denials = [];
+    const engine = new WorkflowEngine({
+      organizationService: createOrganizationService({
+        getUserPositions: async () => [managerPosition],
+        getActorMapping: async () => actorMapping
+      }),
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async () => {},
+        logPermissionCheck: async (workflowId, userId, permission, result, context, checkType) => {
+          denials.push({ workflowId, userId, permission, result, reason: context.reason, checkType });
+        }
+      }
+    });
+    engine.registerWorkflowType("Payout", payoutDefinition);
+    await engine.start();
+
+    try {
+      await engine.createWorkflow("Payout", "payout-2", alice, { organizationId: "org-1" });
+      await engine.executeTransition("payout-2", "review", alice, { organizationId: "org-1" });
+      await expect(engine.executeTransition("payout-2", "payment", alice, { organizationId: "org-1" }))
+        .rejects.toThrow("User does not have permission to act in state 'review'");
+
+      expect(denials).toEqual([{
+        workflowId: "payout-2",
+        userId: "alice",
+        permission: "act_in_state:review",
+        result: false,
+        reason: "the creator of the workflow cannot act in 'review'",
+        checkType: "SEPARATION_OF_DUTIES"
+      }]);
+    } finally {
+      await engine.stop();
+    }
+  });
+});
@@ -0,0 +1,122 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { alice, org, organizationService } from "./workflowFixtures.js";
+
+const taskDefinition = {
+  name: "Task",
+  initialState: "open",
+  states: {
+    open: {
+      transitions: [
+        { target: "done", action: "finish" },
+        { target: "abandoned", action: "abandon" },
+        { target: "cancelled", action: "cancel" }
+      ]
+    },
+    done: { final: true },
+    abandoned: { final: true },
+    cancelled: { final: true }
+  }
+};
+
+const projectDefinition = {
+  name: "Project",
+  initialState: "draft",
+  states: {
+    draft: { transitions: [{ target: "running", action: "start" }] },
+    running: {
+      subWorkflows: {
+        workflows: [{ type: "Task", forEach: "tasks", context: { title: "item.title", project: "name" } }],
+        onComplete: "delivered",
+        onFailure: "stalled",
+        failureStates: ["abandoned"]
+      },
+      transitions: [{ target: "cancelled", action: "cancel" }]
+    },
+    delivered: { final: true },
+    stalled: { final: true },
+    cancelled: { final: true }
+  }
+};
+
+describe("Sub-workflows", () => {
+  let engine;
+  let auditActions;
+
+  const startProject = async () => {
+    const project = await engine.createWorkflow("Project", "p-1", alice, org, {
+      context: { name: "Launch", tasks: [{ title: "Design" }, { title: "Build" }] }
+    });
+    await engine.executeTransition("p-1", "running", alice, org);
+    return { project, tasks: project.getChildWorkflows().map(child => engine.getWorkflow(child.id)) };
+  };
+
+  beforeEach(async () => {
+    auditActions = [];
+    engine = new WorkflowEngine({
+      organizationService,
+      persistenceService: new MemoryPersistenceService(),
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async () => {},
+        logSubWorkflow: async (workflow, child, event) => {
+          auditActions.push(`${workflow.id} ${event} ${child.context.title}`);
+        }
+      }
+    });
+    engine.registerWorkflowType("Task", taskDefinition);
+    engine.registerWorkflowType("Project", projectDefinition);
+    await engine.start();
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+  });
+
+  test("entering the state starts linked children with mapped context and waits for them all", async () => {
+    const { project, tasks } = await startProject();
+
+    expect(tasks.map(task => task.context)).toEqual([
+      { title: "Design", project: "Launch" },
+      { title: "Build", project: "Launch" }
+    ]);
+    expect(tasks[0].getSummary().parent).toEqual({ workflowId: "p-1", state: "running" });
+    expect(project.getSummary().children).toEqual(tasks.map(task => ({
+      id: task.id, type: "Task", status: "running", state: "running"
+    })));
+
+    await engine.executeTransition(tasks[0].id, "done", alice, org);
+    expect(project.currentState).toBe("running");
+
+    await engine.executeTransition(tasks[1].id, "done", alice, org);
+    expect(project.currentState).toBe("delivered");
+    expect(project.subWorkflows.running.status).toBe("completed");
+    expect(project.history[project.history.length - 1].context).toMatchObject({ subWorkflows: "running", outcome: "completed" });
+    expect(auditActions).toEqual([
+      "p-1 started Design", "p-1 started Build", "p-1 completed Design", "p-1 completed Build"
+    ]);
+  });
+
+  test("a child ending in a failure state moves the parent on and cancels the other children", async () => {
+    const { project, tasks } = await startProject();
+
+    await engine.executeTransition(tasks[0].id, "abandoned", alice, org);
+
+    expect(project.currentState).toBe("stalled");
+    expect(tasks[1].currentState).toBe("cancelled");
+    expect(project.getChildWorkflows().map(child => child.status)).toEqual(["failed", "cancelled"]);
+    expect(auditActions.slice(2)).toEqual(["p-1 failed Design", "p-1 cancelled Build"]);
+  });
+
+  test("cancelling the parent cascades to its children", async () => {
+    const { project, tasks } = await startProject();
+    await engine.executeTransition(tasks[0].id, "done", alice, org);
+
+    await engine.executeTransition("p-1", "cancelled", alice, org);
+
+    expect(project.currentState).toBe("cancelled");
+    expect(tasks.map(task => task.currentState)).toEqual(["done", "cancelled"]);
+    expect(tasks[1].history[tasks[1].history.length - 1].context).toEqual({ cancelledWith: "p-1" });
+    expect(project.subWorkflows.running.status).toBe("cancelled");
+  });
+});
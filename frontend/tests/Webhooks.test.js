@@ -0,0 +1,240 @@
+/**
+ * @jest-environment node
+ */
+import { createRequire } from "module";
+import { WebhookService } from "../js/core/WebhookService.js";
+import { BaseWorkflow } from "../js/core/workflow/BaseWorkflow.js";
+import { StateNode } from "../js/core/workflow/StateNode.js";
+
+const require = createRequire(import.meta.url);
+const { createServer } = require("../../backend/server.js");
+const { createWebhookReceiver } = require("../../backend/webhook-receiver.js");
+
+let api;
+let baseUrl;
+let client;
+let organizationId;
+let authorization;
+const receivers = [];
+
+// Exporting fails in its onEnter hook, after the workflow has already moved to the state
+class ExportWorkflow extends BaseWorkflow {
+  constructor(id, options = {}) {
+    super(id, options);
+    this.initialize();
+  }
+
+  getInitialState() {
+    return "draft";
+  }
+
+  defineStates() {
+    this.addState("draft", new StateNode("draft", {
+      transitions: [{ target: "exported", action: "export" }]
+    }));
+    this.addState("exported", new StateNode("exported", {
+      onEnter: async () => {
+        throw new Error("Export target unavailable");
+      }
+    }));
+  }
+}
+
+const listen = server => new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+const close = server => new Promise(resolve => server.close(resolve));
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: authorization },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+async function startReceiver(options) {
+  const receiver = createWebhookReceiver(options);
+  await listen(receiver.server);
+  receivers.push(receiver);
+  return { ...receiver, url: `http://127.0.0.1:${receiver.server.address().port}/hook` };
+}
+
+async function waitForDeliveries(filters, count) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const deliveries = await client.getDeliveries(organizationId, filters);
+    if (deliveries.length >= count) return deliveries;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Timed out waiting for ${count} deliveries`);
+}
+
+beforeAll(async () => {
+  api = await createServer({
+    dbFile: null,
+    auditFlushInterval: 100000,
+    autoSaveInterval: 100000,
+    webhooks: { retryDelay: 10, maxAttempts: 3, timeout: 2000 }
+  });
+  await listen(api.server);
+  baseUrl = `http://127.0.0.1:${api.server.address().port}/api`;
+  authorization = `Bearer ${api.sessions.issueToken({ id: "test-user" }).token}`;
+  client = new WebhookService({ baseUrl, headers: { Authorization: authorization } });
+  organizationId = (await post("/organizations", { name: "Webhooks", sub_domain_to_v4l_app: "webhooks" })).id;
+});
+
+afterAll(async () => {
+  await Promise.all(receivers.map(receiver => close(receiver.server)));
+  await close(api.server);
+});
+
+describe("Webhooks", () => {
+  test("subscriptions are validated and their secret is only returned when issued", async () => {
+    await expect(client.createSubscription(organizationId, { url: "ftp://example.com" }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining("Invalid webhook URL") });
+    await expect(client.createSubscription(organizationId, { url: "http://example.com", events: ["workflowDeleted"] }))
+      .rejects.toMatchObject({ status: 400 });
+
+    const subscription = await client.createSubscription(organizationId, {
+      url: "http://example.com/hook",
+      events: ["workflowCreated"],
+      workflowTypes: ["HireWorkflow"]
+    });
+    expect(subscription.secret).toEqual(expect.any(String));
+
+    const listed = (await client.getSubscriptions(organizationId)).find(candidate => candidate.id === subscription.id);
+    expect(listed).toMatchObject({ url: "http://example.com/hook", events: ["workflowCreated"], active: true });
+    expect(listed).not.toHaveProperty("secret");
+
+    const rotated = await client.updateSubscription(organizationId, subscription.id, { rotateSecret: true, active: false });
+    expect(rotated.secret).not.toBe(subscription.secret);
+    expect(rotated.active).toBe(false);
+
+    expect(await client.deleteSubscription(organizationId, subscription.id)).toBe(true);
+    await expect(client.ping(organizationId, subscription.id)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test("only the organization owner manages its webhooks and sees their deliveries", async () => {
+    const receiver = await startReceiver({});
+    const subscription = await client.createSubscription(organizationId, { url: receiver.url, events: ["workflowReset"] });
+    const ping = await client.ping(organizationId, subscription.id);
+    const stranger = new WebhookService({
+      baseUrl,
+      headers: { Authorization: `Bearer ${api.sessions.issueToken({ id: "stranger" }).token}` }
+    });
+
+    const forbidden = { status: 403, message: "Only the organization owner may manage webhooks" };
+    await expect(stranger.getSubscriptions(organizationId)).rejects.toMatchObject(forbidden);
+    await expect(stranger.createSubscription(organizationId, { url: "http://example.com/stolen" })).rejects.toMatchObject(forbidden);
+    await expect(stranger.updateSubscription(organizationId, subscription.id, { url: "http://example.com/stolen" })).rejects.toMatchObject(forbidden);
+    await expect(stranger.deleteSubscription(organizationId, subscription.id)).rejects.toMatchObject(forbidden);
+    await expect(stranger.ping(organizationId, subscription.id)).rejects.toMatchObject(forbidden);
+    await expect(stranger.getDeliveries(organizationId)).rejects.toMatchObject(forbidden);
+    await expect(stranger.getDelivery(organizationId, ping.id)).rejects.toMatchObject(forbidden);
+    await expect(stranger.redeliver(organizationId, ping.id)).rejects.toMatchObject(forbidden);
+
+    await expect(client.getSubscriptions("org-missing")).rejects.toMatchObject({ status: 404, message: "Organization not found" });
+    await expect(client.ping("org-missing", subscription.id)).rejects.toMatchObject({ status: 404 });
+    expect(await client.deleteSubscription(organizationId, subscription.id)).toBe(true);
+  });
+
+  test("lifecycle events are signed and retried until the receiver accepts them", async () => {
+    const receiver = await startReceiver({ secret: "receiver-secret", failures: 1, failureStatus: 503 });
+    const subscription = await client.createSubscription(organizationId, {
+      url: receiver.url,
+      secret: "receiver-secret",
+      events: ["workflowCreated"],
+      workflowTypes: ["ExpenseApprovalWorkflow"]
+    });
+
+    const workflow = await post("/workflows", { type: "ExpenseApprovalWorkflow", organizationId, context: { total_amount: 42 } });
+    await post("/workflows", { type: "HireWorkflow", organizationId, context: {} });
+
+    const [delivery] = await waitForDeliveries({ subscriptionId: subscription.id, status: "delivered" }, 1);
+    expect(delivery.attempts.map(attempt => attempt.status)).toEqual([503, 200]);
+    expect(delivery.payload).toMatchObject({
+      event: "workflowCreated",
+      organizationId,
+      workflow: { id: workflow.id, type: "ExpenseApprovalWorkflow" },
+      data: { context: expect.objectContaining({ total_amount: 42 }) }
+    });
+
+    // Only the subscribed type was sent, each attempt signed with the subscription's secret
+    expect(receiver.received.map(entry => [entry.body.workflow.type, entry.signatureValid]))
+      .toEqual([["ExpenseApprovalWorkflow", true], ["ExpenseApprovalWorkflow", true]]);
+  });
+
+  test("a transition that loses a revision conflict sends no event", async () => {
+    const receiver = await startReceiver({});
+    const claim = { total_amount: 20, expense_items: [{ amount: 20 }], business_purpose: "Taxi to the client" };
+    const workflow = await post("/workflows", { type: "ExpenseApprovalWorkflow", organizationId, context: claim });
+    const subscription = await client.createSubscription(organizationId, { url: receiver.url, events: ["workflowStateChanged"] });
+
+    // Another server saves a newer revision in the meantime
+    const stored = api.db.get("workflow_instances", workflow.id);
+    api.db.update("workflow_instances", workflow.id, { revision: stored.revision + 1 });
+
+    const cancel = () => fetch(`${baseUrl}/workflows/${workflow.id}/transitions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: authorization },
+      body: JSON.stringify({ action: "cancel" })
+    });
+    expect((await cancel()).status).toBe(409);
+    expect((await cancel()).status).toBe(200);
+
+    const [delivery] = await waitForDeliveries({ subscriptionId: subscription.id }, 1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await client.getDeliveries(organizationId, { subscriptionId: subscription.id })).toHaveLength(1);
+    expect(delivery.payload).toMatchObject({
+      workflow: { id: workflow.id, revision: stored.revision + 2 },
+      data: { fromState: "draft", toState: "cancelled" }
+    });
+  });
+
+  test("a transition that fails after changing state sends no event and leaves the workflow as it was", async () => {
+    api.engine.registerWorkflowType("ExportWorkflow", ExportWorkflow);
+    const receiver = await startReceiver({});
+    const workflow = await post("/workflows", { type: "ExportWorkflow", organizationId });
+    const subscription = await client.createSubscription(organizationId, {
+      url: receiver.url,
+      events: ["workflowStateChanged", "workflowContextUpdated"],
+      workflowTypes: ["ExportWorkflow"]
+    });
+
+    expect((await post(`/workflows/${workflow.id}/transitions`, { action: "export" })).error).toBe("Export target unavailable");
+    const restored = api.engine.getWorkflow(workflow.id);
+    expect(restored.currentState).toBe("draft");
+    expect(restored.revision).toBe(workflow.revision);
+    expect(restored.events).toHaveLength(workflow.events.length);
+
+    // The next change sends only its own event
+    await fetch(`${baseUrl}/workflows/${workflow.id}/context`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", Authorization: authorization },
+      body: JSON.stringify({ note: "retry later" })
+    });
+    await waitForDeliveries({ subscriptionId: subscription.id }, 1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const deliveries = await client.getDeliveries(organizationId, { subscriptionId: subscription.id });
+    expect(deliveries.map(delivery => delivery.event)).toEqual(["workflowContextUpdated"]);
+  });
+
+  test("deliveries that keep failing are dead-lettered and can be redelivered", async () => {
+    const receiverOptions = { failures: 3, failureStatus: 500 };
+    const receiver = await startReceiver(receiverOptions);
+    const subscription = await client.createSubscription(organizationId, { url: receiver.url, events: ["workflowCreated"] });
+
+    await client.ping(organizationId, subscription.id);
+    const [dead] = await waitForDeliveries({ subscriptionId: subscription.id, status: "dead_letter" }, 1);
+    expect(dead.event).toBe("ping");
+    expect(dead.attempts).toHaveLength(3);
+    expect(dead.attempts[2]).toMatchObject({ status: 500, response: expect.stringContaining("Failing attempt 3") });
+    expect(dead.lastError).toEqual(expect.any(String));
+
+    // Once the receiver recovers, a redelivery goes through as a new delivery
+    receiverOptions.failures = 0;
+    const redelivery = await client.redeliver(organizationId, dead.id);
+    expect(redelivery.redeliveryOf).toBe(dead.id);
+    const delivered = await waitForDeliveries({ subscriptionId: subscription.id, status: "delivered" }, 1);
+    expect(delivered[0]).toMatchObject({ id: redelivery.id, event: "ping" });
+  });
+});
@@ -0,0 +1,81 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { alice, bob, org, organizationService } from "./workflowFixtures.js";
+
+const ticketDefinition = {
+  name: "Ticket",
+  initialState: "open",
+  states: {
+    open: {
+      transitions: [{ target: "resolved", action: "resolve" }, { target: "closed", action: "close" }]
+    },
+    resolved: { final: true },
+    closed: { final: true }
+  }
+};
+
+describe("Optimistic concurrency", () => {
+  let persistenceService;
+  let engines;
+
+  // Each engine stands for another tab or server sharing the same store
+  const startEngine = async () => {
+    const engine = new WorkflowEngine({ organizationService, persistenceService });
+    engine.registerWorkflowType("Ticket", ticketDefinition);
+    await engine.start();
+    engines.push(engine);
+    return engine;
+  };
+
+  beforeEach(() => {
+    persistenceService = new MemoryPersistenceService();
+    engines = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(engines.map(engine => engine.stop()));
+  });
+
+  test("every saved change bumps the revision", async () => {
+    const engine = await startEngine();
+    const workflow = await engine.createWorkflow("Ticket", "t-1", alice, org);
+    expect(workflow.revision).toBe(1);
+
+    await engine.updateWorkflowContext("t-1", { priority: "high" }, alice, org, { expectedRevision: 1 });
+    await engine.executeTransition("t-1", "resolved", alice, org, {}, { expectedRevision: 2 });
+
+    expect(workflow.revision).toBe(3);
+    expect((await persistenceService.loadWorkflow("t-1")).revision).toBe(3);
+  });
+
+  test("writes based on a stale revision are rejected with the latest state", async () => {
+    const engine = await startEngine();
+    await engine.createWorkflow("Ticket", "t-1", alice, org);
+    await engine.updateWorkflowContext("t-1", { priority: "high" }, bob, org);
+
+    const stale = engine.executeTransition("t-1", "closed", alice, org, {}, { expectedRevision: 1 });
+    await expect(stale).rejects.toMatchObject({
+      name: "WorkflowConflictError",
+      expectedRevision: 1,
+      actualRevision: 2,
+      latest: { currentState: "open", context: { priority: "high" } }
+    });
+    expect(engine.getWorkflow("t-1").currentState).toBe("open");
+  });
+
+  test("a transition on an out-of-date copy fails and refreshes the copy", async () => {
+    const first = await startEngine();
+    await first.createWorkflow("Ticket", "t-1", alice, org);
+    const second = await startEngine();
+
+    await first.executeTransition("t-1", "resolved", alice, org);
+
+    await expect(second.executeTransition("t-1", "closed", bob, org))
+      .rejects.toMatchObject({ name: "WorkflowConflictError", expectedRevision: 1, actualRevision: 2 });
+
+    const refreshed = second.getWorkflow("t-1");
+    expect(refreshed.currentState).toBe("resolved");
+    expect(refreshed.revision).toBe(2);
+    expect((await persistenceService.loadWorkflow("t-1")).currentState).toBe("resolved");
+  });
+});
@@ -0,0 +1,117 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { validateWorkflowDefinition, createWorkflowClass } from "../js/core/workflow/WorkflowDefinition.js";
+import { organizationService } from "./workflowFixtures.js";
+
+const purchaseRequestYaml = `
+name: PurchaseRequest
+initialState: draft
+context:
+  items: []
+states:
+  draft:
+    onEnter: stampCreated
+    validations:
+      - field: amount
+        operator: greater_than
+        value: 0
+        message: Amount must be greater than 0
+    transitions:
+      - target: manager_review
+        action: submit
+        guards:
+          - field: amount
+            operator: less_than
+            value: 1000
+      - target: finance_review
+        action: submit_large
+        guards:
+          - operator: or
+            conditions:
+              - { field: amount, operator: greater_than, value: 999 }
+              - { field: vendor.new, operator: equals, value: true }
+  manager_review:
+    requiredActors: [Approver]
+    transitions:
+      - { target: approved, action: approve }
+  finance_review:
+    requiredActors: [FinanceSpecialist]
+    transitions:
+      - { target: approved, action: approve }
+  approved:
+    final: true
+`;
+
+describe("Declarative workflow definitions", () => {
+  const hooks = {
+    stampCreated: context => { context.stamped = true; }
+  };
+
+  test("a YAML definition registers and runs through the engine", async () => {
+    const engine = new WorkflowEngine({ organizationService });
+    engine.registerWorkflowType(null, purchaseRequestYaml, { hooks });
+    await engine.start();
+
+    try {
+      const requester = { id: "u1", username: "u1" };
+      const workflow = await engine.createWorkflow("PurchaseRequest", "pr-1", requester, { organizationId: "org-1" }, {
+        context: { amount: 0 }
+      });
+
+      expect(workflow.type).toBe("PurchaseRequest");
+      expect(workflow.context).toMatchObject({ items: [], amount: 0, stamped: true });
+      expect(await workflow.validate()).toEqual(["Amount must be greater than 0"]);
+
+      workflow.updateContext({ amount: 1500 });
+      expect(workflow.getAvailableActionsForUser(requester, { positions: [] })).toEqual([]);
+      expect(workflow.states.get("draft").getAvailableTransitions(workflow.context).map(t => t.target))
+        .toEqual(["finance_review"]);
+    } finally {
+      await engine.stop();
+    }
+  });
+
+  test("JSON definitions are accepted as well", () => {
+    const WorkflowClass = createWorkflowClass(JSON.stringify({
+      name: "Ping",
+      initialState: "open",
+      states: { open: { transitions: [{ target: "closed" }] }, closed: { final: true } }
+    }));
+
+    expect(new WorkflowClass("p-1").states.size).toBe(2);
+  });
+
+  test("validation reports dangling targets, unreachable states and unknown hooks", () => {
+    const errors = validateWorkflowDefinition({
+      name: "Broken",
+      initialState: "start",
+      states: {
+        start: {
+          onEnter: "missingHook",
+          transitions: [
+            { target: "nowhere" },
+            { target: "end", guards: [{ field: "amount", operator: "between", value: 1 }] }
+          ]
+        },
+        end: { final: true },
+        island: { transitions: [{ target: "end" }] }
+      }
+    });
+
+    expect(errors).toEqual([
+      "State 'start' onEnter references unknown hook 'missingHook'",
+      "State 'start' transition 1 targets unknown state 'nowhere'",
+      "State 'start' transition 2 guard 1 has unknown operator 'between'",
+      "State 'island' is unreachable from 'start'"
+    ]);
+  });
+
+  test("registering an invalid definition throws with every problem listed", () => {
+    const engine = new WorkflowEngine({});
+    try {
+      expect(() => engine.registerWorkflowType("Empty", { name: "Empty", states: {} }))
+        .toThrow("Invalid workflow definition 'Empty':\n- states must be an object with at least one state");
+    } finally {
+      clearInterval(engine.autoSaveTimer);
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { ExpenseApprovalWorkflow } from "../js/core/workflow/types/ExpenseApprovalWorkflow.js";
+import { alice, org, organizationService } from "./workflowFixtures.js";
+
+const purchaseDefinition = {
+  name: "Purchase",
+  initialState: "draft",
+  states: {
+    draft: {
+      transitions: [{ target: "review", action: "submit", guards: [{ field: "amount", operator: "less_than", value: 1000 }] }]
+    },
+    review: {
+      voting: { rule: "majority", voters: ["ann", "ben"], onApprove: "fulfilment", onReject: "draft" }
+    },
+    fulfilment: { regions: { shipping: "packing", billing: "invoicing" }, join: { target: "done" } },
+    packing: { parent: "fulfilment", region: "shipping", transitions: [{ target: "shipped", action: "ship" }] },
+    shipped: { parent: "fulfilment", region: "shipping", final: true },
+    invoicing: { parent: "fulfilment", region: "billing", transitions: [{ target: "invoiced", action: "invoice" }] },
+    invoiced: { parent: "fulfilment", region: "billing", final: true },
+    done: { final: true }
+  }
+};
+
+describe("Workflow diagrams", () => {
+  let engine;
+
+  beforeEach(async () => {
+    engine = new WorkflowEngine({ organizationService, persistenceService: new MemoryPersistenceService() });
+    engine.registerWorkflowType("ExpenseApprovalWorkflow", ExpenseApprovalWorkflow);
+    engine.registerWorkflowType("Purchase", purchaseDefinition);
+    await engine.start();
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+  });
+
+  test("DOT annotates states with their actors and transitions with actions and guards", () => {
+    const dot = engine.getWorkflowTypeDiagram("ExpenseApprovalWorkflow", "dot");
+
+    expect(dot).toContain('"__start" -> "draft";');
+    expect(dot).toContain('"finance_review" [label="finance_review\\nFinanceSpecialist, Approver"');
+    expect(dot).toContain('"submitted" -> "finance_review" [label="send_to_finance [context.total_amount >= 5000]"');
+    expect(dot).toMatch(/"paid" \[[^\]]*peripheries=2/);
+
+    expect(() => engine.getWorkflowTypeDiagram("ExpenseApprovalWorkflow", "png")).toThrow("Invalid diagram format 'png'");
+    expect(() => engine.getWorkflowTypeDiagram("Nope")).toThrow("Unknown workflow type: Nope");
+  });
+
+  test("Mermaid nests parallel regions and draws the engine's own moves", () => {
+    const mermaid = engine.getWorkflowTypeDiagram("Purchase", "mermaid").split("\n").map(line => line.trim());
+
+    expect(mermaid).toEqual(expect.arrayContaining([
+      "stateDiagram-v2",
+      "[*] --> draft",
+      "draft --> review : submit [amount < 1000]",
+      "review : vote majority",
+      "review --> fulfilment : approved",
+      "review --> draft : rejected",
+      "fulfilment --> done : regions done",
+      "done --> [*]"
+    ]));
+
+    // Each region's states and moves sit inside the composite state, separated by --
+    const block = mermaid.slice(mermaid.indexOf("state fulfilment {"), mermaid.lastIndexOf("}") + 1);
+    expect(block).toEqual([
+      "state fulfilment {",
+      "[*] --> packing",
+      "packing --> shipped : ship",
+      "shipped --> [*]",
+      "--",
+      "[*] --> invoicing",
+      "invoicing --> invoiced : invoice",
+      "invoiced --> [*]",
+      "}"
+    ]);
+  });
+
+  test("a workflow's SVG highlights its active state and the path taken so far", async () => {
+    await engine.createWorkflow("Purchase", "p-1", alice, org, { context: { amount: 10 } });
+    await engine.executeTransition("p-1", "review", alice, org, { amount: 10 });
+
+    const svg = engine.getWorkflowDiagram("p-1", "svg");
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).toContain('class="diagram-state state-active" data-state="review"');
+    expect(svg).toContain('class="diagram-state state-visited" data-state="draft"');
+    expect(svg).toContain('class="diagram-state state-state" data-state="fulfilment"');
+    expect(svg).toContain('class="diagram-transition taken" data-from="draft" data-to="review"');
+    expect(svg).toContain('class="diagram-transition" data-from="review" data-to="fulfilment"');
+    expect(svg).toContain("amount &lt; 1000");
+  });
+});
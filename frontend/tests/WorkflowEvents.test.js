@@ -0,0 +1,130 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { foldWorkflowEvents } from "../js/core/workflow/WorkflowEvents.js";
+import { alice, organizationService } from "./workflowFixtures.js";
+
+const purchaseDefinition = {
+  name: "Purchase",
+  initialState: "draft",
+  context: { amount: 0 },
+  states: {
+    draft: { transitions: [{ target: "ordered", action: "order" }] },
+    ordered: {
+      onEnter: ["stampOrder"],
+      transitions: [{ target: "received", action: "receive" }]
+    },
+    received: { final: true }
+  }
+};
+
+const hooks = {
+  stampOrder: context => { context.orderedBy = "purchasing"; }
+};
+
+describe("Workflow event stream", () => {
+  let engine;
+  let persistenceService;
+
+  const startEngine = async () => {
+    engine = new WorkflowEngine({ organizationService, persistenceService });
+    engine.registerWorkflowType("Purchase", purchaseDefinition, { hooks });
+    await engine.start();
+    return engine;
+  };
+
+  beforeEach(async () => {
+    persistenceService = new MemoryPersistenceService();
+    await startEngine();
+  });
+
+  afterEach(async () => {
+    await engine.stop();
+  });
+
+  test("creation, context patches, transitions and locks are appended in order", async () => {
+    const workflow = await engine.createWorkflow("Purchase", "po-1", alice, { organizationId: "org-1" });
+    await engine.updateWorkflowContext("po-1", { amount: 40 }, alice, { organizationId: "org-1" });
+    workflow.context.notes = ["edited in place"];
+    await engine.executeTransition("po-1", "ordered", alice, { organizationId: "org-1" });
+
+    expect(workflow.events.map(event => event.type)).toEqual([
+      "created", "transitioned", "context_patched", "lock_acquired",
+      "context_patched", "transitioned", "context_patched", "lock_released"
+    ]);
+    expect(workflow.events.map(event => event.sequence)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(workflow.events[4].data).toEqual({ cause: "exit", set: { notes: ["edited in place"] }, unset: [] });
+    expect(workflow.events[6].data).toEqual({ cause: "enter", set: { orderedBy: "purchasing" }, unset: [] });
+
+    const { sequence, updatedAt, createdAt, isLocked, lockOwner, lockAcquiredAt, ...folded } = foldWorkflowEvents(workflow.events);
+    expect(folded).toMatchObject(JSON.parse(JSON.stringify({
+      currentState: workflow.currentState,
+      activeStates: workflow.activeStates,
+      context: workflow.context,
+      history: workflow.history
+    })));
+  });
+
+  test("metadata changes are recorded and survive a reload", async () => {
+    const workflow = await engine.createWorkflow("Purchase", "po-1", alice, { organizationId: "org-1" }, {
+      metadata: { source: "import", batch: 7 }
+    });
+    const assignment = { state: "draft", users: [{ id: "bob" }], escalationLevel: 1 };
+    workflow.updateMetadata({ assignment, batch: undefined });
+    await engine.commitWorkflow(workflow);
+
+    expect(workflow.events[workflow.events.length - 1]).toMatchObject({
+      type: "metadata_updated",
+      data: { set: { assignment }, unset: ["batch"] }
+    });
+
+    await engine.stop();
+    await startEngine();
+    expect(engine.getWorkflow("po-1").metadata).toEqual({ source: "import", assignment });
+  });
+
+  test("replay rebuilds the instance as of an event number or a timestamp", async () => {
+    await engine.createWorkflow("Purchase", "po-1", alice, { organizationId: "org-1" });
+    await new Promise(resolve => setTimeout(resolve, 5)); // keep the update's timestamp apart from creation
+    await engine.updateWorkflowContext("po-1", { amount: 40 }, alice, { organizationId: "org-1" });
+    const workflow = await engine.executeTransition("po-1", "ordered", alice, { organizationId: "org-1" });
+
+    const beforeOrder = engine.replayWorkflow("po-1", { sequence: 3 });
+    expect(beforeOrder).not.toBe(workflow);
+    expect(beforeOrder.currentState).toBe("draft");
+    expect(beforeOrder.context).toEqual({ amount: 40 });
+    expect(beforeOrder.getAvailableActionsForUser(alice, {}).map(action => action.action)).toEqual(["order"]);
+
+    const atCreation = engine.replayWorkflow("po-1", { timestamp: workflow.events[1].timestamp });
+    expect(atCreation.context).toEqual({ amount: 0 });
+    expect(atCreation.history).toHaveLength(1);
+
+    expect(() => engine.replayWorkflow("po-1", { timestamp: "2000-01-01" })).toThrow("Replay point not found");
+    expect(engine.getWorkflow("po-1").currentState).toBe("ordered");
+  });
+
+  test("restored instances derive their state from persisted events", async () => {
+    await engine.createWorkflow("Purchase", "po-1", alice, { organizationId: "org-1" });
+    await engine.executeTransition("po-1", "ordered", alice, { organizationId: "org-1" });
+
+    // A stale snapshot beside the stream does not win over the events
+    const saved = await persistenceService.loadWorkflow("po-1");
+    await persistenceService.saveWorkflow({ ...saved, currentState: "draft", activeStates: ["draft"] });
+    await persistenceService.saveWorkflow({
+      ...saved,
+      id: "po-legacy",
+      events: undefined,
+      context: { amount: 7 }
+    });
+    await engine.stop();
+    await startEngine();
+
+    const restored = engine.getWorkflow("po-1");
+    expect(restored.currentState).toBe("ordered");
+    expect(restored.context.orderedBy).toBe("purchasing");
+    expect(restored.events).toHaveLength(saved.events.length);
+
+    const legacy = engine.getWorkflow("po-legacy");
+    expect(legacy.events.map(event => event.type)).toEqual(["imported"]);
+    expect(legacy.replay().context).toEqual({ amount: 7 });
+  });
+});
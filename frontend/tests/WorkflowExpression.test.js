@@ -0,0 +1,104 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { RBACPermissionResolver } from "../js/core/workflow/RBACPermissionResolver.js";
+import { evaluateExpression, checkExpression, getExpressionFields } from "../js/core/workflow/WorkflowExpression.js";
+import { alice, bob, org, createOrganizationService } from "./workflowFixtures.js";
+
+const positions = {
+  alice: [{ designation: { name: "Finance Manager" }, group: { department: { name: "Finance" } } }],
+  bob: [{ designation: { name: "Sales Analyst" }, group: { department: { name: "Sales" } } }]
+};
+
+const organizationService = createOrganizationService({
+  getUserPositions: async userId => positions[userId] || []
+});
+
+const purchaseDefinition = {
+  name: "Purchase",
+  initialState: "draft",
+  states: {
+    draft: {
+      validations: [{ expression: "all(lines, item.quantity > 0)", message: "Every line needs a quantity" }],
+      transitions: [
+        { target: "approved", action: "approve", guards: [{ expression: "sum(lines, item.quantity * item.price) < 1000 or in_department('Finance')" }] },
+        { target: "cancelled", action: "cancel", guards: [{ expression: "user.id == requested_by" }] }
+      ]
+    },
+    approved: { final: true },
+    cancelled: { final: true }
+  }
+};
+
+describe("Workflow expressions", () => {
+  test("evaluate arithmetic, list and date functions over the context, and report parse errors", () => {
+    const context = {
+      lines: [{ quantity: 2, price: 150 }, { quantity: 1, price: 900 }],
+      department: "Sales",
+      submitted_at: "2026-01-01T00:00:00Z"
+    };
+
+    expect(evaluateExpression("sum(lines, item.quantity * item.price)", context)).toBe(1200);
+    expect(evaluateExpression("count(lines, item.price > 500) == 1 and department in ['Sales', 'Support']", context)).toBe(true);
+    expect(evaluateExpression("days_between(submitted_at, '2026-01-11T00:00:00Z') >= 10", context)).toBe(true);
+    expect(evaluateExpression("missing == null and not exists(missing)", context)).toBe(true);
+    expect(getExpressionFields("total + context.tax > limit and user.id == owner")).toEqual(["total", "tax", "limit", "owner"]);
+
+    // Only the context's own fields can be read, and only the listed functions called
+    expect(evaluateExpression("lines.constructor", context)).toBeUndefined();
+    expect(checkExpression("lines.map(x)")).toBe("Invalid expression 'lines.map(x)' at column 10: unexpected '('");
+    expect(checkExpression("amount >")).toBe("Invalid expression 'amount >' at column 9: expected a value but found the end of the expression");
+    expect(checkExpression("eval('1')")).toBe("Invalid expression 'eval('1')' at column 1: unknown function 'eval'");
+    expect(() => evaluateExpression("department > 3", context)).toThrow("Expression 'department > 3' failed: cannot compare 'Sales' > 3");
+  });
+
+  test("guards and validations of a definition can be expressions over the context, user and organization", async () => {
+    const engine = new WorkflowEngine({ organizationService, persistenceService: new MemoryPersistenceService() });
+    engine.registerWorkflowType("Purchase", purchaseDefinition);
+    await engine.start();
+
+    try {
+      const lines = [{ quantity: 2, price: 150 }, { quantity: 1, price: 900 }];
+      const workflow = await engine.createWorkflow("Purchase", "po-1", bob, org, { context: { lines, requested_by: "bob" } });
+      const actionsFor = async user => workflow
+        .getAvailableActionsForUser(user, await engine.getActingContext(user, "org-1", workflow))
+        .map(action => action.action);
+
+      // 1200 is over the limit for bob, but alice is in Finance; only bob requested it
+      expect(await actionsFor(alice)).toEqual(["approve"]);
+      expect(await actionsFor(bob)).toEqual(["cancel"]);
+      await expect(engine.executeTransition("po-1", "approved", bob, org, { lines })).rejects.toThrow("Invalid transition");
+
+      await engine.updateWorkflowContext("po-1", { lines: [{ quantity: 0, price: 10 }] }, bob, org);
+      await expect(engine.executeTransition("po-1", "cancelled", bob, org, { requested_by: "bob" }))
+        .rejects.toThrow("Workflow validation failed: Every line needs a quantity");
+    } finally {
+      await engine.stop();
+    }
+
+    expect(() => new WorkflowEngine({ organizationService }).registerWorkflowType("Broken", {
+      name: "Broken",
+      initialState: "draft",
+      states: {
+        draft: { transitions: [{ target: "done", guards: [{ expression: "amount >> 3" }] }] },
+        done: { final: true }
+      }
+    })).toThrow("State 'draft' transition 1 guard 1: Invalid expression 'amount >> 3' at column 9: expected a value but found '>'");
+  });
+
+  test("RBAC context conditions can be expressions", async () => {
+    const resolver = new RBACPermissionResolver(organizationService);
+    const permission = { contextConditions: { expression: "user.id == createdBy or has_designation('Finance Manager')" } };
+    const workflowContext = { createdBy: "carol" };
+
+    expect(await resolver.checkContextualPermissions(alice, permission.contextConditions, { positions: positions.alice }, workflowContext)).toBe(true);
+    expect(await resolver.checkContextualPermissions(bob, permission.contextConditions, { positions: positions.bob }, workflowContext)).toBe(false);
+    expect(await resolver.checkContextualPermissions(bob, permission.contextConditions, { positions: positions.bob }, { createdBy: "bob" })).toBe(true);
+
+    // An expression that cannot be evaluated denies
+    expect(await resolver.checkContextualPermissions(alice, { expression: "createdBy > 3" }, {}, workflowContext)).toBe(false);
+
+    const explanation = await resolver.explainPermission(bob, permission, { organizationId: "org-1", positions: positions.bob }, workflowContext);
+    expect(explanation.checks.find(check => check.check === "context.expression"))
+      .toMatchObject({ passed: false, actual: { createdBy: "carol" } });
+  });
+});
@@ -0,0 +1,117 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { BaseWorkflow } from "../js/core/workflow/BaseWorkflow.js";
+import { StateNode } from "../js/core/workflow/StateNode.js";
+import { lintWorkflowType } from "../js/core/workflow/WorkflowLinter.js";
+import { HireWorkflow } from "../js/core/workflow/types/HireWorkflow.js";
+import { ExpenseApprovalWorkflow } from "../js/core/workflow/types/ExpenseApprovalWorkflow.js";
+import { organizationService } from "./workflowFixtures.js";
+
+describe("Workflow linter", () => {
+  let engine;
+  let warn;
+  const warned = [];
+
+  beforeEach(() => {
+    engine = new WorkflowEngine({ organizationService, persistenceService: new MemoryPersistenceService() });
+    warned.length = 0;
+    warn = console.warn;
+    console.warn = message => { warned.push(message); };
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+  });
+
+  test("registration is refused for unknown targets and actors, duplicate actions and unreachable states", () => {
+    class BrokenWorkflow extends BaseWorkflow {
+      constructor(id, options = {}) {
+        super(id, { ...options, type: "BrokenWorkflow" });
+        this.initialize();
+      }
+
+      getInitialState() {
+        return "draft";
+      }
+
+      defineStates() {
+        this.addState("draft", new StateNode("draft", {
+          requiredActors: ["Requestor", "Wizard"],
+          transitions: [
+            { target: "review", action: "submit" },
+            { target: "done", action: "submit" },
+            { target: "reveiw", action: "send" }
+          ]
+        }));
+        this.addState("review", new StateNode("review", { transitions: [{ target: "done", action: "approve" }] }));
+        this.addState("orphan", new StateNode("orphan", { transitions: [{ target: "done", action: "adopt" }] }));
+        this.addState("done", new StateNode("done", { final: true }));
+      }
+    }
+
+    let error;
+    try {
+      engine.registerWorkflowType("BrokenWorkflow", BrokenWorkflow);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).toMatch(/^Invalid workflow type 'BrokenWorkflow'/);
+    expect(error.errors).toEqual(expect.arrayContaining([
+      "State 'draft' has a transition to 'reveiw', which is not a defined state",
+      "State 'draft' requires unknown actor 'Wizard'",
+      "State 'draft' has more than one transition with action 'submit'",
+      "State 'orphan' is unreachable from 'draft'"
+    ]));
+    expect(engine.workflowTypes.has("BrokenWorkflow")).toBe(false);
+  });
+
+  test("dead ends and unknown guard fields register with warnings", () => {
+    const { warnings } = engine.registerWorkflowType("Purchase", {
+      name: "Purchase",
+      initialState: "draft",
+      states: {
+        draft: {
+          validations: [{ field: "amount", operator: "greater_than", value: 0 }],
+          transitions: [
+            { target: "review", action: "submit", guards: [{ field: "amount", operator: "less_than", value: 1000 }] },
+            { target: "limbo", action: "park" }
+          ]
+        },
+        review: {
+          transitions: [{ target: "done", action: "approve", guards: [{ field: "signed_off", operator: "equals", value: true }] }]
+        },
+        limbo: { transitions: [{ target: "limbo_again", action: "wait" }] },
+        limbo_again: { transitions: [{ target: "limbo", action: "wait" }] },
+        done: { final: true }
+      }
+    });
+
+    expect(warnings).toEqual([
+      "State 'limbo' is a dead end: no terminal state can be reached from it",
+      "State 'limbo_again' is a dead end: no terminal state can be reached from it",
+      "State 'review' transition 'approve' guards on 'signed_off', which no validation, entry action or default context sets"
+    ]);
+    expect(engine.workflowTypes.has("Purchase")).toBe(true);
+
+    // Reporting them is left to npm run lint:workflows
+    expect(warned).toEqual([]);
+  });
+
+  test("the built-in types lint without errors", () => {
+    for (const WorkflowClass of [HireWorkflow, ExpenseApprovalWorkflow]) {
+      expect(lintWorkflowType(WorkflowClass).errors).toEqual([]);
+    }
+
+    expect(lintWorkflowType({}).errors).toEqual(["Workflow type must be a BaseWorkflow subclass"]);
+    const { warnings } = engine.registerWorkflowType("PingPong", {
+      name: "PingPong",
+      initialState: "ping",
+      states: {
+        ping: { transitions: [{ target: "pong", action: "hit" }] },
+        pong: { transitions: [{ target: "ping", action: "hit" }] }
+      }
+    });
+    expect(warnings).toEqual(["No terminal state: the workflow has no top-level final state"]);
+  });
+});
@@ -0,0 +1,207 @@
+import { OrganizationDirectory, LocalStorageDirectoryStorage } from "../js/core/OrganizationDirectory.js";
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { BaseWorkflow } from "../js/core/workflow/BaseWorkflow.js";
+import { StateNode } from "../js/core/workflow/StateNode.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+
+const HOUR = 60 * 60 * 1000;
+
+class ApprovalWorkflow extends BaseWorkflow {
+  constructor(id, options = {}) {
+    super(id, options);
+    this.initialize();
+  }
+
+  getInitialState() {
+    return "pending";
+  }
+
+  defineStates() {
+    this.addState("pending", new StateNode("pending", {
+      transitions: [{ target: "expired" }, { target: "approved" }],
+      requiredActors: ["Approver"],
+      timeoutDuration: HOUR,
+      escalationRules: [
+        { action: "remind" },
+        { action: "reassign", after: HOUR },
+        { action: "transition", after: 2 * HOUR, targetState: "expired" }
+      ]
+    }));
+    this.addState("approved", new StateNode("approved"));
+    this.addState("expired", new StateNode("expired"));
+  }
+}
+
+class ReviewWorkflow extends BaseWorkflow {
+  constructor(id, options = {}) {
+    super(id, options);
+    this.initialize();
+  }
+
+  getInitialState() {
+    return "pending";
+  }
+
+  defineStates() {
+    this.addState("pending", new StateNode("pending", {
+      transitions: [{ target: "reviewed" }],
+      requiredActors: ["Analyzer"],
+      timeoutDuration: HOUR,
+      escalationRules: [{ action: "reassign" }]
+    }));
+    this.addState("reviewed", new StateNode("reviewed", { requiredActors: ["Analyzer"] }));
+  }
+}
+
+describe("WorkflowScheduler", () => {
+  let directory;
+  let persistenceService;
+  let engines;
+  const sent = [];
+  const audited = [];
+
+  const createEngine = async () => {
+    const organizationService = {
+      getUserPositions: (userId, orgId) => directory.getUserPositions(userId, orgId),
+      getDepartments: orgId => directory.getDepartments(orgId),
+      getTeams: orgId => directory.getTeams(orgId),
+      getBranches: async () => [],
+      getUsersByActor: (actor, orgId, context) => directory.getUsersByActor(actor, orgId, context),
+      getSuperiors: (userId, orgId) => directory.getSuperiors(userId, orgId),
+      getActorMapping: orgId => directory.getActorMapping(orgId)
+    };
+    const engine = new WorkflowEngine({
+      organizationService,
+      persistenceService,
+      notificationService: {
+        sendWorkflowNotification: async options => { sent.push(options); }
+      },
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async () => {},
+        logWorkflowEscalation: async (workflow, escalation) => { audited.push(escalation); }
+      }
+    });
+    engine.registerWorkflowType("ApprovalWorkflow", ApprovalWorkflow);
+    engine.registerWorkflowType("ReviewWorkflow", ReviewWorkflow);
+    await engine.start();
+    engines.push(engine);
+    return engine;
+  };
+
+  beforeEach(async () => {
+    localStorage.clear();
+    sent.length = 0;
+    audited.length = 0;
+    engines = [];
+    persistenceService = new MemoryPersistenceService();
+    directory = new OrganizationDirectory({ storage: new LocalStorageDirectoryStorage() });
+
+    await directory.createDepartment("org-1", { id: "finance", name: "Finance" });
+    const group = await directory.getGroupFor({ departmentId: "finance" });
+    const manager = await directory.createDesignation("org-1", { name: "Finance Manager", level: 3, groupId: group.id });
+    const director = await directory.createDesignation("org-1", { name: "Finance Director", level: 5, groupId: group.id });
+
+    await directory.saveUser({ id: "mia", username: "mia" });
+    await directory.saveUser({ id: "dan", username: "dan" });
+    await directory.assignPosition("org-1", { userId: "mia", designationId: manager.id, groupId: group.id });
+    await directory.assignPosition("org-1", { userId: "dan", designationId: director.id, groupId: group.id });
+    await directory.saveActorMapping("org-1", {
+      designations: { "Finance Manager": ["Approver"], "Finance Director": ["Approver"], "Payables Analyst": ["Analyzer"] }
+    });
+  });
+
+  afterEach(async () => {
+    for (const engine of engines) {
+      await engine.stop();
+    }
+  });
+
+  test("entering a state with a timeoutDuration schedules a persisted timer", async () => {
+    const engine = await createEngine();
+    const workflow = await engine.createWorkflow("ApprovalWorkflow", "wf-1", { id: "mia" }, { organizationId: "org-1" });
+
+    const [timer] = await persistenceService.loadTimers();
+    expect(timer.state).toBe("pending");
+    expect(new Date(timer.dueAt) - workflow.getStateEntryTime("pending")).toBe(HOUR);
+
+    await engine.executeTransition("wf-1", "approved", { id: "mia" }, { organizationId: "org-1" });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(await persistenceService.loadTimers()).toEqual([]);
+    expect(engine.scheduler.getTimers("wf-1")).toEqual([]);
+  });
+
+  test("escalation rules run in order and survive an engine restart", async () => {
+    const first = await createEngine();
+    await first.createWorkflow("ApprovalWorkflow", "wf-1", { id: "mia" }, { organizationId: "org-1" });
+    const dueAt = new Date(first.scheduler.getTimers("wf-1")[0].dueAt).getTime();
+
+    // Not due yet
+    expect(await first.scheduler.processDueTimers(new Date(dueAt - 1))).toEqual([]);
+
+    // Reminder goes to the users mapped to the required actor
+    const [reminder] = await first.scheduler.processDueTimers(new Date(dueAt));
+    expect(reminder).toMatchObject({ action: "remind", status: "completed" });
+    expect(reminder.recipients.sort()).toEqual(["dan", "mia"]);
+    expect(sent.every(options => options.templateName === "action_required")).toBe(true);
+    await first.stop();
+
+    const second = await createEngine();
+    expect(second.scheduler.getTimers("wf-1")[0].firedRules).toEqual([0]);
+
+    // Reassignment goes up from the current assignees; the reminder does not repeat
+    sent.length = 0;
+    const [reassign] = await second.scheduler.processDueTimers(new Date(dueAt + HOUR));
+    expect(reassign).toMatchObject({ action: "reassign", status: "completed", assignees: ["dan"] });
+    expect(sent.map(options => [options.recipient.id, options.templateName]))
+      .toEqual([["dan", "workflow_escalation"]]);
+    expect(second.getWorkflow("wf-1").metadata.assignment).toMatchObject({
+      state: "pending",
+      escalationLevel: 1
+    });
+
+    const [transition] = await second.scheduler.processDueTimers(new Date(dueAt + 2 * HOUR));
+    expect(transition).toMatchObject({ action: "transition", status: "completed", targetState: "expired" });
+
+    const workflow = second.getWorkflow("wf-1");
+    expect(workflow.currentState).toBe("expired");
+    expect(workflow.history[workflow.history.length - 1].user.id).toBe("system");
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(await persistenceService.loadTimers()).toEqual([]);
+    expect(audited.map(escalation => escalation.action)).toEqual(["remind", "reassign", "transition"]);
+  });
+
+  test("a superior the workflow is reassigned to can make the transitions of the original assignees", async () => {
+    await directory.createDepartment("org-1", { id: "payables", name: "Payables", parentDepartmentId: "finance" });
+    const group = await directory.getGroupFor({ departmentId: "payables" });
+    const analyst = await directory.createDesignation("org-1", { name: "Payables Analyst", level: 1, groupId: group.id });
+    await directory.assignPosition("org-1", { userId: "cleo", designationId: analyst.id, groupId: group.id });
+
+    const engine = await createEngine();
+    await engine.createWorkflow("ReviewWorkflow", "wf-2", { id: "cleo" }, { organizationId: "org-1" });
+    await expect(engine.executeTransition("wf-2", "reviewed", { id: "mia" }, { organizationId: "org-1" }))
+      .rejects.toThrow(/permission/i);
+
+    const dueAt = new Date(engine.scheduler.getTimers("wf-2")[0].dueAt);
+    const [reassign] = await engine.scheduler.processDueTimers(dueAt);
+    expect(reassign).toMatchObject({ action: "reassign", status: "completed", assignees: ["mia"] });
+    expect(engine.getWorkflow("wf-2").metadata.assignment.originalUserIds).toEqual(["cleo"]);
+
+    const workflow = await engine.executeTransition("wf-2", "reviewed", { id: "mia" }, { organizationId: "org-1" });
+    expect(workflow.currentState).toBe("reviewed");
+    expect(workflow.history[workflow.history.length - 1].onBehalfOf).toMatchObject({ id: "cleo" });
+  });
+
+  test("getSuperiors walks up the department tree when the group has no one senior", async () => {
+    await directory.createDepartment("org-1", { id: "payables", name: "Payables", parentDepartmentId: "finance" });
+    const group = await directory.getGroupFor({ departmentId: "payables" });
+    const clerk = await directory.createDesignation("org-1", { name: "Payables Clerk", level: 1, groupId: group.id });
+    await directory.assignPosition("org-1", { userId: "cleo", designationId: clerk.id, groupId: group.id });
+
+    expect((await directory.getSuperiors("cleo", "org-1")).map(user => user.id)).toEqual(["mia"]);
+    expect((await directory.getSuperiors("mia", "org-1")).map(user => user.id)).toEqual(["dan"]);
+    expect(await directory.getSuperiors("dan", "org-1")).toEqual([]);
+  });
+});
@@ -0,0 +1,109 @@
+import { WorkflowSimulator } from "../js/core/workflow/WorkflowSimulator.js";
+import { ExpenseApprovalWorkflow } from "../js/core/workflow/types/ExpenseApprovalWorkflow.js";
+
+const users = [
+  { id: "bob", positions: [{ designation: "Software Engineer", department: "Engineering" }] },
+  { id: "mia", positions: [{ designation: "Engineering Manager", department: "Engineering", level: 3 }] },
+  { id: "alice", positions: [{ designation: "Financial Analyst", department: "Finance" }] }
+];
+
+const organization = {
+  id: "org-1",
+  actorMapping: {
+    designations: { "Financial Analyst": ["Analyzer"], "Engineering Manager": ["Approver"] },
+    departments: { Finance: ["FinanceSpecialist"] }
+  }
+};
+
+const claim = {
+  total_amount: 20,
+  expense_items: [{ amount: 20 }],
+  business_purpose: "Team lunch",
+  requester_department: "Engineering"
+};
+
+describe("WorkflowSimulator", () => {
+  let simulator;
+
+  beforeEach(() => {
+    simulator = new WorkflowSimulator({ ExpenseApprovalWorkflow });
+  });
+
+  test("reports which transitions each user was allowed or denied and why", async () => {
+    const report = await simulator.run({
+      name: "Small claim",
+      workflowType: "ExpenseApprovalWorkflow",
+      createdBy: "bob",
+      organization,
+      users,
+      context: claim,
+      steps: [
+        { user: "bob", action: "submit_claim", expect: "denied" },
+        { user: "alice", action: "submit_claim", expect: "allowed" },
+        { user: "alice", action: "send_to_manager", context: { total_amount: 20 }, expect: "denied" },
+        { user: "mia", action: "send_to_finance", context: { total_amount: 20 }, expect: "unavailable" },
+        { user: "mia", action: "send_to_manager", context: { total_amount: 20 }, expect: "allowed" }
+      ],
+      expect: { finalState: "manager_review" }
+    });
+
+    expect(report.passed).toBe(true);
+    expect(report.steps.map(step => `${step.user} ${step.fromState}->${step.targetState} ${step.outcome}`)).toEqual([
+      "bob draft->submitted denied",
+      "alice draft->submitted allowed",
+      "alice submitted->manager_review denied",
+      "mia submitted->finance_review unavailable",
+      "mia submitted->manager_review allowed"
+    ]);
+    expect(report.steps[0].failedChecks.map(check => check.check)).toEqual(["permission"]);
+    expect(report.steps[3].failedChecks.map(check => check.check)).toEqual(["guards", "permission"]);
+    expect(report.finalContext.submission_number).toBeDefined();
+  });
+
+  test("records failed validations and lets later steps fix the context", async () => {
+    const report = await simulator.run({
+      name: "Missing purpose",
+      workflowType: "ExpenseApprovalWorkflow",
+      createdBy: "bob",
+      organization,
+      users,
+      context: { ...claim, business_purpose: "" },
+      steps: [
+        { user: "alice", action: "submit_claim", expect: "validation_failed" },
+        { user: "bob", update: { business_purpose: "Team lunch" }, expect: "allowed" },
+        { user: "alice", action: "submit_claim", expect: "allowed" }
+      ],
+      expect: { finalState: "submitted", context: { business_purpose: "Team lunch" } }
+    });
+
+    expect(report.passed).toBe(true);
+    expect(report.steps[0].validationErrors).toEqual(["Business purpose is required"]);
+    expect(report.steps[2].validationErrors).toEqual([]);
+  });
+
+  test("lists unmet expectations instead of throwing", async () => {
+    const [report] = await simulator.runAll([{
+      name: "Wrong expectations",
+      workflowType: "ExpenseApprovalWorkflow",
+      createdBy: "bob",
+      organization,
+      users,
+      context: claim,
+      steps: [
+        { user: "bob", action: "approve_finance", expect: "allowed" },
+        { user: "alice", action: "submit_claim" }
+      ],
+      expect: { finalState: "paid" }
+    }]);
+
+    expect(report.passed).toBe(false);
+    expect(report.steps[0]).toMatchObject({ outcome: "unavailable", targetState: null });
+    expect(report.mismatches).toEqual([
+      "Step 1 (approve_finance by bob): expected allowed, got unavailable (Action 'approve_finance' is not valid in state 'draft')",
+      "Expected final state paid, got submitted"
+    ]);
+
+    await expect(simulator.run({ name: "Unknown", workflowType: "HireWorkflow" }))
+      .rejects.toThrow("Invalid scenario 'Unknown': unknown workflow type 'HireWorkflow'");
+  });
+});
@@ -0,0 +1,140 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { MemoryPersistenceService } from "../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { organizationService } from "./workflowFixtures.js";
+
+const requestV1 = {
+  name: "LeaveRequest",
+  version: 1,
+  initialState: "draft",
+  states: {
+    draft: { transitions: [{ target: "review" }] },
+    review: { transitions: [{ target: "done" }] },
+    done: { final: true }
+  }
+};
+
+// Version 2 splits review into manager and HR review
+const requestV2 = {
+  name: "LeaveRequest",
+  version: 2,
+  initialState: "draft",
+  states: {
+    draft: { transitions: [{ target: "manager_review" }] },
+    manager_review: { transitions: [{ target: "hr_review" }] },
+    hr_review: { transitions: [{ target: "done" }] },
+    done: { final: true }
+  }
+};
+
+describe("Workflow definition versioning", () => {
+  const user = { id: "u1", username: "u1" };
+  const org = { organizationId: "org-1" };
+  let persistenceService;
+  let engines;
+
+  const createEngine = async (definitions, migrations = []) => {
+    const engine = new WorkflowEngine({ organizationService, persistenceService });
+    definitions.forEach(definition => engine.registerWorkflowType(null, definition));
+    migrations.forEach(migration => engine.registerWorkflowMigration("LeaveRequest", migration));
+    await engine.start();
+    engines.push(engine);
+    return engine;
+  };
+
+  beforeEach(async () => {
+    persistenceService = new MemoryPersistenceService();
+    engines = [];
+
+    const original = await createEngine([requestV1]);
+    await original.createWorkflow("LeaveRequest", "leave-1", user, org);
+    await original.executeTransition("leave-1", "review", user, org);
+    await original.stop();
+  });
+
+  afterEach(async () => {
+    for (const engine of engines) {
+      await engine.stop();
+    }
+  });
+
+  test("instances record their version and keep running on their original definition", async () => {
+    expect((await persistenceService.loadWorkflow("leave-1")).definitionVersion).toBe(1);
+
+    const engine = await createEngine([requestV1, requestV2]);
+    expect(engine.getWorkflowTypeVersions("LeaveRequest")).toEqual([1, 2]);
+
+    const existing = engine.getWorkflow("leave-1");
+    expect(existing.definitionVersion).toBe(1);
+    expect(existing.currentState).toBe("review");
+
+    const created = await engine.createWorkflow("LeaveRequest", "leave-2", user, org);
+    expect(created.definitionVersion).toBe(2);
+    expect(created.states.has("manager_review")).toBe(true);
+  });
+
+  test("a dry run reports the state mapping without changing anything", async () => {
+    const engine = await createEngine([requestV1, requestV2], [
+      { from: 1, to: 2, stateMap: { review: "manager_review" } }
+    ]);
+
+    const report = await engine.migrateWorkflows("LeaveRequest", { dryRun: true });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.failed).toEqual([]);
+    expect(report.migrated).toEqual([expect.objectContaining({
+      workflowId: "leave-1",
+      fromVersion: 1,
+      toVersion: 2,
+      fromState: "review",
+      toState: "manager_review"
+    })]);
+    expect(engine.getWorkflow("leave-1").currentState).toBe("review");
+    expect((await persistenceService.loadWorkflow("leave-1")).definitionVersion).toBe(1);
+  });
+
+  test("migration remaps current state and history and persists the new version", async () => {
+    const engine = await createEngine([requestV1, requestV2], [
+      { from: 1, to: 2, stateMap: { review: "manager_review" } }
+    ]);
+
+    const report = await engine.migrateWorkflows("LeaveRequest");
+    expect(report.migrated).toHaveLength(1);
+
+    const workflow = engine.getWorkflow("leave-1");
+    expect(workflow.definitionVersion).toBe(2);
+    expect(workflow.currentState).toBe("manager_review");
+    expect(workflow.history.map(entry => entry.toState)).toEqual(["draft", "manager_review"]);
+
+    await engine.executeTransition("leave-1", "hr_review", user, org);
+    expect((await persistenceService.loadWorkflow("leave-1")).definitionVersion).toBe(2);
+  });
+
+  test("a migration limited to organizations leaves the others' instances alone", async () => {
+    const engine = await createEngine([requestV1, requestV2], [
+      { from: 1, to: 2, stateMap: { review: "manager_review" } }
+    ]);
+
+    const elsewhere = await engine.migrateWorkflows("LeaveRequest", { organizationIds: ["org-2"] });
+    expect(elsewhere.migrated).toEqual([]);
+    expect(engine.getWorkflow("leave-1").definitionVersion).toBe(1);
+
+    const report = await engine.migrateWorkflows("LeaveRequest", { organizationIds: ["org-1"] });
+    expect(report.migrated.map(plan => plan.workflowId)).toEqual(["leave-1"]);
+  });
+
+  test("instances whose version is gone are held back until a migration covers them", async () => {
+    const engine = await createEngine([requestV2]);
+
+    expect(engine.getWorkflow("leave-1")).toBeUndefined();
+    expect(engine.unrestoredWorkflows.get("leave-1").reason).toBe("Version 1 of LeaveRequest is not registered");
+
+    const withoutPath = await engine.migrateWorkflows("LeaveRequest", { dryRun: true });
+    expect(withoutPath.failed[0].errors).toEqual(["No migration path from version 1 to 2"]);
+
+    engine.registerWorkflowMigration("LeaveRequest", { from: 1, to: 2 });
+    const unmapped = await engine.migrateWorkflows("LeaveRequest", { dryRun: true });
+    expect(unmapped.failed[0].errors).toEqual([
+      "State 'review' does not exist in version 2; add it to the migration's stateMap"
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+import { WorkflowEngine } from "../js/core/workflow/WorkflowEngine.js";
+import { createWorkflowClass, validateWorkflowDefinition } from "../js/core/workflow/WorkflowDefinition.js";
+import { alice, bob, createOrganizationService } from "./workflowFixtures.js";
+
+const carol = { id: "carol", username: "carol" };
+const managerPosition = { designation: { name: "Finance Manager" } };
+const actorMapping = { designations: { "Finance Manager": ["Approver"] } };
+const orgContext = { positions: [managerPosition], actorMapping };
+
+const votingDefinition = voting => ({
+  name: "BudgetApproval",
+  initialState: "review",
+  states: {
+    review: {
+      requiredActors: ["Approver"],
+      voting: { onApprove: "approved", onReject: "rejected", ...voting }
+    },
+    approved: { final: true },
+    rejected: { final: true }
+  }
+});
+
+const startWorkflow = async voting => {
+  const BudgetApproval = createWorkflowClass(votingDefinition({ voters: ["alice", "bob", "carol"], ...voting }));
+  const workflow = new BudgetApproval("budget-1");
+  await workflow.setState("review", alice, orgContext);
+  return workflow;
+};
+
+describe("Voting states", () => {
+  test("majority ignores abstentions and moves on once decided", async () => {
+    const workflow = await startWorkflow({ rule: "majority" });
+
+    await workflow.castVote("review", alice, orgContext, { decision: "abstain" });
+    const first = await workflow.castVote("review", bob, orgContext, { decision: "approve", comment: "Within budget" });
+    expect(first.tally).toMatchObject({ approvals: 1, required: 2, outcome: null });
+    expect(workflow.getPendingVoters("review")).toEqual([{ id: "carol" }]);
+
+    const second = await workflow.castVote("review", carol, orgContext, { decision: "approve" });
+    expect(second.tally.outcome).toBe("approved");
+    expect(workflow.currentState).toBe("approved");
+    expect(workflow.ballots.review.status).toBe("approved");
+
+    const votes = workflow.history.filter(entry => entry.type === "vote");
+    expect(votes.map(entry => [entry.user.id, entry.decision])).toEqual([["alice", "abstain"], ["bob", "approve"], ["carol", "approve"]]);
+    expect(votes[1].comment).toBe("Within budget");
+    expect(workflow.history[workflow.history.length - 1].context).toMatchObject({ vote: "review", outcome: "approved", approvals: 2 });
+  });
+
+  test("rules decide as soon as the outcome can no longer change", async () => {
+    const unanimous = await startWorkflow({ rule: "unanimous" });
+    await unanimous.castVote("review", alice, orgContext, { decision: "approve" });
+    await unanimous.castVote("review", bob, orgContext, { decision: "reject" });
+    expect(unanimous.currentState).toBe("rejected");
+
+    const twoOfThree = await startWorkflow({ rule: "n_of_m", count: 2 });
+    await twoOfThree.castVote("review", alice, orgContext, { decision: "reject" });
+    await twoOfThree.castVote("review", bob, orgContext, { decision: "approve" });
+    expect(twoOfThree.currentState).toBe("review");
+    await twoOfThree.castVote("review", carol, orgContext, { decision: "approve" });
+    expect(twoOfThree.currentState).toBe("approved");
+
+    const anyOne = await startWorkflow({ rule: "any" });
+    await anyOne.castVote("review", carol, orgContext, { decision: "approve" });
+    expect(anyOne.currentState).toBe("approved");
+  });
+
+  test("sequential chains take votes in order and reject eligibility problems", async () => {
+    const workflow = await startWorkflow({ rule: "sequential" });
+
+    expect(workflow.getPendingVotesForUser(alice).map(pending => pending.state)).toEqual(["review"]);
+    expect(workflow.getPendingVotesForUser(bob)).toEqual([]);
+
+    await expect(workflow.castVote("review", bob, orgContext, { decision: "approve" }))
+      .rejects.toThrow("User bob is out of turn; waiting for alice to vote in state 'review'");
+    await expect(workflow.castVote("review", { id: "mallory", username: "mallory" }, orgContext, { decision: "approve" }))
+      .rejects.toThrow("User does not have permission to vote in state 'review'");
+    await expect(workflow.castVote("review", alice, orgContext, { decision: "maybe" }))
+      .rejects.toThrow("Invalid vote decision 'maybe'");
+
+    await workflow.castVote("review", alice, orgContext, { decision: "approve" });
+    await expect(workflow.castVote("review", alice, orgContext, { decision: "approve" }))
+      .rejects.toThrow("User alice has already voted in state 'review'");
+    await workflow.castVote("review", bob, orgContext, { decision: "approve" });
+    await workflow.castVote("review", carol, orgContext, { decision: "approve" });
+
+    expect(workflow.currentState).toBe("approved");
+    await expect(workflow.castVote("review", carol, orgContext, { decision: "approve" }))
+      .rejects.toThrow("No open vote in state 'review'");
+  });
+
+  test("definitions are checked for voting configuration", () => {
+    expect(validateWorkflowDefinition(votingDefinition({ rule: "n_of_m", voters: ["alice"], onApprove: "done" }))).toEqual([
+      "State 'review' voting rule 'n_of_m' needs a positive integer count",
+      "State 'review' voting onApprove targets unknown state 'done'",
+      "State 'approved' is unreachable from 'review'"
+    ]);
+  });
+
+  test("the engine resolves voters from required actors and audits each vote", async () => {
+    const audited = [];
+    const engine = new WorkflowEngine({
+      organizationService: createOrganizationService({
+        getUserPositions: async () => [managerPosition],
+        getUsersByActor: async actor => actor === "Approver" ? [alice, bob, alice] : [],
+        getActorMapping: async () => actorMapping
+      }),
+      auditService: {
+        logWorkflowCreation: async () => {},
+        logWorkflowTransition: async (workflow, user, context, transition) => { audited.push(["transition", transition.targetState]); },
+        logWorkflowVote: async (workflow, user, context, result) => { audited.push(["vote", user.id, result.vote.decision]); }
+      }
+    });
+    engine.registerWorkflowType("BudgetApproval", votingDefinition({ rule: "unanimous" }));
+    await engine.start();
+
+    try {
+      const workflow = await engine.createWorkflow("BudgetApproval", "budget-2", carol, { organizationId: "org-1" });
+      expect(workflow.ballots.review.voters.map(voter => voter.id)).toEqual(["alice", "bob"]);
+
+      await engine.castVote("budget-2", "review", alice, { organizationId: "org-1" }, { decision: "approve" });
+      await engine.castVote("budget-2", "review", bob, { organizationId: "org-1" }, { decision: "approve" });
+
+      expect(workflow.currentState).toBe("approved");
+      expect(audited).toEqual([["vote", "alice", "approve"], ["vote", "bob", "approve"], ["transition", "approved"]]);
+    } finally {
+      await engine.stop();
+    }
+  });
+});
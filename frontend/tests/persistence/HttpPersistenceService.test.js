@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+import { createRequire } from "module";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { describePersistenceConformance } from "./persistenceConformance.js";
+import { HttpPersistenceService } from "../../js/core/workflow/persistence/HttpPersistenceService.js";
+
+const require = createRequire(import.meta.url);
+const { createServer } = require("../../../backend/server.js");
+
+let api;
+let dataDir;
+
+beforeAll(async () => {
+  dataDir = mkdtempSync(join(tmpdir(), "workflow-http-"));
+  api = await createServer({ dbFile: join(dataDir, "db.json") });
+  await new Promise(resolve => api.server.listen(0, resolve));
+
+  // The conformance data belongs to org-1 and org-2, which the test user owns
+  ["org-1", "org-2"].forEach(id => api.organizationService.createOrganization({ id, name: id, owner_id: "test-user" }));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => api.server.close(resolve));
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+const clientFor = userId => new HttpPersistenceService({
+  baseUrl: `http://127.0.0.1:${api.server.address().port}/api/persistence`,
+  headers: { Authorization: `Bearer ${api.sessions.issueToken({ id: userId }).token}` }
+});
+
+describePersistenceConformance("HttpPersistenceService", async () => {
+  api.db.transaction(db => {
+    ["client_workflow_instances", "client_workflow_history", "client_workflow_events", "client_audit_entries", "client_workflow_timers"]
+      .forEach(table => db.deleteWhere(table));
+  });
+
+  return clientFor("test-user");
+});
+
+describe("HttpPersistenceService organization scoping", () => {
+  test("callers only see and change the stored data of organizations they belong to", async () => {
+    const member = clientFor("test-user");
+    const outsider = clientFor("outsider");
+    const workflow = { id: "wf-scoped", type: "ExpenseApprovalWorkflow", currentState: "draft", organizationId: "org-1", history: [] };
+    await member.saveWorkflow(workflow);
+    await member.saveAuditEntries([{ id: "a-scoped", timestamp: new Date(), workflowId: "wf-scoped", organizationId: "org-1" }]);
+    await member.saveTimer({ id: "wf-scoped:timeout", workflowId: "wf-scoped", organizationId: "org-1", dueAt: new Date() });
+
+    expect(await outsider.loadWorkflows()).toEqual([]);
+    expect(await outsider.loadWorkflow("wf-scoped")).toBeNull();
+    expect(await outsider.searchAuditEntries({})).toEqual([]);
+    expect(await outsider.loadTimers()).toEqual([]);
+
+    await expect(outsider.saveWorkflow({ ...workflow, currentState: "approved" })).rejects.toThrow(/permission for organization org-1/);
+    await expect(outsider.deleteWorkflow("wf-scoped")).rejects.toThrow(/permission/);
+    await expect(outsider.saveAuditEntries([{ id: "a-forged", organizationId: "org-1" }])).rejects.toThrow(/permission/);
+    await expect(outsider.deleteTimer("wf-scoped:timeout")).rejects.toThrow(/permission/);
+    await outsider.cleanupAuditEntries(new Date());
+
+    expect((await member.loadWorkflow("wf-scoped")).currentState).toBe("draft");
+    expect((await member.searchAuditEntries({ workflowId: "wf-scoped" })).map(entry => entry.id)).toEqual(["a-scoped"]);
+    expect((await member.loadTimers()).map(timer => timer.id)).toContain("wf-scoped:timeout");
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * @jest-environment node
+ */
+import "fake-indexeddb/auto";
+import { describePersistenceConformance } from "./persistenceConformance.js";
+import { IndexedDBPersistenceService } from "../../js/core/workflow/persistence/IndexedDBPersistenceService.js";
+
+let databaseCounter = 0;
+
+describePersistenceConformance(
+  "IndexedDBPersistenceService",
+  () => new IndexedDBPersistenceService({ databaseName: `workflow-test-${++databaseCounter}` }),
+  service => service.close()
+);
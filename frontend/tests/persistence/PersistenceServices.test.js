@@ -0,0 +1,10 @@
+import { describePersistenceConformance } from "./persistenceConformance.js";
+import { MemoryPersistenceService } from "../../js/core/workflow/persistence/MemoryPersistenceService.js";
+import { LocalStoragePersistenceService } from "../../js/core/workflow/persistence/LocalStoragePersistenceService.js";
+
+describePersistenceConformance("MemoryPersistenceService", () => new MemoryPersistenceService());
+
+describePersistenceConformance("LocalStoragePersistenceService", () => {
+  localStorage.clear();
+  return new LocalStoragePersistenceService();
+});
@@ -0,0 +1,153 @@
+/**
+ * Shared conformance suite for persistenceService implementations.
+ * Call from a test file with a factory that returns a fresh, empty adapter.
+ */
+export function describePersistenceConformance(name, createService, teardown = async () => {}) {
+  describe(`${name} persistence conformance`, () => {
+    let service;
+
+    const workflow = (id, overrides = {}) => ({
+      id,
+      type: "ExpenseApprovalWorkflow",
+      currentState: "draft",
+      context: { total_amount: 120 },
+      history: [{ fromState: null, toState: "draft", timestamp: new Date("2024-03-01T10:00:00Z"), user: { id: "u1" } }],
+      metadata: {},
+      createdAt: new Date("2024-03-01T10:00:00Z"),
+      updatedAt: new Date("2024-03-01T10:00:00Z"),
+      createdBy: "u1",
+      organizationId: "org-1",
+      ...overrides
+    });
+
+    const auditEntry = (id, overrides = {}) => ({
+      id,
+      timestamp: new Date("2024-03-01T10:00:00Z"),
+      action: "WORKFLOW_TRANSITION",
+      workflowId: "wf-1",
+      userId: "u1",
+      organizationId: "org-1",
+      details: {},
+      ...overrides
+    });
+
+    beforeEach(async () => {
+      service = await createService();
+    });
+
+    afterEach(async () => {
+      await teardown(service);
+    });
+
+    test("loadWorkflows returns an empty list for a fresh store", async () => {
+      expect(await service.loadWorkflows()).toEqual([]);
+    });
+
+    test("saveWorkflow round-trips serialized data with dates as ISO strings", async () => {
+      await service.saveWorkflow(workflow("wf-1"));
+
+      const loaded = await service.loadWorkflow("wf-1");
+      expect(loaded.id).toBe("wf-1");
+      expect(loaded.context).toEqual({ total_amount: 120 });
+      expect(loaded.createdAt).toBe("2024-03-01T10:00:00.000Z");
+      expect(loaded.history).toHaveLength(1);
+      expect(loaded.history[0].timestamp).toBe("2024-03-01T10:00:00.000Z");
+    });
+
+    test("saveWorkflow replaces an existing workflow with the same id", async () => {
+      await service.saveWorkflow(workflow("wf-1"));
+      await service.saveWorkflow(workflow("wf-1", {
+        currentState: "submitted",
+        history: [
+          { fromState: null, toState: "draft", timestamp: "2024-03-01T10:00:00.000Z", user: { id: "u1" } },
+          { fromState: "draft", toState: "submitted", timestamp: "2024-03-02T10:00:00.000Z", user: { id: "u1" } }
+        ]
+      }));
+
+      const all = await service.loadWorkflows();
+      expect(all).toHaveLength(1);
+      expect(all[0].currentState).toBe("submitted");
+      expect(all[0].history.map(h => h.toState)).toEqual(["draft", "submitted"]);
+    });
+
+    test("saved data is isolated from later mutation by the caller", async () => {
+      const data = workflow("wf-1");
+      await service.saveWorkflow(data);
+      data.context.total_amount = 999;
+
+      expect((await service.loadWorkflow("wf-1")).context.total_amount).toBe(120);
+    });
+
+    test("saveWorkflow with an expected revision rejects stale writes", async () => {
+      await service.saveWorkflow(workflow("wf-1", { revision: 1 }), { expectedRevision: 0 });
+      await service.saveWorkflow(workflow("wf-1", { revision: 2, currentState: "submitted" }), { expectedRevision: 1 });
+
+      const stale = service.saveWorkflow(workflow("wf-1", { revision: 2, currentState: "rejected" }), { expectedRevision: 1 });
+      await expect(stale).rejects.toMatchObject({
+        name: "WorkflowConflictError",
+        expectedRevision: 1,
+        actualRevision: 2,
+        latest: { currentState: "submitted", revision: 2 }
+      });
+      expect((await service.loadWorkflow("wf-1")).currentState).toBe("submitted");
+    });
+
+    test("loadWorkflow returns null for an unknown id", async () => {
+      expect(await service.loadWorkflow("missing")).toBeNull();
+    });
+
+    test("deleteWorkflow removes the workflow and reports whether it existed", async () => {
+      await service.saveWorkflow(workflow("wf-1"));
+      await service.saveWorkflow(workflow("wf-2"));
+
+      expect(await service.deleteWorkflow("wf-1")).toBe(true);
+      expect(await service.deleteWorkflow("wf-1")).toBe(false);
+      expect((await service.loadWorkflows()).map(w => w.id)).toEqual(["wf-2"]);
+    });
+
+    test("searchAuditEntries filters by AuditService criteria", async () => {
+      await service.saveAuditEntries([
+        auditEntry("a1"),
+        auditEntry("a2", { workflowId: "wf-2", action: "WORKFLOW_CREATED" }),
+        auditEntry("a3", { userId: "u2", timestamp: new Date("2024-03-05T10:00:00Z") }),
+        auditEntry("a4", { organizationId: "org-2" })
+      ]);
+
+      const ids = async criteria => (await service.searchAuditEntries(criteria)).map(e => e.id).sort();
+
+      expect(await ids({})).toEqual(["a1", "a2", "a3", "a4"]);
+      expect(await ids({ workflowId: "wf-1" })).toEqual(["a1", "a3", "a4"]);
+      expect(await ids({ action: "WORKFLOW_CREATED" })).toEqual(["a2"]);
+      expect(await ids({ userId: "u2" })).toEqual(["a3"]);
+      expect(await ids({ organizationId: "org-2" })).toEqual(["a4"]);
+      expect(await ids({ startDate: "2024-03-02T00:00:00Z" })).toEqual(["a3"]);
+      expect(await ids({ endDate: "2024-03-02T00:00:00Z", workflowId: "wf-1" })).toEqual(["a1", "a4"]);
+    });
+
+    test("cleanupAuditEntries removes entries at or before the cutoff", async () => {
+      await service.saveAuditEntries([
+        auditEntry("old", { timestamp: new Date("2023-01-01T00:00:00Z") }),
+        auditEntry("new", { timestamp: new Date("2024-06-01T00:00:00Z") })
+      ]);
+
+      await service.cleanupAuditEntries(new Date("2024-01-01T00:00:00Z"));
+
+      expect((await service.searchAuditEntries({})).map(e => e.id)).toEqual(["new"]);
+    });
+
+    test("saveTimer, loadTimers and deleteTimer manage scheduler timers", async () => {
+      await service.saveTimer({ id: "wf-1:timeout", workflowId: "wf-1", organizationId: "org-1", dueAt: new Date("2024-03-08T10:00:00Z"), firedRules: [] });
+      await service.saveTimer({ id: "wf-1:timeout", workflowId: "wf-1", organizationId: "org-1", dueAt: new Date("2024-03-08T10:00:00Z"), firedRules: [0] });
+      await service.saveTimer({ id: "wf-2:timeout", workflowId: "wf-2", organizationId: "org-1", dueAt: new Date("2024-03-09T10:00:00Z"), firedRules: [] });
+
+      const timers = (await service.loadTimers()).sort((a, b) => a.id.localeCompare(b.id));
+      expect(timers.map(t => t.id)).toEqual(["wf-1:timeout", "wf-2:timeout"]);
+      expect(timers[0].firedRules).toEqual([0]);
+      expect(timers[0].dueAt).toBe("2024-03-08T10:00:00.000Z");
+
+      expect(await service.deleteTimer("wf-1:timeout")).toBe(true);
+      expect(await service.deleteTimer("wf-1:timeout")).toBe(false);
+      expect((await service.loadTimers()).map(t => t.id)).toEqual(["wf-2:timeout"]);
+    });
+  });
+}
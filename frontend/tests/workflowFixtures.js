@@ -0,0 +1,23 @@
+/**
+ * Users and organization stubs shared by the workflow engine tests.
+ */
+export const alice = { id: "alice", username: "alice" };
+export const bob = { id: "bob", username: "bob" };
+export const org = { organizationId: "org-1" };
+
+/**
+ * An organizationService with no positions, departments, teams, branches or actors.
+ * Pass overrides for the lookups a test needs to answer.
+ */
+export function createOrganizationService(overrides = {}) {
+  return {
+    getUserPositions: async () => [],
+    getDepartments: async () => [],
+    getTeams: async () => [],
+    getBranches: async () => [],
+    getUsersByActor: async () => [],
+    ...overrides
+  };
+}
+
+export const organizationService = createOrganizationService();